@@ -45,6 +45,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Create a trigger to update the timestamp
+DROP TRIGGER IF EXISTS update_conversation_timestamp ON memory.conversations;
 CREATE TRIGGER update_conversation_timestamp
 BEFORE UPDATE ON memory.conversations
 FOR EACH ROW
@@ -60,6 +61,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Create a trigger to update the last_accessed timestamp
+DROP TRIGGER IF EXISTS update_last_accessed_timestamp ON memory.conversations;
 CREATE TRIGGER update_last_accessed_timestamp
 BEFORE UPDATE ON memory.conversations
 FOR EACH ROW
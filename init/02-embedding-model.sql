@@ -0,0 +1,31 @@
+-- Track which embedding model produced each memory's vector
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+-- Create an index for finding memories embedded by an older model
+CREATE INDEX IF NOT EXISTS idx_conversations_embedding_model ON memory.conversations(embedding_model);
+
+-- Re-embedding and embedding migrations only write vectors, which is not an
+-- access, so leave last_accessed alone unless the memory itself changes
+DROP TRIGGER IF EXISTS update_last_accessed_timestamp ON memory.conversations;
+CREATE TRIGGER update_last_accessed_timestamp
+BEFORE UPDATE OF conversation_id, user_id, content, metadata, is_archived, last_accessed ON memory.conversations
+FOR EACH ROW
+EXECUTE FUNCTION memory.update_last_accessed();
+
+-- Create a table for tracking resumable re-embedding jobs
+CREATE TABLE IF NOT EXISTS memory.reembed_jobs (
+    id SERIAL PRIMARY KEY,
+    target_model TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    total_count INTEGER NOT NULL DEFAULT 0,
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    last_id INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,7 @@
+-- Keep a full-text search vector of each memory's content alongside its embedding
+ALTER TABLE memory.conversations
+    ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+
+-- Create a GIN index for keyword and hybrid searches
+CREATE INDEX IF NOT EXISTS idx_conversations_content_tsv ON memory.conversations USING GIN (content_tsv);
@@ -0,0 +1,32 @@
+-- Search for memories similar to an embedding, reporting cosine distance
+-- (lower is closer) and similarity (1 - distance, higher is closer)
+CREATE OR REPLACE FUNCTION memory.search_similar(
+    query_embedding VECTOR,
+    similarity_threshold FLOAT,
+    limit_count INTEGER
+)
+RETURNS TABLE (
+    id INTEGER,
+    conversation_id TEXT,
+    user_id TEXT,
+    content TEXT,
+    "timestamp" TIMESTAMPTZ,
+    metadata JSONB,
+    distance FLOAT,
+    similarity FLOAT
+) AS $$
+    SELECT
+        c.id,
+        c.conversation_id,
+        c.user_id,
+        c.content,
+        c.timestamp,
+        c.metadata,
+        c.embedding <=> query_embedding AS distance,
+        1 - (c.embedding <=> query_embedding) AS similarity
+    FROM memory.conversations c
+    WHERE c.is_archived = FALSE
+        AND c.embedding <=> query_embedding <= 1 - similarity_threshold
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT limit_count;
+$$ LANGUAGE sql STABLE;
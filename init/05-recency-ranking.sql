@@ -0,0 +1,10 @@
+-- Count how often each memory is retrieved, for recency-aware ranking
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS access_count INTEGER NOT NULL DEFAULT 0;
+
+-- Only move the timestamp when the content itself changes, so that access
+-- bookkeeping doesn't make every retrieved memory look brand new
+DROP TRIGGER IF EXISTS update_conversation_timestamp ON memory.conversations;
+CREATE TRIGGER update_conversation_timestamp
+BEFORE UPDATE OF content ON memory.conversations
+FOR EACH ROW
+EXECUTE FUNCTION memory.update_timestamp();
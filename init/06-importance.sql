@@ -0,0 +1,30 @@
+-- Score how important each memory is, from 0 (trivia) to 1 (must keep)
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS importance REAL NOT NULL DEFAULT 0.5;
+
+DO $$
+BEGIN
+    ALTER TABLE memory.conversations
+        ADD CONSTRAINT conversations_importance_range CHECK (importance >= 0 AND importance <= 1);
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END;
+$$;
+
+-- Retention policy that keeps important memories, however old they are
+DROP FUNCTION IF EXISTS memory.archive_old_memories(INTEGER);
+CREATE OR REPLACE FUNCTION memory.archive_old_memories(days_to_keep INTEGER, keep_importance REAL DEFAULT 0.8)
+RETURNS INTEGER AS $$
+DECLARE
+    archived_count INTEGER;
+BEGIN
+    UPDATE memory.conversations
+    SET is_archived = TRUE
+    WHERE 
+        timestamp < NOW() - (days_to_keep * INTERVAL '1 day')
+        AND importance < keep_importance
+        AND is_archived = FALSE;
+    
+    GET DIAGNOSTICS archived_count = ROW_COUNT;
+    RETURN archived_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,7 @@
+-- Hash each memory's content so exact duplicates can be found without comparing text
+ALTER TABLE memory.conversations
+    ADD COLUMN IF NOT EXISTS content_hash TEXT
+    GENERATED ALWAYS AS (md5(content)) STORED;
+
+-- Create an index for duplicate lookups
+CREATE INDEX IF NOT EXISTS idx_conversations_content_hash ON memory.conversations(content_hash);
@@ -0,0 +1,9 @@
+-- Long content can be split into chunks: the parent row keeps the full text
+-- without an embedding, and each chunk is a row of its own pointing at it
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS is_chunked BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE memory.conversations
+    ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES memory.conversations(id) ON DELETE CASCADE;
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS chunk_index INTEGER;
+
+-- Create an index for finding a document's chunks
+CREATE INDEX IF NOT EXISTS idx_conversations_parent_id ON memory.conversations(parent_id);
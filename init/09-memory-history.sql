@@ -0,0 +1,66 @@
+-- Keep the creation time in timestamp and track edits separately
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+UPDATE memory.conversations SET updated_at = timestamp WHERE updated_at IS NULL;
+ALTER TABLE memory.conversations ALTER COLUMN updated_at SET DEFAULT NOW();
+ALTER TABLE memory.conversations ALTER COLUMN updated_at SET NOT NULL;
+
+-- Prior versions of edited memories
+CREATE TABLE IF NOT EXISTS memory.memory_history (
+    id SERIAL PRIMARY KEY,
+    memory_id INTEGER NOT NULL REFERENCES memory.conversations(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    metadata JSONB,
+    embedding_model TEXT,
+    -- When this version was written, and when it was replaced
+    valid_from TIMESTAMPTZ NOT NULL,
+    replaced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (memory_id, version)
+);
+
+-- Stamp edits without touching the creation time
+CREATE OR REPLACE FUNCTION memory.update_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.timestamp = OLD.timestamp;
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_conversation_timestamp ON memory.conversations;
+CREATE TRIGGER update_conversation_timestamp
+BEFORE UPDATE OF content, metadata ON memory.conversations
+FOR EACH ROW
+WHEN (OLD.content IS DISTINCT FROM NEW.content OR OLD.metadata IS DISTINCT FROM NEW.metadata)
+EXECUTE FUNCTION memory.update_timestamp();
+
+-- Record the version an edit replaces
+CREATE OR REPLACE FUNCTION memory.record_memory_history()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO memory.memory_history (memory_id, version, content, metadata, embedding_model, valid_from)
+    SELECT
+        OLD.id,
+        COALESCE(MAX(version), 0) + 1,
+        OLD.content,
+        OLD.metadata,
+        OLD.embedding_model,
+        OLD.updated_at
+    FROM memory.memory_history
+    WHERE memory_id = OLD.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_conversation_history ON memory.conversations;
+CREATE TRIGGER record_conversation_history
+AFTER UPDATE OF content, metadata ON memory.conversations
+FOR EACH ROW
+-- Chunks follow their parent document, whose own history covers them
+WHEN (NEW.parent_id IS NULL AND (OLD.content IS DISTINCT FROM NEW.content OR OLD.metadata IS DISTINCT FROM NEW.metadata))
+EXECUTE FUNCTION memory.record_memory_history();
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,95 @@
+-- Remember when each memory was archived, so it can be moved to cold storage later
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+UPDATE memory.conversations SET archived_at = NOW() WHERE is_archived = TRUE AND archived_at IS NULL;
+
+CREATE OR REPLACE FUNCTION memory.update_archived_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_archived AND NOT COALESCE(OLD.is_archived, FALSE) THEN
+        NEW.archived_at = NOW();
+    ELSIF NOT COALESCE(NEW.is_archived, FALSE) THEN
+        NEW.archived_at = NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_conversation_archived_at ON memory.conversations;
+CREATE TRIGGER update_conversation_archived_at
+BEFORE UPDATE OF is_archived ON memory.conversations
+FOR EACH ROW
+EXECUTE FUNCTION memory.update_archived_at();
+
+-- Cold storage for memories that have been archived for a while. Rows keep
+-- their original IDs; the embedding has no fixed dimension so rows survive an
+-- embedding dimension migration, and may be dropped to save space
+CREATE TABLE IF NOT EXISTS memory.archive (
+    id INTEGER PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    user_id TEXT,
+    content TEXT NOT NULL,
+    embedding vector,
+    embedding_model TEXT,
+    metadata JSONB,
+    importance REAL,
+    access_count INTEGER,
+    is_chunked BOOLEAN NOT NULL DEFAULT FALSE,
+    parent_id INTEGER,
+    chunk_index INTEGER,
+    timestamp TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ,
+    last_accessed TIMESTAMPTZ,
+    archived_at TIMESTAMPTZ,
+    moved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes for looking up and purging cold storage
+CREATE INDEX IF NOT EXISTS idx_archive_conversation_id ON memory.archive(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_archive_user_id ON memory.archive(user_id);
+CREATE INDEX IF NOT EXISTS idx_archive_moved_at ON memory.archive(moved_at);
+
+-- Record how many memories each run archives
+CREATE OR REPLACE FUNCTION memory.archive_old_memories(days_to_keep INTEGER, keep_importance REAL DEFAULT 0.8)
+RETURNS INTEGER AS $$
+DECLARE
+    archived_count INTEGER;
+BEGIN
+    UPDATE memory.conversations
+    SET is_archived = TRUE
+    WHERE
+        timestamp < NOW() - (days_to_keep * INTERVAL '1 day')
+        AND importance < keep_importance
+        AND is_archived = FALSE;
+
+    GET DIAGNOSTICS archived_count = ROW_COUNT;
+
+    INSERT INTO memory.app_metrics (metric_name, metric_value)
+    VALUES ('memories_archived', archived_count);
+
+    RETURN archived_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- memory.move_to_cold_storage is defined in 20-cold-storage-relations.sql, once
+-- every column and table it copies from exists
+
+-- Permanently delete memories that have been in cold storage more than purge_days
+CREATE OR REPLACE FUNCTION memory.purge_cold_storage(purge_days INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    purged_count INTEGER;
+BEGIN
+    DELETE FROM memory.archive
+    WHERE moved_at < NOW() - (purge_days * INTERVAL '1 day');
+
+    GET DIAGNOSTICS purged_count = ROW_COUNT;
+
+    INSERT INTO memory.app_metrics (metric_name, metric_value)
+    VALUES ('memories_purged', purged_count);
+
+    RETURN purged_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,24 @@
+-- Named retention policies, each applying its own age cutoff and action to the
+-- memories it matches. The metadata filter uses the library's filter syntax
+CREATE TABLE IF NOT EXISTS memory.retention_policies (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    user_id TEXT,
+    conversation_prefix TEXT,
+    metadata JSONB,
+    keep_days INTEGER NOT NULL CHECK (keep_days > 0),
+    action TEXT NOT NULL CHECK (action IN ('archive', 'purge')),
+    -- Memories whose metadata has "pinned": true are left alone
+    exempt_pinned BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Memories at least this important are left alone
+    exempt_importance REAL CHECK (exempt_importance >= 0 AND exempt_importance <= 1),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMPTZ,
+    last_run_count INTEGER
+);
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
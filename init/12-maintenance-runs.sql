@@ -0,0 +1,20 @@
+-- History of the MCP server's scheduled maintenance jobs, one row per run
+CREATE TABLE IF NOT EXISTS memory.maintenance_runs (
+    id SERIAL PRIMARY KEY,
+    job_name TEXT NOT NULL,
+    -- The server instance (host:pid) that ran the job
+    instance_id TEXT,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    rows_affected INTEGER,
+    error TEXT,
+    scheduled_at TIMESTAMPTZ,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+-- Create index for looking up the latest runs of a job
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_job_started ON memory.maintenance_runs(job_name, started_at DESC);
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
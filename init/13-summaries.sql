@@ -0,0 +1,17 @@
+-- Distinguish conversation messages from the summaries that consolidate them
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS memory_type TEXT NOT NULL DEFAULT 'message';
+
+-- The summary a message has been rolled up into, if any. Deleting the summary
+-- returns its sources to the pool of messages waiting to be consolidated
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS summary_id INTEGER REFERENCES memory.conversations(id) ON DELETE SET NULL;
+
+-- Create indexes for finding summaries and their sources
+CREATE INDEX IF NOT EXISTS idx_conversations_memory_type ON memory.conversations(memory_type) WHERE memory_type <> 'message';
+CREATE INDEX IF NOT EXISTS idx_conversations_summary_id ON memory.conversations(summary_id);
+
+-- Keep both in cold storage
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS memory_type TEXT NOT NULL DEFAULT 'message';
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS summary_id INTEGER;
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,42 @@
+-- Structured memory: named entities carrying a list of observations, and typed
+-- relations between them
+CREATE TABLE IF NOT EXISTS memory.entities (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    user_id TEXT,
+    observations TEXT[] NOT NULL DEFAULT '{}',
+    metadata JSONB,
+    -- No fixed dimension, so entities survive an embedding dimension migration;
+    -- entity search only compares vectors from the active embedding model
+    embedding vector,
+    embedding_model TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- An entity is identified by its name (ignoring case) and type, per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entities_identity ON memory.entities(COALESCE(user_id, ''), entity_type, lower(name));
+
+-- Create indexes for listing a user's entities and entities of a type
+CREATE INDEX IF NOT EXISTS idx_entities_user_id ON memory.entities(user_id);
+CREATE INDEX IF NOT EXISTS idx_entities_entity_type ON memory.entities(entity_type);
+
+-- Deleting either end of a relation deletes the relation
+CREATE TABLE IF NOT EXISTS memory.relations (
+    id SERIAL PRIMARY KEY,
+    from_id INTEGER NOT NULL REFERENCES memory.entities(id) ON DELETE CASCADE,
+    relation_type TEXT NOT NULL,
+    to_id INTEGER NOT NULL REFERENCES memory.entities(id) ON DELETE CASCADE,
+    metadata JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (from_id, relation_type, to_id),
+    CHECK (from_id <> to_id)
+);
+
+-- The unique constraint covers walks along outgoing relations; this covers incoming ones
+CREATE INDEX IF NOT EXISTS idx_relations_to_id ON memory.relations(to_id);
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
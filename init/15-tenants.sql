@@ -0,0 +1,112 @@
+-- Tenant isolation with row-level security
+--
+-- Each row belongs to a tenant. The application points every connection at
+-- one tenant by setting memory.tenant_id and switching to the memory_tenant
+-- role, which is never exempt from the policies below, so a query that
+-- forgets a filter still only sees its own tenant's rows. Maintenance that
+-- spans tenants sets memory.tenant_id to '*' under the login role instead.
+
+-- The role tenant-scoped connections switch to; it cannot bypass row-level security
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'memory_tenant') THEN
+        CREATE ROLE memory_tenant NOLOGIN NOBYPASSRLS;
+    END IF;
+END
+$$;
+
+GRANT memory_tenant TO memory_user;
+
+-- The tenant of the current connection; connections that never set one use
+-- the 'default' tenant, which is where rows stored before tenants existed live
+CREATE OR REPLACE FUNCTION memory.current_tenant()
+RETURNS TEXT AS $$
+    SELECT COALESCE(NULLIF(current_setting('memory.tenant_id', true), ''), 'default')
+$$ LANGUAGE sql STABLE;
+
+-- Whether the current connection may see rows of a tenant
+CREATE OR REPLACE FUNCTION memory.tenant_visible(row_tenant TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT row_tenant = memory.current_tenant()
+        OR (memory.current_tenant() = '*' AND current_user <> 'memory_tenant')
+$$ LANGUAGE sql STABLE;
+
+-- Rows take the tenant of the connection that stores them; '*' is never a tenant
+ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+ALTER TABLE memory.memory_history ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+ALTER TABLE memory.retention_policies ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+ALTER TABLE memory.entities ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+ALTER TABLE memory.relations ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*');
+
+-- Create indexes for listing tenants and filtering by them
+CREATE INDEX IF NOT EXISTS idx_conversations_tenant_id ON memory.conversations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_archive_tenant_id ON memory.archive(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_entities_tenant_id ON memory.entities(tenant_id);
+
+-- Names are unique per tenant now
+ALTER TABLE memory.retention_policies DROP CONSTRAINT IF EXISTS retention_policies_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_tenant_name ON memory.retention_policies(tenant_id, name);
+
+DROP INDEX IF EXISTS memory.idx_entities_identity;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entities_tenant_identity ON memory.entities(tenant_id, COALESCE(user_id, ''), entity_type, lower(name));
+
+-- Enable the tenant policies
+ALTER TABLE memory.conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.archive ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.memory_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.retention_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.relations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.conversations;
+CREATE POLICY tenant_isolation ON memory.conversations
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.archive;
+CREATE POLICY tenant_isolation ON memory.archive
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.memory_history;
+CREATE POLICY tenant_isolation ON memory.memory_history
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.retention_policies;
+CREATE POLICY tenant_isolation ON memory.retention_policies
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.entities;
+CREATE POLICY tenant_isolation ON memory.entities
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.relations;
+CREATE POLICY tenant_isolation ON memory.relations
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+-- History rows keep the tenant of the memory they came from
+CREATE OR REPLACE FUNCTION memory.record_memory_history()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO memory.memory_history (memory_id, version, content, metadata, embedding_model, valid_from, tenant_id)
+    SELECT
+        OLD.id,
+        COALESCE(MAX(version), 0) + 1,
+        OLD.content,
+        OLD.metadata,
+        OLD.embedding_model,
+        OLD.updated_at,
+        OLD.tenant_id
+    FROM memory.memory_history
+    WHERE memory_id = OLD.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant appropriate permissions
+GRANT USAGE ON SCHEMA memory TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_tenant;
+ALTER DEFAULT PRIVILEGES IN SCHEMA memory GRANT ALL PRIVILEGES ON TABLES TO memory_tenant;
+ALTER DEFAULT PRIVILEGES IN SCHEMA memory GRANT ALL PRIVILEGES ON SEQUENCES TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,53 @@
+-- Erasure tombstones
+--
+-- Erasing a user's data leaves a row recording when it happened and how many
+-- rows of each kind went, without the user ID itself. Rows form a hash chain
+-- per tenant, each hash covering the previous one, so editing or removing a
+-- tombstone shows up when the chain is verified.
+CREATE TABLE IF NOT EXISTS memory.erasure_tombstones (
+    id SERIAL PRIMARY KEY,
+    tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*'),
+    -- HMAC-SHA-256 of the erased user ID, keyed with MEMORY_ERASURE_SECRET
+    user_hash TEXT NOT NULL,
+    -- Rows erased by table
+    counts JSONB NOT NULL,
+    erased_at TIMESTAMPTZ NOT NULL,
+    previous_hash TEXT,
+    hash TEXT NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_tombstones_tenant_id ON memory.erasure_tombstones(tenant_id, id);
+CREATE INDEX IF NOT EXISTS idx_erasure_tombstones_user_hash ON memory.erasure_tombstones(user_hash);
+
+-- Tombstones are append-only
+CREATE OR REPLACE FUNCTION memory.prevent_tombstone_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Erasure tombstones cannot be changed or deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_tombstone_changes ON memory.erasure_tombstones;
+CREATE TRIGGER prevent_tombstone_changes
+BEFORE UPDATE OR DELETE ON memory.erasure_tombstones
+FOR EACH ROW
+EXECUTE FUNCTION memory.prevent_tombstone_changes();
+
+DROP TRIGGER IF EXISTS prevent_tombstone_truncate ON memory.erasure_tombstones;
+CREATE TRIGGER prevent_tombstone_truncate
+BEFORE TRUNCATE ON memory.erasure_tombstones
+FOR EACH STATEMENT
+EXECUTE FUNCTION memory.prevent_tombstone_changes();
+
+ALTER TABLE memory.erasure_tombstones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.erasure_tombstones;
+CREATE POLICY tenant_isolation ON memory.erasure_tombstones
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+-- Grant appropriate permissions
+REVOKE ALL PRIVILEGES ON memory.erasure_tombstones FROM memory_tenant;
+GRANT SELECT, INSERT ON memory.erasure_tombstones TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,114 @@
+-- One row per conversation, kept up to date by a trigger on memory.conversations,
+-- so a user's conversations can be listed without scanning every memory
+CREATE TABLE IF NOT EXISTS memory.conversation_sessions (
+    tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*'),
+    conversation_id TEXT NOT NULL,
+    -- The first user seen in the conversation
+    user_id TEXT,
+    -- The start of the first message, until a title is set
+    title TEXT,
+    created_at TIMESTAMPTZ NOT NULL,
+    last_activity_at TIMESTAMPTZ NOT NULL,
+    -- Messages, not counting chunks of documents or summaries
+    message_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (tenant_id, conversation_id)
+);
+
+-- Create an index for listing a user's conversations, most recently active first
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_user_activity
+    ON memory.conversation_sessions(tenant_id, user_id, last_activity_at DESC, conversation_id DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_activity
+    ON memory.conversation_sessions(tenant_id, last_activity_at DESC, conversation_id DESC);
+
+-- Create an index for finding the memories of a conversation in order
+CREATE INDEX IF NOT EXISTS idx_conversations_conversation_timestamp
+    ON memory.conversations(conversation_id, timestamp, id);
+
+CREATE OR REPLACE FUNCTION memory.track_conversation_session()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('DELETE', 'UPDATE') THEN
+        UPDATE memory.conversation_sessions
+        SET message_count = message_count - 1
+        WHERE tenant_id = OLD.tenant_id
+            AND conversation_id = OLD.conversation_id
+            AND OLD.parent_id IS NULL
+            AND OLD.memory_type = 'message';
+
+        -- Row triggers fire after the whole statement, so this sees every row it removed
+        DELETE FROM memory.conversation_sessions s
+        WHERE s.tenant_id = OLD.tenant_id
+            AND s.conversation_id = OLD.conversation_id
+            AND NOT EXISTS (
+                SELECT 1
+                FROM memory.conversations c
+                WHERE c.tenant_id = OLD.tenant_id
+                    AND c.conversation_id = OLD.conversation_id
+            );
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        INSERT INTO memory.conversation_sessions AS s
+            (tenant_id, conversation_id, user_id, title, created_at, last_activity_at, message_count)
+        VALUES (
+            NEW.tenant_id,
+            NEW.conversation_id,
+            NEW.user_id,
+            CASE WHEN NEW.parent_id IS NULL AND NEW.memory_type = 'message'
+                THEN left(regexp_replace(btrim(NEW.content), '\s+', ' ', 'g'), 80) END,
+            NEW.timestamp,
+            NEW.timestamp,
+            CASE WHEN NEW.parent_id IS NULL AND NEW.memory_type = 'message' THEN 1 ELSE 0 END
+        )
+        ON CONFLICT (tenant_id, conversation_id) DO UPDATE SET
+            user_id = COALESCE(s.user_id, EXCLUDED.user_id),
+            title = COALESCE(s.title, EXCLUDED.title),
+            created_at = LEAST(s.created_at, EXCLUDED.created_at),
+            last_activity_at = GREATEST(s.last_activity_at, EXCLUDED.last_activity_at),
+            message_count = s.message_count + EXCLUDED.message_count;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS track_conversation_session_insert ON memory.conversations;
+CREATE TRIGGER track_conversation_session_insert
+AFTER INSERT OR DELETE ON memory.conversations
+FOR EACH ROW
+EXECUTE FUNCTION memory.track_conversation_session();
+
+DROP TRIGGER IF EXISTS track_conversation_session_move ON memory.conversations;
+CREATE TRIGGER track_conversation_session_move
+AFTER UPDATE OF conversation_id ON memory.conversations
+FOR EACH ROW
+WHEN (OLD.conversation_id IS DISTINCT FROM NEW.conversation_id)
+EXECUTE FUNCTION memory.track_conversation_session();
+
+-- Index the conversations stored before this table existed
+INSERT INTO memory.conversation_sessions
+    (tenant_id, conversation_id, user_id, title, created_at, last_activity_at, message_count)
+SELECT
+    tenant_id,
+    conversation_id,
+    (array_agg(user_id ORDER BY timestamp, id) FILTER (WHERE user_id IS NOT NULL))[1],
+    left(regexp_replace(btrim(
+        (array_agg(content ORDER BY timestamp, id) FILTER (WHERE parent_id IS NULL AND memory_type = 'message'))[1]
+    ), '\s+', ' ', 'g'), 80),
+    MIN(timestamp),
+    MAX(timestamp),
+    COUNT(*) FILTER (WHERE parent_id IS NULL AND memory_type = 'message')
+FROM memory.conversations
+GROUP BY tenant_id, conversation_id
+ON CONFLICT (tenant_id, conversation_id) DO NOTHING;
+
+ALTER TABLE memory.conversation_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.conversation_sessions;
+CREATE POLICY tenant_isolation ON memory.conversation_sessions
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON memory.conversation_sessions TO memory_tenant;
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,37 @@
+-- Tags organize memories by project and topic. Names are stored normalized
+-- (trimmed, lower case, runs of whitespace as one hyphen), once per tenant
+CREATE TABLE IF NOT EXISTS memory.tags (
+    id SERIAL PRIMARY KEY,
+    tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*'),
+    name TEXT NOT NULL CHECK (name <> '' AND name = lower(btrim(name))),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (tenant_id, name)
+);
+
+-- Chunked documents are tagged through their parent row. Deleting either the
+-- memory or the tag deletes the link
+CREATE TABLE IF NOT EXISTS memory.memory_tags (
+    memory_id INTEGER NOT NULL REFERENCES memory.conversations(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES memory.tags(id) ON DELETE CASCADE,
+    tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*'),
+    tagged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (memory_id, tag_id)
+);
+
+-- The primary key covers a memory's tags; this covers a tag's memories
+CREATE INDEX IF NOT EXISTS idx_memory_tags_tag_id ON memory.memory_tags(tag_id, memory_id);
+
+ALTER TABLE memory.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory.memory_tags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.tags;
+CREATE POLICY tenant_isolation ON memory.tags
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.memory_tags;
+CREATE POLICY tenant_isolation ON memory.memory_tags
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
@@ -0,0 +1,28 @@
+-- Typed links between memories, e.g. (newer memory) supersedes (older memory).
+-- Chunked documents are linked through their parent row. Deleting either end
+-- deletes the link
+CREATE TABLE IF NOT EXISTS memory.memory_links (
+    id SERIAL PRIMARY KEY,
+    tenant_id TEXT NOT NULL DEFAULT memory.current_tenant() CHECK (tenant_id <> '*'),
+    from_id INTEGER NOT NULL REFERENCES memory.conversations(id) ON DELETE CASCADE,
+    link_type TEXT NOT NULL CHECK (link_type IN ('follows-up', 'supersedes', 'contradicts', 'derived-from')),
+    to_id INTEGER NOT NULL REFERENCES memory.conversations(id) ON DELETE CASCADE,
+    metadata JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (from_id, link_type, to_id),
+    CHECK (from_id <> to_id)
+);
+
+-- The unique constraint covers walks along outgoing links; this covers incoming
+-- ones and the check for superseded memories that every search makes
+CREATE INDEX IF NOT EXISTS idx_memory_links_to_id ON memory.memory_links(to_id, link_type);
+
+ALTER TABLE memory.memory_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON memory.memory_links;
+CREATE POLICY tenant_isolation ON memory.memory_links
+    USING (memory.tenant_visible(tenant_id)) WITH CHECK (memory.tenant_visible(tenant_id));
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
+GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA memory TO memory_user;
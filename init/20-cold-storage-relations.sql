@@ -0,0 +1,83 @@
+-- Moving a memory to cold storage deletes it from memory.conversations, and its
+-- tags, links and edit history go with it through ON DELETE CASCADE. Cold
+-- storage keeps a copy of them on the archived row instead
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS tags TEXT[];
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS links JSONB;
+ALTER TABLE memory.archive ADD COLUMN IF NOT EXISTS history JSONB;
+
+-- Move memories archived more than archived_days ago to cold storage. The
+-- chunks of a moved document go with it, archived or not. Defined once, here,
+-- after every table whose rows it copies
+CREATE OR REPLACE FUNCTION memory.move_to_cold_storage(archived_days INTEGER, drop_embeddings BOOLEAN DEFAULT FALSE)
+RETURNS INTEGER AS $$
+DECLARE
+    moved_count INTEGER;
+BEGIN
+    -- Every part of the statement reads the same snapshot and the cascade only
+    -- runs once the memories are deleted, so their tags, links and history are
+    -- still there to copy
+    WITH due AS (
+        SELECT id
+        FROM memory.conversations
+        WHERE is_archived = TRUE
+            AND archived_at < NOW() - (archived_days * INTERVAL '1 day')
+    ),
+    moved AS (
+        DELETE FROM memory.conversations
+        WHERE id IN (SELECT id FROM due)
+            OR parent_id IN (SELECT id FROM due)
+        RETURNING *
+    )
+    INSERT INTO memory.archive (
+        id, tenant_id, conversation_id, user_id, content, embedding, embedding_model, metadata, importance,
+        access_count, is_chunked, parent_id, chunk_index, memory_type, summary_id,
+        timestamp, updated_at, last_accessed, archived_at, tags, links, history
+    )
+    SELECT
+        moved.id, moved.tenant_id, moved.conversation_id, moved.user_id, moved.content,
+        CASE WHEN drop_embeddings THEN NULL ELSE moved.embedding END,
+        moved.embedding_model, moved.metadata, moved.importance, moved.access_count, moved.is_chunked,
+        moved.parent_id, moved.chunk_index, moved.memory_type, moved.summary_id, moved.timestamp,
+        moved.updated_at, moved.last_accessed, COALESCE(moved.archived_at, NOW()),
+        (
+            SELECT array_agg(t.name ORDER BY t.name)
+            FROM memory.memory_tags mt
+            JOIN memory.tags t ON t.id = mt.tag_id
+            WHERE mt.memory_id = moved.id
+        ),
+        (
+            SELECT jsonb_agg(jsonb_build_object(
+                'from_id', l.from_id,
+                'link_type', l.link_type,
+                'to_id', l.to_id,
+                'metadata', l.metadata,
+                'created_at', l.created_at
+            ) ORDER BY l.id)
+            FROM memory.memory_links l
+            WHERE moved.id IN (l.from_id, l.to_id)
+        ),
+        (
+            SELECT jsonb_agg(jsonb_build_object(
+                'version', h.version,
+                'content', h.content,
+                'metadata', h.metadata,
+                'embedding_model', h.embedding_model,
+                'valid_from', h.valid_from,
+                'replaced_at', h.replaced_at
+            ) ORDER BY h.version)
+            FROM memory.memory_history h
+            WHERE h.memory_id = moved.id
+        )
+    FROM moved;
+
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+
+    INSERT INTO memory.app_metrics (metric_name, metric_value)
+    VALUES ('memories_moved_to_cold_storage', moved_count);
+
+    RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant appropriate permissions
+GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA memory TO memory_user;
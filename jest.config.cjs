@@ -1,7 +1,10 @@
 module.exports = {
   // Minimal configuration for ESM support
   testEnvironment: 'node',
-  transform: {},
+  // The MCP server's TypeScript is transpiled for its tests, without type checking
+  transform: {
+    '^.+\\.ts$': ['babel-jest', { configFile: false, presets: ['@babel/preset-typescript'] }],
+  },
   extensionsToTreatAsEsm: ['.ts', '.tsx', '.mts'],
   moduleNameMapper: {
     '^(\\.{1,2}/.*)\\.js$': '$1',
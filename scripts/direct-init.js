@@ -14,9 +14,13 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, '..');
 
-// Read SQL initialization file
-const sqlFilePath = path.join(rootDir, 'init', '01-init.sql');
-const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
+// Read SQL initialization files in order
+const initDir = path.join(rootDir, 'init');
+const sqlContent = fs.readdirSync(initDir)
+  .filter(file => file.endsWith('.sql'))
+  .sort()
+  .map(file => fs.readFileSync(path.join(initDir, file), 'utf8'))
+  .join('\n');
 
 // Create a temporary SQL file
 const tempSqlPath = path.join('/tmp', 'postgres-init.sql');
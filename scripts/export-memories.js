@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * This script writes memories to a file as JSON lines, one memory per line,
+ * for import into another database with scripts/import-memories.js.
+ *
+ * Usage: node scripts/export-memories.js <file.jsonl> [--embeddings] [--no-archived]
+ *        [--user=id] [--conversation=id] [--tenant=id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { finished } from 'stream/promises';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Load environment variables before the library reads them
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const { exportMemories } = await import('../src/memory/transfer.js');
+const { closePool, withTenant, getCurrentTenant } = await import('../src/utils/db.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const [file] = args.filter(arg => !arg.startsWith('--'));
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+async function main() {
+  if (!file) {
+    console.log('Usage: npm run export-memories -- <file.jsonl> [--embeddings] [--no-archived] [--user=id] [--conversation=id] [--tenant=id]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    console.log('\x1b[36m%s\x1b[0m', `📤 Exporting memories to ${file}...`);
+
+    // Open the file up front so a bad path fails before anything is read
+    const output = fs.createWriteStream(null, { fd: fs.openSync(file, 'w') });
+    const { exported } = await withTenant(option('tenant') ?? getCurrentTenant(), () => exportMemories(output, {
+      includeEmbeddings: args.includes('--embeddings'),
+      includeArchived: !args.includes('--no-archived'),
+      userId: option('user') ?? null,
+      conversationId: option('conversation') ?? null,
+      onProgress: ({ exported }) => {
+        console.log(`   ${exported} memories written`);
+      }
+    }));
+    output.end();
+    await finished(output);
+
+    console.log('\x1b[32m%s\x1b[0m', `✓ Exported ${exported} memories to ${file}`);
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Export failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
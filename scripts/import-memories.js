@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * This script imports memories from JSON lines written by
+ * scripts/export-memories.js. Memories without an embedding, or embedded by a
+ * different model than the configured one (EMBEDDING_MODEL), are re-embedded.
+ *
+ * Usage: node scripts/import-memories.js <file.jsonl | -> [--mode=skip|overwrite|new_ids]
+ *        [--batch-size=100] [--tenant=id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Load environment variables before the library reads them
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const { importMemories } = await import('../src/memory/transfer.js');
+const { closePool, withTenant, getCurrentTenant } = await import('../src/utils/db.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const [file] = args.filter(arg => !arg.startsWith('--') || arg === '-');
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const batchSize = option('batch-size') ? parseInt(option('batch-size'), 10) : 100;
+
+async function main() {
+  if (!file) {
+    console.log('Usage: npm run import-memories -- <file.jsonl | -> [--mode=skip|overwrite|new_ids] [--batch-size=100] [--tenant=id]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    console.log('\x1b[36m%s\x1b[0m', `📥 Importing memories from ${file === '-' ? 'standard input' : file}...`);
+
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    const result = await withTenant(option('tenant') ?? getCurrentTenant(), () => importMemories(input, {
+      mode: option('mode') ?? 'skip',
+      batchSize,
+      onProgress: ({ imported, skipped, failed }) => {
+        console.log(`   ${imported} imported, ${skipped} skipped, ${failed} failed`);
+      }
+    }));
+
+    for (const { line, error } of result.errors) {
+      console.log('\x1b[33m%s\x1b[0m', `   line ${line}: ${error}`);
+    }
+
+    console.log('\x1b[32m%s\x1b[0m', `✓ Imported ${result.imported} memories (${result.skipped} skipped, ${result.overwritten} overwritten, ${result.reembedded} re-embedded, ${result.failed} failed)`);
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Import failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
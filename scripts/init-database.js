@@ -34,15 +34,16 @@ async function initializeDatabase() {
   console.log('\x1b[36m%s\x1b[0m', '🗄️  Initializing PostgreSQL database...');
   
   try {
-    // Read SQL initialization file
-    const sqlFilePath = path.join(rootDir, 'init', '01-init.sql');
+    // Find the SQL initialization files, applied in order like docker-entrypoint-initdb.d
+    const initDir = path.join(rootDir, 'init');
+    const sqlFiles = fs.existsSync(initDir)
+      ? fs.readdirSync(initDir).filter(file => file.endsWith('.sql')).sort()
+      : [];
     
-    if (!fs.existsSync(sqlFilePath)) {
-      throw new Error(`SQL initialization file not found at ${sqlFilePath}`);
+    if (sqlFiles.length === 0) {
+      throw new Error(`No SQL initialization files found in ${initDir}`);
     }
     
-    const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
-    
     // Connect to PostgreSQL
     const client = new pg.Client(pgConfig);
     await client.connect();
@@ -50,7 +51,11 @@ async function initializeDatabase() {
     console.log('\x1b[32m%s\x1b[0m', '✓ Connected to PostgreSQL');
     
     // Execute SQL initialization
-    await client.query(sqlContent);
+    for (const sqlFile of sqlFiles) {
+      const sqlContent = fs.readFileSync(path.join(initDir, sqlFile), 'utf8');
+      await client.query(sqlContent);
+      console.log('\x1b[32m%s\x1b[0m', `✓ Executed ${sqlFile}`);
+    }
     
     console.log('\x1b[32m%s\x1b[0m', '✓ Executed SQL initialization scripts');
     
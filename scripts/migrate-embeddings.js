@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * This script migrates the memory.conversations embedding column to the dimension
+ * of the configured embedding provider (EMBEDDING_MODEL / EMBEDDING_DIMENSION),
+ * re-embedding every existing memory into the new column.
+ *
+ * Usage: node scripts/migrate-embeddings.js [--batch-size=100] [--drop-previous] [--force]
+ */
+
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Load environment variables before the library reads them
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const { migrateEmbeddingDimension } = await import('../src/memory/schema.js');
+const { closePool } = await import('../src/utils/db.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchSizeArg ? parseInt(batchSizeArg.replace('--batch-size=', ''), 10) : 100;
+const dropPrevious = args.includes('--drop-previous');
+const force = args.includes('--force');
+
+async function main() {
+  console.log('\x1b[36m%s\x1b[0m', '🔁 Migrating embedding column...');
+
+  try {
+    const result = await migrateEmbeddingDimension({
+      batchSize,
+      dropPrevious,
+      force,
+      onProgress: ({ processed, total }) => {
+        console.log(`   ${processed}/${total} memories re-embedded`);
+      }
+    });
+
+    if (result.migrated) {
+      console.log('\x1b[32m%s\x1b[0m', `✓ Migrated embeddings from ${result.fromDimension} to ${result.toDimension} dimensions (${result.reembedded} memories re-embedded)`);
+    } else {
+      console.log('\x1b[32m%s\x1b[0m', `✓ Embedding column already has ${result.toDimension} dimensions, nothing to do`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Embedding migration failed: ${error.message}`);
+    console.log('\x1b[33m%s\x1b[0m', 'ℹ️  The migration is resumable: fix the problem and run it again.');
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
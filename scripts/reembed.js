@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * This script re-embeds every memory whose vector was produced by a different
+ * model than the configured one (EMBEDDING_MODEL). It resumes an unfinished
+ * job for the same model if one exists.
+ *
+ * Usage: node scripts/reembed.js [--batch-size=100]
+ *        node scripts/reembed.js --status
+ */
+
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Load environment variables before the library reads them
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const { startReembedJob, listReembedJobs } = await import('../src/memory/reembed.js');
+const { closePool } = await import('../src/utils/db.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchSizeArg ? parseInt(batchSizeArg.replace('--batch-size=', ''), 10) : 100;
+const showStatus = args.includes('--status');
+
+async function printStatus() {
+  const jobs = await listReembedJobs();
+
+  if (jobs.length === 0) {
+    console.log('No re-embedding jobs found');
+    return;
+  }
+
+  for (const job of jobs) {
+    console.log(`#${job.id} ${job.target_model} ${job.status} ${job.processed_count}/${job.total_count}${job.error ? ` (${job.error})` : ''}`);
+  }
+}
+
+async function main() {
+  try {
+    if (showStatus) {
+      await printStatus();
+      return;
+    }
+
+    console.log('\x1b[36m%s\x1b[0m', '🔁 Re-embedding memories with the configured model...');
+
+    const job = await startReembedJob({
+      batchSize,
+      onProgress: ({ jobId, processed, total }) => {
+        console.log(`   job ${jobId}: ${processed}/${total} memories re-embedded`);
+      }
+    });
+
+    console.log('\x1b[32m%s\x1b[0m', `✓ Re-embedding job ${job.id} completed (${job.processed_count} memories now use ${job.target_model})`);
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Re-embedding failed: ${error.message}`);
+    console.log('\x1b[33m%s\x1b[0m', 'ℹ️  Run the command again to resume from the last completed batch.');
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
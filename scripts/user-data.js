@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * This script handles data-subject requests: it exports everything stored
+ * about a user as JSON, or erases it, leaving a tombstone of the erasure.
+ *
+ * Usage: node scripts/user-data.js export <user-id> --out=file.json [--tenant=id]
+ *        node scripts/user-data.js erase <user-id> --yes [--tenant=id]
+ *        node scripts/user-data.js tombstones [<user-id>] [--tenant=id]
+ *        node scripts/user-data.js verify [--tenant=id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Load environment variables before the library reads them
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const { exportUserData, eraseUserData, listErasureTombstones, verifyErasureTombstones } = await import('../src/memory/user-data.js');
+const { closePool, withTenant, getCurrentTenant } = await import('../src/utils/db.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const [command, userId] = args.filter(arg => !arg.startsWith('--'));
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const tenant = option('tenant') ?? getCurrentTenant();
+
+function usage() {
+  console.log('Usage: npm run user-data -- export <user-id> --out=file.json [--tenant=id]');
+  console.log('       npm run user-data -- erase <user-id> --yes [--tenant=id]');
+  console.log('       npm run user-data -- tombstones [<user-id>] [--tenant=id]');
+  console.log('       npm run user-data -- verify [--tenant=id]');
+}
+
+async function runExport() {
+  const data = await exportUserData(userId);
+  const out = option('out');
+
+  fs.writeFileSync(out, `${JSON.stringify(data, null, 2)}\n`);
+  console.log('\x1b[32m%s\x1b[0m', `✓ Exported ${data.memories.length} memories, ${data.coldStorage.length} cold storage rows and ${data.entities.length} entities of ${userId} to ${out}`);
+}
+
+async function runErase() {
+  if (!args.includes('--yes')) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Erasing cannot be undone; run again with --yes to erase every row of ${userId} in tenant ${tenant}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const tombstone = await eraseUserData(userId);
+  console.log('\x1b[32m%s\x1b[0m', `✓ Erased the data of ${userId} (tombstone ${tombstone.id})`);
+  for (const [table, count] of Object.entries(tombstone.counts)) {
+    console.log(`   ${table}: ${count}`);
+  }
+}
+
+async function printTombstones() {
+  const tombstones = await listErasureTombstones({ userId: userId ?? null });
+
+  if (tombstones.length === 0) {
+    console.log('No erasures found');
+    return;
+  }
+
+  for (const tombstone of tombstones) {
+    console.log(`#${tombstone.id} ${tombstone.erased_at.toISOString()} ${tombstone.user_hash} ${JSON.stringify(tombstone.counts)}`);
+  }
+}
+
+async function runVerify() {
+  const result = await verifyErasureTombstones();
+
+  if (result.valid) {
+    console.log('\x1b[32m%s\x1b[0m', `✓ All ${result.count} erasure tombstones match their hash chain`);
+  } else {
+    console.error('\x1b[31m%s\x1b[0m', `❌ Erasure tombstone ${result.brokenAt} has been altered, or one before it removed`);
+    process.exitCode = 1;
+  }
+}
+
+const COMMANDS = {
+  export: { run: runExport, needsUser: true, needsOut: true },
+  erase: { run: runErase, needsUser: true },
+  tombstones: { run: printTombstones, needsUser: false },
+  verify: { run: runVerify, needsUser: false }
+};
+
+async function main() {
+  const selected = COMMANDS[command];
+  if (!selected || (selected.needsUser && !userId) || (selected.needsOut && !option('out'))) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await withTenant(tenant, selected.run);
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', `❌ ${command} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.js';
@@ -31,15 +32,94 @@ pool.on('error', (err: Error) => {
   process.exit(-1);
 });
 
+// Scope that lifts tenant isolation, for maintenance spanning every tenant
+export const ALL_TENANTS = '*';
+
+// Role tenant-scoped connections switch to; row-level security always applies to it
+const TENANT_ROLE = 'memory_tenant';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_.:@-]{1,128}$/;
+
+/**
+ * Validate a tenant ID
+ * @param tenantId The tenant ID
+ * @returns The tenant ID
+ */
+export const validateTenantId = (tenantId: unknown): string => {
+  if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+    throw new Error(`Invalid tenant ID: ${tenantId}`);
+  }
+  return tenantId;
+};
+
+// Tenant of code running outside withTenant, such as the stdio server or scheduled jobs
+const DEFAULT_TENANT = validateTenantId(process.env.MEMORY_TENANT || 'default');
+
+const tenantScope = new AsyncLocalStorage<string>();
+
+// Tenant each pooled connection was last pointed at
+const connectionTenants = new WeakMap<PoolClient, string>();
+
+/**
+ * Get the tenant the current code runs as
+ * @returns The tenant ID, or ALL_TENANTS
+ */
+export const getCurrentTenant = (): string => tenantScope.getStore() ?? DEFAULT_TENANT;
+
+/**
+ * Run a callback, and everything it awaits, as a tenant; its queries only see
+ * and store that tenant's rows
+ * @param tenantId The tenant
+ * @param callback The callback to run
+ * @returns The callback's result
+ */
+export const withTenant = <T>(tenantId: string, callback: () => T): T =>
+  tenantScope.run(validateTenantId(tenantId), callback);
+
 /**
- * Get a client from the pool
+ * Run a callback across every tenant, for maintenance that has to see all rows;
+ * rows it inserts must name their tenant
+ * @param callback The callback to run
+ * @returns The callback's result
+ */
+export const withAllTenants = <T>(callback: () => T): T => tenantScope.run(ALL_TENANTS, callback);
+
+/**
+ * Point a connection at the current tenant, unless it already is
+ * @param client The connection
+ */
+const applyTenantScope = async (client: PoolClient): Promise<void> => {
+  const tenant = getCurrentTenant();
+  if (connectionTenants.get(client) === tenant) {
+    return;
+  }
+
+  try {
+    await client.query(
+      "SELECT set_config('role', $1, false), set_config('memory.tenant_id', $2, false)",
+      [tenant === ALL_TENANTS ? 'none' : TENANT_ROLE, tenant]
+    );
+  } catch (error) {
+    connectionTenants.delete(client);
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Could not switch the connection to tenant ${tenant} (${message}), check that init/15-tenants.sql has been applied`);
+  }
+
+  connectionTenants.set(client, tenant);
+};
+
+/**
+ * Get a client from the pool, scoped to the current tenant
  * @returns A database client
  */
 export const getClient = async (): Promise<PoolClient> => {
+  let client: PoolClient | undefined;
   try {
-    const client = await pool.connect();
+    client = await pool.connect();
+    await applyTenantScope(client);
     return client;
   } catch (error) {
+    client?.release();
     logger.error('Error connecting to database', error);
     throw error;
   }
@@ -53,9 +133,10 @@ export const getClient = async (): Promise<PoolClient> => {
  */
 export const query = async (text: string, params?: any[]) => {
   const start = Date.now();
+  const client = await getClient();
   
   try {
-    const res = await pool.query(text, params);
+    const res = await client.query(text, params);
     const duration = Date.now() - start;
     
     // Log slow queries for optimization
@@ -71,6 +152,8 @@ export const query = async (text: string, params?: any[]) => {
       error: error.stack,
     });
     throw error;
+  } finally {
+    client.release();
   }
 };
 
@@ -127,6 +210,9 @@ export default {
   query,
   getClient,
   transaction,
+  withTenant,
+  withAllTenants,
+  getCurrentTenant,
   healthCheck,
   closePool,
 };
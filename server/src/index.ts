@@ -2,6 +2,8 @@ import { Server } from './typescript-sdk-wrapper.js';
 import dotenv from 'dotenv';
 import { logger } from './utils/logger.js';
 import { healthCheck } from './db/client.js';
+import { validateEmbeddingDimension } from './services/schema-service.js';
+import { startMaintenanceScheduler, MaintenanceScheduler } from './services/scheduler-service.js';
 import { registerResources } from './resources/index.js';
 import { registerTools } from './tools/index.js';
 import express, { Request, Response, NextFunction } from 'express';
@@ -14,11 +16,13 @@ dotenv.config();
 const MCP_PORT = parseInt(process.env.MCP_SERVER_PORT || '3000', 10);
 const HTTP_PORT = parseInt(process.env.HTTP_PORT || '8080', 10);
 const HOST = process.env.MCP_SERVER_HOST || '0.0.0.0';
+const MAINTENANCE_SCHEDULER_ENABLED = process.env.MAINTENANCE_SCHEDULER_ENABLED === 'true';
 
 logger.info('Starting PostgreSQL MCP server...');
 logger.debug(`MCP_PORT: ${MCP_PORT}`);
 logger.debug(`HTTP_PORT: ${HTTP_PORT}`);
 logger.debug(`HOST: ${HOST}`);
+logger.debug(`MAINTENANCE_SCHEDULER_ENABLED: ${MAINTENANCE_SCHEDULER_ENABLED}`);
 
 // Create the MCP server
 const server = new Server({
@@ -33,6 +37,9 @@ logger.debug('Express app created');
 // Register global error handlers
 registerGlobalErrorHandlers();
 
+// Runs archive, purge and index maintenance on a schedule, when enabled
+let maintenanceScheduler: MaintenanceScheduler | null = null;
+
 // Start the server
 const startServer = async () => {
   return tryCatch(async () => {
@@ -45,6 +52,20 @@ const startServer = async () => {
     }
     logger.info('Database connection successful');
     
+    // Check the embedding column matches the configured provider
+    const dimensionCheck = await validateEmbeddingDimension();
+    if (!dimensionCheck.valid) {
+      logger.error(`Embedding provider ${dimensionCheck.provider} produces ${dimensionCheck.providerDimension}-dimension vectors but memory.conversations.embedding is vector(${dimensionCheck.columnDimension}). Run "npm run migrate-embeddings" to migrate. Exiting.`);
+      process.exit(1);
+    }
+    logger.debug(`Embedding dimension check passed (${dimensionCheck.providerDimension} dimensions)`);
+    
+    // Start scheduled maintenance; replicas sharing the database coordinate through advisory locks
+    if (MAINTENANCE_SCHEDULER_ENABLED) {
+      maintenanceScheduler = startMaintenanceScheduler();
+      logger.info('Maintenance scheduler started');
+    }
+    
     // Start the MCP server
     logger.debug(`Starting MCP server on ${HOST}:${MCP_PORT}...`);
     await server.listen(MCP_PORT, HOST);
@@ -105,6 +126,7 @@ const startServer = async () => {
     // Handle server shutdown
     const handleShutdown = async () => {
       logger.info('Shutdown requested');
+      maintenanceScheduler?.stop();
       logger.info('Shutting down MCP server...');
       await server.close();
       // Exit gracefully
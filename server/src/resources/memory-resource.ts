@@ -1,5 +1,6 @@
 import { Resource, Message, ContextItem } from '../typescript-sdk-wrapper.js';
-import { searchMemories, addMemory } from '../services/memory-service.js';
+import { searchMemories, storeMemory, DedupOptions } from '../services/memory-service.js';
+import { normalizeDedupOptions } from '../services/dedup-service.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -12,6 +13,69 @@ export class MemoryResource implements Resource {
   // Maximum messages to keep in the context
   private readonly maxContextItems = 10;
 
+  // How repeated messages are folded into existing memories; unless MEMORY_DEDUP_POLICY is set, every message is stored
+  private readonly dedup = MemoryResource.dedupFromEnv();
+
+  // Memories less similar than this to the current message are left out of the context
+  private readonly minSimilarity = MemoryResource.numberFromEnv(
+    'MEMORY_CONTEXT_MIN_SIMILARITY',
+    (value) => value >= -1 && value <= 1,
+    'a number between -1 and 1'
+  ) ?? null;
+
+  // Age at which a memory's recency counts half as much when ranking context
+  private readonly halfLifeDays = MemoryResource.numberFromEnv(
+    'MEMORY_CONTEXT_HALF_LIFE_DAYS',
+    (value) => value > 0,
+    'a positive number'
+  );
+
+  /**
+   * Read a number setting from the environment when the resource is created, so
+   * a setting that is not a valid number stops the server rather than failing
+   * every context lookup
+   * @param name The environment variable
+   * @param isValid Whether a finite value is in range
+   * @param expected What the setting must be, for the error message
+   * @returns The value, or undefined if the variable is not set
+   */
+  private static numberFromEnv(name: string, isValid: (value: number) => boolean, expected: string): number | undefined {
+    const setting = process.env[name];
+    if (!setting) {
+      return undefined;
+    }
+
+    const value = Number(setting);
+    if (!Number.isFinite(value) || !isValid(value)) {
+      throw new Error(`Invalid ${name}: must be ${expected}, got ${setting}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Read how repeated messages are handled from the environment. This runs when
+   * the server registers its resources, so a misspelt setting stops the server
+   * rather than failing every message it stores
+   * @returns The normalized dedup options, or null to store every message
+   */
+  private static dedupFromEnv(): Required<DedupOptions> | null {
+    const policy = process.env.MEMORY_DEDUP_POLICY || 'insert';
+    if (policy === 'insert') {
+      return null;
+    }
+
+    try {
+      return normalizeDedupOptions({
+        policy: policy as DedupOptions['policy'],
+        scope: (process.env.MEMORY_DEDUP_SCOPE || 'conversation') as DedupOptions['scope'],
+        threshold: process.env.MEMORY_DEDUP_THRESHOLD ? Number(process.env.MEMORY_DEDUP_THRESHOLD) : null
+      });
+    } catch (error) {
+      throw new Error(`Invalid MEMORY_DEDUP_POLICY, MEMORY_DEDUP_SCOPE or MEMORY_DEDUP_THRESHOLD: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
   /**
    * Process a new message and store it as a memory
    * @param message The message to process
@@ -23,8 +87,8 @@ export class MemoryResource implements Resource {
       const conversationId = requestMetadata.conversationId || `conv-${Date.now()}`;
       const userId = requestMetadata.userId || 'anonymous';
       
-      // Add the message to memory
-      await addMemory(
+      // Add the message to memory, folding repeats into the existing memory
+      const stored = await storeMemory(
         conversationId,
         userId,
         message.content,
@@ -32,10 +96,13 @@ export class MemoryResource implements Resource {
           role: message.role,
           timestamp: message.timestamp || new Date().toISOString(),
           metadata: requestMetadata
-        }
+        },
+        { dedup: this.dedup }
       );
       
-      logger.info(`Stored message from ${message.role} in conversation ${conversationId}`);
+      logger.info(stored.duplicateOf
+        ? `Message from ${message.role} ${stored.action} into memory ${stored.duplicateOf} in conversation ${conversationId}`
+        : `Stored message from ${message.role} in conversation ${conversationId}`);
     } catch (error) {
       logger.error('Error processing message:', error);
       // We don't want to fail the model call if memory storage fails
@@ -58,13 +125,16 @@ export class MemoryResource implements Resource {
         return [];
       }
       
-      // Search for similar memories
-      const memories = await searchMemories(
-        message.content,
-        this.maxContextItems,
-        null, // userId (optional)
-        conversationId
-      );
+      // Search for similar memories, favouring recent and frequently used ones;
+      // summaries of consolidated messages take their place so more of the conversation fits
+      const memories = await searchMemories(message.content, {
+        limit: this.maxContextItems,
+        conversationId,
+        minSimilarity: this.minSimilarity,
+        ranking: 'recency',
+        halfLifeDays: this.halfLifeDays,
+        summaries: 'prefer'
+      });
       
       // Convert memories to context items
       const contextItems = memories.map(memory => ({
@@ -72,6 +142,8 @@ export class MemoryResource implements Resource {
         metadata: {
           timestamp: memory.timestamp,
           similarity: memory.similarity,
+          distance: memory.distance,
+          score: memory.score,
           ...memory.metadata
         }
       }));
@@ -0,0 +1,195 @@
+/**
+ * Splits long content into chunks that are embedded and searched on their own.
+ *
+ * Token counts are approximated by whitespace-separated words, which is close
+ * enough to keep chunks well inside an embedding model's input limit without
+ * depending on a particular tokenizer.
+ */
+
+// Supported ways of splitting content
+export const CHUNKING_STRATEGIES = ['tokens', 'paragraph', 'markdown'] as const;
+export type ChunkingStrategy = typeof CHUNKING_STRATEGIES[number];
+
+/**
+ * How to split long content before embedding it
+ */
+export interface ChunkingOptions {
+  // Splitting strategy (default: paragraph)
+  strategy?: ChunkingStrategy;
+  // Maximum tokens per chunk (default: 256)
+  maxTokens?: number;
+  // Tokens repeated between consecutive chunks cut mid-text (default: 32)
+  overlap?: number;
+}
+
+const DEFAULT_MAX_TOKENS = 256;
+const DEFAULT_OVERLAP = 32;
+const DEFAULT_AUTO_MAX_TOKENS = 512;
+
+const HEADING_PATTERN = /^#{1,6}\s+\S/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+const tokenize = (text: string): string[] => text.split(/\s+/).filter(Boolean);
+
+/**
+ * Validate chunking options and fill in their defaults
+ *
+ * @param chunking - Chunking options, or null/undefined to store content whole
+ * @returns The normalized options, or null when chunking is off
+ */
+export const normalizeChunkingOptions = (chunking?: ChunkingOptions | null): Required<ChunkingOptions> | null => {
+  if (!chunking) {
+    return null;
+  }
+
+  const { strategy = 'paragraph', maxTokens = DEFAULT_MAX_TOKENS, overlap = Math.min(DEFAULT_OVERLAP, Math.floor(maxTokens / 2)) } = chunking;
+
+  if (!CHUNKING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw new Error(`maxTokens must be a positive integer, got ${maxTokens}`);
+  }
+
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= maxTokens) {
+    throw new Error(`overlap must be a non-negative integer below maxTokens, got ${overlap}`);
+  }
+
+  return { strategy, maxTokens, overlap };
+};
+
+/**
+ * Chunking applied to memories stored without chunking options, so content too
+ * long for the embedding model is split by paragraph rather than sent whole.
+ * Its limit comes from MEMORY_CHUNK_MAX_TOKENS (default: 512)
+ */
+export const AUTO_CHUNKING = normalizeChunkingOptions({
+  maxTokens: process.env.MEMORY_CHUNK_MAX_TOKENS ? Number(process.env.MEMORY_CHUNK_MAX_TOKENS) : DEFAULT_AUTO_MAX_TOKENS
+}) as Required<ChunkingOptions>;
+
+/**
+ * Cut text into windows of maxTokens tokens, each starting overlap tokens
+ * before the end of the previous one
+ */
+const splitByTokens = (text: string, maxTokens: number, overlap: number): string[] => {
+  const tokens = tokenize(text);
+  if (tokens.length <= maxTokens) {
+    return tokens.length > 0 ? [text.trim()] : [];
+  }
+
+  const chunks: string[] = [];
+  for (let start = 0; ; start += maxTokens - overlap) {
+    chunks.push(tokens.slice(start, start + maxTokens).join(' '));
+    if (start + maxTokens >= tokens.length) {
+      return chunks;
+    }
+  }
+};
+
+/**
+ * Pack consecutive blocks into chunks of up to maxTokens tokens, cutting any
+ * block that is too long on its own by tokens
+ */
+const packBlocks = (blocks: string[], maxTokens: number, overlap: number): string[] => {
+  const chunks: string[] = [];
+  let current: string[] = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const block of blocks) {
+    const blockTokens = tokenize(block).length;
+    if (blockTokens > maxTokens) {
+      flush();
+      chunks.push(...splitByTokens(block, maxTokens, overlap));
+      continue;
+    }
+    if (currentTokens + blockTokens > maxTokens) {
+      flush();
+    }
+    current.push(block);
+    currentTokens += blockTokens;
+  }
+
+  flush();
+  return chunks;
+};
+
+const splitParagraphs = (text: string): string[] => text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+/**
+ * Split markdown into sections at its headings, ignoring lines inside fenced code blocks
+ *
+ * @param text - Markdown text
+ * @returns One entry per section; text before the first heading has no heading
+ */
+const splitMarkdownSections = (text: string): { heading: string | null; body: string }[] => {
+  const sections: { heading: string | null; lines: string[] }[] = [{ heading: null, lines: [] }];
+  let inFence = false;
+
+  for (const line of text.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+    if (!inFence && HEADING_PATTERN.test(line)) {
+      sections.push({ heading: line.trim(), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections.map(({ heading, lines }) => ({ heading, body: lines.join('\n').trim() }));
+};
+
+/**
+ * Chunk each markdown section on its own, repeating the section heading at the
+ * top of every chunk cut from it so the chunk keeps its context
+ */
+const splitByMarkdown = (text: string, maxTokens: number, overlap: number): string[] => splitMarkdownSections(text).flatMap(({ heading, body }) => {
+  if (!body) {
+    return [];
+  }
+  if (!heading) {
+    return packBlocks(splitParagraphs(body), maxTokens, overlap);
+  }
+
+  const budget = Math.max(maxTokens - tokenize(heading).length, 1);
+  return packBlocks(splitParagraphs(body), budget, Math.min(overlap, budget - 1))
+    .map(chunk => `${heading}\n\n${chunk}`);
+});
+
+/**
+ * Split content into chunks
+ *
+ * - tokens cuts fixed windows of maxTokens tokens overlapping by overlap tokens
+ * - paragraph packs whole paragraphs into chunks of up to maxTokens tokens
+ * - markdown chunks each heading's section separately, packing its paragraphs
+ *
+ * Paragraphs and sections are never merged across a chunk boundary, so overlap
+ * only applies where a single paragraph has to be cut.
+ *
+ * @param content - The content to split
+ * @param chunking - Normalized chunking options
+ * @returns The chunks in document order; content that fits in one chunk comes back whole
+ */
+export const chunkContent = (content: string, { strategy, maxTokens, overlap }: Required<ChunkingOptions>): string[] => {
+  if (tokenize(content).length <= maxTokens) {
+    return [content];
+  }
+
+  switch (strategy) {
+    case 'tokens':
+      return splitByTokens(content, maxTokens, overlap);
+    case 'markdown':
+      return splitByMarkdown(content, maxTokens, overlap);
+    default:
+      return packBlocks(splitParagraphs(content), maxTokens, overlap);
+  }
+};
@@ -0,0 +1,240 @@
+import { query, transaction } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbeddingsWithModel } from './embedding-service.js';
+import { getSummarizer } from './summarizers.js';
+import type { Memory } from './search-service.js';
+
+/**
+ * How conversations are consolidated into summaries
+ */
+export interface ConsolidationOptions {
+  // Number of most recent messages to leave alone (default: 20)
+  keepRecent?: number;
+  // Maximum messages per summary (default: 50)
+  batchSize?: number;
+  // Minimum messages per summary (default: 10)
+  minBatchSize?: number;
+  // Summary length passed to the summarizer
+  maxSentences?: number;
+  // Summarizer name (default: MEMORY_SUMMARIZER, then extractive)
+  summarizer?: string;
+  // Also archive the summarized messages (default: false)
+  archiveSources?: boolean;
+}
+
+interface PendingMessage {
+  id: number;
+  user_id: string | null;
+  content: string;
+  timestamp: Date;
+  importance: number;
+}
+
+// The most recent messages of a conversation are left as they are
+const DEFAULT_KEEP_RECENT = 20;
+
+// Messages rolled up into each summary, at most and at least
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_MIN_BATCH_SIZE = 10;
+
+// Messages that can still be consolidated: plain messages, not chunked
+// documents or their chunks, not already summarized and not archived
+const PENDING_MESSAGES = `
+  memory_type = 'message'
+  AND parent_id IS NULL
+  AND is_chunked = FALSE
+  AND summary_id IS NULL
+  AND is_archived = FALSE
+`;
+
+/**
+ * Validate consolidation options and fill in their defaults
+ *
+ * @param options - Consolidation options
+ * @returns The normalized options
+ */
+export const normalizeConsolidationOptions = ({
+  keepRecent = DEFAULT_KEEP_RECENT,
+  batchSize = DEFAULT_BATCH_SIZE,
+  minBatchSize = Math.min(DEFAULT_MIN_BATCH_SIZE, batchSize),
+  maxSentences,
+  summarizer,
+  archiveSources = false
+}: ConsolidationOptions = {}) => {
+  if (!Number.isInteger(keepRecent) || keepRecent < 0) {
+    throw new Error(`keepRecent must be a non-negative integer, got ${keepRecent}`);
+  }
+
+  if (!Number.isInteger(batchSize) || batchSize < 2) {
+    throw new Error(`batchSize must be an integer of at least 2, got ${batchSize}`);
+  }
+
+  if (!Number.isInteger(minBatchSize) || minBatchSize < 2 || minBatchSize > batchSize) {
+    throw new Error(`minBatchSize must be an integer between 2 and batchSize, got ${minBatchSize}`);
+  }
+
+  return { keepRecent, batchSize, minBatchSize, maxSentences, summarizer, archiveSources };
+};
+
+/**
+ * Split the messages due for consolidation into batches, oldest first. The
+ * newest keepRecent messages are held back, and so is a last batch smaller
+ * than minBatchSize, until more messages arrive
+ *
+ * @param messages - Pending messages, oldest first
+ * @param options - Normalized consolidation options
+ * @returns The batches to summarize
+ */
+export const planConsolidationBatches = <T>(
+  messages: T[],
+  { keepRecent, batchSize, minBatchSize }: { keepRecent: number; batchSize: number; minBatchSize: number }
+): T[][] => {
+  const due = messages.slice(0, Math.max(messages.length - keepRecent, 0));
+  const batches: T[][] = [];
+
+  for (let start = 0; start < due.length; start += batchSize) {
+    const batch = due.slice(start, start + batchSize);
+    if (batch.length >= minBatchSize) {
+      batches.push(batch);
+    }
+  }
+
+  return batches;
+};
+
+/**
+ * Roll a conversation's older messages up into summary memories
+ *
+ * Each summary is stored with memory_type 'summary', the conversation and
+ * timestamp of its newest source, and the highest importance among its
+ * sources. Sources point to it through summary_id; searching with
+ * summaries: 'prefer' then returns the summary in their place.
+ *
+ * @param conversationId - The conversation to consolidate
+ * @param options - Consolidation options
+ * @returns The IDs of the new summaries and the number of messages they cover
+ */
+export const consolidateConversation = async (
+  conversationId: string,
+  options: ConsolidationOptions = {}
+): Promise<{ summaryIds: number[]; summarizedCount: number }> => {
+  try {
+    const opts = normalizeConsolidationOptions(options);
+    const summarizer = getSummarizer(opts.summarizer);
+
+    const pending = await query(`
+      SELECT id, user_id, content, timestamp, importance
+      FROM memory.conversations
+      WHERE conversation_id = $1
+        AND ${PENDING_MESSAGES}
+      ORDER BY timestamp, id
+    `, [conversationId]);
+
+    const batches = planConsolidationBatches<PendingMessage>(pending.rows, opts);
+    logger.info(`Consolidating conversation ${conversationId}: ${batches.length} summaries from ${pending.rows.length} pending messages`);
+
+    const summaryIds: number[] = [];
+    let summarizedCount = 0;
+
+    for (const batch of batches) {
+      const content = await summarizer.summarize(batch, { maxSentences: opts.maxSentences });
+      const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([content]);
+
+      const userIds = new Set(batch.map(message => message.user_id));
+      const newest = batch[batch.length - 1];
+      const metadata = {
+        summarizer: summarizer.name,
+        source_count: batch.length,
+        from: batch[0].timestamp,
+        to: newest.timestamp
+      };
+
+      const summarized = await transaction(async (client) => {
+        const inserted = await client.query(`
+          INSERT INTO memory.conversations
+            (conversation_id, user_id, content, embedding, embedding_model, metadata, importance, timestamp, memory_type)
+          VALUES
+            ($1, $2, $3, $4, $5, $6, $7, $8, 'summary')
+          RETURNING id
+        `, [
+          conversationId,
+          userIds.size === 1 ? newest.user_id : null,
+          content,
+          embedding,
+          model,
+          metadata,
+          Math.max(...batch.map(message => message.importance)),
+          newest.timestamp
+        ]);
+        const summaryId: number = inserted.rows[0].id;
+
+        const sources = await client.query(`
+          UPDATE memory.conversations
+          SET summary_id = $1${opts.archiveSources ? ', is_archived = TRUE' : ''}
+          WHERE id = ANY($2::int[])
+            AND summary_id IS NULL
+        `, [summaryId, batch.map(message => message.id)]);
+
+        return { summaryId, count: sources.rowCount ?? 0 };
+      });
+
+      summaryIds.push(summarized.summaryId);
+      summarizedCount += summarized.count;
+    }
+
+    logger.info(`Consolidated ${summarizedCount} messages of conversation ${conversationId} into ${summaryIds.length} summaries`);
+    return { summaryIds, summarizedCount };
+  } catch (error) {
+    logger.error(`Error consolidating conversation ${conversationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Consolidate every conversation with enough pending messages to fill a summary
+ *
+ * @param options - Consolidation options
+ * @returns The number of conversations consolidated, summaries written and messages summarized
+ */
+export const consolidateMemories = async (
+  options: ConsolidationOptions = {}
+): Promise<{ conversations: number; summaries: number; summarized: number }> => {
+  const opts = normalizeConsolidationOptions(options);
+
+  const due = await query(`
+    SELECT conversation_id
+    FROM memory.conversations
+    WHERE ${PENDING_MESSAGES}
+    GROUP BY conversation_id
+    HAVING COUNT(*) >= $1
+    ORDER BY conversation_id
+  `, [opts.keepRecent + opts.minBatchSize]);
+
+  const totals = { conversations: 0, summaries: 0, summarized: 0 };
+
+  for (const { conversation_id: conversationId } of due.rows) {
+    const { summaryIds, summarizedCount } = await consolidateConversation(conversationId, opts);
+    totals.conversations += 1;
+    totals.summaries += summaryIds.length;
+    totals.summarized += summarizedCount;
+  }
+
+  return totals;
+};
+
+/**
+ * Get the messages a summary was made from
+ *
+ * @param summaryId - The summary's ID
+ * @returns The source messages, oldest first
+ */
+export const getSummarySources = async (summaryId: number): Promise<Memory[]> => {
+  const result = await query(`
+    SELECT id, conversation_id, user_id, content, timestamp, metadata, importance, is_archived
+    FROM memory.conversations
+    WHERE summary_id = $1
+    ORDER BY timestamp, id
+  `, [summaryId]);
+
+  return result.rows;
+};
@@ -0,0 +1,118 @@
+import { query } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { decodeCursor, cursorTimestampColumn, pageLimit, toPage } from './pagination.js';
+
+/**
+ * A row of memory.conversation_sessions
+ */
+export interface ConversationSession {
+  conversation_id: string;
+  // The first user seen in the conversation
+  user_id: string | null;
+  // The start of the first message, until a title is set
+  title: string | null;
+  created_at: Date;
+  last_activity_at: Date;
+  // Messages, not counting chunks of documents or summaries
+  message_count: number;
+}
+
+// Columns of memory.conversation_sessions returned to callers
+const SESSION_COLUMNS = 'conversation_id, user_id, title, created_at, last_activity_at, message_count';
+
+// Longest title a conversation can be given
+export const MAX_TITLE_LENGTH = 200;
+
+/**
+ * List conversations, most recently active first
+ *
+ * @param userId - Only list the conversations started by this user; null lists all of them
+ * @param options - The nextCursor of the previous page, and the page size (default: 100, at most 1000)
+ * @returns The conversations, and the cursor of the next page, or null on the last page
+ */
+export const listConversations = async (
+  userId: string | null = null,
+  { cursor = null, limit }: { cursor?: string | null; limit?: number } = {}
+): Promise<{ conversations: ConversationSession[]; nextCursor: string | null }> => {
+  try {
+    const pageSize = pageLimit(limit);
+    const params: unknown[] = [userId ?? null];
+    const conditions = ['($1::text IS NULL OR user_id = $1)'];
+
+    if (cursor) {
+      const [lastActivityAt, conversationId] = decodeCursor(cursor);
+      params.push(lastActivityAt, String(conversationId));
+      conditions.push(`(last_activity_at, conversation_id) < ($${params.length - 1}::timestamptz, $${params.length}::text)`);
+    }
+
+    params.push(pageSize + 1);
+
+    const result = await query(`
+      SELECT ${SESSION_COLUMNS}, ${cursorTimestampColumn('last_activity_at')}
+      FROM memory.conversation_sessions
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY last_activity_at DESC, conversation_id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const { rows: conversations, nextCursor } = toPage(result.rows, pageSize, 'conversation_id');
+    logger.info(`Listed ${conversations.length} conversations${userId ? ` of user ${userId}` : ''}`);
+
+    return { conversations: conversations as ConversationSession[], nextCursor };
+  } catch (error) {
+    logger.error('Error listing conversations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a conversation's title, user, times and message count
+ *
+ * @param conversationId - The conversation ID
+ * @returns The conversation, or null if it has no memories
+ */
+export const getConversation = async (conversationId: string): Promise<ConversationSession | null> => {
+  const result = await query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM memory.conversation_sessions
+    WHERE conversation_id = $1
+  `, [conversationId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Set the title of a conversation, in place of the start of its first message
+ *
+ * @param conversationId - The conversation ID
+ * @param title - The new title
+ * @returns The conversation, or null if it has no memories
+ */
+export const setConversationTitle = async (conversationId: string, title: string): Promise<ConversationSession | null> => {
+  try {
+    if (typeof title !== 'string' || title.trim() === '') {
+      throw new Error('A title is required');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`A title can be at most ${MAX_TITLE_LENGTH} characters long`);
+    }
+
+    const result = await query(`
+      UPDATE memory.conversation_sessions
+      SET title = $2
+      WHERE conversation_id = $1
+      RETURNING ${SESSION_COLUMNS}
+    `, [conversationId, title.trim()]);
+
+    if (result.rows.length === 0) {
+      logger.info(`Conversation ${conversationId} not found`);
+      return null;
+    }
+
+    logger.info(`Set the title of conversation ${conversationId}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Error setting the title of conversation ${conversationId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,150 @@
+/**
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week)
+ * and works out when they next fire, in the server's local time.
+ *
+ * Each field takes *, a value, a range (1-5), a stepped * or range (0-30/10)
+ * or a comma-separated list of those. Day-of-week runs 0-7 with both 0 and 7 for
+ * Sunday. As in cron, when both day fields are restricted a day matching
+ * either one fires; a day field that is * or a stepped * doesn't count as
+ * restricted.
+ */
+
+/**
+ * A parsed cron expression
+ */
+export interface CronSchedule {
+  expression: string;
+  minutes: Set<number>;
+  hours: Set<number>;
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>;
+  // Whether the day fields start with *, which leaves them out of the rule that
+  // either restricted day field matches, as in cron
+  anyDayOfMonth: boolean;
+  anyDayOfWeek: boolean;
+}
+
+const SHORTHANDS: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Minimum and maximum of each field, in expression order
+const FIELD_RANGES: [number, number][] = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const FIELD_NAMES = ['minute', 'hour', 'day of month', 'month', 'day of week'];
+
+// A schedule that fires less often than this is treated as never firing
+const MAX_LOOKAHEAD_YEARS = 5;
+
+/**
+ * Expand one cron field into the values it matches
+ */
+const parseField = (field: string, index: number): Set<number> => {
+  const [min, max] = FIELD_RANGES[index];
+  const values = new Set<number>();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${FIELD_NAMES[index]} field: ${field}`);
+    }
+
+    const [, , startText, endText, stepText] = match;
+    const start = startText === undefined ? min : parseInt(startText, 10);
+    // A bare value with a step (5/10) runs to the end of the range, as in cron
+    const end = startText === undefined || (endText === undefined && stepText !== undefined)
+      ? max
+      : parseInt(endText ?? startText, 10);
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${FIELD_NAMES[index]} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ *
+ * @param expression - Five space-separated fields, or @hourly, @daily, @weekly, @monthly or @yearly
+ * @returns The parsed schedule
+ */
+export const parseCronSchedule = (expression: string): CronSchedule => {
+  const fields = (SHORTHANDS[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(parseField);
+
+  // Sunday is both 0 and 7
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+};
+
+const matchesDay = (schedule: CronSchedule, date: Date): boolean => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Find the first time after a given time at which a schedule fires
+ *
+ * @param schedule - The parsed schedule
+ * @param after - The time to start from (default: now)
+ * @returns The next firing time, on a whole minute
+ */
+export const nextCronRun = (schedule: CronSchedule, after: Date = new Date()): Date => {
+  const next = new Date(after.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = new Date(next.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  // Skip whole months, days and hours that can't match before trying minutes
+  while (next < limit) {
+    if (!schedule.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+};
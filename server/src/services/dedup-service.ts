@@ -0,0 +1,171 @@
+import type { PoolClient } from 'pg';
+
+// Ways a new memory can be folded into an existing near-duplicate
+export const DEDUP_POLICIES = ['skip', 'merge', 'replace'] as const;
+export type DedupPolicy = typeof DEDUP_POLICIES[number];
+
+// Which existing memories a new one is compared against
+export const DEDUP_SCOPES = ['conversation', 'user'] as const;
+export type DedupScope = typeof DEDUP_SCOPES[number];
+
+// What each policy reports having done to the duplicate
+const DEDUP_ACTIONS: Record<DedupPolicy, StoreAction> = {
+  skip: 'skipped',
+  merge: 'merged',
+  replace: 'replaced'
+};
+
+/**
+ * How to handle a new memory that duplicates an existing one
+ */
+export interface DedupOptions {
+  policy: DedupPolicy;
+  // Compare within the conversation (default) or across the user's memories
+  scope?: DedupScope;
+  // Cosine similarity from which a memory counts as a duplicate; without it only exact content matches
+  threshold?: number | null;
+}
+
+/**
+ * What storing a memory did
+ */
+export type StoreAction = 'inserted' | 'skipped' | 'merged' | 'replaced';
+
+/**
+ * Outcome of storing one memory
+ */
+export interface StoreResult {
+  id: number;
+  action: StoreAction;
+  // The existing memory that absorbed the write, if any
+  duplicateOf: number | null;
+  similarity: number | null;
+  // The chunk rows of content stored in chunks, in order; id is then their parent's
+  chunkIds?: number[];
+}
+
+interface Duplicate {
+  id: number;
+  similarity: number;
+  exact: boolean;
+}
+
+/**
+ * Validate dedup options and fill in their defaults
+ *
+ * @param dedup - Dedup options, or null/undefined to always insert
+ * @returns The normalized options, or null when dedup is off
+ */
+export const normalizeDedupOptions = (dedup?: DedupOptions | null): Required<DedupOptions> | null => {
+  if (!dedup) {
+    return null;
+  }
+
+  const { policy, scope = 'conversation', threshold = null } = dedup;
+
+  if (!DEDUP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown dedup policy: ${policy}`);
+  }
+
+  if (!DEDUP_SCOPES.includes(scope)) {
+    throw new Error(`Unknown dedup scope: ${scope}`);
+  }
+
+  if (threshold !== null && (!Number.isFinite(threshold) || threshold < -1 || threshold > 1)) {
+    throw new Error(`Dedup threshold must be a number between -1 and 1, got ${threshold}`);
+  }
+
+  return { policy, scope, threshold };
+};
+
+/**
+ * Find the existing memory a new one duplicates, preferring an exact content
+ * match over the most similar vector
+ *
+ * @param client - Database client inside the insert's transaction
+ * @param memory - The new memory
+ * @param dedup - Normalized dedup options
+ * @returns The duplicate, or null if there is none
+ */
+export const findDuplicateMemory = async (
+  client: PoolClient,
+  { conversationId, userId, content, embedding }: { conversationId: string; userId: string | null; content: string; embedding: string },
+  dedup: Required<DedupOptions>
+): Promise<Duplicate | null> => {
+  const scopeColumn = dedup.scope === 'user' ? 'user_id' : 'conversation_id';
+  const params: unknown[] = [dedup.scope === 'user' ? userId : conversationId, embedding, content];
+
+  let similarCondition = '';
+  if (dedup.threshold !== null) {
+    params.push(1 - dedup.threshold);
+    similarCondition = ` OR embedding <=> $2 <= $${params.length}`;
+  }
+
+  // Serialize deduplicated writes within a scope so two copies can't both miss each other
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`memory-dedup:${scopeColumn}:${params[0]}`]);
+
+  const result = await client.query(`
+    SELECT
+      id,
+      1 - (embedding <=> $2) as similarity,
+      content_hash = md5($3) as exact
+    FROM memory.conversations
+    WHERE ${scopeColumn} IS NOT DISTINCT FROM $1
+      AND is_archived = FALSE
+      AND is_chunked = FALSE
+      AND parent_id IS NULL
+      AND (content_hash = md5($3)${similarCondition})
+    ORDER BY exact DESC, embedding <=> $2
+    LIMIT 1
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Fold a new memory into its duplicate according to the dedup policy
+ *
+ * - skip leaves the existing memory untouched
+ * - merge adds the new metadata keys (overwriting equal keys) and keeps the higher importance
+ * - replace swaps in the new content, embedding and metadata
+ *
+ * @param client - Database client inside the insert's transaction
+ * @param duplicate - The duplicate from findDuplicateMemory
+ * @param memory - The new memory
+ * @param policy - The dedup policy
+ * @returns What was done, and to which memory
+ */
+export const applyDedupPolicy = async (
+  client: PoolClient,
+  duplicate: Duplicate,
+  { content, embedding, model, metadata, importance }: { content: string; embedding: string; model: string; metadata: Record<string, unknown>; importance?: number | null },
+  policy: DedupPolicy
+): Promise<StoreResult> => {
+  if (policy === 'merge') {
+    await client.query(`
+      UPDATE memory.conversations
+      SET
+        metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb,
+        importance = GREATEST(importance, COALESCE($3, importance))
+      WHERE id = $1
+    `, [duplicate.id, JSON.stringify(metadata || {}), importance ?? null]);
+  } else if (policy === 'replace') {
+    await client.query(`
+      UPDATE memory.conversations
+      SET
+        content = $2,
+        embedding = $3,
+        embedding_model = $4,
+        metadata = $5,
+        importance = COALESCE($6, importance)
+      WHERE id = $1
+    `, [duplicate.id, content, embedding, model, metadata, importance ?? null]);
+  }
+
+  return {
+    id: duplicate.id,
+    action: DEDUP_ACTIONS[policy],
+    duplicateOf: duplicate.id,
+    similarity: duplicate.similarity
+  };
+};
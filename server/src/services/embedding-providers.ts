@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Contract every embedding provider must fulfil to be registered
+ */
+export interface EmbeddingProvider {
+  // Unique provider name, matched against EMBEDDING_MODEL
+  readonly name: string;
+
+  // Number of dimensions in every vector the provider returns
+  readonly dimension: number;
+
+  // Underlying model identifier, if the provider has one
+  readonly model?: string;
+
+  // Model version, recorded with each embedding so upgrades can be detected
+  readonly version?: string;
+
+  /**
+   * Embed a batch of texts
+   * @param texts The texts to embed
+   * @returns One vector per input text, in input order
+   */
+  embed(texts: string[]): Promise<number[][]>;
+
+  /**
+   * Check whether the provider is reachable and working
+   * @returns True if the provider is healthy
+   */
+  healthCheck(): Promise<boolean>;
+
+  /**
+   * Check whether the provider has the configuration it needs (e.g. API keys)
+   * @returns True if the provider can be used
+   */
+  isConfigured?(): boolean;
+}
+
+/**
+ * Options shared by the HTTP-based providers
+ */
+export interface HttpProviderOptions {
+  name?: string;
+  baseUrl?: string;
+  model?: string;
+  dimension?: number;
+  apiKey?: string;
+  timeoutMs?: number;
+}
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * @param url The URL to post to
+ * @param body The request body
+ * @param headers Additional request headers
+ * @param timeoutMs Request timeout in milliseconds
+ */
+const postJson = async <T>(url: string, body: unknown, headers: Record<string, string>, timeoutMs: number): Promise<T> => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Embedding API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Deterministic mock provider for development and testing
+ */
+export class MockEmbeddingProvider implements EmbeddingProvider {
+  readonly name = 'mock';
+  readonly model = 'mock';
+  readonly dimension: number;
+
+  constructor(options: { dimension?: number } = {}) {
+    this.dimension = options.dimension || 1536;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  async healthCheck(): Promise<boolean> {
+    return true;
+  }
+
+  /**
+   * Generate a mock embedding seeded by a hash of the text
+   * @param text The text to embed
+   */
+  private embedOne(text: string): number[] {
+    // Create a hash of the text to use as seed
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+
+    // Convert hash to an array of numbers
+    const hashNums: number[] = [];
+    for (let i = 0; i < hash.length; i += 2) {
+      hashNums.push(parseInt(hash.substring(i, i + 2), 16) / 255);
+    }
+
+    // Expand the hash to the required size
+    const embedding: number[] = [];
+    for (let i = 0; i < this.dimension; i++) {
+      // Use a simple formula to generate a value between -1 and 1
+      embedding.push(Math.cos(i * (hashNums[i % hashNums.length] + 0.1)) * 0.99);
+    }
+
+    return embedding;
+  }
+}
+
+/**
+ * Provider for OpenAI and any server exposing an OpenAI-compatible /embeddings endpoint
+ */
+export class OpenAIEmbeddingProvider implements EmbeddingProvider {
+  readonly name: string;
+  readonly model: string;
+  readonly dimension: number;
+  private readonly baseUrl: string;
+  private readonly apiKey?: string;
+  private readonly timeoutMs: number;
+
+  constructor(options: HttpProviderOptions = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = options.model || 'text-embedding-ada-002';
+    this.dimension = options.dimension || 1536;
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  isConfigured(): boolean {
+    // Self-hosted compatible servers usually don't need a key, the hosted API does
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    logger.info(`Generating ${texts.length} OpenAI-compatible embedding(s) with ${this.model}`);
+
+    const headers: Record<string, string> = {};
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const body: { model: string; input: string[]; dimensions?: number } = {
+      model: this.model,
+      input: texts
+    };
+
+    // text-embedding-3 models can shorten their output to the configured dimension
+    if (this.model.startsWith('text-embedding-3')) {
+      body.dimensions = this.dimension;
+    }
+
+    const responseData = await postJson<{ data: { index: number; embedding: number[] }[] }>(
+      `${this.baseUrl}/embeddings`, body, headers, this.timeoutMs
+    );
+
+    // Results may come back out of order, so sort by index
+    return [...responseData.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async healthCheck(): Promise<boolean> {
+    try {
+      const [vector] = await this.embed(['health check']);
+      return vector.length === this.dimension;
+    } catch (error) {
+      logger.error('OpenAI embedding provider health check failed', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Provider for a local Ollama server
+ */
+export class OllamaEmbeddingProvider implements EmbeddingProvider {
+  readonly name: string;
+  readonly model: string;
+  readonly dimension: number;
+  private readonly baseUrl: string;
+  private readonly timeoutMs: number;
+
+  constructor(options: HttpProviderOptions = {}) {
+    this.name = options.name || 'ollama';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = options.model || 'nomic-embed-text';
+    this.dimension = options.dimension || 768;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    logger.info(`Generating ${texts.length} Ollama embedding(s) with ${this.model}`);
+
+    const responseData = await postJson<{ embeddings: number[][] }>(`${this.baseUrl}/api/embed`, {
+      model: this.model,
+      input: texts
+    }, {}, this.timeoutMs);
+
+    return responseData.embeddings;
+  }
+
+  async healthCheck(): Promise<boolean> {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/tags`, {
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      return response.ok;
+    } catch (error) {
+      logger.error('Ollama embedding provider health check failed', error);
+      return false;
+    }
+  }
+}
@@ -1,162 +1,183 @@
-import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
-import Anthropic from '@anthropic-ai/sdk';
+import {
+  EmbeddingProvider,
+  MockEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  OllamaEmbeddingProvider
+} from './embedding-providers.js';
 
-// Initialize Anthropic client if API key is available
-const anthropicApiKey = process.env.ANTHROPIC_API_KEY;
-const anthropicClient = anthropicApiKey ? new Anthropic({ apiKey: anthropicApiKey }) : null;
+export type { EmbeddingProvider } from './embedding-providers.js';
+export { MockEmbeddingProvider, OpenAIEmbeddingProvider, OllamaEmbeddingProvider } from './embedding-providers.js';
+
+// Registered providers, keyed by name
+const providers = new Map<string, EmbeddingProvider>();
 
 /**
- * Generate an embedding for text content
- * 
- * @param text - The text to generate embeddings for
- * @returns The embedding as a PostgreSQL vector string
+ * Register an embedding provider, replacing any provider with the same name
+ *
+ * @param provider - The provider to register
  */
-export const generateEmbedding = async (text: string): Promise<string> => {
-  const embeddingModel = process.env.EMBEDDING_MODEL || 'mock';
-  
-  switch (embeddingModel) {
-    case 'openai':
-      // Production: Use OpenAI embeddings
-      if (!process.env.OPENAI_API_KEY) {
-        logger.warn('OPENAI_API_KEY not set, falling back to mock embeddings');
-        return generateMockEmbedding(text);
-      }
-      try {
-        return await generateOpenAIEmbedding(text);
-      } catch (error) {
-        logger.error('Error generating OpenAI embedding:', error);
-        return generateMockEmbedding(text);
-      }
-    
-    case 'anthropic':
-      // Production: Use Anthropic embeddings
-      if (!anthropicClient) {
-        logger.warn('ANTHROPIC_API_KEY not set, falling back to mock embeddings');
-        return generateMockEmbedding(text);
-      }
-      try {
-        return await generateAnthropicEmbedding(text);
-      } catch (error) {
-        logger.error('Error generating Anthropic embedding:', error);
-        return generateMockEmbedding(text);
-      }
-      
-    case 'mock':
-    default:
-      // Development: Use mock embeddings
-      return generateMockEmbedding(text);
+export const registerEmbeddingProvider = (provider: EmbeddingProvider): void => {
+  if (!provider || !provider.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider must have a name and an embed(texts) method');
+  }
+  if (!Number.isInteger(provider.dimension) || provider.dimension <= 0) {
+    throw new Error(`Embedding provider ${provider.name} must declare a positive integer dimension`);
   }
+  if (typeof provider.healthCheck !== 'function') {
+    throw new Error(`Embedding provider ${provider.name} must implement healthCheck()`);
+  }
+
+  providers.set(provider.name, provider);
+  logger.debug(`Registered embedding provider: ${provider.name} (${provider.dimension} dimensions)`);
 };
 
 /**
- * Generate a mock embedding for development and testing
- * 
- * @param text - The text to generate a mock embedding for
- * @returns The mock embedding as a PostgreSQL vector string
+ * Get a registered embedding provider
+ *
+ * @param name - The provider name (defaults to EMBEDDING_MODEL, then 'mock')
+ * @returns The provider
  */
-const generateMockEmbedding = (text: string): string => {
-  // Create a hash of the text to use as seed
-  const hash = crypto.createHash('sha256').update(text).digest('hex');
-  
-  // Convert hash to an array of numbers
-  const hashNums: number[] = [];
-  for (let i = 0; i < hash.length; i += 2) {
-    hashNums.push(parseInt(hash.substring(i, i + 2), 16) / 255);
-  }
-  
-  // Expand the hash to the required size (1536 dimensions)
-  const embedding: number[] = [];
-  for (let i = 0; i < 1536; i++) {
-    // Use a simple formula to generate a value between -1 and 1
-    const val = Math.cos(i * (hashNums[i % hashNums.length] + 0.1)) * 0.99;
-    embedding.push(val);
+export const getEmbeddingProvider = (name?: string): EmbeddingProvider => {
+  const providerName = name || process.env.EMBEDDING_MODEL || 'mock';
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
   }
-  
-  // Format as a pgvector string
-  return `[${embedding.join(',')}]`;
+
+  return provider;
 };
 
 /**
- * Generate an OpenAI embedding
- * 
- * @param text - The text to generate an embedding for
- * @returns The embedding as a PostgreSQL vector string
+ * List the names of all registered embedding providers
  */
-const generateOpenAIEmbedding = async (text: string): Promise<string> => {
-  logger.info('Generating OpenAI embedding');
-  
-  try {
-    // Make the actual API call to OpenAI
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: "text-embedding-ada-002",
-        input: text
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const responseData = await response.json();
-    
-    // Extract the embedding from the response
-    const embedding = responseData.data[0].embedding;
-    
-    return `[${embedding.join(',')}]`;
-  } catch (error) {
-    logger.error('Error calling OpenAI API:', error);
-    throw error;
+export const listEmbeddingProviders = (): string[] => {
+  return Array.from(providers.keys());
+};
+
+/**
+ * Resolve the provider EMBEDDING_MODEL selects (default: mock); throws if it is
+ * not registered or not configured
+ */
+export const getActiveEmbeddingProvider = (): EmbeddingProvider => {
+  const providerName = process.env.EMBEDDING_MODEL || 'mock';
+  const provider = providers.get(providerName);
+
+  // Mock vectors would be stored and searched as if they meant something, so
+  // they are only used when EMBEDDING_MODEL selects them
+  if (!provider) {
+    throw new Error(`Embedding provider ${providerName} is not registered, set EMBEDDING_MODEL to one of: ${listEmbeddingProviders().join(', ')}`);
+  }
+
+  if (provider.isConfigured && !provider.isConfigured()) {
+    throw new Error(`Embedding provider ${providerName} is missing configuration, such as an API key`);
   }
+
+  return provider;
 };
 
 /**
- * Generate an Anthropic embedding
- * 
- * @param text - The text to generate an embedding for
- * @returns The embedding as a PostgreSQL vector string
+ * Format a vector as a pgvector literal
+ *
+ * @param vector - The vector to format
  */
-const generateAnthropicEmbedding = async (text: string): Promise<string> => {
-  logger.info('Generating Anthropic embedding');
-  
-  if (!anthropicClient) {
-    throw new Error('Anthropic client not initialized');
+export const toVectorLiteral = (vector: number[]): string => {
+  return `[${vector.join(',')}]`;
+};
+
+/**
+ * Get the identifier recorded with each memory for the model that embedded it
+ *
+ * @param provider - The provider (defaults to the active provider)
+ * @returns The model identifier, e.g. "openai:text-embedding-3-small" or "ollama:nomic-embed-text@v1.5"
+ */
+export const getEmbeddingModelId = (provider: EmbeddingProvider = getActiveEmbeddingProvider()): string => {
+  const modelId = `${provider.name}:${provider.model || provider.name}`;
+  return provider.version ? `${modelId}@${provider.version}` : modelId;
+};
+
+/**
+ * Generate embeddings for a batch of texts and report which model produced them
+ *
+ * @param texts - The texts to generate embeddings for
+ * @returns The embeddings as PostgreSQL vector strings in input order, and the model identifier
+ */
+export const generateEmbeddingsWithModel = async (texts: string[]): Promise<{ embeddings: string[]; model: string }> => {
+  if (texts.length === 0) {
+    return { embeddings: [], model: getEmbeddingModelId() };
   }
-  
+
+  const provider = getActiveEmbeddingProvider();
+  let vectors: number[][];
+
+  // A failed request is not made up for with mock vectors, which would be
+  // stored or searched as if they meant something
   try {
-    // Make the actual API call to Anthropic
-    // Note: Directly using fetch since the SDK version might not have embeddings support
-    const response = await fetch('https://api.anthropic.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': anthropicApiKey as string,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: "claude-3-sonnet-20240229",
-        input: text
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const responseData = await response.json();
-    
-    // Extract the embedding from the response
-    const embedding = responseData.data[0].embedding;
-    
-    return `[${embedding.join(',')}]`;
+    vectors = await provider.embed(texts);
   } catch (error) {
-    logger.error('Error calling Anthropic API:', error);
+    logger.error(`Error generating ${provider.name} embeddings:`, error);
     throw error;
   }
+
+  if (vectors.length !== texts.length) {
+    throw new Error(`Embedding provider ${provider.name} returned ${vectors.length} vectors for ${texts.length} inputs`);
+  }
+
+  const mismatched = vectors.find(vector => vector.length !== provider.dimension);
+  if (mismatched) {
+    throw new Error(`Embedding provider ${provider.name} returned a ${mismatched.length}-dimension vector, expected ${provider.dimension}`);
+  }
+
+  return { embeddings: vectors.map(toVectorLiteral), model: getEmbeddingModelId(provider) };
+};
+
+/**
+ * Generate embeddings for a batch of texts
+ *
+ * @param texts - The texts to generate embeddings for
+ * @returns The embeddings as PostgreSQL vector strings, in input order
+ */
+export const generateEmbeddings = async (texts: string[]): Promise<string[]> => {
+  const { embeddings } = await generateEmbeddingsWithModel(texts);
+  return embeddings;
 };
+
+/**
+ * Generate an embedding for text content
+ *
+ * @param text - The text to generate embeddings for
+ * @returns The embedding as a PostgreSQL vector string
+ */
+export const generateEmbedding = async (text: string): Promise<string> => {
+  const [embedding] = await generateEmbeddings([text]);
+  return embedding;
+};
+
+/**
+ * Check the health of the active embedding provider
+ *
+ * @returns True if the provider is healthy
+ */
+export const embeddingHealthCheck = async (): Promise<boolean> => {
+  return getActiveEmbeddingProvider().healthCheck();
+};
+
+// Dimension override for the built-in providers, which otherwise use their model's default
+const configuredDimension = process.env.EMBEDDING_DIMENSION
+  ? parseInt(process.env.EMBEDDING_DIMENSION, 10)
+  : undefined;
+
+// Register the built-in providers
+registerEmbeddingProvider(new MockEmbeddingProvider({ dimension: configuredDimension }));
+registerEmbeddingProvider(new OpenAIEmbeddingProvider({
+  baseUrl: process.env.OPENAI_BASE_URL,
+  model: process.env.OPENAI_EMBEDDING_MODEL,
+  dimension: configuredDimension,
+  apiKey: process.env.OPENAI_API_KEY
+}));
+registerEmbeddingProvider(new OllamaEmbeddingProvider({
+  baseUrl: process.env.OLLAMA_BASE_URL,
+  model: process.env.OLLAMA_EMBEDDING_MODEL,
+  dimension: configuredDimension
+}));
@@ -0,0 +1,675 @@
+import type { PoolClient } from 'pg';
+import { query, transaction, withAllTenants } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbeddingsWithModel, getEmbeddingModelId } from './embedding-service.js';
+
+// Which relations a neighbour walk follows from each entity it reaches
+export const RELATION_DIRECTIONS = ['out', 'in', 'both'] as const;
+export type RelationDirection = typeof RELATION_DIRECTIONS[number];
+
+/**
+ * An entity to create or merge into
+ */
+export interface EntityInput {
+  // Entity name, unique per type and user ignoring case
+  name: string;
+  // Entity type, e.g. person or service
+  entityType: string;
+  // Optional user the entity belongs to
+  userId?: string | null;
+  // Facts about the entity
+  observations?: string[];
+  metadata?: Record<string, unknown> | null;
+}
+
+/**
+ * A row of memory.entities
+ */
+export interface Entity {
+  id: number;
+  name: string;
+  entity_type: string;
+  user_id: string | null;
+  observations: string[];
+  metadata: Record<string, unknown> | null;
+  embedding_model: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * A row of memory.relations
+ */
+export interface Relation {
+  id: number;
+  from_id: number;
+  relation_type: string;
+  to_id: number;
+  metadata: Record<string, unknown> | null;
+  created_at: Date;
+}
+
+/**
+ * How far and along which relations a neighbour walk goes
+ */
+export interface TraversalOptions {
+  // Maximum number of hops (default: 1, at most 5)
+  depth?: number;
+  // Only follow these relations
+  relationTypes?: string[] | null;
+  // Follow relations out of, in to, or both ways (default) through each entity
+  direction?: RelationDirection;
+}
+
+// Neighbour walks go one hop by default and never further than this
+const DEFAULT_NEIGHBOUR_DEPTH = 1;
+const MAX_NEIGHBOUR_DEPTH = 5;
+
+const DEFAULT_ENTITY_SEARCH_LIMIT = 10;
+
+const ENTITY_COLUMNS = 'id, name, entity_type, user_id, observations, metadata, embedding_model, created_at, updated_at';
+
+// How each direction joins a relation to the entity the walk is at, and which end it moves to
+const WALK_STEPS: Record<RelationDirection, { join: string; next: string }> = {
+  out: { join: 'r.from_id = walk.entity_id', next: 'r.to_id' },
+  in: { join: 'r.to_id = walk.entity_id', next: 'r.from_id' },
+  both: {
+    join: 'walk.entity_id IN (r.from_id, r.to_id)',
+    next: 'CASE WHEN r.from_id = walk.entity_id THEN r.to_id ELSE r.from_id END'
+  }
+};
+
+/**
+ * Lowercase a type name and join its words with underscores, so "Works At"
+ * and "works_at" are the same relation
+ */
+const normalizeTypeName = (value: unknown, label: string): string => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${label} is required`);
+  }
+
+  return value.trim().toLowerCase().replace(/\s+/g, '_');
+};
+
+/**
+ * Trim observations and drop empty and repeated ones, keeping their order
+ *
+ * @param observations - The observations
+ * @returns The cleaned observations
+ */
+export const normalizeObservations = (observations: unknown = []): string[] => {
+  if (!Array.isArray(observations) || observations.some(observation => typeof observation !== 'string')) {
+    throw new Error('observations must be an array of strings');
+  }
+
+  return [...new Set((observations as string[]).map(observation => observation.trim()).filter(Boolean))];
+};
+
+/**
+ * Validate an entity and fill in its defaults
+ *
+ * @param entity - The entity
+ * @returns The normalized entity
+ */
+export const normalizeEntity = ({
+  name,
+  entityType,
+  userId = null,
+  observations = [],
+  metadata = null
+}: Partial<EntityInput> = {}) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Entity name is required');
+  }
+
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    throw new Error('metadata must be an object');
+  }
+
+  return {
+    name: name.trim(),
+    entityType: normalizeTypeName(entityType, 'Entity type'),
+    userId,
+    observations: normalizeObservations(observations),
+    metadata
+  };
+};
+
+/**
+ * Build the text an entity is embedded from: its name and type, then one
+ * observation per line
+ *
+ * @param entity - An entity row
+ * @returns The text to embed
+ */
+export const entityEmbeddingText = (
+  { name, entity_type: entityType, observations = [] }: Pick<Entity, 'name' | 'entity_type' | 'observations'>
+): string => [`${name} (${entityType})`, ...observations].join('\n');
+
+/**
+ * Validate neighbour walk options and fill in their defaults
+ *
+ * @param options - Walk options
+ * @returns The normalized options
+ */
+export const normalizeTraversalOptions = ({
+  depth = DEFAULT_NEIGHBOUR_DEPTH,
+  relationTypes = null,
+  direction = 'both'
+}: TraversalOptions = {}) => {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_NEIGHBOUR_DEPTH) {
+    throw new Error(`depth must be an integer between 1 and ${MAX_NEIGHBOUR_DEPTH}, got ${depth}`);
+  }
+
+  if (!RELATION_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown relation direction: ${direction}`);
+  }
+
+  if (relationTypes !== null && (!Array.isArray(relationTypes) || relationTypes.length === 0)) {
+    throw new Error('relationTypes must be a non-empty array');
+  }
+
+  return {
+    depth,
+    relationTypes: relationTypes && relationTypes.map(type => normalizeTypeName(type, 'Relation type')),
+    direction
+  };
+};
+
+/**
+ * Build the query walking out from an entity along its relations. Each
+ * neighbour is returned once, at the fewest hops it takes to reach it; the
+ * walk only keeps (entity, hops) pairs it hasn't seen, so cycles end at depth
+ *
+ * @param entityId - The entity to start from
+ * @param options - Normalized walk options
+ * @returns The query and its parameters
+ */
+export const buildNeighbourQuery = (
+  entityId: number,
+  { depth, relationTypes, direction }: { depth: number; relationTypes: string[] | null; direction: RelationDirection }
+): { sql: string; params: unknown[] } => {
+  const params: unknown[] = [entityId, depth];
+  const step = WALK_STEPS[direction];
+
+  let typeCondition = '';
+  if (relationTypes) {
+    params.push(relationTypes);
+    typeCondition = `AND r.relation_type = ANY($${params.length}::text[])`;
+  }
+
+  const sql = `
+    WITH RECURSIVE walk(entity_id, depth) AS (
+      SELECT $1::int, 0
+      UNION
+      SELECT ${step.next}, walk.depth + 1
+      FROM walk
+      JOIN memory.relations r ON ${step.join}
+      WHERE walk.depth < $2
+        ${typeCondition}
+    )
+    SELECT ${ENTITY_COLUMNS.split(', ').map(column => `e.${column}`).join(', ')}, MIN(walk.depth)::int AS depth
+    FROM walk
+    JOIN memory.entities e ON e.id = walk.entity_id
+    WHERE walk.entity_id <> $1
+    GROUP BY e.id
+    ORDER BY depth, e.name
+  `;
+
+  return { sql, params };
+};
+
+/**
+ * Embed entities and write their vectors, rejecting vectors from another model
+ * than expectedModel when one is given
+ */
+const embedEntities = async (
+  client: PoolClient,
+  entities: Pick<Entity, 'id' | 'name' | 'entity_type' | 'observations'>[],
+  expectedModel: string | null = null
+): Promise<string> => {
+  const { embeddings, model } = await generateEmbeddingsWithModel(entities.map(entityEmbeddingText));
+
+  if (expectedModel && model !== expectedModel) {
+    throw new Error(`Expected embeddings from ${expectedModel} but the provider returned ${model}, check the embedding provider configuration`);
+  }
+
+  await client.query(`
+    UPDATE memory.entities AS e
+    SET embedding = v.embedding::vector, embedding_model = $3
+    FROM unnest($1::int[], $2::text[]) AS v(id, embedding)
+    WHERE e.id = v.id
+  `, [entities.map(entity => entity.id), embeddings, model]);
+
+  return model;
+};
+
+// Entities are embedded before their row is locked. If the entity changes in
+// between, the write starts over from its new state, at most this many times
+const MAX_ENTITY_WRITE_ATTEMPTS = 3;
+
+// Returned by a write attempt that found the entity changed since it was embedded
+const ENTITY_CHANGED = Symbol('entity changed');
+
+/**
+ * Repeat a write attempt until it doesn't find the entity changed since it was embedded
+ *
+ * @param label - The entity, for log and error messages
+ * @param attempt - Makes one attempt, resolving to its result or ENTITY_CHANGED
+ * @returns The result of the attempt that wrote the entity
+ */
+const retryEntityWrite = async <T>(label: string, attempt: () => Promise<T | typeof ENTITY_CHANGED>): Promise<T> => {
+  for (let attempts = 1; attempts <= MAX_ENTITY_WRITE_ATTEMPTS; attempts++) {
+    const result = await attempt();
+    if (result !== ENTITY_CHANGED) {
+      return result as T;
+    }
+    logger.info(`${label} changed while it was being embedded, trying again`);
+  }
+
+  throw new Error(`${label} kept changing while it was being embedded, try again`);
+};
+
+/**
+ * Embed an entity as it is about to be stored
+ *
+ * @param entity - The entity's name, type and observations
+ * @returns The embedding and its model, with the text that was embedded
+ */
+const embedEntity = async (
+  entity: Pick<Entity, 'name' | 'entity_type' | 'observations'>
+): Promise<{ text: string; embedding: string; model: string }> => {
+  const text = entityEmbeddingText(entity);
+  const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([text]);
+  return { text, embedding, model };
+};
+
+/**
+ * Create an entity, or merge into the existing entity with the same name, type
+ * and user: new observations are appended and metadata keys overwritten
+ *
+ * @param entity - The entity
+ * @returns The stored entity, with created set if it is new
+ */
+export const upsertEntity = async (entity: EntityInput): Promise<Entity & { created: boolean }> => {
+  try {
+    const { name, entityType, userId, observations, metadata } = normalizeEntity(entity);
+    logger.info(`Storing ${entityType} entity ${name}`);
+
+    const findEntity = (lock: boolean): string => `
+      SELECT ${ENTITY_COLUMNS}
+      FROM memory.entities
+      WHERE COALESCE(user_id, '') = COALESCE($3, '')
+        AND entity_type = $2
+        AND lower(name) = lower($1)
+      ${lock ? 'FOR UPDATE' : ''}
+    `;
+
+    const merge = (existing?: Entity): Pick<Entity, 'name' | 'entity_type' | 'observations' | 'metadata'> => (existing
+      ? {
+        ...existing,
+        observations: normalizeObservations([...existing.observations, ...observations]),
+        metadata: metadata ? { ...existing.metadata, ...metadata } : existing.metadata
+      }
+      : { name, entity_type: entityType, observations, metadata });
+
+    return await retryEntityWrite(`Entity ${name}`, async () => {
+      // Embed outside the transaction, so the provider call holds no lock
+      const before = await query(findEntity(false), [name, entityType, userId]);
+      const { text, embedding, model } = await embedEntity(merge(before.rows[0]));
+
+      return transaction(async (client): Promise<(Entity & { created: boolean }) | typeof ENTITY_CHANGED> => {
+        const current = await client.query(findEntity(true), [name, entityType, userId]);
+        const existing: Entity | undefined = current.rows[0];
+        const merged = merge(existing);
+        if (entityEmbeddingText(merged) !== text) {
+          return ENTITY_CHANGED;
+        }
+
+        if (!existing) {
+          const inserted = await client.query(`
+            INSERT INTO memory.entities (name, entity_type, user_id, observations, metadata, embedding, embedding_model)
+            VALUES ($1, $2, $3, $4, $5, $6::vector, $7)
+            ON CONFLICT (tenant_id, COALESCE(user_id, ''), entity_type, lower(name)) DO NOTHING
+            RETURNING ${ENTITY_COLUMNS}
+          `, [name, entityType, userId, merged.observations, merged.metadata, embedding, model]);
+
+          // Created by someone else since, so merge into theirs
+          return inserted.rows.length > 0 ? { ...inserted.rows[0], created: true } : ENTITY_CHANGED;
+        }
+
+        const updated = await client.query(`
+          UPDATE memory.entities
+          SET observations = $2, metadata = $3, embedding = $4::vector, embedding_model = $5, updated_at = NOW()
+          WHERE id = $1
+          RETURNING ${ENTITY_COLUMNS}
+        `, [existing.id, merged.observations, merged.metadata, embedding, model]);
+
+        return { ...updated.rows[0], created: false };
+      });
+    });
+  } catch (error) {
+    logger.error('Error storing entity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an entity by ID
+ *
+ * @param id - The entity's ID
+ * @returns The entity, or null if it was not found
+ */
+export const getEntity = async (id: number): Promise<Entity | null> => {
+  const result = await query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Apply the changes worked out from an entity's current state, re-embedding it.
+ * The entity is embedded before its row is locked, as in upsertEntity
+ */
+const modifyEntity = async (
+  id: number,
+  getChanges: (existing: Entity) => Partial<Omit<EntityInput, 'userId'>>
+): Promise<Entity | null> => retryEntityWrite(`Entity ${id}`, async () => {
+  const applyChanges = (existing: Entity) => {
+    const { name, entityType, observations, metadata } = getChanges(existing);
+    const next = normalizeEntity({
+      name: name ?? existing.name,
+      entityType: entityType ?? existing.entity_type,
+      userId: existing.user_id,
+      observations: observations ?? existing.observations,
+      metadata: metadata === undefined ? existing.metadata : metadata
+    });
+    return { ...next, entity_type: next.entityType };
+  };
+
+  const before = await query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1`, [id]);
+  if (before.rows.length === 0) {
+    logger.info(`Entity ${id} not found`);
+    return null;
+  }
+
+  const { text, embedding, model } = await embedEntity(applyChanges(before.rows[0]));
+
+  return transaction(async (client): Promise<Entity | null | typeof ENTITY_CHANGED> => {
+    const current = await client.query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1 FOR UPDATE`, [id]);
+    if (current.rows.length === 0) {
+      logger.info(`Entity ${id} not found`);
+      return null;
+    }
+
+    const next = applyChanges(current.rows[0]);
+    if (entityEmbeddingText(next) !== text) {
+      return ENTITY_CHANGED;
+    }
+
+    const updated = await client.query(`
+      UPDATE memory.entities
+      SET name = $2, entity_type = $3, observations = $4, metadata = $5,
+          embedding = $6::vector, embedding_model = $7, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${ENTITY_COLUMNS}
+    `, [id, next.name, next.entityType, next.observations, next.metadata, embedding, model]);
+
+    return updated.rows[0];
+  });
+});
+
+/**
+ * Update an entity, re-embedding it
+ *
+ * @param id - The entity's ID
+ * @param changes - New name, type, observations (replacing the current ones) or metadata (replacing the current metadata)
+ * @returns The updated entity, or null if it was not found
+ */
+export const updateEntity = async (
+  id: number,
+  changes: Partial<Omit<EntityInput, 'userId'>> = {}
+): Promise<Entity | null> => {
+  try {
+    logger.info(`Updating entity ${id}`);
+
+    const { name, entityType, observations, metadata } = changes;
+    if ([name, entityType, observations, metadata].every(value => value === undefined)) {
+      throw new Error('name, entityType, observations or metadata is required to update an entity');
+    }
+
+    return await modifyEntity(id, () => ({ name, entityType, observations, metadata }));
+  } catch (error) {
+    logger.error(`Error updating entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Append observations to an entity, skipping ones it already has, and re-embed it
+ *
+ * @param id - The entity's ID
+ * @param observations - The observations to add
+ * @returns The updated entity, or null if it was not found
+ */
+export const addObservations = async (id: number, observations: string[]): Promise<Entity | null> => {
+  try {
+    const added = normalizeObservations(observations);
+    if (added.length === 0) {
+      throw new Error('At least one observation is required');
+    }
+
+    logger.info(`Adding ${added.length} observations to entity ${id}`);
+    return await modifyEntity(id, existing => ({ observations: [...existing.observations, ...added] }));
+  } catch (error) {
+    logger.error(`Error adding observations to entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an entity along with its relations
+ *
+ * @param id - The entity's ID
+ * @returns True if the entity was deleted
+ */
+export const deleteEntity = async (id: number): Promise<boolean> => {
+  try {
+    const result = await query('DELETE FROM memory.entities WHERE id = $1', [id]);
+    const deleted = (result.rowCount ?? 0) > 0;
+    logger.info(deleted ? `Deleted entity ${id}` : `Entity ${id} not found`);
+    return deleted;
+  } catch (error) {
+    logger.error(`Error deleting entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Relate two entities, e.g. (Alice) owns (billing service). Relating them the
+ * same way again only updates the relation's metadata
+ *
+ * @param fromId - The entity the relation goes from
+ * @param relationType - The relation, e.g. owns or works_at
+ * @param toId - The entity the relation goes to
+ * @param options - Optional metadata for the relation
+ * @returns The relation
+ */
+export const createRelation = async (
+  fromId: number,
+  relationType: string,
+  toId: number,
+  { metadata = null }: { metadata?: Record<string, unknown> | null } = {}
+): Promise<Relation> => {
+  try {
+    const type = normalizeTypeName(relationType, 'Relation type');
+
+    if (fromId === toId) {
+      throw new Error('An entity cannot be related to itself');
+    }
+
+    // Foreign keys ignore row-level security, so check both ends belong to this tenant
+    const result = await query(`
+      INSERT INTO memory.relations (from_id, relation_type, to_id, metadata)
+      SELECT $1::int, $2::text, $3::int, $4::jsonb
+      WHERE (SELECT COUNT(*) FROM memory.entities WHERE id IN ($1, $3)) = 2
+      ON CONFLICT (from_id, relation_type, to_id)
+      DO UPDATE SET metadata = COALESCE(EXCLUDED.metadata, memory.relations.metadata)
+      RETURNING id, from_id, relation_type, to_id, metadata, created_at
+    `, [fromId, type, toId, metadata]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Entity ${fromId} or entity ${toId} not found`);
+    }
+
+    logger.info(`Related entity ${fromId} ${type} entity ${toId}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Error relating entity ${fromId} to entity ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a relation between two entities
+ *
+ * @param fromId - The entity the relation goes from
+ * @param relationType - The relation
+ * @param toId - The entity the relation goes to
+ * @returns True if the relation was removed
+ */
+export const deleteRelation = async (fromId: number, relationType: string, toId: number): Promise<boolean> => {
+  try {
+    const result = await query(`
+      DELETE FROM memory.relations
+      WHERE from_id = $1 AND relation_type = $2 AND to_id = $3
+    `, [fromId, normalizeTypeName(relationType, 'Relation type'), toId]);
+
+    return (result.rowCount ?? 0) > 0;
+  } catch (error) {
+    logger.error(`Error removing relation from entity ${fromId} to entity ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the entities within a number of hops of an entity, and the relations
+ * among them
+ *
+ * @param entityId - The entity to start from
+ * @param options - Walk options
+ * @returns The entity, its neighbours each with their depth, and the relations among them; null if the entity was not found
+ */
+export const getNeighbours = async (
+  entityId: number,
+  options: TraversalOptions = {}
+): Promise<{ entity: Entity; neighbours: (Entity & { depth: number })[]; relations: Relation[] } | null> => {
+  try {
+    const opts = normalizeTraversalOptions(options);
+
+    const entity = await getEntity(entityId);
+    if (!entity) {
+      return null;
+    }
+
+    const { sql, params } = buildNeighbourQuery(entityId, opts);
+    const neighbours: (Entity & { depth: number })[] = (await query(sql, params)).rows;
+
+    const ids = [entityId, ...neighbours.map(neighbour => neighbour.id)];
+    const relationParams: unknown[] = [ids];
+    let typeCondition = '';
+    if (opts.relationTypes) {
+      relationParams.push(opts.relationTypes);
+      typeCondition = 'AND relation_type = ANY($2::text[])';
+    }
+
+    const relations = await query(`
+      SELECT id, from_id, relation_type, to_id, metadata, created_at
+      FROM memory.relations
+      WHERE from_id = ANY($1::int[])
+        AND to_id = ANY($1::int[])
+        ${typeCondition}
+      ORDER BY id
+    `, relationParams);
+
+    return { entity, neighbours, relations: relations.rows };
+  } catch (error) {
+    logger.error(`Error getting neighbours of entity ${entityId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Find the entities most similar to a query
+ *
+ * Entities embedded by another model than the active one are left out until
+ * they are updated or reembedEntities() catches them up.
+ *
+ * @param queryText - What to look for
+ * @param options - Maximum number of entities (default: 10), and the entity type and user to limit them to
+ * @returns The entities, most similar first, each with its similarity
+ */
+export const searchEntities = async (
+  queryText: string,
+  { limit = DEFAULT_ENTITY_SEARCH_LIMIT, entityType, userId }: { limit?: number; entityType?: string; userId?: string } = {}
+): Promise<(Entity & { similarity: number })[]> => {
+  try {
+    const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([queryText]);
+
+    const params: unknown[] = [embedding, model, limit];
+    const conditions = ['embedding_model = $2'];
+
+    if (entityType) {
+      params.push(normalizeTypeName(entityType, 'Entity type'));
+      conditions.push(`entity_type = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    const result = await query(`
+      SELECT ${ENTITY_COLUMNS}, 1 - (embedding <=> $1) AS similarity
+      FROM memory.entities
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY embedding <=> $1
+      LIMIT $3
+    `, params);
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Error searching entities:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-embed the entities of every tenant whose embedding comes from another
+ * model than the active one
+ *
+ * @param options - batchSize is the number of entities to embed per batch (default: 100)
+ * @returns The number of entities re-embedded
+ */
+export const reembedEntities = ({ batchSize = 100 }: { batchSize?: number } = {}): Promise<number> => withAllTenants(async () => {
+  const model = getEmbeddingModelId();
+  let reembedded = 0;
+
+  for (;;) {
+    const batch = await query(`
+      SELECT id, name, entity_type, observations
+      FROM memory.entities
+      WHERE embedding_model IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+    `, [model, batchSize]);
+
+    if (batch.rows.length === 0) {
+      break;
+    }
+
+    await transaction(client => embedEntities(client, batch.rows, model));
+    reembedded += batch.rows.length;
+  }
+
+  logger.info(`Re-embedded ${reembedded} entities with ${model}`);
+  return reembedded;
+});
@@ -0,0 +1,388 @@
+import { query, transaction } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+
+// The ways one memory can point at another
+export const LINK_TYPES = ['follows-up', 'supersedes', 'contradicts', 'derived-from'] as const;
+export type LinkType = typeof LINK_TYPES[number];
+
+// Which links a walk follows from each memory it reaches
+export const LINK_DIRECTIONS = ['out', 'in', 'both'] as const;
+export type LinkDirection = typeof LINK_DIRECTIONS[number];
+
+/**
+ * A row of memory.memory_links
+ */
+export interface MemoryLink {
+  id: number;
+  from_id: number;
+  link_type: LinkType;
+  to_id: number;
+  metadata: Record<string, unknown> | null;
+  created_at: Date;
+}
+
+/**
+ * A memory reached through links, as returned by walks and search expansion
+ */
+export interface LinkedMemory {
+  id: number;
+  conversation_id: string;
+  user_id: string | null;
+  content: string;
+  memory_type: string;
+  metadata: Record<string, unknown> | null;
+  timestamp: Date;
+  is_archived: boolean;
+}
+
+/**
+ * A memory one link away from a search result, and which way the link goes
+ */
+export interface ExpandedLink extends LinkedMemory {
+  link_type: LinkType;
+  direction: 'out' | 'in';
+}
+
+/**
+ * How far and along which links a walk goes
+ */
+export interface LinkWalkOptions {
+  // Maximum number of hops (default: 1, at most 5)
+  depth?: number;
+  // Only follow these links
+  linkTypes?: string[] | null;
+  // Follow links out of, in to, or both ways (default) through each memory
+  direction?: LinkDirection;
+}
+
+// Link walks go one hop by default and never further than this
+const DEFAULT_LINK_DEPTH = 1;
+const MAX_LINK_DEPTH = 5;
+
+const LINK_COLUMNS = 'id, from_id, link_type, to_id, metadata, created_at';
+
+// Finds whether the memory $1 supersedes the memory $2, directly or along a chain
+const SUPERSEDES_CYCLE_QUERY = `
+  WITH RECURSIVE superseded(memory_id) AS (
+    SELECT $1::int
+    UNION
+    SELECT l.to_id
+    FROM superseded
+    JOIN memory.memory_links l ON l.from_id = superseded.memory_id AND l.link_type = 'supersedes'
+  )
+  SELECT 1 FROM superseded WHERE memory_id = $2 LIMIT 1
+`;
+
+const LINKED_MEMORY_COLUMNS = ['id', 'conversation_id', 'user_id', 'content', 'memory_type', 'metadata', 'timestamp', 'is_archived'];
+
+// How each direction joins a link to the memory the walk is at, and which end it moves to
+const WALK_STEPS: Record<LinkDirection, { join: string; next: string }> = {
+  out: { join: 'l.from_id = walk.memory_id', next: 'l.to_id' },
+  in: { join: 'l.to_id = walk.memory_id', next: 'l.from_id' },
+  both: {
+    join: 'walk.memory_id IN (l.from_id, l.to_id)',
+    next: 'CASE WHEN l.from_id = walk.memory_id THEN l.to_id ELSE l.from_id END'
+  }
+};
+
+/**
+ * Normalize a link type, so "Derived from" and "derived_from" are derived-from
+ *
+ * @param linkType - The link type as given
+ * @returns One of LINK_TYPES
+ */
+export const normalizeLinkType = (linkType: unknown): LinkType => {
+  if (typeof linkType !== 'string' || linkType.trim() === '') {
+    throw new Error('Link type is required');
+  }
+
+  const type = linkType.trim().toLowerCase().replace(/[\s_]+/g, '-') as LinkType;
+  if (!LINK_TYPES.includes(type)) {
+    throw new Error(`Unknown link type: ${linkType}, expected one of ${LINK_TYPES.join(', ')}`);
+  }
+
+  return type;
+};
+
+/**
+ * Normalize an optional list of link types
+ *
+ * @param linkTypes - The link types, or null for all of them
+ * @returns The normalized link types, or null
+ */
+export const normalizeLinkTypes = (linkTypes: unknown): LinkType[] | null => {
+  if (linkTypes === undefined || linkTypes === null) {
+    return null;
+  }
+
+  if (!Array.isArray(linkTypes) || linkTypes.length === 0) {
+    throw new Error('linkTypes must be a non-empty array');
+  }
+
+  return [...new Set(linkTypes.map(normalizeLinkType))];
+};
+
+/**
+ * Validate link walk options and fill in their defaults
+ *
+ * @param options - Walk options
+ * @returns The normalized options
+ */
+export const normalizeLinkWalkOptions = ({
+  depth = DEFAULT_LINK_DEPTH,
+  linkTypes = null,
+  direction = 'both'
+}: LinkWalkOptions = {}): { depth: number; linkTypes: LinkType[] | null; direction: LinkDirection } => {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_LINK_DEPTH) {
+    throw new Error(`depth must be an integer between 1 and ${MAX_LINK_DEPTH}, got ${depth}`);
+  }
+
+  if (!LINK_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown link direction: ${direction}`);
+  }
+
+  return { depth, linkTypes: normalizeLinkTypes(linkTypes), direction };
+};
+
+/**
+ * Build the condition leaving out memories that a newer memory supersedes; a
+ * chunk is superseded along with its document
+ *
+ * @param column - Qualifies a column name with the table alias, if any
+ * @returns An SQL condition
+ */
+export const excludeSuperseded = (column: (name: string) => string = (name) => name): string =>
+  `COALESCE(${column('parent_id')}, ${column('id')}) NOT IN (SELECT to_id FROM memory.memory_links WHERE link_type = 'supersedes')`;
+
+/**
+ * Build the query walking out from a memory along its links. Each linked
+ * memory is returned once, at the fewest hops it takes to reach it
+ *
+ * @param memoryId - The memory to start from, a document rather than one of its chunks
+ * @param options - Normalized walk options
+ * @returns The query and its parameters
+ */
+export const buildLinkWalkQuery = (
+  memoryId: number,
+  { depth, linkTypes, direction }: { depth: number; linkTypes: LinkType[] | null; direction: LinkDirection }
+): { sql: string; params: unknown[] } => {
+  const params: unknown[] = [memoryId, depth];
+  const step = WALK_STEPS[direction];
+
+  let typeCondition = '';
+  if (linkTypes) {
+    params.push(linkTypes);
+    typeCondition = `AND l.link_type = ANY($${params.length}::text[])`;
+  }
+
+  const sql = `
+    WITH RECURSIVE walk(memory_id, depth) AS (
+      SELECT $1::int, 0
+      UNION
+      SELECT ${step.next}, walk.depth + 1
+      FROM walk
+      JOIN memory.memory_links l ON ${step.join}
+      WHERE walk.depth < $2
+        ${typeCondition}
+    )
+    SELECT ${LINKED_MEMORY_COLUMNS.map(column => `c.${column}`).join(', ')}, MIN(walk.depth)::int AS depth
+    FROM walk
+    JOIN memory.conversations c ON c.id = walk.memory_id
+    WHERE walk.memory_id <> $1
+    GROUP BY c.id
+    ORDER BY depth, c.timestamp DESC, c.id
+  `;
+
+  return { sql, params };
+};
+
+/**
+ * Link two memories, e.g. (newer memory) supersedes (older memory). Linking a
+ * chunk links its document, and linking two memories the same way again only
+ * updates the link's metadata
+ *
+ * @param fromId - The memory the link goes from
+ * @param linkType - One of LINK_TYPES
+ * @param toId - The memory the link goes to
+ * @param options - Optional metadata for the link
+ * @returns The link, or null if either memory was not found
+ */
+export const createLink = async (
+  fromId: number,
+  linkType: string,
+  toId: number,
+  { metadata = null }: { metadata?: Record<string, unknown> | null } = {}
+): Promise<MemoryLink | null> => {
+  try {
+    const type = normalizeLinkType(linkType);
+
+    return await transaction(async (client) => {
+      // Foreign keys ignore row-level security, so only link memories of one tenant
+      const ends = await client.query(`
+        SELECT COALESCE(a.parent_id, a.id) AS from_id, COALESCE(b.parent_id, b.id) AS to_id, a.tenant_id
+        FROM memory.conversations a
+        JOIN memory.conversations b ON b.tenant_id = a.tenant_id
+        WHERE a.id = $1 AND b.id = $2
+      `, [fromId, toId]);
+
+      if (ends.rows.length === 0) {
+        logger.info(`Memory ${fromId} or memory ${toId} not found`);
+        return null;
+      }
+
+      const { from_id: from, to_id: to, tenant_id: tenantId } = ends.rows[0];
+      if (from === to) {
+        throw new Error('A memory cannot be linked to itself');
+      }
+
+      if (type === 'supersedes') {
+        // Supersedes chains must not loop, or every memory on the loop would be
+        // hidden from search. Linking waits for the tenant's other supersedes
+        // links, so two links that only loop together can't both pass the check
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('memory.memory_links'), hashtext($1))", [tenantId]);
+
+        const cycle = await client.query(SUPERSEDES_CYCLE_QUERY, [to, from]);
+        if (cycle.rows.length > 0) {
+          throw new Error(`Memory ${to} already supersedes memory ${from}, directly or through other memories`);
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO memory.memory_links (tenant_id, from_id, link_type, to_id, metadata)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (from_id, link_type, to_id)
+        DO UPDATE SET metadata = COALESCE(EXCLUDED.metadata, memory.memory_links.metadata)
+        RETURNING ${LINK_COLUMNS}
+      `, [tenantId, from, type, to, metadata]);
+
+      logger.info(`Linked memory ${from} ${type} memory ${to}`);
+      return result.rows[0];
+    });
+  } catch (error) {
+    logger.error(`Error linking memory ${fromId} to memory ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a link between two memories
+ *
+ * @param fromId - The memory the link goes from
+ * @param linkType - The link type
+ * @param toId - The memory the link goes to
+ * @returns True if the link was removed
+ */
+export const deleteLink = async (fromId: number, linkType: string, toId: number): Promise<boolean> => {
+  try {
+    const result = await query(`
+      DELETE FROM memory.memory_links
+      WHERE link_type = $2
+        AND from_id = (SELECT COALESCE(parent_id, id) FROM memory.conversations WHERE id = $1)
+        AND to_id = (SELECT COALESCE(parent_id, id) FROM memory.conversations WHERE id = $3)
+    `, [fromId, normalizeLinkType(linkType), toId]);
+
+    return (result.rowCount ?? 0) > 0;
+  } catch (error) {
+    logger.error(`Error removing link from memory ${fromId} to memory ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the memories within a number of links of a memory, and the links among them
+ *
+ * @param memoryId - The memory to start from; a chunk starts from its document
+ * @param options - Walk options
+ * @returns The memory, the linked memories with their depth and the links among them,
+ *   or null if the memory was not found
+ */
+export const getLinkedMemories = async (
+  memoryId: number,
+  options: LinkWalkOptions = {}
+): Promise<{ memory: LinkedMemory; linked: (LinkedMemory & { depth: number })[]; links: MemoryLink[] } | null> => {
+  try {
+    const opts = normalizeLinkWalkOptions(options);
+
+    const start = await query(`
+      SELECT ${LINKED_MEMORY_COLUMNS.join(', ')}
+      FROM memory.conversations
+      WHERE id = (SELECT COALESCE(parent_id, id) FROM memory.conversations WHERE id = $1)
+    `, [memoryId]);
+
+    const memory: LinkedMemory | undefined = start.rows[0];
+    if (!memory) {
+      return null;
+    }
+
+    const { sql, params } = buildLinkWalkQuery(memory.id, opts);
+    const linked = (await query(sql, params)).rows;
+
+    const ids = [memory.id, ...linked.map(row => row.id)];
+    const linkParams: unknown[] = [ids];
+    let typeCondition = '';
+    if (opts.linkTypes) {
+      linkParams.push(opts.linkTypes);
+      typeCondition = 'AND link_type = ANY($2::text[])';
+    }
+
+    const links = await query(`
+      SELECT ${LINK_COLUMNS}
+      FROM memory.memory_links
+      WHERE from_id = ANY($1::int[])
+        AND to_id = ANY($1::int[])
+        ${typeCondition}
+      ORDER BY id
+    `, linkParams);
+
+    return { memory, linked, links: links.rows };
+  } catch (error) {
+    logger.error(`Error getting memories linked to memory ${memoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Attach the memories one link away to each search result, in linked, with
+ * direction 'out' for links the result makes and 'in' for links made to it
+ *
+ * @param results - Search results, each with id and parent_id
+ * @param linkTypes - Only follow these links (normalized), or null for all
+ * @returns The results, each with linked
+ */
+export const attachLinkedMemories = async <T extends { id: number; parent_id?: number | null }>(
+  results: T[],
+  linkTypes: LinkType[] | null = null
+): Promise<(T & { linked: ExpandedLink[] })[]> => {
+  if (results.length === 0) {
+    return [];
+  }
+
+  const documentId = (row: T): number => row.parent_id ?? row.id;
+  const params: unknown[] = [[...new Set(results.map(documentId))]];
+  let typeCondition = '';
+  if (linkTypes) {
+    params.push(linkTypes);
+    typeCondition = 'AND l.link_type = ANY($2::text[])';
+  }
+
+  const columns = LINKED_MEMORY_COLUMNS.map(column => `c.${column}`).join(', ');
+  const linked = await query(`
+    SELECT l.from_id AS result_id, l.link_type, 'out' AS direction, ${columns}
+    FROM memory.memory_links l
+    JOIN memory.conversations c ON c.id = l.to_id
+    WHERE l.from_id = ANY($1::int[]) ${typeCondition}
+    UNION ALL
+    SELECT l.to_id AS result_id, l.link_type, 'in' AS direction, ${columns}
+    FROM memory.memory_links l
+    JOIN memory.conversations c ON c.id = l.from_id
+    WHERE l.to_id = ANY($1::int[]) ${typeCondition}
+    ORDER BY result_id, link_type, timestamp DESC
+  `, params);
+
+  const byResult = new Map<number, ExpandedLink[]>();
+  for (const { result_id: resultId, ...row } of linked.rows) {
+    byResult.set(resultId, [...(byResult.get(resultId) || []), row]);
+  }
+
+  return results.map(row => ({ ...row, linked: byResult.get(documentId(row)) || [] }));
+};
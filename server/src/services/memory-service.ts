@@ -1,47 +1,173 @@
-import { query } from '../db/client.js';
+import { query, transaction, withAllTenants } from '../db/client.js';
 import { logger } from '../utils/logger.js';
-import { generateEmbedding } from './embedding-service.js';
+import { generateEmbeddingsWithModel } from './embedding-service.js';
+import { compileMetadataFilter, MetadataFilter } from './metadata-filter.js';
+import { buildMemoryFilters, MemoryFilter, Memory } from './search-service.js';
+import { normalizeDedupOptions, findDuplicateMemory, applyDedupPolicy, DedupOptions, StoreResult } from './dedup-service.js';
+import { normalizeChunkingOptions, chunkContent, ChunkingOptions, AUTO_CHUNKING } from './chunking-service.js';
+import { decodeCursor, cursorTimestampColumn, pageLimit, toPage } from './pagination.js';
+import { normalizeTags, compileTagFilter, memoryTagsColumn } from './tag-service.js';
+
+export { searchMemories } from './search-service.js';
+export type { Memory, SearchResult, SearchOptions, MemoryFilter, SearchMode, FusionMethod, ChunkResults, SummaryResults } from './search-service.js';
+export type { DedupOptions, DedupPolicy, DedupScope, StoreResult } from './dedup-service.js';
+export type { ChunkingOptions, ChunkingStrategy } from './chunking-service.js';
+
+// Importance of memories stored without an explicit one
+const DEFAULT_IMPORTANCE = 0.5;
+
+// Memories at least this important survive archival regardless of age
+const DEFAULT_KEEP_IMPORTANCE = 0.8;
+
+// Archived memories move to cold storage after this many days, and are purged
+// after this many days there
+const DEFAULT_COLD_AFTER_DAYS = 30;
+const DEFAULT_PURGE_AFTER_DAYS = 365;
 
 /**
- * Add a memory to the database
+ * Check that an importance score is a number between 0 and 1
+ *
+ * @param importance - The importance to check
+ * @returns An error message, or null if the importance is valid
+ */
+const importanceError = (importance: unknown): string | null => {
+  if (importance === undefined || importance === null) {
+    return null;
+  }
+  if (typeof importance !== 'number' || !(importance >= 0 && importance <= 1)) {
+    return `importance must be a number between 0 and 1, got ${importance}`;
+  }
+  return null;
+};
+
+/**
+ * Options for storing a single memory
+ */
+export interface StoreOptions {
+  // Importance from 0 to 1, used in ranking and archival (default: 0.5)
+  importance?: number | null;
+  // Fold the memory into a near-duplicate instead of inserting it
+  dedup?: DedupOptions | null;
+  // Split long content into separately embedded chunks; chunked content is always inserted, without dedup.
+  // Without it, content longer than MEMORY_CHUNK_MAX_TOKENS is chunked by paragraph
+  chunking?: ChunkingOptions | null;
+}
+
+/**
+ * Store content split into chunks: a parent row holding the full text without
+ * an embedding, and one embedded row per chunk pointing at it
+ *
+ * @param memory - The memory being stored
+ * @param chunks - The content's chunks, in order
+ * @returns The stored parent, with the IDs of its chunks
+ */
+const storeChunkedMemory = async (
+  { conversationId, userId, content, metadata, importance }: { conversationId: string; userId: string | null; content: string; metadata: Record<string, unknown>; importance?: number | null },
+  chunks: string[]
+): Promise<StoreResult> => {
+  const { embeddings, model } = await generateEmbeddingsWithModel(chunks);
+  
+  return transaction(async (client): Promise<StoreResult> => {
+    const parent = await client.query(`
+      INSERT INTO memory.conversations 
+        (conversation_id, user_id, content, metadata, importance, is_chunked)
+      VALUES 
+        ($1, $2, $3, $4, $5, TRUE)
+      RETURNING id
+    `, [conversationId, userId, content, metadata, importance ?? DEFAULT_IMPORTANCE]);
+    
+    const parentId = parent.rows[0].id;
+    
+    const children = await client.query(`
+      INSERT INTO memory.conversations 
+        (conversation_id, user_id, content, embedding, embedding_model, metadata, importance, parent_id, chunk_index)
+      SELECT $1, $2, chunk.content, chunk.embedding, $5, $6, $7, $8, chunk.position - 1
+      FROM unnest($3::text[], $4::vector[]) WITH ORDINALITY AS chunk(content, embedding, position)
+      RETURNING id, chunk_index
+    `, [conversationId, userId, chunks, embeddings, model, metadata, importance ?? DEFAULT_IMPORTANCE, parentId]);
+    
+    const chunkIds = children.rows
+      .sort((a, b) => a.chunk_index - b.chunk_index)
+      .map(row => row.id);
+    
+    return { id: parentId, action: 'inserted', duplicateOf: null, similarity: null, chunkIds };
+  });
+};
+
+/**
+ * Add a memory to the database, optionally folding it into a near-duplicate
  * 
  * @param conversationId - Unique identifier for the conversation
  * @param userId - Identifier for the user
  * @param content - The content of the memory
  * @param metadata - Additional metadata for the memory
- * @returns The ID of the created memory
+ * @param options - Importance, dedup policy and chunking
+ * @returns What was stored, including the existing memory that absorbed the write
+ *   or, for chunked content, the chunks stored under the new parent memory
  */
-export const addMemory = async (
+export const storeMemory = async (
   conversationId: string, 
   userId: string, 
   content: string, 
-  metadata: any = {}
-): Promise<number> => {
+  metadata: Record<string, unknown> = {},
+  options: StoreOptions = {}
+): Promise<StoreResult> => {
   try {
     logger.info(`Adding memory for conversation ${conversationId}`);
     
+    const invalidImportance = importanceError(options.importance);
+    if (invalidImportance) {
+      throw new Error(invalidImportance);
+    }
+    
+    const dedupOptions = normalizeDedupOptions(options.dedup);
+    const chunkingOptions = normalizeChunkingOptions(options.chunking) ?? AUTO_CHUNKING;
+    
+    const chunks = chunkContent(content, chunkingOptions);
+    if (chunks.length > 1) {
+      const stored = await storeChunkedMemory({ conversationId, userId, content, metadata, importance: options.importance }, chunks);
+      logger.info(`Memory added with ID: ${stored.id} (${chunks.length} chunks)`);
+      return stored;
+    }
+    
     // Generate an embedding for the content
-    const embedding = await generateEmbedding(content);
+    const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([content]);
     
-    // Insert the memory into the database
-    const result = await query(`
-      INSERT INTO memory.conversations 
-        (conversation_id, user_id, content, embedding, metadata)
-      VALUES 
-        ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [
-      conversationId, 
-      userId, 
-      content, 
-      embedding, 
-      metadata
-    ]);
+    const stored = await transaction(async (client): Promise<StoreResult> => {
+      if (dedupOptions) {
+        const duplicate = await findDuplicateMemory(client, { conversationId, userId, content, embedding }, dedupOptions);
+        if (duplicate) {
+          return applyDedupPolicy(client, duplicate, { content, embedding, model, metadata, importance: options.importance }, dedupOptions.policy);
+        }
+      }
+      
+      // Insert the memory into the database
+      const result = await client.query(`
+        INSERT INTO memory.conversations 
+          (conversation_id, user_id, content, embedding, embedding_model, metadata, importance)
+        VALUES 
+          ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [
+        conversationId, 
+        userId, 
+        content, 
+        embedding, 
+        model,
+        metadata,
+        options.importance ?? DEFAULT_IMPORTANCE
+      ]);
+      
+      return { id: result.rows[0].id, action: 'inserted', duplicateOf: null, similarity: null };
+    });
     
-    const memoryId = result.rows[0].id;
-    logger.info(`Memory added with ID: ${memoryId}`);
+    if (stored.duplicateOf) {
+      logger.info(`Memory ${stored.action} into existing memory ${stored.duplicateOf}`);
+    } else {
+      logger.info(`Memory added with ID: ${stored.id}`);
+    }
     
-    return memoryId;
+    return stored;
   } catch (error) {
     logger.error('Error adding memory:', error);
     throw error;
@@ -49,122 +175,460 @@ export const addMemory = async (
 };
 
 /**
- * Search for memories by similarity
+ * Add a memory to the database
  * 
- * @param queryText - The text to search for
- * @param limit - Maximum number of results to return
- * @param userId - Optional user ID to filter by
- * @param conversationId - Optional conversation ID to filter by
- * @returns Array of memory objects
+ * @param conversationId - Unique identifier for the conversation
+ * @param userId - Identifier for the user
+ * @param content - The content of the memory
+ * @param metadata - Additional metadata for the memory
+ * @param options - Importance, dedup policy and chunking
+ * @returns The ID of the created memory, or of the existing memory that absorbed it
  */
-export const searchMemories = async (
-  queryText: string, 
-  limit: number = 5, 
-  userId: string | null = null, 
-  conversationId: string | null = null
-): Promise<any[]> => {
+export const addMemory = async (
+  conversationId: string, 
+  userId: string, 
+  content: string, 
+  metadata: Record<string, unknown> = {},
+  options: StoreOptions = {}
+): Promise<number> => {
+  const { id } = await storeMemory(conversationId, userId, content, metadata, options);
+  return id;
+};
+
+/**
+ * A memory to add in bulk
+ */
+export interface MemoryInput {
+  conversationId: string;
+  userId?: string | null;
+  content: string;
+  metadata?: Record<string, unknown>;
+  importance?: number | null;
+}
+
+/**
+ * Outcome of adding one memory in bulk
+ */
+export interface BulkMemoryResult {
+  index: number;
+  id: number | null;
+  error: string | null;
+}
+
+/**
+ * Add many memories to the database in one call
+ * 
+ * Embeddings are generated in batches and all rows are written with multi-row
+ * INSERTs inside a single transaction. Items that fail validation or embedding
+ * are reported individually and skipped; the others are still stored. Items
+ * longer than MEMORY_CHUNK_MAX_TOKENS are chunked by paragraph, as storeMemory
+ * does, and stored one by one after the others.
+ * 
+ * @param items - Memories to add
+ * @param batchSize - Number of texts per embedding request
+ * @returns One result per input item, in input order
+ */
+export const addMemories = async (
+  items: MemoryInput[],
+  batchSize: number = 100
+): Promise<BulkMemoryResult[]> => {
   try {
-    logger.info(`Searching memories similar to: "${queryText.substring(0, 50)}..."`);
+    logger.info(`Adding ${items.length} memories in bulk`);
     
-    // Generate an embedding for the query text
-    const queryEmbedding = await generateEmbedding(queryText);
+    const results: BulkMemoryResult[] = items.map((_item, index) => ({ index, id: null, error: null }));
+    const pending: (MemoryInput & { index: number })[] = [];
+    const oversized: (MemoryInput & { index: number; chunks: string[] })[] = [];
     
-    // Build the SQL query with optional filters
-    let sql = `
-      SELECT 
-        id, 
-        conversation_id, 
-        user_id,
-        content, 
-        timestamp,
-        metadata,
-        embedding <=> $1 as similarity
-      FROM memory.conversations
-      WHERE is_archived = FALSE
-    `;
+    // Validate items up front so one bad item doesn't sink the batch
+    items.forEach((item, index) => {
+      if (!item || typeof item.content !== 'string' || item.content.length === 0) {
+        results[index].error = 'content is required';
+      } else if (!item.conversationId) {
+        results[index].error = 'conversationId is required';
+      } else if (importanceError(item.importance)) {
+        results[index].error = importanceError(item.importance);
+      } else {
+        const chunks = chunkContent(item.content, AUTO_CHUNKING);
+        if (chunks.length > 1) {
+          oversized.push({ ...item, index, chunks });
+        } else {
+          pending.push({ ...item, index });
+        }
+      }
+    });
     
-    const params: any[] = [queryEmbedding];
-    let paramIndex = 2;
+    // Generate embeddings in batches
+    const embedded: (MemoryInput & { index: number; embedding: string; model: string; id?: number })[] = [];
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      
+      try {
+        const { embeddings, model } = await generateEmbeddingsWithModel(batch.map(item => item.content));
+        batch.forEach((item, i) => embedded.push({ ...item, embedding: embeddings[i], model }));
+      } catch (error) {
+        logger.error(`Error generating embeddings for batch starting at item ${batch[0].index}:`, error);
+        const message = error instanceof Error ? error.message : String(error);
+        batch.forEach(item => {
+          results[item.index].error = `Embedding failed: ${message}`;
+        });
+      }
+    }
     
-    // Add filters if provided
-    if (userId) {
-      sql += ` AND user_id = $${paramIndex}`;
-      params.push(userId);
-      paramIndex++;
+    if (embedded.length > 0) {
+      await transaction(async (client) => {
+        // Reserve IDs up front so each inserted row maps back to its input item
+        const ids = await client.query(`
+          SELECT nextval(pg_get_serial_sequence('memory.conversations', 'id'))::int AS id
+          FROM generate_series(1, $1)
+        `, [embedded.length]);
+        
+        embedded.forEach((item, i) => {
+          item.id = ids.rows[i].id;
+        });
+        
+        for (let start = 0; start < embedded.length; start += batchSize) {
+          const batch = embedded.slice(start, start + batchSize);
+          
+          await client.query(`
+            INSERT INTO memory.conversations 
+              (id, conversation_id, user_id, content, embedding, embedding_model, metadata, importance)
+            SELECT * FROM unnest(
+              $1::int[], $2::text[], $3::text[], $4::text[], $5::vector[], $6::text[], $7::jsonb[], $8::real[]
+            )
+          `, [
+            batch.map(item => item.id),
+            batch.map(item => item.conversationId),
+            batch.map(item => item.userId ?? null),
+            batch.map(item => item.content),
+            batch.map(item => item.embedding),
+            batch.map(item => item.model),
+            batch.map(item => JSON.stringify(item.metadata || {})),
+            batch.map(item => item.importance ?? DEFAULT_IMPORTANCE)
+          ]);
+        }
+      });
+      
+      embedded.forEach(item => {
+        results[item.index].id = item.id ?? null;
+      });
     }
     
-    if (conversationId) {
-      sql += ` AND conversation_id = $${paramIndex}`;
-      params.push(conversationId);
-      paramIndex++;
+    // Content too long to embed whole gets a parent row and embedded chunks,
+    // in a transaction of its own so a failure only loses that item
+    for (const item of oversized) {
+      try {
+        const { id } = await storeChunkedMemory({
+          conversationId: item.conversationId,
+          userId: item.userId ?? null,
+          content: item.content,
+          metadata: item.metadata || {},
+          importance: item.importance
+        }, item.chunks);
+        results[item.index].id = id;
+      } catch (error) {
+        logger.error(`Error storing chunked item ${item.index}:`, error);
+        const message = error instanceof Error ? error.message : String(error);
+        results[item.index].error = `Storing chunks failed: ${message}`;
+      }
     }
     
-    // Add ordering and limit
-    sql += `
-      ORDER BY similarity ASC
-      LIMIT $${paramIndex}
-    `;
-    params.push(limit);
+    const failedCount = results.filter(result => result.error).length;
+    logger.info(`Added ${items.length - failedCount} memories in bulk (${failedCount} failed)`);
     
-    // Execute the query
-    const result = await query(sql, params);
+    return results;
+  } catch (error) {
+    logger.error('Error adding memories in bulk:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the memories of a conversation, oldest first
+ * 
+ * Chunked documents are listed once, with their full content, rather than chunk by chunk.
+ * 
+ * @param conversationId - The conversation ID to get memories for
+ * @param options - Optional metadata filter and tags, whether to list archived memories too,
+ * the nextCursor of the previous page, and the page size (default: 100, at most 1000)
+ * @returns The memories, and the cursor of the next page, or null on the last page
+ */
+export const getConversationMemories = async (
+  conversationId: string,
+  options: { metadata?: MetadataFilter | null; tags?: string[] | null; includeArchived?: boolean; cursor?: string | null; limit?: number } = {}
+): Promise<{ memories: Memory[]; nextCursor: string | null }> => {
+  try {
+    logger.info(`Getting memories for conversation ${conversationId}`);
     
-    // Update last_accessed timestamp for retrieved memories
-    if (result.rows.length > 0) {
-      const ids = result.rows.map((row: any) => row.id);
-      await query(`
-        UPDATE memory.conversations
-        SET last_accessed = NOW()
-        WHERE id = ANY($1)
-      `, [ids]);
+    const limit = pageLimit(options.limit);
+    const params: unknown[] = [conversationId];
+    const conditions = [
+      'conversation_id = $1',
+      'parent_id IS NULL',
+      ...compileMetadataFilter(options.metadata, params),
+      ...compileTagFilter(options.tags, params)
+    ];
+    
+    if (!options.includeArchived) {
+      conditions.push('is_archived = FALSE');
     }
     
-    logger.info(`Found ${result.rows.length} similar memories`);
-    return result.rows;
+    if (options.cursor) {
+      const [timestamp, id] = decodeCursor(options.cursor);
+      params.push(timestamp, id);
+      conditions.push(`(timestamp, id) > ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+    }
+    
+    params.push(limit);
+    
+    // Read the page, plus one row to tell whether another follows, and record
+    // the access to the listed memories in the same statement
+    const result = await query(`
+      WITH page AS (
+        SELECT 
+          id, 
+          user_id,
+          content, 
+          timestamp,
+          updated_at,
+          metadata,
+          is_archived,
+          memory_type,
+          summary_id,
+          ${memoryTagsColumn('conversations.id')},
+          ${cursorTimestampColumn('timestamp')}
+        FROM memory.conversations
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp ASC, id ASC
+        LIMIT $${params.length}::int + 1
+      ),
+      touched AS (
+        UPDATE memory.conversations c
+        SET
+          last_accessed = NOW(),
+          access_count = c.access_count + 1
+        FROM (SELECT id FROM page ORDER BY timestamp ASC, id ASC LIMIT $${params.length}::int) listed
+        WHERE c.id = listed.id
+      )
+      SELECT * FROM page
+      ORDER BY timestamp ASC, id ASC
+    `, params);
+    
+    const { rows: memories, nextCursor } = toPage(result.rows, limit);
+    logger.info(`Found ${memories.length} memories for conversation ${conversationId}${nextCursor ? ' (more to come)' : ''}`);
+    
+    return { memories, nextCursor };
   } catch (error) {
-    logger.error('Error searching memories:', error);
+    logger.error(`Error getting memories for conversation ${conversationId}:`, error);
     throw error;
   }
 };
 
 /**
- * Get all memories for a specific conversation
+ * Changes to make to a memory
+ */
+export interface MemoryChanges {
+  // New content, which is re-embedded
+  content?: string;
+  // New metadata, replacing the current metadata
+  metadata?: Record<string, unknown>;
+}
+
+/**
+ * Get a page of the memories carrying every one of the given tags, newest first
  * 
- * @param conversationId - The conversation ID to get memories for
- * @returns Array of memory objects
+ * Chunked documents are listed once, by their parent, as in getConversationMemories.
+ * 
+ * @param tags - The tags
+ * @param options - Only list memories of userId or conversationId, or matching a metadata
+ * filter; whether to list archived memories too, the nextCursor of the previous page, and
+ * the page size (default: 100, at most 1000)
+ * @returns The memories, and the cursor of the next page, or null on the last page
  */
-export const getConversationMemories = async (conversationId: string): Promise<any[]> => {
+export const getTaggedMemories = async (
+  tags: string | string[],
+  options: Omit<MemoryFilter, 'tags' | 'since' | 'until'> & { includeArchived?: boolean; cursor?: string | null; limit?: number } = {}
+): Promise<{ memories: Memory[]; nextCursor: string | null }> => {
   try {
-    logger.info(`Getting memories for conversation ${conversationId}`);
+    if (tags === undefined || tags === null || normalizeTags(tags).length === 0) {
+      throw new Error('At least one tag is required');
+    }
+    
+    const limit = pageLimit(options.limit);
+    const params: unknown[] = [];
+    const conditions = [
+      'parent_id IS NULL',
+      ...buildMemoryFilters({
+        userId: options.userId,
+        conversationId: options.conversationId,
+        metadata: options.metadata,
+        tags
+      }, params)
+    ];
+    
+    if (!options.includeArchived) {
+      conditions.push('is_archived = FALSE');
+    }
+    
+    if (options.cursor) {
+      const [timestamp, id] = decodeCursor(options.cursor);
+      params.push(timestamp, id);
+      conditions.push(`(timestamp, id) < ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+    }
+    
+    params.push(limit + 1);
     
     const result = await query(`
       SELECT 
         id, 
+        conversation_id,
         user_id,
         content, 
         timestamp,
-        metadata
+        updated_at,
+        metadata,
+        is_archived,
+        memory_type,
+        summary_id,
+        ${memoryTagsColumn('conversations.id')},
+        ${cursorTimestampColumn('timestamp')}
       FROM memory.conversations
-      WHERE conversation_id = $1
-        AND is_archived = FALSE
-      ORDER BY timestamp ASC
-    `, [conversationId]);
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
     
-    logger.info(`Found ${result.rows.length} memories for conversation ${conversationId}`);
+    const { rows: memories, nextCursor } = toPage(result.rows, limit);
+    logger.info(`Found ${memories.length} memories tagged ${normalizeTags(tags).join(', ')}`);
     
-    // Update last_accessed timestamp for retrieved memories
-    if (result.rows.length > 0) {
-      const ids = result.rows.map((row: any) => row.id);
-      await query(`
-        UPDATE memory.conversations
-        SET last_accessed = NOW()
-        WHERE id = ANY($1)
-      `, [ids]);
+    return { memories, nextCursor };
+  } catch (error) {
+    logger.error('Error getting tagged memories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a memory's content and/or metadata
+ * 
+ * New content is re-embedded. The version being replaced is kept in
+ * memory.memory_history, and updated_at records the edit while timestamp
+ * keeps the time the memory was created.
+ * 
+ * @param id - The ID of the memory to update
+ * @param changes - The new content and/or metadata
+ * @returns The updated memory, or null if it was not found
+ */
+export const updateMemory = async (id: number, { content, metadata }: MemoryChanges = {}): Promise<Memory | null> => {
+  try {
+    logger.info(`Updating memory ${id}`);
+    
+    if (content === undefined && metadata === undefined) {
+      throw new Error('content or metadata is required to update a memory');
+    }
+    
+    if (content !== undefined && (typeof content !== 'string' || content.length === 0)) {
+      throw new Error('content must be a non-empty string');
+    }
+    
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw new Error('metadata must be an object');
+    }
+    
+    const current = await query(`
+      SELECT content, parent_id, is_chunked
+      FROM memory.conversations
+      WHERE id = $1
+    `, [id]);
+    
+    if (current.rows.length === 0) {
+      logger.info(`Memory ${id} not found`);
+      return null;
+    }
+    
+    const memory = current.rows[0];
+    const contentChanged = content !== undefined && content !== memory.content;
+    
+    if (memory.parent_id !== null) {
+      throw new Error(`Memory ${id} is a chunk of memory ${memory.parent_id}; update that memory instead`);
     }
     
+    if (contentChanged && memory.is_chunked) {
+      throw new Error(`Memory ${id} is stored in chunks; store the new content as a new memory instead`);
+    }
+    
+    // Only new content needs a new embedding
+    const { embeddings: [embedding], model } = contentChanged
+      ? await generateEmbeddingsWithModel([content as string])
+      : { embeddings: [null], model: null };
+    
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE memory.conversations
+        SET
+          content = COALESCE($2, content),
+          embedding = COALESCE($3, embedding),
+          embedding_model = COALESCE($4, embedding_model),
+          metadata = COALESCE($5, metadata)
+        WHERE id = $1
+        RETURNING id, conversation_id, user_id, content, timestamp, updated_at, metadata, importance
+      `, [id, contentChanged ? content : null, embedding, model, metadata ?? null]);
+      
+      // Chunks carry their document's metadata so filters find them
+      if (metadata !== undefined && memory.is_chunked) {
+        await client.query(`
+          UPDATE memory.conversations
+          SET metadata = $2
+          WHERE parent_id = $1
+        `, [id, metadata]);
+      }
+      
+      return result.rows[0] || null;
+    });
+    
+    logger.info(updated ? `Memory ${id} updated${contentChanged ? ' and re-embedded' : ''}` : `Memory ${id} not found`);
+    
+    return updated;
+  } catch (error) {
+    logger.error(`Error updating memory ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * A prior version of an edited memory, from memory.memory_history
+ */
+export interface MemoryVersion {
+  version: number;
+  content: string;
+  metadata: Record<string, unknown> | null;
+  embedding_model: string | null;
+  // When this version was written, and when it was replaced
+  valid_from: Date;
+  replaced_at: Date;
+}
+
+/**
+ * Get the prior versions of a memory, most recent first
+ * 
+ * @param id - The ID of the memory
+ * @returns Array of prior versions with their content, metadata and validity period
+ */
+export const getMemoryHistory = async (id: number): Promise<MemoryVersion[]> => {
+  try {
+    logger.info(`Getting history for memory ${id}`);
+    
+    const result = await query(`
+      SELECT version, content, metadata, embedding_model, valid_from, replaced_at
+      FROM memory.memory_history
+      WHERE memory_id = $1
+      ORDER BY version DESC
+    `, [id]);
+    
+    logger.info(`Found ${result.rows.length} prior versions of memory ${id}`);
+    
     return result.rows;
   } catch (error) {
-    logger.error(`Error getting memories for conversation ${conversationId}:`, error);
+    logger.error(`Error getting history for memory ${id}:`, error);
     throw error;
   }
 };
@@ -195,19 +659,148 @@ export const deleteMemory = async (id: number): Promise<boolean> => {
   }
 };
 
+/**
+ * Archive or restore a memory, along with its chunks if it is a chunked document
+ *
+ * @param id - The ID of the memory
+ * @param archived - Whether to archive (true) or restore (false) it
+ * @returns True if the memory exists
+ */
+const setMemoryArchived = async (id: number, archived: boolean): Promise<boolean> => {
+  const result = await query(`
+    UPDATE memory.conversations
+    SET is_archived = $2
+    WHERE id = $1 OR parent_id = $1
+    RETURNING id = $1 AS requested
+  `, [id, archived]);
+  
+  return result.rows.some((row: { requested: boolean }) => row.requested);
+};
+
+/**
+ * Archive or restore every memory matching a filter
+ *
+ * @param filter - Which memories to change; at least one criterion is required
+ * @param archived - Whether to archive (true) or restore (false) the memories
+ * @returns Number of memories whose archived state changed
+ */
+const setMemoriesArchived = async (filter: MemoryFilter, archived: boolean): Promise<number> => {
+  const params: unknown[] = [archived];
+  const conditions = buildMemoryFilters(filter || {}, params);
+  
+  // An empty filter would silently hit every memory
+  if (conditions.length === 0) {
+    throw new Error('A filter on userId, conversationId, metadata, tags, since or until is required');
+  }
+  
+  // Chunks share their document's conversation, user, metadata, tags and timestamp, so they match along with it
+  const result = await query(`
+    UPDATE memory.conversations
+    SET is_archived = $1
+    WHERE is_archived IS DISTINCT FROM $1
+      AND ${conditions.join(' AND ')}
+  `, params);
+  
+  return result.rowCount ?? 0;
+};
+
+/**
+ * Archive a memory by ID, hiding it from searches and listings
+ * 
+ * @param id - The ID of the memory to archive
+ * @returns True if the memory was archived, false if not found
+ */
+export const archiveMemory = async (id: number): Promise<boolean> => {
+  try {
+    logger.info(`Archiving memory ${id}`);
+    
+    const archived = await setMemoryArchived(id, true);
+    logger.info(archived ? `Memory ${id} archived` : `Memory ${id} not found`);
+    
+    return archived;
+  } catch (error) {
+    logger.error(`Error archiving memory ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an archived memory by ID
+ * 
+ * @param id - The ID of the memory to restore
+ * @returns True if the memory was restored, false if not found
+ */
+export const unarchiveMemory = async (id: number): Promise<boolean> => {
+  try {
+    logger.info(`Restoring memory ${id}`);
+    
+    const restored = await setMemoryArchived(id, false);
+    logger.info(restored ? `Memory ${id} restored` : `Memory ${id} not found`);
+    
+    return restored;
+  } catch (error) {
+    logger.error(`Error restoring memory ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Archive every memory matching a filter
+ * 
+ * @param filter - Which memories to archive, by user, conversation, metadata, tags and/or time range
+ * @returns Number of memories archived
+ */
+export const archiveMemories = async (filter: MemoryFilter): Promise<number> => {
+  try {
+    logger.info('Archiving memories by filter');
+    
+    const archivedCount = await setMemoriesArchived(filter, true);
+    logger.info(`Archived ${archivedCount} memories`);
+    
+    return archivedCount;
+  } catch (error) {
+    logger.error('Error archiving memories by filter:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore every archived memory matching a filter
+ * 
+ * @param filter - Which memories to restore, by user, conversation, metadata, tags and/or time range
+ * @returns Number of memories restored
+ */
+export const unarchiveMemories = async (filter: MemoryFilter): Promise<number> => {
+  try {
+    logger.info('Restoring memories by filter');
+    
+    const restoredCount = await setMemoriesArchived(filter, false);
+    logger.info(`Restored ${restoredCount} memories`);
+    
+    return restoredCount;
+  } catch (error) {
+    logger.error('Error restoring memories by filter:', error);
+    throw error;
+  }
+};
+
 /**
  * Archive memories older than a certain number of days
  * 
  * @param daysToKeep - Number of days to keep memories before archiving
+ * @param keepImportance - Memories at least this important are kept regardless of age
  * @returns Number of memories archived
  */
-export const archiveOldMemories = async (daysToKeep: number = 90): Promise<number> => {
+export const archiveOldMemories = async (
+  daysToKeep: number = 90,
+  keepImportance: number = DEFAULT_KEEP_IMPORTANCE
+): Promise<number> => {
   try {
-    logger.info(`Archiving memories older than ${daysToKeep} days`);
+    logger.info(`Archiving memories older than ${daysToKeep} days with importance below ${keepImportance}`);
     
     const result = await query(`
-      SELECT memory.archive_old_memories($1) as archived_count
-    `, [daysToKeep]);
+      SELECT memory.archive_old_memories($1, $2) as archived_count
+    `, [daysToKeep, keepImportance]);
     
     const archivedCount = result.rows[0].archived_count;
     logger.info(`Archived ${archivedCount} memories`);
@@ -219,6 +812,98 @@ export const archiveOldMemories = async (daysToKeep: number = 90): Promise<numbe
   }
 };
 
+/**
+ * Move memories that have been archived for a while to the memory.archive
+ * cold storage table, taking them and their vectors out of the main table
+ * 
+ * @param archivedDays - Days a memory stays archived before it is moved
+ * @param options - Whether to drop the moved memories' embeddings
+ * @returns Number of memories moved
+ */
+export const moveToColdStorage = async (
+  archivedDays: number = DEFAULT_COLD_AFTER_DAYS,
+  { dropEmbeddings = false }: { dropEmbeddings?: boolean } = {}
+): Promise<number> => {
+  try {
+    logger.info(`Moving memories archived more than ${archivedDays} days ago to cold storage`);
+    
+    const result = await query(`
+      SELECT memory.move_to_cold_storage($1, $2) as moved_count
+    `, [archivedDays, dropEmbeddings]);
+    
+    const movedCount = result.rows[0].moved_count;
+    logger.info(`Moved ${movedCount} memories to cold storage${dropEmbeddings ? ' without their embeddings' : ''}`);
+    
+    return movedCount;
+  } catch (error) {
+    logger.error('Error moving memories to cold storage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete memories that have been in cold storage for a while
+ * 
+ * @param purgeDays - Days a memory stays in cold storage before it is deleted
+ * @returns Number of memories purged
+ */
+export const purgeColdStorage = async (purgeDays: number = DEFAULT_PURGE_AFTER_DAYS): Promise<number> => {
+  try {
+    logger.info(`Purging memories moved to cold storage more than ${purgeDays} days ago`);
+    
+    const result = await query(`
+      SELECT memory.purge_cold_storage($1) as purged_count
+    `, [purgeDays]);
+    
+    const purgedCount = result.rows[0].purged_count;
+    logger.info(`Purged ${purgedCount} memories`);
+    
+    return purgedCount;
+  } catch (error) {
+    logger.error('Error purging cold storage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Windows of the memory lifecycle, in days
+ */
+export interface LifecycleOptions {
+  // Days before an unimportant memory is archived (default: 90)
+  daysToKeep?: number;
+  // Memories at least this important are never archived by age (default: 0.8)
+  keepImportance?: number;
+  // Days archived before moving to cold storage (default: 30)
+  coldAfterDays?: number;
+  // Days in cold storage before being purged (default: 365)
+  purgeAfterDays?: number;
+  // Drop embeddings when moving to cold storage (default: false)
+  dropEmbeddings?: boolean;
+}
+
+/**
+ * Run every stage of the memory lifecycle in order: archive old memories,
+ * move long-archived ones to cold storage, and purge expired cold storage
+ * 
+ * Each stage records its count in memory.app_metrics.
+ * 
+ * @param options - Lifecycle windows
+ * @returns The number of memories archived, moved and purged
+ */
+export const runMemoryLifecycle = async ({
+  daysToKeep = 90,
+  keepImportance = DEFAULT_KEEP_IMPORTANCE,
+  coldAfterDays = DEFAULT_COLD_AFTER_DAYS,
+  purgeAfterDays = DEFAULT_PURGE_AFTER_DAYS,
+  dropEmbeddings = false
+}: LifecycleOptions = {}): Promise<{ archived: number; moved: number; purged: number }> => {
+  const archived = await archiveOldMemories(daysToKeep, keepImportance);
+  const moved = await moveToColdStorage(coldAfterDays, { dropEmbeddings });
+  const purged = await purgeColdStorage(purgeAfterDays);
+  
+  return { archived, moved, purged };
+};
+
 /**
  * Optimize the vector index for better performance
  * 
@@ -228,9 +913,10 @@ export const optimizeVectorIndex = async (): Promise<boolean> => {
   try {
     logger.info('Optimizing vector index');
     
-    await query(`
+    // Vacuuming needs the table owner's rights, which tenant connections don't have
+    await withAllTenants(() => query(`
       SELECT memory.optimize_vector_index()
-    `);
+    `));
     
     logger.info('Vector index optimization completed');
     return true;
@@ -239,3 +925,28 @@ export const optimizeVectorIndex = async (): Promise<boolean> => {
     throw error;
   }
 };
+
+/**
+ * Rebuild the ivfflat vector index so its lists fit the memories stored since
+ * it was built. The index stays usable while it is rebuilt
+ * 
+ * @returns True if the rebuild was successful
+ */
+export const rebuildVectorIndex = async (): Promise<boolean> => {
+  try {
+    logger.info('Rebuilding vector index');
+    
+    // REINDEX CONCURRENTLY can't run inside a transaction
+    await withAllTenants(() => query('REINDEX INDEX CONCURRENTLY memory.idx_conversations_embedding'));
+    await query(`
+      INSERT INTO memory.app_metrics (metric_name, metric_value)
+      VALUES ('vector_index_rebuilt', 1)
+    `);
+    
+    logger.info('Vector index rebuild completed');
+    return true;
+  } catch (error) {
+    logger.error('Error rebuilding vector index:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * Compiles structured metadata filters into parameterized SQL over a JSONB column.
+ *
+ * A filter maps a key, or a dotted path to a nested key, to either a value that
+ * must match exactly or an operator object:
+ *
+ *   { role: 'user', 'project.name': 'billing', priority: { $gte: 2 }, tags: { $exists: true } }
+ *
+ * Exact matches are merged into a single containment (@>) check so the GIN
+ * index on metadata can be used; the other operators read the value with -> / ->>.
+ */
+
+// Operators accepted inside an operator object
+export const METADATA_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$exists', '$gt', '$gte', '$lt', '$lte'] as const;
+
+/**
+ * Operators that can be applied to one metadata key
+ */
+export interface MetadataOperators {
+  $eq?: unknown;
+  $ne?: unknown;
+  $in?: unknown[];
+  $nin?: unknown[];
+  $exists?: boolean;
+  $gt?: number | string | Date;
+  $gte?: number | string | Date;
+  $lt?: number | string | Date;
+  $lte?: number | string | Date;
+}
+
+/**
+ * A metadata filter: keys or dotted paths mapped to exact values or operators
+ */
+export type MetadataFilter = Record<string, unknown>;
+
+// SQL comparison for each range operator
+const RANGE_OPERATORS: Record<string, string> = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const isOperatorObject = (value: unknown): value is MetadataOperators => isPlainObject(value)
+  && Object.keys(value).length > 0
+  && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Split a filter key into its path segments
+ *
+ * @param key - A key or dotted path, e.g. 'project.name'
+ * @returns Path segments
+ */
+const parsePath = (key: string): string[] => {
+  const segments = key.split('.');
+  if (segments.some(segment => segment === '')) {
+    throw new Error(`Invalid metadata filter path: "${key}"`);
+  }
+  return segments;
+};
+
+/**
+ * Wrap a value in the nested objects described by a path, for use with @>
+ *
+ * @param segments - Path segments
+ * @param value - The value at the end of the path
+ * @returns e.g. ['project', 'name'] and 'billing' give { project: { name: 'billing' } }
+ */
+const nestValue = (segments: string[], value: unknown): unknown =>
+  segments.reduceRight<unknown>((nested, segment) => ({ [segment]: nested }), value);
+
+/**
+ * Deep-merge containment objects built from different keys of one filter
+ */
+const mergeContainment = (target: Record<string, unknown>, source: unknown): Record<string, unknown> => {
+  if (!isPlainObject(source)) {
+    return target;
+  }
+  for (const [key, value] of Object.entries(source)) {
+    const existing = target[key];
+    if (isPlainObject(value) && isPlainObject(existing)) {
+      mergeContainment(existing, value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+};
+
+/**
+ * Compile a metadata filter into SQL conditions
+ *
+ * @param filter - The metadata filter
+ * @param params - Query parameters, appended to in place
+ * @param column - The (optionally alias-qualified) JSONB column to filter on
+ * @returns SQL conditions to be joined with AND
+ */
+export const compileMetadataFilter = (
+  filter: MetadataFilter | null | undefined,
+  params: unknown[],
+  column: string = 'metadata'
+): string[] => {
+  if (filter === undefined || filter === null) {
+    return [];
+  }
+
+  if (!isPlainObject(filter)) {
+    throw new Error('Metadata filter must be an object');
+  }
+
+  const conditions: string[] = [];
+  const containment: Record<string, unknown> = {};
+
+  // Pushes a parameter and returns its placeholder
+  const param = (value: unknown): string => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Builds column -> 'a' -> 'b' (as jsonb) or column -> 'a' ->> 'b' (as text)
+  const accessor = (segments: string[], asText: boolean): string => {
+    const parents = segments.slice(0, -1).map(segment => ` -> ${param(segment)}::text`).join('');
+    return `(${column}${parents} ${asText ? '->>' : '->'} ${param(segments[segments.length - 1])}::text)`;
+  };
+
+  for (const [key, condition] of Object.entries(filter)) {
+    const segments = parsePath(key);
+
+    if (!isOperatorObject(condition)) {
+      mergeContainment(containment, nestValue(segments, condition));
+      continue;
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      switch (operator) {
+        case '$eq':
+          mergeContainment(containment, nestValue(segments, operand));
+          break;
+
+        case '$ne':
+          conditions.push(`NOT (${column} @> ${param(JSON.stringify(nestValue(segments, operand)))}::jsonb)`);
+          break;
+
+        case '$in':
+        case '$nin': {
+          if (!Array.isArray(operand) || operand.length === 0) {
+            throw new Error(`${operator} for "${key}" must be a non-empty array`);
+          }
+          const candidates = param(operand.map((value: unknown) => JSON.stringify(nestValue(segments, value))));
+          const anyMatch = `${column} @> ANY(${candidates}::jsonb[])`;
+          conditions.push(operator === '$in' ? anyMatch : `NOT (${anyMatch})`);
+          break;
+        }
+
+        case '$exists':
+          if (typeof operand !== 'boolean') {
+            throw new Error(`$exists for "${key}" must be true or false`);
+          }
+          conditions.push(`${accessor(segments, false)} IS ${operand ? 'NOT ' : ''}NULL`);
+          break;
+
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte': {
+          const comparison = RANGE_OPERATORS[operator];
+          if (typeof operand === 'number' && Number.isFinite(operand)) {
+            // Only numeric values take part, so a stray string never breaks the cast
+            const value = accessor(segments, false);
+            conditions.push(`(CASE WHEN jsonb_typeof(${value}) = 'number' THEN (${value} #>> '{}')::numeric END) ${comparison} ${param(operand)}`);
+          } else if (typeof operand === 'string' || operand instanceof Date) {
+            const text = operand instanceof Date ? operand.toISOString() : operand;
+            conditions.push(`${accessor(segments, true)} ${comparison} ${param(text)}`);
+          } else {
+            throw new Error(`${operator} for "${key}" must be a number, string or Date`);
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown metadata filter operator "${operator}" for "${key}"`);
+      }
+    }
+  }
+
+  if (Object.keys(containment).length > 0) {
+    conditions.unshift(`${column} @> ${param(JSON.stringify(containment))}::jsonb`);
+  }
+
+  return conditions;
+};
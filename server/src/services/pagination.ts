@@ -0,0 +1,101 @@
+/**
+ * Opaque cursors for keyset pagination over (timestamp, id) sort keys.
+ *
+ * A cursor carries the sort key of the last row of a page, so the next page
+ * starts right after that row however many rows were added or removed in
+ * between, and without the cost of skipping an OFFSET.
+ */
+
+// Default and largest number of rows in a page
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * A (timestamp, id) sort key
+ */
+export type CursorKey = [string, number | string];
+
+/**
+ * SQL selecting a timestamp column as the cursor_timestamp of each row
+ *
+ * The timestamp is rendered as text with microseconds, which a JS Date would
+ * round to milliseconds, skipping rows that differ by less.
+ *
+ * @param column - The timestamp column
+ * @returns A select list item
+ */
+export const cursorTimestampColumn = (column: string): string => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_timestamp`;
+
+/**
+ * Encode the sort key of a row as a cursor
+ *
+ * @param values - The sort key
+ * @returns The cursor
+ */
+export const encodeCursor = (values: CursorKey): string => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor into a (timestamp, id) sort key
+ *
+ * @param cursor - The cursor
+ * @returns The timestamp and the ID
+ */
+export const decodeCursor = (cursor: string): CursorKey => {
+  let values: unknown = null;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    // Reported below
+  }
+
+  if (!Array.isArray(values) || values.length !== 2 || typeof values[0] !== 'string' || Number.isNaN(Date.parse(values[0]))) {
+    throw new Error('Invalid cursor');
+  }
+
+  return values as CursorKey;
+};
+
+/**
+ * Check a page size, defaulting it when left out
+ *
+ * @param limit - The requested page size
+ * @returns The page size
+ */
+export const pageLimit = (limit?: number | null): number => {
+  if (limit === undefined || limit === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Page size must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  return limit;
+};
+
+/**
+ * Cut rows fetched with one more than the page size into a page and the
+ * cursor of the next one, dropping the cursor_timestamp column
+ *
+ * @param rows - The rows, in order, with cursor_timestamp
+ * @param limit - The page size
+ * @param idColumn - The column breaking ties between equal timestamps
+ * @returns The page's rows, and the next cursor, or null on the last page
+ */
+export const toPage = <T extends Record<string, unknown>>(
+  rows: T[],
+  limit: number,
+  idColumn = 'id'
+): { rows: T[]; nextCursor: string | null } => {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit
+    ? encodeCursor([String(last.cursor_timestamp), last[idColumn] as number | string])
+    : null;
+
+  for (const row of page) {
+    delete row.cursor_timestamp;
+  }
+
+  return { rows: page, nextCursor };
+};
@@ -0,0 +1,394 @@
+import { query, transaction } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { compileMetadataFilter, MetadataFilter } from './metadata-filter.js';
+
+// What a retention policy does to the memories it matches
+export const RETENTION_ACTIONS = ['archive', 'purge'] as const;
+export type RetentionAction = typeof RETENTION_ACTIONS[number];
+
+/**
+ * A named retention policy
+ */
+export interface RetentionPolicy {
+  // Unique policy name
+  name: string;
+  // Age in days from which matching memories are acted on
+  keepDays: number;
+  action: RetentionAction;
+  // Optional user ID to match
+  userId?: string | null;
+  // Optional prefix of the conversation IDs to match
+  conversationPrefix?: string | null;
+  // Optional metadata filter
+  metadata?: MetadataFilter | null;
+  // Leave memories with metadata "pinned": true alone (default: true)
+  exemptPinned?: boolean;
+  // Optionally leave memories at least this important alone
+  exemptImportance?: number | null;
+  // Whether applying all policies includes this one (default: true)
+  enabled?: boolean;
+}
+
+/**
+ * A row of memory.retention_policies
+ */
+export interface RetentionPolicyRow {
+  id: number;
+  name: string;
+  user_id: string | null;
+  conversation_prefix: string | null;
+  metadata: MetadataFilter | null;
+  keep_days: number;
+  action: RetentionAction;
+  exempt_pinned: boolean;
+  exempt_importance: number | null;
+  enabled: boolean;
+  created_at: Date;
+  updated_at: Date;
+  last_run_at: Date | null;
+  last_run_count: number | null;
+}
+
+/**
+ * A memory a dry run would act on
+ */
+export interface RetentionSample {
+  id: number;
+  conversation_id: string;
+  user_id: string | null;
+  timestamp: Date;
+  // The first 100 characters of the content
+  preview: string;
+  // The table the memory is in
+  source: string;
+}
+
+/**
+ * The outcome of applying, or previewing, a retention policy
+ */
+export interface RetentionResult {
+  name: string;
+  action: RetentionAction;
+  dryRun: boolean;
+  count: number;
+  // Up to 10 of the matching memories, for a dry run
+  sample?: RetentionSample[];
+}
+
+// Number of matching memories a dry run shows
+const DRY_RUN_SAMPLE_SIZE = 10;
+
+// Tables each action applies to; purging also clears matching cold storage
+const RETENTION_TARGETS: Record<RetentionAction, { table: string; condition: string | null }[]> = {
+  archive: [{ table: 'memory.conversations', condition: 'is_archived = FALSE' }],
+  purge: [{ table: 'memory.conversations', condition: null }, { table: 'memory.archive', condition: null }]
+};
+
+/**
+ * Validate a retention policy and fill in its defaults
+ *
+ * @param policy - The policy
+ * @returns The normalized policy
+ */
+export const normalizeRetentionPolicy = (policy: RetentionPolicy): Required<RetentionPolicy> => {
+  const {
+    name,
+    keepDays,
+    action,
+    userId = null,
+    conversationPrefix = null,
+    metadata = null,
+    exemptPinned = true,
+    exemptImportance = null,
+    enabled = true
+  } = policy || ({} as RetentionPolicy);
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Retention policy name is required');
+  }
+
+  if (!Number.isInteger(keepDays) || keepDays < 1) {
+    throw new Error(`keepDays must be a positive integer, got ${keepDays}`);
+  }
+
+  if (!RETENTION_ACTIONS.includes(action)) {
+    throw new Error(`Unknown retention action: ${action}`);
+  }
+
+  if (exemptImportance !== null && (typeof exemptImportance !== 'number' || !(exemptImportance >= 0 && exemptImportance <= 1))) {
+    throw new Error(`exemptImportance must be a number between 0 and 1, got ${exemptImportance}`);
+  }
+
+  // Compile the filter once so a bad one is rejected before it is stored
+  compileMetadataFilter(metadata, []);
+
+  return {
+    name: name.trim(),
+    keepDays,
+    action,
+    userId,
+    conversationPrefix,
+    metadata,
+    exemptPinned: exemptPinned !== false,
+    exemptImportance,
+    enabled: enabled !== false
+  };
+};
+
+/**
+ * Build the conditions selecting the memories a policy applies to; they hold
+ * for both memory.conversations and memory.archive
+ *
+ * @param policy - A normalized retention policy
+ * @param params - Query parameters, appended to in place
+ * @returns SQL conditions to be joined with AND
+ */
+export const buildRetentionConditions = (policy: Required<RetentionPolicy>, params: unknown[]): string[] => {
+  params.push(policy.keepDays);
+  const conditions = [`timestamp < NOW() - ($${params.length} * INTERVAL '1 day')`];
+
+  if (policy.userId) {
+    params.push(policy.userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+
+  if (policy.conversationPrefix) {
+    params.push(policy.conversationPrefix);
+    conditions.push(`starts_with(conversation_id, $${params.length})`);
+  }
+
+  conditions.push(...compileMetadataFilter(policy.metadata, params));
+
+  if (policy.exemptPinned) {
+    conditions.push(`NOT COALESCE(metadata @> '{"pinned": true}'::jsonb, FALSE)`);
+  }
+
+  if (policy.exemptImportance !== null) {
+    params.push(policy.exemptImportance);
+    conditions.push(`COALESCE(importance, 0) < $${params.length}`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Turn a stored policy row back into a normalized policy
+ */
+const policyFromRow = (row: RetentionPolicyRow): Required<RetentionPolicy> => ({
+  name: row.name,
+  keepDays: row.keep_days,
+  action: row.action,
+  userId: row.user_id,
+  conversationPrefix: row.conversation_prefix,
+  metadata: row.metadata,
+  exemptPinned: row.exempt_pinned,
+  exemptImportance: row.exempt_importance,
+  enabled: row.enabled
+});
+
+/**
+ * Create a retention policy, or replace the one with the same name
+ *
+ * @param policy - The policy
+ * @returns The stored policy row
+ */
+export const saveRetentionPolicy = async (policy: RetentionPolicy): Promise<RetentionPolicyRow> => {
+  try {
+    const normalized = normalizeRetentionPolicy(policy);
+    logger.info(`Saving retention policy ${normalized.name}`);
+
+    const result = await query(`
+      INSERT INTO memory.retention_policies
+        (name, user_id, conversation_prefix, metadata, keep_days, action, exempt_pinned, exempt_importance, enabled)
+      VALUES
+        ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (tenant_id, name) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        conversation_prefix = EXCLUDED.conversation_prefix,
+        metadata = EXCLUDED.metadata,
+        keep_days = EXCLUDED.keep_days,
+        action = EXCLUDED.action,
+        exempt_pinned = EXCLUDED.exempt_pinned,
+        exempt_importance = EXCLUDED.exempt_importance,
+        enabled = EXCLUDED.enabled,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      normalized.name,
+      normalized.userId,
+      normalized.conversationPrefix,
+      normalized.metadata === null ? null : JSON.stringify(normalized.metadata),
+      normalized.keepDays,
+      normalized.action,
+      normalized.exemptPinned,
+      normalized.exemptImportance,
+      normalized.enabled
+    ]);
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error saving retention policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a retention policy by name
+ *
+ * @param name - The policy name
+ * @returns The policy row, or null if not found
+ */
+export const getRetentionPolicy = async (name: string): Promise<RetentionPolicyRow | null> => {
+  const result = await query('SELECT * FROM memory.retention_policies WHERE name = $1', [name]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List all retention policies
+ *
+ * @returns Policy rows, in creation order
+ */
+export const listRetentionPolicies = async (): Promise<RetentionPolicyRow[]> => {
+  const result = await query('SELECT * FROM memory.retention_policies ORDER BY id');
+  return result.rows;
+};
+
+/**
+ * Delete a retention policy by name
+ *
+ * @param name - The policy name
+ * @returns True if the policy was deleted
+ */
+export const deleteRetentionPolicy = async (name: string): Promise<boolean> => {
+  try {
+    logger.info(`Deleting retention policy ${name}`);
+
+    const result = await query('DELETE FROM memory.retention_policies WHERE name = $1 RETURNING id', [name]);
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error(`Error deleting retention policy ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Count and sample the memories a policy would act on, without changing anything
+ */
+const previewRetentionPolicy = async (policy: Required<RetentionPolicy>): Promise<{ count: number; sample: RetentionSample[] }> => {
+  let count = 0;
+  let sample: RetentionSample[] = [];
+
+  for (const target of RETENTION_TARGETS[policy.action]) {
+    const params: unknown[] = [];
+    const conditions = buildRetentionConditions(policy, params);
+    if (target.condition) {
+      conditions.unshift(target.condition);
+    }
+
+    const counted = await query(`
+      SELECT COUNT(*)::int AS count
+      FROM ${target.table}
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+    count += counted.rows[0].count;
+
+    if (sample.length < DRY_RUN_SAMPLE_SIZE) {
+      params.push(DRY_RUN_SAMPLE_SIZE - sample.length);
+      const sampled = await query(`
+        SELECT id, conversation_id, user_id, timestamp, left(content, 100) AS preview, '${target.table}' AS source
+        FROM ${target.table}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp
+        LIMIT $${params.length}
+      `, params);
+      sample = sample.concat(sampled.rows);
+    }
+  }
+
+  return { count, sample };
+};
+
+/**
+ * Apply a retention policy, or preview what it would do
+ *
+ * Archiving hides matching active memories; purging deletes matching memories
+ * for good, from both memory.conversations and the memory.archive cold storage.
+ * A real run records its count in memory.app_metrics and on the policy.
+ *
+ * @param name - The policy name
+ * @param options - dryRun only counts and samples the matching memories (default: false)
+ * @returns The action taken and the number of memories it applied to
+ */
+export const applyRetentionPolicy = async (
+  name: string,
+  { dryRun = false }: { dryRun?: boolean } = {}
+): Promise<RetentionResult> => {
+  try {
+    const row = await getRetentionPolicy(name);
+    if (!row) {
+      throw new Error(`Retention policy ${name} not found`);
+    }
+
+    const policy = policyFromRow(row);
+    logger.info(`${dryRun ? 'Previewing' : 'Applying'} retention policy ${name} (${policy.action} after ${policy.keepDays} days)`);
+
+    if (dryRun) {
+      const { count, sample } = await previewRetentionPolicy(policy);
+      logger.info(`Retention policy ${name} would ${policy.action} ${count} memories`);
+      return { name, action: policy.action, dryRun: true, count, sample };
+    }
+
+    const count = await transaction(async (client) => {
+      let affected = 0;
+
+      for (const target of RETENTION_TARGETS[policy.action]) {
+        const params: unknown[] = [];
+        const conditions = buildRetentionConditions(policy, params);
+        if (target.condition) {
+          conditions.unshift(target.condition);
+        }
+
+        const result = policy.action === 'archive'
+          ? await client.query(`UPDATE ${target.table} SET is_archived = TRUE WHERE ${conditions.join(' AND ')}`, params)
+          : await client.query(`DELETE FROM ${target.table} WHERE ${conditions.join(' AND ')}`, params);
+        affected += result.rowCount ?? 0;
+      }
+
+      await client.query(`
+        INSERT INTO memory.app_metrics (metric_name, metric_value)
+        VALUES ($1, $2)
+      `, [policy.action === 'archive' ? 'memories_archived' : 'memories_purged', affected]);
+
+      await client.query(`
+        UPDATE memory.retention_policies
+        SET last_run_at = NOW(), last_run_count = $2
+        WHERE name = $1
+      `, [name, affected]);
+
+      return affected;
+    });
+
+    logger.info(`Retention policy ${name}: ${policy.action === 'archive' ? 'archived' : 'purged'} ${count} memories`);
+    return { name, action: policy.action, dryRun: false, count };
+  } catch (error) {
+    logger.error(`Error applying retention policy ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Apply every enabled retention policy in creation order
+ *
+ * @param options - Run options, as for applyRetentionPolicy
+ * @returns One result per policy
+ */
+export const applyRetentionPolicies = async (options: { dryRun?: boolean } = {}): Promise<RetentionResult[]> => {
+  const policies = await listRetentionPolicies();
+  const results: RetentionResult[] = [];
+
+  for (const policy of policies.filter(row => row.enabled)) {
+    results.push(await applyRetentionPolicy(policy.name, options));
+  }
+
+  return results;
+};
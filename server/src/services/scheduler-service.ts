@@ -0,0 +1,324 @@
+import os from 'os';
+import { query, getClient } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { parseCronSchedule, nextCronRun, CronSchedule } from './cron-schedule.js';
+import {
+  archiveOldMemories,
+  moveToColdStorage,
+  purgeColdStorage,
+  optimizeVectorIndex,
+  rebuildVectorIndex
+} from './memory-service.js';
+import { applyRetentionPolicies } from './retention-service.js';
+import { consolidateMemories } from './consolidation-service.js';
+import { forEachTenant } from './tenant-service.js';
+
+/**
+ * A maintenance job the scheduler can run
+ */
+export interface MaintenanceJob {
+  description: string;
+  // Cron expression used when MAINTENANCE_<NAME>_SCHEDULE is not set
+  defaultSchedule: string;
+  // Runs the job, returning the number of rows it affected when that means something
+  run: () => Promise<number | null>;
+}
+
+/**
+ * A row of memory.maintenance_runs
+ */
+export interface MaintenanceRun {
+  id: number;
+  job_name: string;
+  instance_id: string | null;
+  status: 'running' | 'completed' | 'failed';
+  rows_affected: number | null;
+  error: string | null;
+  scheduled_at: Date | null;
+  started_at: Date;
+  finished_at: Date | null;
+}
+
+/**
+ * A running scheduler
+ */
+export interface MaintenanceScheduler {
+  // When each scheduled job next runs
+  nextRuns: () => Record<string, Date>;
+  stop: () => void;
+}
+
+/**
+ * Run a job step as each tenant, adding up the rows each affected
+ * @param step - The step, run inside each tenant's scope
+ * @returns The total rows affected
+ */
+const sumOverTenants = async (step: () => Promise<number>): Promise<number> =>
+  Object.values(await forEachTenant(step)).reduce((sum, count) => sum + count, 0);
+
+// Jobs that follow each tenant's data and policies run once per tenant; the
+// index jobs work on the whole table
+export const MAINTENANCE_JOBS: Record<string, MaintenanceJob> = {
+  archive: {
+    description: 'Archive memories older than 90 days with importance below 0.8',
+    defaultSchedule: '0 3 * * *',
+    run: () => sumOverTenants(() => archiveOldMemories())
+  },
+  consolidate: {
+    description: 'Summarize the older messages of long conversations',
+    defaultSchedule: '45 2 * * *',
+    run: () => sumOverTenants(async () => (await consolidateMemories()).summarized)
+  },
+  retention: {
+    description: 'Apply every enabled retention policy',
+    defaultSchedule: '15 3 * * *',
+    run: () => sumOverTenants(async () => (await applyRetentionPolicies()).reduce((sum, result) => sum + result.count, 0))
+  },
+  purge: {
+    description: 'Move long-archived memories to cold storage and purge expired cold storage',
+    defaultSchedule: '30 3 * * *',
+    run: () => sumOverTenants(async () => (await moveToColdStorage()) + (await purgeColdStorage()))
+  },
+  optimize: {
+    description: 'Vacuum and analyze the memory table',
+    defaultSchedule: '0 4 * * *',
+    run: async () => {
+      await optimizeVectorIndex();
+      return null;
+    }
+  },
+  reindex: {
+    description: 'Rebuild the vector index',
+    defaultSchedule: '0 5 * * 0',
+    run: async () => {
+      await rebuildVectorIndex();
+      return null;
+    }
+  }
+};
+
+// setTimeout fires immediately for delays beyond a signed 32-bit millisecond count
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Identifies this server among the replicas sharing a database
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Read each job's schedule from MAINTENANCE_<NAME>_SCHEDULE, falling back to
+ * its default; an empty value turns the job off
+ *
+ * @returns Cron expressions by job name
+ */
+export const getMaintenanceSchedules = (): Record<string, string> => {
+  const schedules: Record<string, string> = {};
+
+  for (const [name, job] of Object.entries(MAINTENANCE_JOBS)) {
+    const schedule = process.env[`MAINTENANCE_${name.toUpperCase()}_SCHEDULE`] ?? job.defaultSchedule;
+    if (schedule.trim() !== '') {
+      schedules[name] = schedule;
+    }
+  }
+
+  return schedules;
+};
+
+/**
+ * Run a maintenance job once, recording the run in memory.maintenance_runs
+ *
+ * A Postgres advisory lock on the job name keeps replicas sharing the database
+ * from running the job at the same time. With scheduledAt, a replica that gets
+ * the lock after another already ran that occurrence skips it too.
+ *
+ * @param name - The job to run
+ * @param scheduledAt - The occurrence of the schedule this run is for, if any
+ * @returns The recorded run, or null if another instance ran or is running the job
+ */
+export const runMaintenanceJob = async (name: string, scheduledAt: Date | null = null): Promise<MaintenanceRun | null> => {
+  const job = MAINTENANCE_JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown maintenance job: ${name}`);
+  }
+
+  // Session-level advisory locks belong to a connection, so hold one for the whole run
+  const client = await getClient();
+
+  try {
+    const lock = await client.query(`
+      SELECT pg_try_advisory_lock(hashtext('memory.maintenance'), hashtext($1)) AS locked
+    `, [name]);
+
+    if (!lock.rows[0].locked) {
+      logger.info(`Maintenance job ${name} is running on another instance, skipping`);
+      return null;
+    }
+
+    try {
+      if (scheduledAt) {
+        const done = await client.query(`
+          SELECT 1
+          FROM memory.maintenance_runs
+          WHERE job_name = $1
+            AND scheduled_at >= $2
+          LIMIT 1
+        `, [name, scheduledAt]);
+
+        if (done.rows.length > 0) {
+          logger.info(`Maintenance job ${name} already ran for ${scheduledAt.toISOString()}, skipping`);
+          return null;
+        }
+      }
+
+      const started = await client.query(`
+        INSERT INTO memory.maintenance_runs (job_name, instance_id, scheduled_at)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [name, INSTANCE_ID, scheduledAt]);
+      const runId = started.rows[0].id;
+
+      logger.info(`Running maintenance job ${name} (run ${runId})`);
+
+      let finished;
+      try {
+        const rowsAffected = await job.run();
+
+        finished = await client.query(`
+          UPDATE memory.maintenance_runs
+          SET status = 'completed', rows_affected = $2, finished_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [runId, rowsAffected]);
+
+        logger.info(`Maintenance job ${name} completed${rowsAffected === null ? '' : `, ${rowsAffected} rows affected`}`);
+      } catch (error) {
+        logger.error(`Maintenance job ${name} failed:`, error);
+
+        finished = await client.query(`
+          UPDATE memory.maintenance_runs
+          SET status = 'failed', error = $2, finished_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [runId, error instanceof Error ? error.message : String(error)]);
+      }
+
+      return finished.rows[0];
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext('memory.maintenance'), hashtext($1))`, [name]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List recent maintenance runs, newest first
+ *
+ * @param jobName - Only list runs of this job
+ * @param limit - Maximum number of runs to list
+ * @returns The runs
+ */
+export const listMaintenanceRuns = async (jobName?: string, limit: number = 20): Promise<MaintenanceRun[]> => {
+  const params: unknown[] = [limit];
+  let condition = '';
+
+  if (jobName) {
+    params.push(jobName);
+    condition = 'WHERE job_name = $2';
+  }
+
+  const result = await query(`
+    SELECT *
+    FROM memory.maintenance_runs
+    ${condition}
+    ORDER BY started_at DESC
+    LIMIT $1
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Start running maintenance jobs on their schedules
+ *
+ * Each job waits for its next occurrence; an occurrence that comes up while the
+ * job is still running in this process is skipped.
+ *
+ * @param schedules - Cron expressions by job name (default: getMaintenanceSchedules())
+ * @returns The scheduler, to report on and stop
+ */
+export const startMaintenanceScheduler = (
+  schedules: Record<string, string> = getMaintenanceSchedules()
+): MaintenanceScheduler => {
+  const timers = new Map<string, NodeJS.Timeout>();
+  const nextRuns = new Map<string, Date>();
+  const running = new Set<string>();
+  let stopped = false;
+
+  // Parse everything up front so a bad expression fails startup rather than a job
+  const parsed = new Map<string, CronSchedule>();
+  for (const [name, expression] of Object.entries(schedules)) {
+    if (!MAINTENANCE_JOBS[name]) {
+      throw new Error(`Unknown maintenance job: ${name}`);
+    }
+    parsed.set(name, parseCronSchedule(expression));
+  }
+
+  const wait = (name: string, at: Date) => {
+    const delay = Math.min(Math.max(at.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+
+    const timer = setTimeout(() => {
+      if (stopped) {
+        return;
+      }
+      // Long waits are taken in steps
+      if (Date.now() < at.getTime()) {
+        wait(name, at);
+        return;
+      }
+      fire(name, at);
+    }, delay);
+
+    // Don't keep the process alive just for maintenance
+    timer.unref();
+    timers.set(name, timer);
+  };
+
+  const schedule = (name: string) => {
+    const at = nextCronRun(parsed.get(name)!);
+    nextRuns.set(name, at);
+    wait(name, at);
+  };
+
+  const fire = (name: string, at: Date) => {
+    schedule(name);
+
+    if (running.has(name)) {
+      logger.warn(`Maintenance job ${name} is still running, skipping the run scheduled for ${at.toISOString()}`);
+      return;
+    }
+
+    running.add(name);
+    runMaintenanceJob(name, at)
+      .catch((error) => {
+        logger.error(`Error running maintenance job ${name}:`, error);
+      })
+      .finally(() => {
+        running.delete(name);
+      });
+  };
+
+  for (const name of parsed.keys()) {
+    schedule(name);
+    logger.info(`Scheduled maintenance job ${name} (${schedules[name]}), next run at ${nextRuns.get(name)!.toISOString()}`);
+  }
+
+  return {
+    nextRuns: () => Object.fromEntries(nextRuns),
+    stop: () => {
+      stopped = true;
+      for (const timer of timers.values()) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+    }
+  };
+};
@@ -0,0 +1,52 @@
+import { query } from '../db/client.js';
+import { getActiveEmbeddingProvider } from './embedding-service.js';
+
+/**
+ * Result of comparing the embedding provider with the embedding column
+ */
+export interface DimensionCheck {
+  valid: boolean;
+  provider: string;
+  providerDimension: number;
+  columnDimension: number | null;
+}
+
+/**
+ * Get the dimension of a vector column on memory.conversations
+ *
+ * @param column - The column name
+ * @returns The dimension, or null if the column doesn't exist or isn't a fixed-size vector
+ */
+export const getEmbeddingColumnDimension = async (column: string = 'embedding'): Promise<number | null> => {
+  const result = await query(`
+    SELECT format_type(atttypid, atttypmod) AS column_type
+    FROM pg_attribute
+    WHERE attrelid = 'memory.conversations'::regclass
+      AND attname = $1
+      AND NOT attisdropped
+  `, [column]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const match = /^vector\((\d+)\)$/.exec(result.rows[0].column_type);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Check that the active embedding provider's dimension matches the embedding column
+ *
+ * @returns The comparison result
+ */
+export const validateEmbeddingDimension = async (): Promise<DimensionCheck> => {
+  const provider = getActiveEmbeddingProvider();
+  const columnDimension = await getEmbeddingColumnDimension();
+
+  return {
+    valid: columnDimension === provider.dimension,
+    provider: provider.name,
+    providerDimension: provider.dimension,
+    columnDimension
+  };
+};
@@ -0,0 +1,611 @@
+import { query } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbedding } from './embedding-service.js';
+import { compileMetadataFilter, MetadataFilter } from './metadata-filter.js';
+import { compileTagFilter } from './tag-service.js';
+import { excludeSuperseded, normalizeLinkTypes, attachLinkedMemories, ExpandedLink } from './link-service.js';
+
+// Supported search modes
+export const SEARCH_MODES = ['vector', 'text', 'hybrid'] as const;
+export type SearchMode = typeof SEARCH_MODES[number];
+
+// Supported ways of fusing vector and text rankings in hybrid mode
+export const FUSION_METHODS = ['rrf', 'weighted'] as const;
+export type FusionMethod = typeof FUSION_METHODS[number];
+
+// Supported ways of ordering vector search results
+export const RANKING_STRATEGIES = ['similarity', 'recency'] as const;
+export type RankingStrategy = typeof RANKING_STRATEGIES[number];
+
+// How chunks of the same document are returned: each on its own, only the
+// best one per document, or the best one reported as its parent document
+export const CHUNK_RESULTS = ['all', 'best', 'parent'] as const;
+export type ChunkResults = typeof CHUNK_RESULTS[number];
+
+// How consolidated conversations are searched: summaries alongside the
+// messages they cover, summaries in place of those messages, or summaries only
+export const SUMMARY_RESULTS = ['include', 'prefer', 'only'] as const;
+export type SummaryResults = typeof SUMMARY_RESULTS[number];
+
+// Text search configuration used by the content_tsv column
+const TEXT_SEARCH_CONFIG = 'english';
+
+// Reciprocal rank fusion constant from the original RRF paper
+const DEFAULT_RRF_K = 60;
+
+// Defaults for recency-aware ranking: a memory loses half its recency score every
+// halfLifeDays, and whatever weight is left over goes to similarity
+const DEFAULT_HALF_LIFE_DAYS = 30;
+const DEFAULT_RECENCY_WEIGHT = 0.3;
+const DEFAULT_ACCESS_WEIGHT = 0.1;
+const DEFAULT_IMPORTANCE_WEIGHT = 0.1;
+
+// Each retrieval moves a memory's importance this fraction of the way towards
+// IMPORTANCE_RETRIEVAL_CAP. The cap is below the 0.8 from which archiveOldMemories
+// keeps memories by default, so being found often never exempts a memory from
+// archival or retention on its own; importance set above it is left alone
+const IMPORTANCE_RETRIEVAL_BOOST = 0.05;
+const IMPORTANCE_RETRIEVAL_CAP = 0.75;
+
+/**
+ * Options for searching memories
+ */
+export interface SearchOptions extends MemoryFilter {
+  limit?: number;
+  includeArchived?: boolean;
+  // Also search memories that a newer memory supersedes
+  includeSuperseded?: boolean;
+  mode?: SearchMode;
+  fusion?: FusionMethod;
+  vectorWeight?: number;
+  textWeight?: number;
+  rrfK?: number;
+  minSimilarity?: number | null;
+  ranking?: RankingStrategy;
+  halfLifeDays?: number;
+  recencyWeight?: number;
+  accessWeight?: number;
+  importanceWeight?: number;
+  chunks?: ChunkResults;
+  summaries?: SummaryResults;
+  // Attach the memories one link away from each result, in linked
+  expandLinks?: boolean;
+  // With expandLinks, only follow these links
+  linkTypes?: string[] | null;
+}
+
+/**
+ * A row of memory.conversations; queries that select fewer columns leave the others out
+ */
+export interface Memory {
+  id: number;
+  conversation_id: string;
+  user_id: string | null;
+  content: string;
+  metadata: Record<string, unknown> | null;
+  timestamp: Date;
+  updated_at?: Date;
+  last_accessed?: Date;
+  access_count?: number;
+  importance?: number;
+  is_archived?: boolean;
+  parent_id?: number | null;
+  chunk_index?: number | null;
+  memory_type?: string;
+  summary_id?: number | null;
+  embedding_model?: string | null;
+  tags?: string[];
+}
+
+/**
+ * A memory found by searchMemories, with the scores of the search mode that found it
+ */
+export interface SearchResult extends Memory {
+  distance?: number;
+  similarity?: number;
+  text_score?: number;
+  score?: number;
+  // With chunks 'parent', the chunk that matched
+  chunk_id?: number | null;
+  chunk_content?: string | null;
+  // With expandLinks, the memories one link away
+  linked?: ExpandedLink[];
+}
+
+interface BuiltQuery {
+  sql: string;
+  params: unknown[];
+  // How to order the query's rows when reading them back
+  orderBy: string;
+}
+
+/**
+ * SQL turning a query string parameter into an OR-ed tsquery, so a document
+ * matching any of the query's terms is a candidate and ts_rank decides the order
+ */
+const tsQuerySql = (param: string): string =>
+  `replace(plainto_tsquery('${TEXT_SEARCH_CONFIG}', ${param})::text, '&', '|')::tsquery`;
+
+/**
+ * Normalize search arguments, accepting either an options object or the
+ * legacy positional (limit, userId, conversationId) form
+ */
+export const normalizeSearchOptions = (
+  options: SearchOptions | number | undefined,
+  userId: string | null,
+  conversationId: string | null
+): SearchOptions => {
+  if (typeof options === 'number' || options === undefined) {
+    return { limit: options ?? 5, userId, conversationId };
+  }
+  return options;
+};
+
+/**
+ * Which memories a search, listing or bulk operation applies to
+ */
+export interface MemoryFilter {
+  userId?: string | null;
+  conversationId?: string | null;
+  metadata?: MetadataFilter | null;
+  // Tags a memory must all carry
+  tags?: string[] | string | null;
+  since?: string | Date | null;
+  until?: string | Date | null;
+}
+
+/**
+ * Build the conditions selecting memories by user, conversation, metadata, tags and time range
+ *
+ * @param filter - The memory filter
+ * @param params - Query parameters, appended to in place
+ * @param column - Qualifies a column name with the table alias, if any
+ * @returns SQL conditions to be joined with AND
+ */
+export const buildMemoryFilters = (
+  filter: MemoryFilter,
+  params: unknown[],
+  column: (name: string) => string = (name) => name
+): string[] => {
+  const conditions: string[] = [];
+
+  if (filter.userId) {
+    params.push(filter.userId);
+    conditions.push(`${column('user_id')} = $${params.length}`);
+  }
+
+  if (filter.conversationId) {
+    params.push(filter.conversationId);
+    conditions.push(`${column('conversation_id')} = $${params.length}`);
+  }
+
+  conditions.push(...compileMetadataFilter(filter.metadata, params, column('metadata')));
+  conditions.push(...compileTagFilter(filter.tags, params, column));
+
+  if (filter.since) {
+    params.push(filter.since);
+    conditions.push(`${column('timestamp')} >= $${params.length}`);
+  }
+
+  if (filter.until) {
+    params.push(filter.until);
+    conditions.push(`${column('timestamp')} <= $${params.length}`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the WHERE conditions shared by every search mode
+ *
+ * @param opts - Normalized search options
+ * @param params - Query parameters, appended to in place
+ * @param alias - Optional table alias to qualify columns with
+ * @returns SQL conditions joined with AND
+ */
+export const buildSearchFilters = (opts: SearchOptions, params: unknown[], alias: string = ''): string => {
+  const column = (name: string) => (alias ? `${alias}.${name}` : name);
+  // Chunked documents are found through their chunks, never through the parent row
+  const conditions = opts.includeArchived
+    ? [`${column('is_chunked')} = FALSE`]
+    : [`${column('is_archived')} = FALSE`, `${column('is_chunked')} = FALSE`];
+
+  if (opts.summaries === 'prefer') {
+    conditions.push(`${column('summary_id')} IS NULL`);
+  } else if (opts.summaries === 'only') {
+    conditions.push(`${column('memory_type')} = 'summary'`);
+  }
+
+  if (!opts.includeSuperseded) {
+    conditions.push(excludeSuperseded(column));
+  }
+
+  conditions.push(...buildMemoryFilters(opts, params, column));
+
+  return conditions.join(' AND ');
+};
+
+/**
+ * Build the minimum similarity condition, expressed as a maximum cosine
+ * distance from the query embedding ($1)
+ *
+ * @param opts - Normalized search options
+ * @param params - Query parameters, appended to in place
+ * @returns A function qualifying the condition with a table alias, or null without a cutoff
+ */
+const buildSimilarityFilter = (opts: SearchOptions, params: unknown[]): ((alias?: string) => string) | null => {
+  if (opts.minSimilarity === undefined || opts.minSimilarity === null) {
+    return null;
+  }
+  params.push(1 - opts.minSimilarity);
+  const maxDistanceParam = `$${params.length}`;
+  return (alias = '') => `${alias ? `${alias}.` : ''}embedding <=> $1 <= ${maxDistanceParam}`;
+};
+
+/**
+ * Number of candidates to fetch before re-ranking or fusing them down to the limit
+ */
+const candidatePoolSize = (limit: number): number => Math.max(limit * 4, 20);
+
+/**
+ * Re-rank a pool of vector candidates by blending their similarity with an
+ * exponential decay on age, a saturating boost for frequently retrieved
+ * memories and their importance
+ *
+ * @param candidatesSql - Query returning the candidates, with similarity, timestamp, access_count and importance
+ * @param params - Query parameters, appended to in place
+ * @param opts - Normalized search options
+ * @returns The ranking query
+ */
+const buildRecencyRanking = (candidatesSql: string, params: unknown[], opts: SearchOptions): string => {
+  params.push(opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS);
+  const halfLifeParam = `$${params.length}::float`;
+  params.push(opts.recencyWeight ?? DEFAULT_RECENCY_WEIGHT);
+  const recencyWeightParam = `$${params.length}::float`;
+  params.push(opts.accessWeight ?? DEFAULT_ACCESS_WEIGHT);
+  const accessWeightParam = `$${params.length}::float`;
+  params.push(opts.importanceWeight ?? DEFAULT_IMPORTANCE_WEIGHT);
+  const importanceWeightParam = `$${params.length}::float`;
+  params.push(opts.limit);
+
+  return `
+    SELECT
+      scored.*,
+      (1 - ${recencyWeightParam} - ${accessWeightParam} - ${importanceWeightParam}) * scored.similarity
+        + ${recencyWeightParam} * scored.recency_score
+        + ${accessWeightParam} * scored.access_score
+        + ${importanceWeightParam} * scored.importance as score
+    FROM (
+      SELECT
+        candidates.*,
+        exp(-ln(2) * GREATEST(EXTRACT(EPOCH FROM NOW() - candidates.timestamp), 0) / 86400.0 / ${halfLifeParam}) as recency_score,
+        1 - 1 / (1 + ln(1 + candidates.access_count::float)) as access_score
+      FROM (${candidatesSql}) candidates
+    ) scored
+    ORDER BY score DESC
+    LIMIT $${params.length}
+  `;
+};
+
+/**
+ * Build a pure vector similarity query
+ */
+const buildVectorQuery = (queryEmbedding: string, opts: SearchOptions): BuiltQuery => {
+  const params: unknown[] = [queryEmbedding];
+  const filters = buildSearchFilters(opts, params);
+  const similarityFilter = buildSimilarityFilter(opts, params);
+  const recency = opts.ranking === 'recency';
+  params.push(recency ? candidatePoolSize(opts.limit ?? 5) : opts.limit);
+
+  const sql = `
+    SELECT
+      id,
+      conversation_id,
+      user_id,
+      content,
+      timestamp,
+      metadata,
+      last_accessed,
+      access_count,
+      importance,
+      is_archived,
+      parent_id,
+      chunk_index,
+      memory_type,
+      summary_id,
+      embedding <=> $1 as distance,
+      1 - (embedding <=> $1) as similarity
+    FROM memory.conversations
+    WHERE ${filters}${similarityFilter ? ` AND ${similarityFilter()}` : ''}
+    ORDER BY distance ASC
+    LIMIT $${params.length}
+  `;
+
+  return recency
+    ? { sql: buildRecencyRanking(sql, params, opts), params, orderBy: 'score DESC' }
+    : { sql, params, orderBy: 'distance ASC' };
+};
+
+/**
+ * Build a pure full-text query ranked with ts_rank
+ */
+const buildTextQuery = (queryText: string, opts: SearchOptions): BuiltQuery => {
+  const params: unknown[] = [queryText];
+  const filters = buildSearchFilters(opts, params);
+  params.push(opts.limit);
+
+  const sql = `
+    WITH q AS (SELECT ${tsQuerySql('$1')} AS query)
+    SELECT
+      id,
+      conversation_id,
+      user_id,
+      content,
+      timestamp,
+      metadata,
+      is_archived,
+      parent_id,
+      chunk_index,
+      memory_type,
+      summary_id,
+      ts_rank(content_tsv, q.query, 1) as text_score
+    FROM memory.conversations, q
+    WHERE content_tsv @@ q.query
+      AND ${filters}
+    ORDER BY text_score DESC
+    LIMIT $${params.length}
+  `;
+
+  return { sql, params, orderBy: 'text_score DESC' };
+};
+
+/**
+ * Build a hybrid query fusing the vector and full-text rankings
+ *
+ * Each side ranks its own candidate pool, and the pools are fused either with
+ * reciprocal rank fusion (weight / (k + rank)) or a weighted sum of the
+ * cosine similarity and the max-normalized ts_rank score.
+ */
+const buildHybridQuery = (queryEmbedding: string, queryText: string, opts: SearchOptions): BuiltQuery => {
+  const fusion = opts.fusion || 'rrf';
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`Unknown fusion method: ${fusion}`);
+  }
+
+  const limit = opts.limit ?? 5;
+  const params: unknown[] = [queryEmbedding, queryText];
+  const filters = buildSearchFilters(opts, params);
+  const similarityFilter = buildSimilarityFilter(opts, params);
+
+  params.push(candidatePoolSize(limit));
+  const candidatesParam = `$${params.length}`;
+  params.push(opts.vectorWeight ?? 0.5);
+  const vectorWeightParam = `$${params.length}::float`;
+  params.push(opts.textWeight ?? 0.5);
+  const textWeightParam = `$${params.length}::float`;
+
+  let scoreSql: string;
+  if (fusion === 'rrf') {
+    params.push(opts.rrfK ?? DEFAULT_RRF_K);
+    const kParam = `$${params.length}::float`;
+    scoreSql = `
+      ${vectorWeightParam} * COALESCE(1.0 / (${kParam} + v.rank), 0)
+      + ${textWeightParam} * COALESCE(1.0 / (${kParam} + t.rank), 0)
+    `;
+  } else {
+    scoreSql = `
+      ${vectorWeightParam} * COALESCE(1 - v.distance, 0)
+      + ${textWeightParam} * COALESCE(t.text_score / NULLIF(MAX(t.text_score) OVER (), 0), 0)
+    `;
+  }
+
+  params.push(limit);
+
+  const sql = `
+    WITH q AS (SELECT ${tsQuerySql('$2')} AS query),
+    vector_ranked AS (
+      SELECT id, distance, ROW_NUMBER() OVER (ORDER BY distance) AS rank
+      FROM (
+        SELECT id, embedding <=> $1 AS distance
+        FROM memory.conversations
+        WHERE ${filters}${similarityFilter ? ` AND ${similarityFilter()}` : ''}
+        ORDER BY distance
+        LIMIT ${candidatesParam}
+      ) nearest
+    ),
+    text_ranked AS (
+      SELECT id, text_score, ROW_NUMBER() OVER (ORDER BY text_score DESC) AS rank
+      FROM (
+        SELECT id, ts_rank(content_tsv, q.query, 1) AS text_score
+        FROM memory.conversations, q
+        WHERE content_tsv @@ q.query
+          AND ${filters}
+        ORDER BY text_score DESC
+        LIMIT ${candidatesParam}
+      ) matches
+    )
+    SELECT
+      c.id,
+      c.conversation_id,
+      c.user_id,
+      c.content,
+      c.timestamp,
+      c.metadata,
+      c.is_archived,
+      c.parent_id,
+      c.chunk_index,
+      c.memory_type,
+      c.summary_id,
+      c.embedding <=> $1 as distance,
+      1 - (c.embedding <=> $1) as similarity,
+      t.text_score,
+      ${scoreSql} as score
+    FROM (SELECT id FROM vector_ranked UNION SELECT id FROM text_ranked) candidates
+    JOIN memory.conversations c ON c.id = candidates.id
+    LEFT JOIN vector_ranked v ON v.id = c.id
+    LEFT JOIN text_ranked t ON t.id = c.id
+    ${similarityFilter ? `WHERE ${similarityFilter('c')}` : ''}
+    ORDER BY score DESC
+    LIMIT $${params.length}
+  `;
+
+  return { sql, params, orderBy: 'score DESC' };
+};
+
+/**
+ * Keep only the best-ranked chunk of each document among a pool of results;
+ * memories that aren't chunked count as documents of their own
+ *
+ * @param built - The built search, whose limit was raised to a candidate pool
+ * @param limit - The number of documents to return
+ * @returns The grouped query, using built.params
+ */
+const bestChunkPerDocument = (built: BuiltQuery, limit: number): string => {
+  built.params.push(limit);
+  return `
+    SELECT * FROM (
+      SELECT DISTINCT ON (COALESCE(matches.parent_id, matches.id)) matches.*
+      FROM (${built.sql}) matches
+      ORDER BY COALESCE(matches.parent_id, matches.id), ${built.orderBy}
+    ) best_chunks
+    ORDER BY ${built.orderBy}
+    LIMIT $${built.params.length}
+  `;
+};
+
+/**
+ * Report a chunk result as its parent document, keeping the chunk that matched
+ */
+const toParentResult = ({ parent_content: parentContent, ...row }: SearchResult & { parent_content: string | null }): SearchResult => (row.parent_id
+  ? { ...row, id: row.parent_id, content: parentContent ?? row.content, chunk_id: row.id, chunk_content: row.content }
+  : { ...row, chunk_id: null, chunk_content: null });
+
+/**
+ * Check the options of recency-aware ranking before any work is done
+ */
+const validateRecencyOptions = (mode: SearchMode, opts: SearchOptions): void => {
+  if (mode !== 'vector') {
+    throw new Error('Recency ranking requires the vector search mode');
+  }
+
+  const halfLifeDays = opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS;
+  if (!Number.isFinite(halfLifeDays) || !(halfLifeDays > 0)) {
+    throw new Error(`halfLifeDays must be a positive number, got ${opts.halfLifeDays}`);
+  }
+
+  const weights = [
+    opts.recencyWeight ?? DEFAULT_RECENCY_WEIGHT,
+    opts.accessWeight ?? DEFAULT_ACCESS_WEIGHT,
+    opts.importanceWeight ?? DEFAULT_IMPORTANCE_WEIGHT
+  ];
+  if (weights.some(weight => typeof weight !== 'number' || weight < 0) || weights.reduce((sum, weight) => sum + weight, 0) > 1) {
+    throw new Error('recencyWeight, accessWeight and importanceWeight must be non-negative and add up to at most 1');
+  }
+};
+
+/**
+ * Search for memories by similarity
+ *
+ * @param queryText - The text to search for
+ * @param options - Search options (filters, mode, fusion, weights, minSimilarity, ranking,
+ *   how chunked documents are returned, whether summaries stand in for the messages they cover and
+ *   whether superseded memories are searched and linked memories attached), or the maximum number of results when called with the legacy positional form
+ * @param userId - Legacy positional user ID filter
+ * @param conversationId - Legacy positional conversation ID filter
+ * @returns Array of memory objects with distance (cosine distance, lower is closer)
+ *   and similarity (1 - distance, higher is closer); with chunks 'parent', chunk results are
+ *   replaced by their document, with the matching chunk in chunk_id and chunk_content; with
+ *   expandLinks, each result lists the memories one link away in linked
+ */
+export const searchMemories = async (
+  queryText: string,
+  options?: SearchOptions | number,
+  userId: string | null = null,
+  conversationId: string | null = null
+): Promise<SearchResult[]> => {
+  try {
+    const normalized = normalizeSearchOptions(options, userId, conversationId);
+    const opts: SearchOptions = { ...normalized, limit: normalized.limit ?? 5 };
+    const mode = opts.mode || 'vector';
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}`);
+    }
+
+    if (opts.minSimilarity !== undefined && opts.minSimilarity !== null) {
+      if (!Number.isFinite(opts.minSimilarity) || opts.minSimilarity < -1 || opts.minSimilarity > 1) {
+        throw new Error(`minSimilarity must be a number between -1 and 1, got ${opts.minSimilarity}`);
+      }
+      if (mode === 'text') {
+        throw new Error('minSimilarity requires the vector or hybrid search mode');
+      }
+    }
+
+    const ranking = opts.ranking || 'similarity';
+    if (!RANKING_STRATEGIES.includes(ranking)) {
+      throw new Error(`Unknown ranking strategy: ${ranking}`);
+    }
+
+    if (ranking === 'recency') {
+      validateRecencyOptions(mode, opts);
+    }
+
+    const chunks = opts.chunks || 'all';
+    if (!CHUNK_RESULTS.includes(chunks)) {
+      throw new Error(`Unknown chunk results option: ${chunks}`);
+    }
+
+    const summaries = opts.summaries || 'include';
+    if (!SUMMARY_RESULTS.includes(summaries)) {
+      throw new Error(`Unknown summary results option: ${summaries}`);
+    }
+
+    const linkTypes = normalizeLinkTypes(opts.linkTypes);
+
+    // Grouping chunks by document needs a deeper pool to still fill the limit
+    const limit = opts.limit ?? 5;
+    const grouped = chunks !== 'all';
+    const builderOpts = grouped ? { ...opts, limit: candidatePoolSize(limit) } : opts;
+
+    logger.info(`Searching memories (${mode}) similar to: "${queryText.substring(0, 50)}..."`);
+
+    let built: BuiltQuery;
+    if (mode === 'text') {
+      built = buildTextQuery(queryText, builderOpts);
+    } else {
+      // Generate an embedding for the query text
+      const queryEmbedding = await generateEmbedding(queryText);
+      built = mode === 'hybrid'
+        ? buildHybridQuery(queryEmbedding, queryText, builderOpts)
+        : buildVectorQuery(queryEmbedding, builderOpts);
+    }
+
+    const resultsSql = grouped ? bestChunkPerDocument(built, limit) : built.sql;
+    const withParent = chunks === 'parent';
+
+    // Run the search and record the retrieval in the same statement
+    const result = await query(`
+      WITH results AS (${resultsSql}),
+      touched AS (
+        UPDATE memory.conversations c
+        SET
+          last_accessed = NOW(),
+          access_count = c.access_count + 1,
+          importance = GREATEST(c.importance, c.importance + (${IMPORTANCE_RETRIEVAL_CAP} - c.importance) * ${IMPORTANCE_RETRIEVAL_BOOST})
+        FROM results
+        WHERE c.id = results.id
+      )
+      SELECT results.*${withParent ? ', parent.content AS parent_content' : ''}
+      FROM results
+      ${withParent ? 'LEFT JOIN memory.conversations parent ON parent.id = results.parent_id' : ''}
+      ORDER BY ${built.orderBy}
+    `, built.params);
+
+    logger.info(`Found ${result.rows.length} similar memories`);
+    const results = withParent ? result.rows.map(toParentResult) : result.rows;
+    return opts.expandLinks ? await attachLinkedMemories(results, linkTypes) : results;
+  } catch (error) {
+    logger.error('Error searching memories:', error);
+    throw error;
+  }
+};
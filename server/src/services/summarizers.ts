@@ -0,0 +1,219 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * A memory handed to a summarizer, oldest first
+ */
+export interface SummarizerInput {
+  content: string;
+  timestamp: Date;
+}
+
+/**
+ * Contract every summarizer must fulfil to be registered
+ */
+export interface Summarizer {
+  // Unique summarizer name, matched against MEMORY_SUMMARIZER
+  readonly name: string;
+
+  /**
+   * Summarize a batch of memories
+   * @param memories The memories to summarize, oldest first
+   * @param options maxSentences bounds the summary's length
+   * @returns The summary text
+   */
+  summarize(memories: SummarizerInput[], options?: { maxSentences?: number }): Promise<string>;
+
+  /**
+   * Check whether the summarizer has the configuration it needs (e.g. API keys)
+   * @returns True if the summarizer can be used
+   */
+  isConfigured?(): boolean;
+}
+
+const summarizers = new Map<string, Summarizer>();
+
+const DEFAULT_MAX_SENTENCES = 5;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Sentences shorter than this rarely carry a fact worth keeping
+const MIN_SENTENCE_WORDS = 4;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+  'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no',
+  'not', 'of', 'on', 'or', 'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'too', 'up', 'us', 'was', 'we', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Register a summarizer, replacing any summarizer with the same name
+ *
+ * @param summarizer - The summarizer to register
+ */
+export const registerSummarizer = (summarizer: Summarizer): void => {
+  if (!summarizer || !summarizer.name || typeof summarizer.summarize !== 'function') {
+    throw new Error('Summarizer must have a name and a summarize(memories, options) method');
+  }
+
+  summarizers.set(summarizer.name, summarizer);
+  logger.debug(`Registered summarizer: ${summarizer.name}`);
+};
+
+/**
+ * Get a registered summarizer by name, falling back to the extractive
+ * summarizer when the requested one is not configured
+ *
+ * @param name - Summarizer name (defaults to MEMORY_SUMMARIZER, then extractive)
+ * @returns The summarizer
+ */
+export const getSummarizer = (name?: string): Summarizer => {
+  const summarizerName = name || process.env.MEMORY_SUMMARIZER || 'extractive';
+  const summarizer = summarizers.get(summarizerName);
+
+  if (!summarizer) {
+    throw new Error(`Unknown summarizer: ${summarizerName}`);
+  }
+
+  if (summarizer.isConfigured && !summarizer.isConfigured()) {
+    logger.warn(`Summarizer ${summarizerName} is not configured, falling back to extractive summaries`);
+    return summarizers.get('extractive')!;
+  }
+
+  return summarizer;
+};
+
+/**
+ * List the names of all registered summarizers
+ *
+ * @returns Summarizer names
+ */
+export const listSummarizers = (): string[] => Array.from(summarizers.keys());
+
+const contentWords = (sentence: string): string[] => (sentence.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word));
+
+/**
+ * Split memories into sentences, keeping line breaks (such as "User:" and
+ * "AI:" turns) as sentence boundaries
+ */
+const splitSentences = (memories: SummarizerInput[]): string[] => memories.flatMap(memory => memory.content
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.split(/\s+/).length >= MIN_SENTENCE_WORDS));
+
+/**
+ * Create the extractive summarizer, which needs no model or network access
+ *
+ * Sentences are scored by how frequent their content words are across all the
+ * memories being summarized, and the best ones are kept in their original
+ * order. The same input always gives the same summary.
+ *
+ * @param options - maxSentences is the default number of sentences to keep (default: 5)
+ * @returns The summarizer
+ */
+export const createExtractiveSummarizer = (
+  { maxSentences: defaultMaxSentences = DEFAULT_MAX_SENTENCES }: { maxSentences?: number } = {}
+): Summarizer => ({
+  name: 'extractive',
+  summarize: async (memories, { maxSentences = defaultMaxSentences } = {}) => {
+    const sentences = splitSentences(memories);
+    if (sentences.length <= maxSentences) {
+      return sentences.length > 0 ? sentences.join('\n') : memories.map(memory => memory.content.trim()).join('\n');
+    }
+
+    const frequencies = new Map<string, number>();
+    for (const word of sentences.flatMap(contentWords)) {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }
+
+    const scored = sentences.map((sentence, position) => {
+      const words = contentWords(sentence);
+      const score = words.length === 0
+        ? 0
+        : words.reduce((sum, word) => sum + frequencies.get(word)!, 0) / words.length;
+      return { sentence, position, score };
+    });
+
+    return scored
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, maxSentences)
+      .sort((a, b) => a.position - b.position)
+      .map(({ sentence }) => sentence)
+      .join('\n');
+  }
+});
+
+/**
+ * Options for an OpenAI-compatible summarizer
+ */
+export interface OpenAISummarizerOptions {
+  name?: string;
+  baseUrl?: string;
+  model?: string;
+  apiKey?: string;
+  timeoutMs?: number;
+}
+
+/**
+ * Create a summarizer backed by OpenAI or any server exposing an
+ * OpenAI-compatible /chat/completions endpoint
+ *
+ * @param options - Name, base URL, chat model (default: gpt-4o-mini), API key and timeout
+ * @returns The summarizer
+ */
+export const createOpenAISummarizer = ({
+  name = 'openai',
+  baseUrl = 'https://api.openai.com/v1',
+  model = 'gpt-4o-mini',
+  apiKey,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}: OpenAISummarizerOptions = {}): Summarizer => {
+  const url = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    isConfigured: () => Boolean(apiKey) || !url.includes('api.openai.com'),
+    summarize: async (memories, { maxSentences = DEFAULT_MAX_SENTENCES } = {}) => {
+      logger.info(`Summarizing ${memories.length} memories with ${model}`);
+
+      const response = await fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            {
+              role: 'system',
+              content: `Summarize this excerpt of a conversation in at most ${maxSentences} sentences. Keep names, decisions, facts, preferences and open questions; leave out small talk.`
+            },
+            {
+              role: 'user',
+              content: memories.map(memory => memory.content).join('\n\n')
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Summarization API error: ${response.status} ${response.statusText}`);
+      }
+
+      const responseData: { choices: { message: { content: string } }[] } = await response.json();
+      return responseData.choices[0].message.content.trim();
+    }
+  };
+};
+
+registerSummarizer(createExtractiveSummarizer());
+registerSummarizer(createOpenAISummarizer({
+  baseUrl: process.env.OPENAI_BASE_URL,
+  model: process.env.OPENAI_SUMMARY_MODEL,
+  apiKey: process.env.OPENAI_API_KEY
+}));
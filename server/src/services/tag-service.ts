@@ -0,0 +1,377 @@
+import type { PoolClient } from 'pg';
+import { query, transaction, getCurrentTenant, ALL_TENANTS } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * A tag with the number of memories carrying it
+ */
+export interface TagSummary {
+  name: string;
+  memory_count: number;
+  created_at: Date;
+}
+
+// Longest tag name, once normalized
+export const MAX_TAG_LENGTH = 64;
+
+// Default number of tags listed with their counts
+const DEFAULT_TAG_LIST_LIMIT = 100;
+
+// Tag names are only unique within a tenant
+const requireTenant = (): void => {
+  if (getCurrentTenant() === ALL_TENANTS) {
+    throw new Error('Manage tags as the tenant they belong to');
+  }
+};
+
+/**
+ * Normalize a tag name: trimmed, lower case, runs of whitespace as one hyphen
+ *
+ * @param tag - The tag as given
+ * @returns The tag as stored
+ */
+export const normalizeTag = (tag: unknown): string => {
+  if (typeof tag !== 'string') {
+    throw new Error(`Tags must be strings, got ${JSON.stringify(tag)}`);
+  }
+
+  const name = tag.trim().toLowerCase().replace(/\s+/g, '-');
+  if (name === '') {
+    throw new Error('Tags cannot be empty');
+  }
+  if (name.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters long: "${name}"`);
+  }
+
+  return name;
+};
+
+/**
+ * Normalize a tag or list of tags, dropping repeats
+ *
+ * @param tags - The tags as given
+ * @returns The tags as stored, in the order first given
+ */
+export const normalizeTags = (tags: string | string[]): string[] =>
+  [...new Set((Array.isArray(tags) ? tags : [tags]).map(normalizeTag))];
+
+/**
+ * SQL selecting the sorted tag names of each memory row
+ *
+ * @param idColumn - The memory ID, qualified with its table, as the tags table has an id too
+ * @returns A select list item
+ */
+export const memoryTagsColumn = (idColumn: string): string => `ARRAY(
+  SELECT t.name
+  FROM memory.memory_tags mt
+  JOIN memory.tags t ON t.id = mt.tag_id
+  WHERE mt.memory_id = ${idColumn}
+  ORDER BY t.name
+) AS tags`;
+
+/**
+ * Build the condition selecting memories that carry every one of the given
+ * tags; a chunk carries the tags of its document
+ *
+ * @param tags - The tags, or null for no condition
+ * @param params - Query parameters, appended to in place
+ * @param column - Qualifies a column name with the table alias, if any
+ * @returns SQL conditions to be joined with AND
+ */
+export const compileTagFilter = (
+  tags: string | string[] | null | undefined,
+  params: unknown[],
+  column: (name: string) => string = (name) => name
+): string[] => {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+
+  const names = normalizeTags(tags);
+  if (names.length === 0) {
+    return [];
+  }
+
+  params.push(names);
+  return [`COALESCE(${column('parent_id')}, ${column('id')}) IN (
+    SELECT mt.memory_id
+    FROM memory.memory_tags mt
+    JOIN memory.tags t ON t.id = mt.tag_id
+    WHERE t.name = ANY($${params.length}::text[])
+    GROUP BY mt.memory_id
+    HAVING COUNT(*) = ${names.length}
+  )`];
+};
+
+/**
+ * Link memories to tags, creating the tags that don't exist yet
+ *
+ * @param client - Database client inside a transaction
+ * @param memoryIds - The memories, one per tag name
+ * @param names - The normalized tag names
+ * @returns How many links were added
+ */
+export const linkTags = async (client: PoolClient, memoryIds: number[], names: string[]): Promise<number> => {
+  if (memoryIds.length === 0) {
+    return 0;
+  }
+
+  await client.query(`
+    INSERT INTO memory.tags (name)
+    SELECT DISTINCT unnest($1::text[])
+    ON CONFLICT (tenant_id, name) DO NOTHING
+  `, [names]);
+
+  const result = await client.query(`
+    INSERT INTO memory.memory_tags (memory_id, tag_id, tenant_id)
+    SELECT c.id, t.id, c.tenant_id
+    FROM unnest($1::int[], $2::text[]) AS link(memory_id, name)
+    JOIN memory.conversations c ON c.id = link.memory_id
+    JOIN memory.tags t ON t.name = link.name AND t.tenant_id = c.tenant_id
+    ON CONFLICT DO NOTHING
+  `, [memoryIds, names]);
+
+  return result.rowCount ?? 0;
+};
+
+/**
+ * Find the row a memory's tags hang off: the memory itself, or the document a chunk belongs to
+ *
+ * @param client - Database client
+ * @param memoryId - The memory's ID
+ * @returns The row's ID, or null if the memory was not found
+ */
+const taggedRowId = async (client: PoolClient, memoryId: number): Promise<number | null> => {
+  const result = await client.query(`
+    SELECT COALESCE(parent_id, id) AS id
+    FROM memory.conversations
+    WHERE id = $1
+  `, [memoryId]);
+
+  return result.rows[0]?.id ?? null;
+};
+
+// The sorted tags of a memory row
+const tagsOf = async (client: PoolClient, id: number): Promise<string[]> => {
+  const result = await client.query(`SELECT ${memoryTagsColumn('$1::int')}`, [id]);
+  return result.rows[0].tags;
+};
+
+/**
+ * Get a memory's tags
+ *
+ * @param memoryId - The memory's ID
+ * @returns The tags, sorted, or null if the memory was not found
+ */
+export const getMemoryTags = async (memoryId: number): Promise<string[] | null> => {
+  const result = await query(`
+    SELECT ${memoryTagsColumn('COALESCE(c.parent_id, c.id)')}
+    FROM memory.conversations c
+    WHERE c.id = $1
+  `, [memoryId]);
+
+  return result.rows[0]?.tags ?? null;
+};
+
+/**
+ * Tag a memory; tagging a chunk tags its document
+ *
+ * @param memoryId - The memory's ID
+ * @param tags - The tags to add, normalized with normalizeTag
+ * @returns The memory's tags, or null if it was not found
+ */
+export const tagMemory = async (memoryId: number, tags: string | string[]): Promise<string[] | null> => {
+  try {
+    requireTenant();
+    const names = normalizeTags(tags);
+    if (names.length === 0) {
+      throw new Error('At least one tag is required');
+    }
+
+    return await transaction(async (client) => {
+      const id = await taggedRowId(client, memoryId);
+      if (id === null) {
+        logger.info(`Memory ${memoryId} not found`);
+        return null;
+      }
+
+      const added = await linkTags(client, names.map(() => id), names);
+      logger.info(`Tagged memory ${id} with ${added} new tags`);
+
+      return tagsOf(client, id);
+    });
+  } catch (error) {
+    logger.error(`Error tagging memory ${memoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove tags from a memory; the tags themselves are kept
+ *
+ * @param memoryId - The memory's ID
+ * @param tags - The tags to remove
+ * @returns The memory's remaining tags, or null if it was not found
+ */
+export const untagMemory = async (memoryId: number, tags: string | string[]): Promise<string[] | null> => {
+  try {
+    requireTenant();
+    const names = normalizeTags(tags);
+
+    return await transaction(async (client) => {
+      const id = await taggedRowId(client, memoryId);
+      if (id === null) {
+        logger.info(`Memory ${memoryId} not found`);
+        return null;
+      }
+
+      const removed = await client.query(`
+        DELETE FROM memory.memory_tags mt
+        USING memory.tags t
+        WHERE t.id = mt.tag_id
+          AND mt.memory_id = $1
+          AND t.name = ANY($2::text[])
+      `, [id, names]);
+      logger.info(`Removed ${removed.rowCount ?? 0} tags from memory ${id}`);
+
+      return tagsOf(client, id);
+    });
+  } catch (error) {
+    logger.error(`Error untagging memory ${memoryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List tags with the number of memories carrying each, most used first
+ *
+ * @param options - Only list tags starting with prefix, once normalized; also count
+ * archived memories with includeArchived; list at most limit tags (default: 100)
+ * @returns The tags and their counts
+ */
+export const listTags = async (
+  { prefix = null, includeArchived = false, limit = DEFAULT_TAG_LIST_LIMIT }: { prefix?: string | null; includeArchived?: boolean; limit?: number } = {}
+): Promise<TagSummary[]> => {
+  try {
+    const result = await query(`
+      SELECT t.name, COUNT(c.id)::int AS memory_count, t.created_at
+      FROM memory.tags t
+      LEFT JOIN memory.memory_tags mt ON mt.tag_id = t.id
+      LEFT JOIN memory.conversations c ON c.id = mt.memory_id AND ($2 OR c.is_archived = FALSE)
+      WHERE $1::text IS NULL OR left(t.name, length($1)) = $1
+      GROUP BY t.id
+      ORDER BY memory_count DESC, t.name
+      LIMIT $3
+    `, [prefix === null ? null : normalizeTag(prefix), includeArchived, limit]);
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the memories carrying a tag, leaving out archived ones
+ *
+ * @param client - Database client
+ * @param name - The normalized tag name
+ * @returns The tag and its count, or null if the tag does not exist
+ */
+const describeTag = async (client: PoolClient, name: string): Promise<TagSummary | null> => {
+  const result = await client.query(`
+    SELECT t.name, COUNT(c.id)::int AS memory_count, t.created_at
+    FROM memory.tags t
+    LEFT JOIN memory.memory_tags mt ON mt.tag_id = t.id
+    LEFT JOIN memory.conversations c ON c.id = mt.memory_id AND c.is_archived = FALSE
+    WHERE t.name = $1
+    GROUP BY t.id
+  `, [name]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Rename a tag on every memory carrying it
+ *
+ * @param from - The current name
+ * @param to - The new name; to fold a tag into one that exists, use mergeTags
+ * @returns The renamed tag and its count, or null if the tag was not found
+ */
+export const renameTag = async (from: string, to: string): Promise<TagSummary | null> => {
+  try {
+    requireTenant();
+    const [source, target] = [normalizeTag(from), normalizeTag(to)];
+
+    return await transaction(async (client) => {
+      if (source !== target && await describeTag(client, target)) {
+        throw new Error(`Tag "${target}" already exists; merge the tags instead`);
+      }
+
+      const renamed = await client.query('UPDATE memory.tags SET name = $2 WHERE name = $1', [source, target]);
+      if (renamed.rowCount === 0) {
+        logger.info(`Tag ${source} not found`);
+        return null;
+      }
+
+      logger.info(`Renamed tag ${source} to ${target}`);
+      return describeTag(client, target);
+    });
+  } catch (error) {
+    logger.error(`Error renaming tag ${from}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Merge tags into another: memories carrying any of them carry the target
+ * instead, and the merged tags are deleted
+ *
+ * @param sources - The tags to merge
+ * @param target - The tag to merge them into, created if need be
+ * @returns The target tag and its count, with the source tags that existed in merged
+ */
+export const mergeTags = async (sources: string | string[], target: string): Promise<TagSummary & { merged: string[] }> => {
+  try {
+    requireTenant();
+    const name = normalizeTag(target);
+    const names = normalizeTags(sources).filter(source => source !== name);
+    if (names.length === 0) {
+      throw new Error('At least one tag other than the target is required to merge');
+    }
+
+    return await transaction(async (client) => {
+      await client.query(`
+        INSERT INTO memory.tags (name)
+        VALUES ($1)
+        ON CONFLICT (tenant_id, name) DO NOTHING
+      `, [name]);
+
+      await client.query(`
+        INSERT INTO memory.memory_tags (memory_id, tag_id, tenant_id)
+        SELECT mt.memory_id, target.id, mt.tenant_id
+        FROM memory.memory_tags mt
+        JOIN memory.tags source ON source.id = mt.tag_id
+        JOIN memory.tags target ON target.name = $2 AND target.tenant_id = source.tenant_id
+        WHERE source.name = ANY($1::text[])
+        ON CONFLICT DO NOTHING
+      `, [names, name]);
+
+      // Deleting the merged tags deletes their links
+      const merged = await client.query(`
+        DELETE FROM memory.tags
+        WHERE name = ANY($1::text[])
+        RETURNING name
+      `, [names]);
+
+      logger.info(`Merged ${merged.rowCount ?? 0} tags into ${name}`);
+      return {
+        ...(await describeTag(client, name) as TagSummary),
+        merged: merged.rows.map(row => row.name).sort()
+      };
+    });
+  } catch (error) {
+    logger.error(`Error merging tags into ${target}:`, error);
+    throw error;
+  }
+};
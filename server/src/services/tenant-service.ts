@@ -0,0 +1,45 @@
+import { query, withTenant, withAllTenants } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List the tenants that own memories, archived memories, retention policies
+ * or entities
+ *
+ * @returns The tenant IDs, in order
+ */
+export const listTenants = (): Promise<string[]> => withAllTenants(async () => {
+  try {
+    const result = await query(`
+      SELECT tenant_id FROM memory.conversations
+      UNION
+      SELECT tenant_id FROM memory.archive
+      UNION
+      SELECT tenant_id FROM memory.retention_policies
+      UNION
+      SELECT tenant_id FROM memory.entities
+      ORDER BY 1
+    `);
+
+    return result.rows.map((row: { tenant_id: string }) => row.tenant_id);
+  } catch (error) {
+    logger.error('Error listing tenants:', error);
+    throw error;
+  }
+});
+
+/**
+ * Run a callback as each tenant in turn, for work such as archiving that has
+ * to follow each tenant's own data and policies
+ *
+ * @param callback - Called with the tenant ID, inside that tenant's scope
+ * @returns The callback's results by tenant ID
+ */
+export const forEachTenant = async <T>(callback: (tenantId: string) => Promise<T>): Promise<Record<string, T>> => {
+  const results: Record<string, T> = {};
+
+  for (const tenantId of await listTenants()) {
+    results[tenantId] = await withTenant(tenantId, () => callback(tenantId));
+  }
+
+  return results;
+};
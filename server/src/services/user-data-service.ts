@@ -0,0 +1,385 @@
+import crypto from 'crypto';
+import { query, transaction, getCurrentTenant, ALL_TENANTS } from '../db/client.js';
+import { logger } from '../utils/logger.js';
+import { memoryTagsColumn } from './tag-service.js';
+import type { Memory } from './search-service.js';
+import type { MemoryVersion } from './memory-service.js';
+import type { Entity, Relation } from './graph-service.js';
+import type { MemoryLink } from './link-service.js';
+import type { ConversationSession } from './conversation-service.js';
+import type { RetentionPolicyRow } from './retention-service.js';
+
+// Version of the export bundle format
+export const USER_EXPORT_VERSION = 1;
+
+/**
+ * Everything stored about a user
+ */
+export interface UserDataExport {
+  version: number;
+  userId: string;
+  tenantId: string;
+  exportedAt: string;
+  memories: (Memory & { archived_at: Date | null })[];
+  // With the tags, links and history kept when they moved
+  coldStorage: (Omit<Memory, 'tags'> & {
+    archived_at: Date;
+    tags: string[] | null;
+    links: Omit<MemoryLink, 'id'>[] | null;
+    history: MemoryVersion[] | null;
+  })[];
+  // Earlier versions of the user's edited memories
+  history: (MemoryVersion & { memory_id: number })[];
+  // Summaries of other users' memories built partly from the user's
+  summaries: Memory[];
+  entities: Entity[];
+  // Relations from or to the user's entities
+  relations: Relation[];
+  // Links from or to the user's memories
+  links: MemoryLink[];
+  // Conversations the user started
+  conversations: Omit<ConversationSession, 'user_id'>[];
+  retentionPolicies: Omit<RetentionPolicyRow, 'id' | 'user_id' | 'last_run_at' | 'last_run_count'>[];
+}
+
+/**
+ * A row of memory.erasure_tombstones
+ */
+export interface ErasureTombstone {
+  id?: number;
+  tenant_id: string;
+  // HMAC-SHA-256 of the erased user ID, keyed with MEMORY_ERASURE_SECRET
+  user_hash: string;
+  // Rows erased by table
+  counts: Record<string, number>;
+  erased_at: Date;
+  previous_hash: string | null;
+  hash?: string;
+}
+
+// Memory columns that belong in an export; embeddings are left out, being derived from the content
+const MEMORY_COLUMNS = 'id, conversation_id, user_id, content, embedding_model, metadata, importance, access_count, is_chunked, parent_id, chunk_index, memory_type, summary_id, timestamp, updated_at, last_accessed';
+
+const ENTITY_COLUMNS = 'id, name, entity_type, user_id, observations, metadata, embedding_model, created_at, updated_at';
+
+// Summaries built from any of the user's memories, live or in cold storage
+const USER_SUMMARY_IDS = `
+  SELECT summary_id FROM memory.conversations WHERE user_id = $1 AND summary_id IS NOT NULL
+  UNION
+  SELECT summary_id FROM memory.archive WHERE user_id = $1 AND summary_id IS NOT NULL
+`;
+
+const requireUserId = (userId: unknown): void => {
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    throw new Error('A user ID is required');
+  }
+};
+
+/**
+ * Hash a user ID the way erasure tombstones record it. The hash is keyed with
+ * MEMORY_ERASURE_SECRET, so a user ID can't be recovered from a tombstone by
+ * hashing guesses
+ *
+ * @param userId - The user ID
+ * @param secret - The key (default: MEMORY_ERASURE_SECRET)
+ * @returns The hex HMAC-SHA-256 of the user ID
+ */
+export const hashUserId = (userId: string, secret = process.env.MEMORY_ERASURE_SECRET): string => {
+  if (!secret) {
+    throw new Error('MEMORY_ERASURE_SECRET must be set to hash user IDs for erasure tombstones');
+  }
+
+  return crypto.createHmac('sha256', secret).update(userId).digest('hex');
+};
+
+/**
+ * Compute the hash chaining a tombstone to the one before it
+ *
+ * @param tombstone - The tombstone
+ * @returns The hex SHA-256 of the tombstone
+ */
+export const tombstoneHash = (tombstone: ErasureTombstone): string => {
+  const counts = Object.keys(tombstone.counts).sort().map(table => [table, tombstone.counts[table]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify([
+    tombstone.previous_hash ?? null,
+    tombstone.tenant_id,
+    tombstone.user_hash,
+    counts,
+    new Date(tombstone.erased_at).toISOString()
+  ])).digest('hex');
+};
+
+/**
+ * Export everything stored about a user: memories, cold storage, the earlier
+ * versions of edited memories, summaries built from their memories, entities
+ * with their relations, links from or to their memories, the conversations they started, and retention
+ * policies naming them
+ *
+ * @param userId - The user ID
+ * @returns The export bundle
+ */
+export const exportUserData = async (userId: string): Promise<UserDataExport> => {
+  requireUserId(userId);
+
+  try {
+    logger.info(`Exporting data of user ${userId}`);
+
+    // One snapshot, so the parts of the bundle agree with each other
+    return await transaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      const memories = await client.query(`
+        SELECT ${MEMORY_COLUMNS}, is_archived, archived_at, ${memoryTagsColumn('conversations.id')}
+        FROM memory.conversations
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const coldStorage = await client.query(`
+        SELECT ${MEMORY_COLUMNS}, archived_at, tags, links, history
+        FROM memory.archive
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const history = await client.query(`
+        SELECT h.memory_id, h.version, h.content, h.metadata, h.embedding_model, h.valid_from, h.replaced_at
+        FROM memory.memory_history h
+        JOIN memory.conversations c ON c.id = h.memory_id
+        WHERE c.user_id = $1
+        ORDER BY h.memory_id, h.version
+      `, [userId]);
+
+      const summaries = await client.query(`
+        SELECT ${MEMORY_COLUMNS} FROM memory.conversations
+        WHERE id IN (${USER_SUMMARY_IDS}) AND user_id IS DISTINCT FROM $1
+        UNION ALL
+        SELECT ${MEMORY_COLUMNS} FROM memory.archive
+        WHERE id IN (${USER_SUMMARY_IDS}) AND user_id IS DISTINCT FROM $1
+        ORDER BY id
+      `, [userId]);
+
+      const entities = await client.query(`
+        SELECT ${ENTITY_COLUMNS}
+        FROM memory.entities
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const relations = await client.query(`
+        SELECT r.id, r.from_id, r.relation_type, r.to_id, r.metadata, r.created_at
+        FROM memory.relations r
+        WHERE r.from_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+          OR r.to_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+        ORDER BY r.id
+      `, [userId]);
+
+      const links = await client.query(`
+        SELECT l.id, l.from_id, l.link_type, l.to_id, l.metadata, l.created_at
+        FROM memory.memory_links l
+        WHERE l.from_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+          OR l.to_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        ORDER BY l.id
+      `, [userId]);
+
+      const conversations = await client.query(`
+        SELECT conversation_id, title, created_at, last_activity_at, message_count
+        FROM memory.conversation_sessions
+        WHERE user_id = $1
+        ORDER BY created_at, conversation_id
+      `, [userId]);
+
+      const retentionPolicies = await client.query(`
+        SELECT name, conversation_prefix, metadata, keep_days, action, exempt_pinned,
+          exempt_importance, enabled, created_at, updated_at
+        FROM memory.retention_policies
+        WHERE user_id = $1
+        ORDER BY name
+      `, [userId]);
+
+      logger.info(`Exported ${memories.rows.length} memories and ${entities.rows.length} entities of user ${userId}`);
+
+      return {
+        version: USER_EXPORT_VERSION,
+        userId,
+        tenantId: getCurrentTenant(),
+        exportedAt: new Date().toISOString(),
+        memories: memories.rows,
+        coldStorage: coldStorage.rows,
+        history: history.rows,
+        summaries: summaries.rows,
+        entities: entities.rows,
+        relations: relations.rows,
+        links: links.rows,
+        conversations: conversations.rows,
+        retentionPolicies: retentionPolicies.rows
+      };
+    });
+  } catch (error) {
+    logger.error(`Error exporting data of user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Erase everything stored about a user in one transaction, and record a
+ * tombstone of the erasure
+ *
+ * Summaries built partly from the user's memories go too; the other messages
+ * they covered become unconsolidated again. The tombstone keeps only a keyed
+ * hash of the user ID and the number of rows erased from each table.
+ *
+ * @param userId - The user ID
+ * @returns The tombstone row
+ */
+export const eraseUserData = async (userId: string): Promise<ErasureTombstone> => {
+  requireUserId(userId);
+
+  const tenantId = getCurrentTenant();
+  if (tenantId === ALL_TENANTS) {
+    throw new Error('Erase user data as the tenant the user belongs to');
+  }
+
+  try {
+    logger.info(`Erasing data of user ${userId}`);
+
+    // Fails without MEMORY_ERASURE_SECRET, before anything is deleted
+    const userHash = hashUserId(userId);
+
+    const tombstone = await transaction(async (client) => {
+      const count = async (sql: string): Promise<number> => (await client.query(sql, [userId])).rowCount ?? 0;
+
+      // Gather the summaries before their sources go
+      const summaryIds = (await client.query(USER_SUMMARY_IDS, [userId])).rows.map(row => row.summary_id);
+
+      const counts: Record<string, number> = {
+        // Deleting the memories would cascade to these, but the tombstone counts them
+        memory_history: await count(`
+          DELETE FROM memory.memory_history
+          WHERE memory_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        `),
+        relations: await count(`
+          DELETE FROM memory.relations
+          WHERE from_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+            OR to_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+        `),
+        memory_links: await count(`
+          DELETE FROM memory.memory_links
+          WHERE from_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+            OR to_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        `),
+        conversations: await count('DELETE FROM memory.conversations WHERE user_id = $1'),
+        archive: await count('DELETE FROM memory.archive WHERE user_id = $1'),
+        entities: await count('DELETE FROM memory.entities WHERE user_id = $1'),
+        retention_policies: await count('DELETE FROM memory.retention_policies WHERE user_id = $1'),
+        // Conversations the user started outlive their messages while others' remain
+        conversation_sessions: await count(`
+          UPDATE memory.conversation_sessions
+          SET user_id = NULL, title = NULL
+          WHERE user_id = $1
+        `)
+      };
+
+      const summaries = await client.query(`
+        WITH live AS (
+          DELETE FROM memory.conversations WHERE id = ANY($1::int[]) RETURNING id
+        ),
+        cold AS (
+          DELETE FROM memory.archive WHERE id = ANY($1::int[]) RETURNING id
+        )
+        SELECT (SELECT COUNT(*) FROM live)::int + (SELECT COUNT(*) FROM cold)::int AS count
+      `, [summaryIds]);
+      counts.summaries = summaries.rows[0].count;
+
+      // Tombstones of a tenant form one chain, so append them one at a time
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('memory.erasure_tombstones'), hashtext($1))", [tenantId]);
+
+      const previous = await client.query(`
+        SELECT hash
+        FROM memory.erasure_tombstones
+        ORDER BY id DESC
+        LIMIT 1
+      `);
+
+      const row: ErasureTombstone = {
+        tenant_id: tenantId,
+        user_hash: userHash,
+        counts,
+        erased_at: new Date(),
+        previous_hash: previous.rows[0]?.hash ?? null
+      };
+
+      const result = await client.query(`
+        INSERT INTO memory.erasure_tombstones (tenant_id, user_hash, counts, erased_at, previous_hash, hash)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [row.tenant_id, row.user_hash, JSON.stringify(counts), row.erased_at, row.previous_hash, tombstoneHash(row)]);
+
+      return result.rows[0] as ErasureTombstone;
+    });
+
+    logger.info(`Erased data of user ${userId} (tombstone ${tombstone.id})`);
+    return tombstone;
+  } catch (error) {
+    logger.error(`Error erasing data of user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check the current tenant's erasure tombstones against their hash chain
+ *
+ * @returns Whether the chain holds, how many tombstones it has, and the first
+ * tombstone whose hash or link does not match, if any
+ */
+export const verifyErasureTombstones = async (): Promise<{ valid: boolean; count: number; brokenAt: number | null }> => {
+  try {
+    const result = await query(`
+      SELECT id, tenant_id, user_hash, counts, erased_at, previous_hash, hash
+      FROM memory.erasure_tombstones
+      ORDER BY id
+    `);
+
+    // Each tenant has its own chain; across all tenants, follow them side by side
+    const previousHashes = new Map<string, string>();
+    for (const tombstone of result.rows as ErasureTombstone[]) {
+      const previousHash = previousHashes.get(tombstone.tenant_id) ?? null;
+      if (tombstone.previous_hash !== previousHash || tombstone.hash !== tombstoneHash(tombstone)) {
+        logger.warn(`Erasure tombstone ${tombstone.id} does not match its hash chain`);
+        return { valid: false, count: result.rows.length, brokenAt: tombstone.id ?? null };
+      }
+      previousHashes.set(tombstone.tenant_id, tombstone.hash as string);
+    }
+
+    return { valid: true, count: result.rows.length, brokenAt: null };
+  } catch (error) {
+    logger.error('Error verifying erasure tombstones:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the current tenant's erasure tombstones, newest first
+ *
+ * @param options - Only list the erasures of userId; limit defaults to 50
+ * @returns The tombstones
+ */
+export const listErasureTombstones = async (
+  { userId = null, limit = 50 }: { userId?: string | null; limit?: number } = {}
+): Promise<ErasureTombstone[]> => {
+  try {
+    const result = await query(`
+      SELECT id, tenant_id, user_hash, counts, erased_at, previous_hash, hash
+      FROM memory.erasure_tombstones
+      WHERE $1::text IS NULL OR user_hash = $1
+      ORDER BY id DESC
+      LIMIT $2
+    `, [userId === null ? null : hashUserId(userId), limit]);
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing erasure tombstones:', error);
+    throw error;
+  }
+};
@@ -1,11 +1,29 @@
 import { Tool } from '../typescript-sdk-wrapper.js';
 import { MemoryManagementTool } from './memory-management-tool.js';
+import { MemoryStoreTool } from './memory-store-tool.js';
+import { MemorySearchTool } from './memory-search-tool.js';
+import { MemoryBulkStoreTool } from './memory-bulk-store-tool.js';
+import { MemoryRetentionTool } from './memory-retention-tool.js';
+import { MemoryGraphTool } from './memory-graph-tool.js';
+import { MemoryUserDataTool } from './memory-user-data-tool.js';
 
 /**
  * Register all MCP tools
  */
 export const registerTools = (): Tool[] => {
-  return [
+  const tools: Tool[] = [
     new MemoryManagementTool(),
+    new MemoryStoreTool(),
+    new MemorySearchTool(),
+    new MemoryBulkStoreTool(),
+    new MemoryRetentionTool(),
+    new MemoryGraphTool(),
   ];
+
+  // Admin tools can export or erase a user's data, so they are opt-in
+  if (process.env.MCP_ADMIN_TOOLS === 'true') {
+    tools.push(new MemoryUserDataTool());
+  }
+
+  return tools;
 };
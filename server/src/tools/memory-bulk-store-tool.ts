@@ -0,0 +1,133 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import { addMemories } from '../services/memory-service.js';
+
+// Upper bound on items per call, to keep a single request's transaction reasonable
+const MAX_ITEMS = 1000;
+
+// One memory in the items of memory_bulk_store
+interface BulkStoreItem {
+  content: string;
+  conversation_id?: string;
+  user_id?: string;
+  metadata?: Record<string, unknown>;
+  importance?: number;
+}
+
+// The arguments of memory_bulk_store, as described by its parameters schema
+interface BulkStoreParams {
+  items: BulkStoreItem[];
+  conversation_id?: string;
+  user_id?: string;
+}
+
+/**
+ * Tool for saving many memories in one call, e.g. when importing a transcript
+ */
+export class MemoryBulkStoreTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_bulk_store';
+
+  // Tool description
+  readonly description = 'Save many memories at once, such as the messages of a chat transcript. Returns the ID or error for each item';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_ITEMS,
+        description: 'The memories to store',
+        items: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              minLength: 1,
+              description: 'The text to remember'
+            },
+            conversation_id: {
+              type: 'string',
+              description: 'The conversation the memory belongs to (overrides the top-level conversation_id)'
+            },
+            user_id: {
+              type: 'string',
+              description: 'The user the memory belongs to (overrides the top-level user_id)'
+            },
+            metadata: {
+              type: 'object',
+              description: 'Additional metadata to store with the memory',
+              additionalProperties: true
+            },
+            importance: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              description: 'How important the memory is, from 0 to 1 (default: 0.5)'
+            }
+          },
+          required: ['content'],
+          additionalProperties: false
+        }
+      },
+      conversation_id: {
+        type: 'string',
+        description: 'Default conversation for items that do not set one (defaults to a new conversation ID)'
+      },
+      user_id: {
+        type: 'string',
+        description: 'Default user for items that do not set one (defaults to "anonymous")'
+      }
+    },
+    required: ['items'],
+    additionalProperties: false
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The per-item results
+   */
+  async execute(params: BulkStoreParams): Promise<ToolResult> {
+    try {
+      const { items } = params;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('items is required for memory_bulk_store');
+      }
+
+      if (items.length > MAX_ITEMS) {
+        throw new Error(`memory_bulk_store accepts at most ${MAX_ITEMS} items per call`);
+      }
+
+      const conversationId = params.conversation_id || `conv-${Date.now()}`;
+      const userId = params.user_id || 'anonymous';
+
+      const results = await addMemories(items.map((item) => ({
+        conversationId: item.conversation_id || conversationId,
+        userId: item.user_id || userId,
+        content: item.content,
+        metadata: {
+          source: 'memory_bulk_store',
+          ...item.metadata
+        },
+        importance: item.importance
+      })));
+
+      const failedCount = results.filter(result => result.error).length;
+
+      return {
+        status: failedCount === results.length ? 'error' : 'success',
+        stored_count: results.length - failedCount,
+        failed_count: failedCount,
+        results,
+        message: `Stored ${results.length - failedCount} of ${results.length} memories`
+      };
+    } catch (error) {
+      logger.error('Error executing memory bulk store tool:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,427 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import {
+  upsertEntity,
+  getEntity,
+  updateEntity,
+  addObservations,
+  deleteEntity,
+  createRelation,
+  deleteRelation,
+  getNeighbours,
+  searchEntities,
+  RELATION_DIRECTIONS,
+  RelationDirection
+} from '../services/graph-service.js';
+
+// The arguments of memory_graph, as described by its parameters schema
+interface GraphParams {
+  operation: string;
+  entity_id?: number;
+  name?: string;
+  entity_type?: string;
+  user_id?: string;
+  observations?: string[];
+  metadata?: Record<string, unknown>;
+  from_id?: number;
+  relation_type?: string;
+  to_id?: number;
+  depth?: number;
+  relation_types?: string[];
+  direction?: RelationDirection;
+  query?: string;
+  limit?: number;
+}
+
+// The parameters of an operation on a relation, once checked
+type RelationParams = GraphParams & Required<Pick<GraphParams, 'from_id' | 'relation_type' | 'to_id'>>;
+
+/**
+ * Tool for storing and querying structured memory: entities with
+ * observations, and typed relations between them
+ */
+export class MemoryGraphTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_graph';
+
+  // Tool description
+  readonly description = 'Store facts as a knowledge graph: create entities (people, services, projects...) with observations about them, link them with typed relations such as "owns" or "works_at", find entities by meaning, and walk their neighbours several hops out';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: ['upsert_entity', 'get_entity', 'update_entity', 'add_observations', 'delete_entity', 'relate', 'unrelate', 'neighbours', 'search'],
+        description: 'The operation to perform on the knowledge graph'
+      },
+      entity_id: {
+        type: 'number',
+        description: 'The entity to get, update, add observations to, delete or walk out from'
+      },
+      name: {
+        type: 'string',
+        minLength: 1,
+        description: 'For upsert_entity and update_entity operations, the entity name; upserting an existing name and type (ignoring case) merges into that entity'
+      },
+      entity_type: {
+        type: 'string',
+        minLength: 1,
+        description: 'For upsert_entity and update_entity operations, the entity type, e.g. person or service; for search operations, only return entities of this type'
+      },
+      user_id: {
+        type: 'string',
+        description: 'For upsert_entity operations, the user the entity belongs to; for search operations, only return entities of this user'
+      },
+      observations: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Facts about the entity: added to it for upsert_entity and add_observations operations, replacing its observations for update_entity operations'
+      },
+      metadata: {
+        type: 'object',
+        description: 'For upsert_entity operations, metadata merged into the entity\'s; for update_entity and relate operations, metadata replacing the current metadata',
+        additionalProperties: true
+      },
+      from_id: {
+        type: 'number',
+        description: 'For relate and unrelate operations, the entity the relation goes from'
+      },
+      relation_type: {
+        type: 'string',
+        minLength: 1,
+        description: 'For relate and unrelate operations, the relation, e.g. owns or works_at'
+      },
+      to_id: {
+        type: 'number',
+        description: 'For relate and unrelate operations, the entity the relation goes to'
+      },
+      depth: {
+        type: 'number',
+        minimum: 1,
+        maximum: 5,
+        description: 'For neighbours operations, how many hops out to walk (default: 1)'
+      },
+      relation_types: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'For neighbours operations, only follow these relations'
+      },
+      direction: {
+        type: 'string',
+        enum: [...RELATION_DIRECTIONS],
+        description: 'For neighbours operations, follow relations out of, in to, or both ways through each entity (default: both)'
+      },
+      query: {
+        type: 'string',
+        description: 'For search operations, what to look for'
+      },
+      limit: {
+        type: 'number',
+        minimum: 1,
+        description: 'For search operations, the maximum number of entities to return (default: 10)'
+      }
+    },
+    required: ['operation']
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The result of the operation
+   */
+  async execute(params: GraphParams): Promise<ToolResult> {
+    try {
+      const { operation } = params;
+
+      switch (operation) {
+        case 'upsert_entity':
+          return this.upsertEntity(params);
+
+        case 'get_entity':
+          return this.getEntity(params);
+
+        case 'update_entity':
+          return this.updateEntity(params);
+
+        case 'add_observations':
+          return this.addObservations(params);
+
+        case 'delete_entity':
+          return this.deleteEntity(params);
+
+        case 'relate':
+          return this.relate(params);
+
+        case 'unrelate':
+          return this.unrelate(params);
+
+        case 'neighbours':
+          return this.getNeighbours(params);
+
+        case 'search':
+          return this.searchEntities(params);
+
+        default:
+          throw new Error(`Unknown operation: ${operation}`);
+      }
+    } catch (error) {
+      logger.error('Error executing memory graph tool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Require an entity ID for operations on a single entity
+   * @param params The tool parameters
+   * @param operation The operation being performed
+   * @returns The entity ID
+   */
+  private requireEntityId(params: GraphParams, operation: string): number {
+    if (params.entity_id === undefined) {
+      throw new Error(`entity_id is required for ${operation} operation`);
+    }
+
+    return params.entity_id;
+  }
+
+  /**
+   * Result for an operation on an entity that was not found
+   * @param operation The operation being performed
+   * @param entityId The entity's ID
+   * @returns The error result
+   */
+  private entityNotFound(operation: string, entityId: number): ToolResult {
+    return {
+      status: 'error',
+      operation,
+      entity_id: entityId,
+      message: `Entity with ID ${entityId} not found`
+    };
+  }
+
+  /**
+   * Create an entity, or merge into the one with the same name and type
+   * @param params The parameters for the entity
+   * @returns The stored entity
+   */
+  private async upsertEntity(params: GraphParams): Promise<ToolResult> {
+    if (!params.name || !params.entity_type) {
+      throw new Error('name and entity_type are required for upsert_entity operation');
+    }
+
+    const entity = await upsertEntity({
+      name: params.name,
+      entityType: params.entity_type,
+      userId: params.user_id,
+      observations: params.observations,
+      metadata: params.metadata
+    });
+
+    return {
+      status: 'success',
+      operation: 'upsert_entity',
+      entity,
+      message: entity.created
+        ? `Successfully created ${entity.entity_type} entity ${entity.name}`
+        : `Successfully merged into ${entity.entity_type} entity ${entity.name}`
+    };
+  }
+
+  /**
+   * Get an entity by ID
+   * @param params The parameters for getting an entity
+   * @returns The entity
+   */
+  private async getEntity(params: GraphParams): Promise<ToolResult> {
+    const entityId = this.requireEntityId(params, 'get_entity');
+    const entity = await getEntity(entityId);
+
+    if (!entity) {
+      return this.entityNotFound('get_entity', entityId);
+    }
+
+    return {
+      status: 'success',
+      operation: 'get_entity',
+      entity
+    };
+  }
+
+  /**
+   * Update an entity's name, type, observations or metadata
+   * @param params The parameters for updating an entity
+   * @returns The updated entity
+   */
+  private async updateEntity(params: GraphParams): Promise<ToolResult> {
+    const entityId = this.requireEntityId(params, 'update_entity');
+    const entity = await updateEntity(entityId, {
+      name: params.name,
+      entityType: params.entity_type,
+      observations: params.observations,
+      metadata: params.metadata
+    });
+
+    if (!entity) {
+      return this.entityNotFound('update_entity', entityId);
+    }
+
+    return {
+      status: 'success',
+      operation: 'update_entity',
+      entity,
+      message: `Successfully updated entity ${entityId}`
+    };
+  }
+
+  /**
+   * Add observations to an entity
+   * @param params The parameters for adding observations
+   * @returns The updated entity
+   */
+  private async addObservations(params: GraphParams): Promise<ToolResult> {
+    const entityId = this.requireEntityId(params, 'add_observations');
+
+    if (!params.observations) {
+      throw new Error('observations is required for add_observations operation');
+    }
+
+    const entity = await addObservations(entityId, params.observations);
+
+    if (!entity) {
+      return this.entityNotFound('add_observations', entityId);
+    }
+
+    return {
+      status: 'success',
+      operation: 'add_observations',
+      entity,
+      message: `Entity ${entityId} now has ${entity.observations.length} observations`
+    };
+  }
+
+  /**
+   * Delete an entity and its relations
+   * @param params The parameters for deleting an entity
+   * @returns Result of the delete operation
+   */
+  private async deleteEntity(params: GraphParams): Promise<ToolResult> {
+    const entityId = this.requireEntityId(params, 'delete_entity');
+    const deleted = await deleteEntity(entityId);
+
+    if (!deleted) {
+      return this.entityNotFound('delete_entity', entityId);
+    }
+
+    return {
+      status: 'success',
+      operation: 'delete_entity',
+      entity_id: entityId,
+      message: `Successfully deleted entity ${entityId} and its relations`
+    };
+  }
+
+  /**
+   * Check the parameters naming a relation
+   * @param params The tool parameters
+   * @param operation The operation being performed
+   */
+  private requireRelation(params: GraphParams, operation: string): asserts params is RelationParams {
+    if (params.from_id === undefined || params.to_id === undefined || !params.relation_type) {
+      throw new Error(`from_id, relation_type and to_id are required for ${operation} operation`);
+    }
+  }
+
+  /**
+   * Relate two entities
+   * @param params The parameters for the relation
+   * @returns The relation
+   */
+  private async relate(params: GraphParams): Promise<ToolResult> {
+    this.requireRelation(params, 'relate');
+
+    const relation = await createRelation(params.from_id, params.relation_type, params.to_id, {
+      metadata: params.metadata
+    });
+
+    return {
+      status: 'success',
+      operation: 'relate',
+      relation,
+      message: `Entity ${relation.from_id} ${relation.relation_type} entity ${relation.to_id}`
+    };
+  }
+
+  /**
+   * Remove a relation between two entities
+   * @param params The parameters naming the relation
+   * @returns Result of the remove operation
+   */
+  private async unrelate(params: GraphParams): Promise<ToolResult> {
+    this.requireRelation(params, 'unrelate');
+
+    const removed = await deleteRelation(params.from_id, params.relation_type, params.to_id);
+
+    return {
+      status: removed ? 'success' : 'error',
+      operation: 'unrelate',
+      from_id: params.from_id,
+      relation_type: params.relation_type,
+      to_id: params.to_id,
+      message: removed
+        ? `Successfully removed the ${params.relation_type} relation from entity ${params.from_id} to entity ${params.to_id}`
+        : `No ${params.relation_type} relation from entity ${params.from_id} to entity ${params.to_id}`
+    };
+  }
+
+  /**
+   * Walk out from an entity along its relations
+   * @param params The parameters for the walk
+   * @returns The entity, its neighbours and the relations among them
+   */
+  private async getNeighbours(params: GraphParams): Promise<ToolResult> {
+    const entityId = this.requireEntityId(params, 'neighbours');
+    const result = await getNeighbours(entityId, {
+      depth: params.depth,
+      relationTypes: params.relation_types,
+      direction: params.direction
+    });
+
+    if (!result) {
+      return this.entityNotFound('neighbours', entityId);
+    }
+
+    return {
+      status: 'success',
+      operation: 'neighbours',
+      ...result,
+      message: `Found ${result.neighbours.length} neighbours of entity ${entityId}`
+    };
+  }
+
+  /**
+   * Find the entities most similar to a query
+   * @param params The parameters for the search
+   * @returns The matching entities
+   */
+  private async searchEntities(params: GraphParams): Promise<ToolResult> {
+    if (!params.query) {
+      throw new Error('query is required for search operation');
+    }
+
+    const entities = await searchEntities(params.query, {
+      limit: params.limit,
+      entityType: params.entity_type,
+      userId: params.user_id
+    });
+
+    return {
+      status: 'success',
+      operation: 'search',
+      query: params.query,
+      entities_count: entities.length,
+      entities
+    };
+  }
+}
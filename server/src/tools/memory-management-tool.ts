@@ -1,6 +1,69 @@
-import { Tool } from '../typescript-sdk-wrapper.js';
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
 import { logger } from '../utils/logger.js';
-import { archiveOldMemories, optimizeVectorIndex, getConversationMemories, deleteMemory } from '../services/memory-service.js';
+import {
+  archiveOldMemories,
+  archiveMemory,
+  unarchiveMemory,
+  archiveMemories,
+  unarchiveMemories,
+  runMemoryLifecycle,
+  optimizeVectorIndex,
+  getConversationMemories,
+  getTaggedMemories,
+  updateMemory,
+  deleteMemory
+} from '../services/memory-service.js';
+import type { MemoryFilter } from '../services/memory-service.js';
+import { createReembedJob, runReembedJob, getReembedJob, listReembedJobs } from '../services/reembed-service.js';
+import { listMaintenanceRuns } from '../services/scheduler-service.js';
+import { consolidateConversation, consolidateMemories, getSummarySources } from '../services/consolidation-service.js';
+import { listConversations, setConversationTitle, MAX_TITLE_LENGTH } from '../services/conversation-service.js';
+import { tagMemory, untagMemory, listTags, renameTag, mergeTags, MAX_TAG_LENGTH } from '../services/tag-service.js';
+import { createLink, deleteLink, getLinkedMemories, LINK_TYPES, LINK_DIRECTIONS, LinkType, LinkDirection } from '../services/link-service.js';
+import type { MetadataFilter } from '../services/metadata-filter.js';
+
+// Operations that act on every tenant's memories, or report jobs that did, so
+// they are admin-only like the admin tools: maintenance runs and re-embedding
+// jobs are not scoped to a tenant
+const ADMIN_OPERATIONS = ['lifecycle', 'optimize', 'reembed', 'reembed_status', 'maintenance_history'];
+
+// The arguments of memory_management, as described by its parameters schema
+interface ManagementParams {
+  operation: string;
+  days_to_keep?: number;
+  keep_importance?: number;
+  cold_after_days?: number;
+  purge_after_days?: number;
+  drop_embeddings?: boolean;
+  conversation_id?: string;
+  user_id?: string;
+  metadata?: MetadataFilter;
+  since?: string;
+  until?: string;
+  include_archived?: boolean;
+  tags?: string[];
+  tag?: string;
+  new_name?: string;
+  memory_id?: number;
+  target_id?: number;
+  link_type?: LinkType;
+  link_types?: LinkType[];
+  direction?: LinkDirection;
+  depth?: number;
+  content?: string;
+  batch_size?: number;
+  job_id?: number;
+  job_name?: string;
+  limit?: number;
+  cursor?: string;
+  title?: string;
+  keep_recent?: number;
+  summarizer?: string;
+  archive_sources?: boolean;
+}
+
+// The parameters of an operation on a link, once checked
+type LinkParams = ManagementParams & Required<Pick<ManagementParams, 'memory_id' | 'link_type' | 'target_id'>>;
 
 /**
  * Tool for managing memories in the system
@@ -10,7 +73,7 @@ export class MemoryManagementTool implements Tool {
   readonly name = 'memory_management';
   
   // Tool description
-  readonly description = 'Manage memory operations like archiving old memories, optimizing indexes, or deleting specific memories';
+  readonly description = 'Manage memory operations like archiving old memories, restoring archived ones, moving them to cold storage and purging them, optimizing indexes, editing or deleting specific memories, re-embedding memories after a model change, summarizing older conversation messages, listing conversations and paging through their memories, tagging memories and organizing their tags, linking memories that follow up on, supersede, contradict or derive from each other, or reviewing scheduled maintenance runs';
   
   // Tool parameters schema
   readonly parameters = {
@@ -18,20 +81,148 @@ export class MemoryManagementTool implements Tool {
     properties: {
       operation: {
         type: 'string',
-        enum: ['archive', 'optimize', 'list', 'delete'],
+        enum: ['archive', 'restore', 'lifecycle', 'optimize', 'list', 'update', 'delete', 'reembed', 'reembed_status', 'maintenance_history', 'consolidate', 'sources', 'conversations', 'set_title', 'tag', 'untag', 'tags', 'tagged', 'rename_tag', 'merge_tags', 'link', 'unlink', 'links'],
         description: 'The operation to perform on memories'
       },
       days_to_keep: {
         type: 'number',
-        description: 'For archive operations, number of days to keep memories before archiving'
+        description: 'For archive and lifecycle operations, number of days to keep memories before archiving'
+      },
+      keep_importance: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'For archive and lifecycle operations, memories at least this important are kept regardless of age (default: 0.8)'
+      },
+      cold_after_days: {
+        type: 'number',
+        description: 'For lifecycle operations, number of days a memory stays archived before it moves to cold storage (default: 30)'
+      },
+      purge_after_days: {
+        type: 'number',
+        description: 'For lifecycle operations, number of days a memory stays in cold storage before it is deleted for good (default: 365)'
+      },
+      drop_embeddings: {
+        type: 'boolean',
+        description: 'For lifecycle operations, drop the embeddings of memories moved to cold storage (default: false)'
       },
       conversation_id: {
         type: 'string',
-        description: 'For list operations, the conversation ID to list memories for'
+        description: 'For list operations, the conversation ID to list memories for; for archive and restore operations, only change memories of this conversation; for consolidate operations, the conversation to summarize (default: every conversation with enough older messages); for set_title operations, the conversation to rename'
+      },
+      user_id: {
+        type: 'string',
+        description: 'For archive and restore operations, only change memories of this user; for conversations operations, only list conversations started by this user; for tagged operations, only list memories of this user'
+      },
+      metadata: {
+        type: 'object',
+        description: 'For list, tagged, archive and restore operations, only include memories whose metadata matches this filter (same syntax as memory_search); for update operations, the metadata replacing the memory\'s current metadata; for link operations, the link\'s metadata',
+        additionalProperties: true
+      },
+      since: {
+        type: 'string',
+        format: 'date-time',
+        description: 'For archive and restore operations, only change memories created at or after this time'
+      },
+      until: {
+        type: 'string',
+        format: 'date-time',
+        description: 'For archive and restore operations, only change memories created at or before this time'
+      },
+      include_archived: {
+        type: 'boolean',
+        description: 'For list and tagged operations, also list archived memories; for tags operations, also count them (default: false)'
+      },
+      tags: {
+        type: 'array',
+        items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH },
+        description: 'For tag and untag operations, the tags to add to or remove from memory_id; for list, tagged, archive and restore operations, only include memories carrying all of these tags; for merge_tags operations, the tags to merge into tag. Tags are stored trimmed and lower case, with whitespace as hyphens'
+      },
+      tag: {
+        type: 'string',
+        minLength: 1,
+        description: 'For rename_tag operations, the tag to rename; for merge_tags operations, the tag to merge the others into; for tags operations, only list tags starting with this'
+      },
+      new_name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_TAG_LENGTH,
+        description: 'For rename_tag operations, the tag\'s new name'
       },
       memory_id: {
         type: 'number',
-        description: 'For delete operations, the ID of the memory to delete'
+        description: 'For archive, restore, update, delete, tag and untag operations, the ID of the memory to change; for sources operations, the summary whose source messages to list; for link and unlink operations, the memory the link goes from; for links operations, the memory to walk out from'
+      },
+      target_id: {
+        type: 'number',
+        description: 'For link and unlink operations, the memory the link goes to'
+      },
+      link_type: {
+        type: 'string',
+        enum: [...LINK_TYPES],
+        description: 'For link and unlink operations, how memory_id relates to target_id; a memory that another supersedes is left out of searches unless they include superseded memories'
+      },
+      link_types: {
+        type: 'array',
+        items: { type: 'string', enum: [...LINK_TYPES] },
+        minItems: 1,
+        description: 'For links operations, only follow these links (default: all)'
+      },
+      direction: {
+        type: 'string',
+        enum: [...LINK_DIRECTIONS],
+        description: 'For links operations, follow links out of, in to, or both ways through each memory (default: both)'
+      },
+      depth: {
+        type: 'number',
+        minimum: 1,
+        maximum: 5,
+        description: 'For links operations, how many links out to walk (default: 1)'
+      },
+      content: {
+        type: 'string',
+        minLength: 1,
+        description: 'For update operations, the memory\'s new content; it is re-embedded and the previous version is kept in the memory\'s history'
+      },
+      batch_size: {
+        type: 'number',
+        description: 'For reembed operations, number of memories to embed per batch (default: 100)'
+      },
+      job_id: {
+        type: 'number',
+        description: 'For reembed_status operations, the re-embedding job to report on (default: the most recent jobs)'
+      },
+      job_name: {
+        type: 'string',
+        enum: ['consolidate', 'archive', 'retention', 'purge', 'optimize', 'reindex'],
+        description: 'For maintenance_history operations, only list runs of this scheduled job'
+      },
+      limit: {
+        type: 'number',
+        description: 'For maintenance_history operations, maximum number of runs to list (default: 20); for list, tagged and conversations operations, maximum number of memories or conversations in a page (default: 100, at most 1000); for tags operations, maximum number of tags to list (default: 100)'
+      },
+      cursor: {
+        type: 'string',
+        description: 'For list, tagged and conversations operations, the next_cursor returned with the previous page, to get the page after it'
+      },
+      title: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_TITLE_LENGTH,
+        description: 'For set_title operations, the conversation\'s new title'
+      },
+      keep_recent: {
+        type: 'number',
+        minimum: 0,
+        description: 'For consolidate operations, number of most recent messages of each conversation to leave alone (default: 20)'
+      },
+      summarizer: {
+        type: 'string',
+        description: 'For consolidate operations, the summarizer to use, e.g. extractive or openai (default: MEMORY_SUMMARIZER, then extractive)'
+      },
+      archive_sources: {
+        type: 'boolean',
+        description: 'For consolidate operations, also archive the messages that were summarized (default: false)'
       }
     },
     required: ['operation']
@@ -42,23 +233,84 @@ export class MemoryManagementTool implements Tool {
    * @param params The parameters for the tool
    * @returns The result of the operation
    */
-  async execute(params: any): Promise<any> {
+  async execute(params: ManagementParams): Promise<ToolResult> {
     try {
       const { operation } = params;
       
+      if (ADMIN_OPERATIONS.includes(operation) && process.env.MCP_ADMIN_TOOLS !== 'true') {
+        throw new Error(`The ${operation} operation spans every tenant and requires MCP_ADMIN_TOOLS=true`);
+      }
+      
       switch (operation) {
         case 'archive':
           return this.archiveMemories(params);
         
+        case 'restore':
+          return this.restoreMemories(params);
+        
+        case 'lifecycle':
+          return this.runLifecycle(params);
+        
         case 'optimize':
           return this.optimizeIndex();
         
         case 'list':
           return this.listMemories(params);
         
+        case 'update':
+          return this.updateMemory(params);
+        
         case 'delete':
           return this.deleteMemory(params);
         
+        case 'reembed':
+          return this.reembedMemories(params);
+        
+        case 'reembed_status':
+          return this.reembedStatus(params);
+        
+        case 'maintenance_history':
+          return this.maintenanceHistory(params);
+        
+        case 'consolidate':
+          return this.consolidate(params);
+        
+        case 'sources':
+          return this.summarySources(params);
+        
+        case 'conversations':
+          return this.listConversations(params);
+        
+        case 'set_title':
+          return this.setConversationTitle(params);
+        
+        case 'tag':
+          return this.tagMemory(params);
+        
+        case 'untag':
+          return this.untagMemory(params);
+        
+        case 'tags':
+          return this.listTags(params);
+        
+        case 'tagged':
+          return this.listTaggedMemories(params);
+        
+        case 'rename_tag':
+          return this.renameTag(params);
+        
+        case 'merge_tags':
+          return this.mergeTags(params);
+        
+        case 'link':
+          return this.link(params);
+        
+        case 'unlink':
+          return this.unlink(params);
+        
+        case 'links':
+          return this.listLinks(params);
+        
         default:
           throw new Error(`Unknown operation: ${operation}`);
       }
@@ -69,20 +321,119 @@ export class MemoryManagementTool implements Tool {
   }
   
   /**
-   * Archive old memories
+   * Pick the memory filter given to an archive or restore operation
+   * @param params The parameters of the operation
+   * @returns The filter, or null if none was given
+   */
+  private archiveFilter(params: ManagementParams): MemoryFilter | null {
+    const { conversation_id, user_id, metadata, tags, since, until } = params;
+    
+    if (!conversation_id && !user_id && !metadata && !tags?.length && !since && !until) {
+      return null;
+    }
+    
+    return { conversationId: conversation_id, userId: user_id, metadata, tags, since, until };
+  }
+  
+  /**
+   * Archive a memory by ID, memories matching a filter, or old memories
    * @param params The parameters for archiving
    * @returns Result of the archive operation
    */
-  private async archiveMemories(params: any): Promise<any> {
+  private async archiveMemories(params: ManagementParams): Promise<ToolResult> {
+    if (params.memory_id) {
+      const archived = await archiveMemory(params.memory_id);
+      
+      return {
+        status: archived ? 'success' : 'error',
+        operation: 'archive',
+        memory_id: params.memory_id,
+        message: archived
+          ? `Successfully archived memory with ID ${params.memory_id}`
+          : `Memory with ID ${params.memory_id} not found`
+      };
+    }
+    
+    const filter = this.archiveFilter(params);
+    if (filter) {
+      const archivedCount = await archiveMemories(filter);
+      
+      return {
+        status: 'success',
+        operation: 'archive',
+        archived_count: archivedCount,
+        message: `Successfully archived ${archivedCount} memories matching the filter`
+      };
+    }
+    
     const daysToKeep = params.days_to_keep || 90;
+    const keepImportance = params.keep_importance ?? 0.8;
     
-    const archivedCount = await archiveOldMemories(daysToKeep);
+    const archivedCount = await archiveOldMemories(daysToKeep, keepImportance);
     
     return {
       status: 'success',
       operation: 'archive',
       archived_count: archivedCount,
-      message: `Successfully archived ${archivedCount} memories older than ${daysToKeep} days`
+      message: `Successfully archived ${archivedCount} memories older than ${daysToKeep} days with importance below ${keepImportance}`
+    };
+  }
+  
+  /**
+   * Restore archived memories by ID or by filter
+   * @param params The parameters for restoring
+   * @returns Result of the restore operation
+   */
+  private async restoreMemories(params: ManagementParams): Promise<ToolResult> {
+    if (params.memory_id) {
+      const restored = await unarchiveMemory(params.memory_id);
+      
+      return {
+        status: restored ? 'success' : 'error',
+        operation: 'restore',
+        memory_id: params.memory_id,
+        message: restored
+          ? `Successfully restored memory with ID ${params.memory_id}`
+          : `Memory with ID ${params.memory_id} not found`
+      };
+    }
+    
+    const filter = this.archiveFilter(params);
+    if (!filter) {
+      throw new Error('memory_id, conversation_id, user_id, metadata, since or until is required for restore operation');
+    }
+    
+    const restoredCount = await unarchiveMemories(filter);
+    
+    return {
+      status: 'success',
+      operation: 'restore',
+      restored_count: restoredCount,
+      message: `Successfully restored ${restoredCount} memories matching the filter`
+    };
+  }
+  
+  /**
+   * Archive old memories, move long-archived ones to cold storage and purge expired cold storage
+   * @param params The parameters for the lifecycle run
+   * @returns The counts of each stage
+   */
+  private async runLifecycle(params: ManagementParams): Promise<ToolResult> {
+    const counts = await runMemoryLifecycle({
+      daysToKeep: params.days_to_keep,
+      keepImportance: params.keep_importance,
+      coldAfterDays: params.cold_after_days,
+      purgeAfterDays: params.purge_after_days,
+      dropEmbeddings: params.drop_embeddings
+    });
+    
+    return {
+      status: 'success',
+      operation: 'lifecycle',
+      archived_count: counts.archived,
+      moved_count: counts.moved,
+      purged_count: counts.purged,
+      message: `Archived ${counts.archived} memories, moved ${counts.moved} to cold storage and purged ${counts.purged}`
     };
   }
   
@@ -90,7 +441,7 @@ export class MemoryManagementTool implements Tool {
    * Optimize the vector index
    * @returns Result of the optimization operation
    */
-  private async optimizeIndex(): Promise<any> {
+  private async optimizeIndex(): Promise<ToolResult> {
     await optimizeVectorIndex();
     
     return {
@@ -101,25 +452,116 @@ export class MemoryManagementTool implements Tool {
   }
   
   /**
-   * List memories for a conversation
+   * List a page of the memories of a conversation
    * @param params The parameters for listing memories
-   * @returns List of memories
+   * @returns The page of memories, and the cursor of the next page
    */
-  private async listMemories(params: any): Promise<any> {
-    const { conversation_id } = params;
+  private async listMemories(params: ManagementParams): Promise<ToolResult> {
+    const { conversation_id, metadata, tags, include_archived, cursor, limit } = params;
     
     if (!conversation_id) {
       throw new Error('conversation_id is required for list operation');
     }
     
-    const memories = await getConversationMemories(conversation_id);
+    const { memories, nextCursor } = await getConversationMemories(conversation_id, {
+      metadata,
+      tags,
+      includeArchived: include_archived,
+      cursor,
+      limit
+    });
     
     return {
       status: 'success',
       operation: 'list',
       conversation_id,
       memories_count: memories.length,
-      memories
+      memories,
+      next_cursor: nextCursor
+    };
+  }
+  
+  /**
+   * List a page of conversations, most recently active first
+   * @param params The parameters for listing conversations
+   * @returns The page of conversations, and the cursor of the next page
+   */
+  private async listConversations(params: ManagementParams): Promise<ToolResult> {
+    const { user_id, cursor, limit } = params;
+    const { conversations, nextCursor } = await listConversations(user_id ?? null, { cursor, limit });
+    
+    return {
+      status: 'success',
+      operation: 'conversations',
+      conversations_count: conversations.length,
+      conversations,
+      next_cursor: nextCursor
+    };
+  }
+  
+  /**
+   * Rename a conversation
+   * @param params The parameters naming the conversation and its title
+   * @returns The renamed conversation
+   */
+  private async setConversationTitle(params: ManagementParams): Promise<ToolResult> {
+    const { conversation_id, title } = params;
+    
+    if (!conversation_id || !title) {
+      throw new Error('conversation_id and title are required for set_title operation');
+    }
+    
+    const conversation = await setConversationTitle(conversation_id, title);
+    
+    if (!conversation) {
+      return {
+        status: 'error',
+        operation: 'set_title',
+        conversation_id,
+        message: `Conversation ${conversation_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'set_title',
+      conversation,
+      message: `Renamed conversation ${conversation_id}`
+    };
+  }
+  
+  /**
+   * Edit the content and/or metadata of a specific memory
+   * @param params The parameters for updating a memory
+   * @returns The updated memory
+   */
+  private async updateMemory(params: ManagementParams): Promise<ToolResult> {
+    const { memory_id, content, metadata } = params;
+    
+    if (!memory_id) {
+      throw new Error('memory_id is required for update operation');
+    }
+    
+    if (content === undefined && metadata === undefined) {
+      throw new Error('content or metadata is required for update operation');
+    }
+    
+    const memory = await updateMemory(memory_id, { content, metadata });
+    
+    if (!memory) {
+      return {
+        status: 'error',
+        operation: 'update',
+        message: `Memory with ID ${memory_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'update',
+      memory_id,
+      memory,
+      message: `Successfully updated memory with ID ${memory_id}`
     };
   }
   
@@ -128,7 +570,7 @@ export class MemoryManagementTool implements Tool {
    * @param params The parameters for deleting a memory
    * @returns Result of the delete operation
    */
-  private async deleteMemory(params: any): Promise<any> {
+  private async deleteMemory(params: ManagementParams): Promise<ToolResult> {
     const { memory_id } = params;
     
     if (!memory_id) {
@@ -152,4 +594,417 @@ export class MemoryManagementTool implements Tool {
       message: `Successfully deleted memory with ID ${memory_id}`
     };
   }
+  
+  /**
+   * Start (or resume) a background re-embedding job for the active model
+   * @param params The parameters for re-embedding
+   * @returns The job that was started
+   */
+  private async reembedMemories(params: ManagementParams): Promise<ToolResult> {
+    const batchSize = params.batch_size || 100;
+    
+    const job = await createReembedJob();
+    
+    // Run in the background; progress is persisted and reported by reembed_status
+    runReembedJob(job, batchSize).catch((error) => {
+      logger.error(`Background re-embedding job ${job.id} failed:`, error);
+    });
+    
+    return {
+      status: 'success',
+      operation: 'reembed',
+      job_id: job.id,
+      target_model: job.target_model,
+      total_count: job.total_count,
+      processed_count: job.processed_count,
+      message: `Re-embedding job ${job.id} started for ${job.target_model}; use reembed_status to follow progress`
+    };
+  }
+  
+  /**
+   * Report progress of re-embedding jobs
+   * @param params The parameters for the status report
+   * @returns The requested job, or the most recent jobs
+   */
+  private async reembedStatus(params: ManagementParams): Promise<ToolResult> {
+    const { job_id } = params;
+    
+    if (job_id) {
+      const job = await getReembedJob(job_id);
+      
+      if (!job) {
+        return {
+          status: 'error',
+          operation: 'reembed_status',
+          message: `Re-embedding job with ID ${job_id} not found`
+        };
+      }
+      
+      return {
+        status: 'success',
+        operation: 'reembed_status',
+        job
+      };
+    }
+    
+    const jobs = await listReembedJobs();
+    
+    return {
+      status: 'success',
+      operation: 'reembed_status',
+      jobs_count: jobs.length,
+      jobs
+    };
+  }
+  
+  /**
+   * List recent runs of the scheduled maintenance jobs
+   * @param params The parameters for the history
+   * @returns The runs, newest first
+   */
+  private async maintenanceHistory(params: ManagementParams): Promise<ToolResult> {
+    const runs = await listMaintenanceRuns(params.job_name, params.limit || 20);
+    
+    return {
+      status: 'success',
+      operation: 'maintenance_history',
+      runs_count: runs.length,
+      runs
+    };
+  }
+  
+  /**
+   * Summarize the older messages of one conversation, or of every conversation with enough of them
+   * @param params The parameters for consolidation
+   * @returns The number of summaries written and messages they cover
+   */
+  private async consolidate(params: ManagementParams): Promise<ToolResult> {
+    const options = {
+      keepRecent: params.keep_recent,
+      summarizer: params.summarizer,
+      archiveSources: params.archive_sources
+    };
+    
+    if (params.conversation_id) {
+      const { summaryIds, summarizedCount } = await consolidateConversation(params.conversation_id, options);
+      
+      return {
+        status: 'success',
+        operation: 'consolidate',
+        conversation_id: params.conversation_id,
+        summary_ids: summaryIds,
+        summarized_count: summarizedCount,
+        message: `Summarized ${summarizedCount} messages into ${summaryIds.length} summaries`
+      };
+    }
+    
+    const totals = await consolidateMemories(options);
+    
+    return {
+      status: 'success',
+      operation: 'consolidate',
+      conversations_count: totals.conversations,
+      summaries_count: totals.summaries,
+      summarized_count: totals.summarized,
+      message: `Summarized ${totals.summarized} messages of ${totals.conversations} conversations into ${totals.summaries} summaries`
+    };
+  }
+  
+  /**
+   * List the messages a summary was made from
+   * @param params The parameters for listing sources
+   * @returns The source messages
+   */
+  private async summarySources(params: ManagementParams): Promise<ToolResult> {
+    const { memory_id } = params;
+    
+    if (!memory_id) {
+      throw new Error('memory_id is required for sources operation');
+    }
+    
+    const sources = await getSummarySources(memory_id);
+    
+    return {
+      status: 'success',
+      operation: 'sources',
+      memory_id,
+      sources_count: sources.length,
+      sources
+    };
+  }
+  
+  /**
+   * Require the tags given to a tagging operation
+   * @param params The tool parameters
+   * @param operation The operation being performed
+   * @returns The tags
+   */
+  private requireTags(params: ManagementParams, operation: string): string[] {
+    if (!Array.isArray(params.tags) || params.tags.length === 0) {
+      throw new Error(`tags is required for ${operation} operation`);
+    }
+    
+    return params.tags;
+  }
+  
+  /**
+   * Add tags to a memory
+   * @param params The parameters naming the memory and the tags
+   * @returns The memory's tags
+   */
+  private async tagMemory(params: ManagementParams): Promise<ToolResult> {
+    const { memory_id } = params;
+    
+    if (!memory_id) {
+      throw new Error('memory_id is required for tag operation');
+    }
+    
+    const tags = await tagMemory(memory_id, this.requireTags(params, 'tag'));
+    
+    if (tags === null) {
+      return {
+        status: 'error',
+        operation: 'tag',
+        memory_id,
+        message: `Memory with ID ${memory_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'tag',
+      memory_id,
+      tags,
+      message: `Memory ${memory_id} is tagged ${tags.join(', ')}`
+    };
+  }
+  
+  /**
+   * Remove tags from a memory
+   * @param params The parameters naming the memory and the tags
+   * @returns The memory's remaining tags
+   */
+  private async untagMemory(params: ManagementParams): Promise<ToolResult> {
+    const { memory_id } = params;
+    
+    if (!memory_id) {
+      throw new Error('memory_id is required for untag operation');
+    }
+    
+    const tags = await untagMemory(memory_id, this.requireTags(params, 'untag'));
+    
+    if (tags === null) {
+      return {
+        status: 'error',
+        operation: 'untag',
+        memory_id,
+        message: `Memory with ID ${memory_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'untag',
+      memory_id,
+      tags,
+      message: tags.length > 0 ? `Memory ${memory_id} is tagged ${tags.join(', ')}` : `Memory ${memory_id} has no tags left`
+    };
+  }
+  
+  /**
+   * List tags with the number of memories carrying each
+   * @param params The parameters for listing tags
+   * @returns The tags and their counts
+   */
+  private async listTags(params: ManagementParams): Promise<ToolResult> {
+    const tags = await listTags({
+      prefix: params.tag ?? null,
+      includeArchived: params.include_archived,
+      limit: params.limit
+    });
+    
+    return {
+      status: 'success',
+      operation: 'tags',
+      tags_count: tags.length,
+      tags
+    };
+  }
+  
+  /**
+   * List a page of the memories carrying all of the given tags, newest first
+   * @param params The parameters for listing tagged memories
+   * @returns The page of memories, and the cursor of the next page
+   */
+  private async listTaggedMemories(params: ManagementParams): Promise<ToolResult> {
+    const tags = this.requireTags(params, 'tagged');
+    const { memories, nextCursor } = await getTaggedMemories(tags, {
+      userId: params.user_id,
+      conversationId: params.conversation_id,
+      metadata: params.metadata,
+      includeArchived: params.include_archived,
+      cursor: params.cursor,
+      limit: params.limit
+    });
+    
+    return {
+      status: 'success',
+      operation: 'tagged',
+      tags,
+      memories_count: memories.length,
+      memories,
+      next_cursor: nextCursor
+    };
+  }
+  
+  /**
+   * Rename a tag
+   * @param params The parameters naming the tag and its new name
+   * @returns The renamed tag
+   */
+  private async renameTag(params: ManagementParams): Promise<ToolResult> {
+    const { tag, new_name } = params;
+    
+    if (!tag || !new_name) {
+      throw new Error('tag and new_name are required for rename_tag operation');
+    }
+    
+    const renamed = await renameTag(tag, new_name);
+    
+    if (!renamed) {
+      return {
+        status: 'error',
+        operation: 'rename_tag',
+        message: `Tag ${tag} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'rename_tag',
+      tag: renamed,
+      message: `Renamed tag ${tag} to ${renamed.name}`
+    };
+  }
+  
+  /**
+   * Merge tags into another
+   * @param params The parameters naming the tags to merge and the target
+   * @returns The target tag
+   */
+  private async mergeTags(params: ManagementParams): Promise<ToolResult> {
+    const { tag } = params;
+    
+    if (!tag) {
+      throw new Error('tag is required for merge_tags operation');
+    }
+    
+    const { merged, ...target } = await mergeTags(this.requireTags(params, 'merge_tags'), tag);
+    
+    return {
+      status: 'success',
+      operation: 'merge_tags',
+      tag: target,
+      merged,
+      message: `Merged ${merged.length} tags into ${target.name}`
+    };
+  }
+  
+  /**
+   * Check the parameters naming a link
+   * @param params The tool parameters
+   * @param operation The operation being performed
+   */
+  private requireLink(params: ManagementParams, operation: string): asserts params is LinkParams {
+    if (!params.memory_id || !params.target_id || !params.link_type) {
+      throw new Error(`memory_id, link_type and target_id are required for ${operation} operation`);
+    }
+  }
+  
+  /**
+   * Link two memories
+   * @param params The parameters for the link
+   * @returns The link
+   */
+  private async link(params: ManagementParams): Promise<ToolResult> {
+    this.requireLink(params, 'link');
+    const { memory_id, link_type, target_id } = params;
+    
+    const link = await createLink(memory_id, link_type, target_id, { metadata: params.metadata });
+    
+    if (!link) {
+      return {
+        status: 'error',
+        operation: 'link',
+        memory_id,
+        target_id,
+        message: `Memory ${memory_id} or memory ${target_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'link',
+      link,
+      message: `Memory ${link.from_id} ${link.link_type} memory ${link.to_id}`
+    };
+  }
+  
+  /**
+   * Remove a link between two memories
+   * @param params The parameters naming the link
+   * @returns Result of the remove operation
+   */
+  private async unlink(params: ManagementParams): Promise<ToolResult> {
+    this.requireLink(params, 'unlink');
+    const { memory_id, link_type, target_id } = params;
+    
+    const removed = await deleteLink(memory_id, link_type, target_id);
+    
+    return {
+      status: removed ? 'success' : 'error',
+      operation: 'unlink',
+      memory_id,
+      link_type,
+      target_id,
+      message: removed
+        ? `Removed the ${link_type} link from memory ${memory_id} to memory ${target_id}`
+        : `No ${link_type} link from memory ${memory_id} to memory ${target_id}`
+    };
+  }
+  
+  /**
+   * Walk out from a memory along its links
+   * @param params The parameters for the walk
+   * @returns The memory, the linked memories and the links among them
+   */
+  private async listLinks(params: ManagementParams): Promise<ToolResult> {
+    const { memory_id } = params;
+    
+    if (!memory_id) {
+      throw new Error('memory_id is required for links operation');
+    }
+    
+    const result = await getLinkedMemories(memory_id, {
+      depth: params.depth,
+      linkTypes: params.link_types,
+      direction: params.direction
+    });
+    
+    if (!result) {
+      return {
+        status: 'error',
+        operation: 'links',
+        memory_id,
+        message: `Memory with ID ${memory_id} not found`
+      };
+    }
+    
+    return {
+      status: 'success',
+      operation: 'links',
+      ...result,
+      message: `Found ${result.linked.length} memories linked to memory ${result.memory.id}`
+    };
+  }
 }
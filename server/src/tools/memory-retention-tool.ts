@@ -0,0 +1,225 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import {
+  saveRetentionPolicy,
+  listRetentionPolicies,
+  deleteRetentionPolicy,
+  applyRetentionPolicy,
+  applyRetentionPolicies,
+  RETENTION_ACTIONS,
+  RetentionAction
+} from '../services/retention-service.js';
+import type { MetadataFilter } from '../services/metadata-filter.js';
+
+// The arguments of memory_retention, as described by its parameters schema
+interface RetentionParams {
+  operation: string;
+  name?: string;
+  keep_days?: number;
+  action?: RetentionAction;
+  user_id?: string;
+  conversation_prefix?: string;
+  metadata?: MetadataFilter;
+  exempt_pinned?: boolean;
+  exempt_importance?: number;
+  enabled?: boolean;
+  dry_run?: boolean;
+}
+
+/**
+ * Tool for managing and applying named retention policies
+ */
+export class MemoryRetentionTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_retention';
+
+  // Tool description
+  readonly description = 'Manage named retention policies that archive or purge memories of a user, conversation prefix or metadata match after a number of days, and apply them, previewing what they would hit first';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: ['list', 'save', 'delete', 'apply'],
+        description: 'The operation to perform on retention policies'
+      },
+      name: {
+        type: 'string',
+        minLength: 1,
+        description: 'The policy name; required for save and delete operations, and for apply operations omit it to apply every enabled policy'
+      },
+      keep_days: {
+        type: 'number',
+        minimum: 1,
+        description: 'For save operations, age in days from which matching memories are acted on'
+      },
+      action: {
+        type: 'string',
+        enum: [...RETENTION_ACTIONS],
+        description: 'For save operations, whether matching memories are archived or purged for good (purging also clears them from cold storage)'
+      },
+      user_id: {
+        type: 'string',
+        description: 'For save operations, only match memories of this user'
+      },
+      conversation_prefix: {
+        type: 'string',
+        description: 'For save operations, only match memories whose conversation ID starts with this prefix'
+      },
+      metadata: {
+        type: 'object',
+        description: 'For save operations, only match memories whose metadata matches this filter (same syntax as memory_search)',
+        additionalProperties: true
+      },
+      exempt_pinned: {
+        type: 'boolean',
+        description: 'For save operations, leave memories whose metadata has "pinned": true alone (default: true)'
+      },
+      exempt_importance: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'For save operations, leave memories at least this important alone'
+      },
+      enabled: {
+        type: 'boolean',
+        description: 'For save operations, whether applying all policies includes this one (default: true)'
+      },
+      dry_run: {
+        type: 'boolean',
+        description: 'For apply operations, only count and sample the memories the policy would hit (default: true)'
+      }
+    },
+    required: ['operation']
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The result of the operation
+   */
+  async execute(params: RetentionParams): Promise<ToolResult> {
+    try {
+      const { operation } = params;
+
+      switch (operation) {
+        case 'list':
+          return this.listPolicies();
+
+        case 'save':
+          return this.savePolicy(params);
+
+        case 'delete':
+          return this.deletePolicy(params);
+
+        case 'apply':
+          return this.applyPolicies(params);
+
+        default:
+          throw new Error(`Unknown operation: ${operation}`);
+      }
+    } catch (error) {
+      logger.error('Error executing memory retention tool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all retention policies
+   * @returns The policies
+   */
+  private async listPolicies(): Promise<ToolResult> {
+    const policies = await listRetentionPolicies();
+
+    return {
+      status: 'success',
+      operation: 'list',
+      policies_count: policies.length,
+      policies
+    };
+  }
+
+  /**
+   * Create a retention policy, or replace the one with the same name
+   * @param params The parameters for the policy
+   * @returns The stored policy
+   */
+  private async savePolicy(params: RetentionParams): Promise<ToolResult> {
+    const { name, keep_days, action } = params;
+
+    if (!name || keep_days === undefined || !action) {
+      throw new Error('name, keep_days and action are required for save operation');
+    }
+
+    const policy = await saveRetentionPolicy({
+      name,
+      keepDays: keep_days,
+      action,
+      userId: params.user_id,
+      conversationPrefix: params.conversation_prefix,
+      metadata: params.metadata,
+      exemptPinned: params.exempt_pinned,
+      exemptImportance: params.exempt_importance,
+      enabled: params.enabled
+    });
+
+    return {
+      status: 'success',
+      operation: 'save',
+      policy,
+      message: `Successfully saved retention policy ${policy.name}`
+    };
+  }
+
+  /**
+   * Delete a retention policy
+   * @param params The parameters for deleting a policy
+   * @returns Result of the delete operation
+   */
+  private async deletePolicy(params: RetentionParams): Promise<ToolResult> {
+    const { name } = params;
+
+    if (!name) {
+      throw new Error('name is required for delete operation');
+    }
+
+    const deleted = await deleteRetentionPolicy(name);
+
+    return {
+      status: deleted ? 'success' : 'error',
+      operation: 'delete',
+      name,
+      message: deleted
+        ? `Successfully deleted retention policy ${name}`
+        : `Retention policy ${name} not found`
+    };
+  }
+
+  /**
+   * Apply one policy, or every enabled one; dry runs are the default so a
+   * policy's reach can be checked before anything is changed
+   * @param params The parameters for applying policies
+   * @returns The result of each policy
+   */
+  private async applyPolicies(params: RetentionParams): Promise<ToolResult> {
+    const dryRun = params.dry_run ?? true;
+
+    const results = params.name
+      ? [await applyRetentionPolicy(params.name, { dryRun })]
+      : await applyRetentionPolicies({ dryRun });
+
+    const total = results.reduce((sum, result) => sum + result.count, 0);
+
+    return {
+      status: 'success',
+      operation: 'apply',
+      dry_run: dryRun,
+      results,
+      message: dryRun
+        ? `${results.length} retention policies would affect ${total} memories`
+        : `${results.length} retention policies affected ${total} memories`
+    };
+  }
+}
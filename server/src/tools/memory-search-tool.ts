@@ -0,0 +1,203 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import { searchMemories } from '../services/memory-service.js';
+import type { SearchOptions } from '../services/memory-service.js';
+import type { MetadataFilter } from '../services/metadata-filter.js';
+import { LINK_TYPES } from '../services/link-service.js';
+
+// The arguments of memory_search, as described by its parameters schema
+interface SearchParams {
+  query: string;
+  limit?: number;
+  user_id?: string;
+  conversation_id?: string;
+  metadata?: MetadataFilter;
+  tags?: string[];
+  since?: string;
+  until?: string;
+  include_archived?: boolean;
+  include_superseded?: boolean;
+  min_similarity?: number;
+  ranking?: SearchOptions['ranking'];
+  half_life_days?: number;
+  mode?: SearchOptions['mode'];
+  fusion?: SearchOptions['fusion'];
+  vector_weight?: number;
+  text_weight?: number;
+  chunks?: SearchOptions['chunks'];
+  summaries?: SearchOptions['summaries'];
+  expand_links?: boolean;
+  link_types?: string[];
+}
+
+/**
+ * Tool for semantic search over stored memories
+ */
+export class MemorySearchTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_search';
+
+  // Tool description
+  readonly description = 'Search long-term memory for content similar to a query, by meaning (vector), keywords (text) or both (hybrid), optionally filtered by user, conversation, metadata, tags and time range';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        minLength: 1,
+        description: 'The text to search for'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        description: 'Maximum number of results to return (default: 5)'
+      },
+      user_id: {
+        type: 'string',
+        description: 'Only return memories belonging to this user'
+      },
+      conversation_id: {
+        type: 'string',
+        description: 'Only return memories from this conversation'
+      },
+      metadata: {
+        type: 'object',
+        description: 'Only return memories whose metadata matches this filter. Keys may be dotted paths to nested values; values match exactly or use the operators $eq, $ne, $in, $nin, $exists, $gt, $gte, $lt and $lte, e.g. {"role": "user", "project.name": {"$in": ["billing", "payments"]}}',
+        additionalProperties: true
+      },
+      tags: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only return memories carrying all of these tags'
+      },
+      since: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only return memories created at or after this ISO 8601 timestamp'
+      },
+      until: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only return memories created at or before this ISO 8601 timestamp'
+      },
+      include_archived: {
+        type: 'boolean',
+        description: 'Also search archived memories (default: false)'
+      },
+      include_superseded: {
+        type: 'boolean',
+        description: 'Also search memories that a newer memory supersedes (default: false)'
+      },
+      min_similarity: {
+        type: 'number',
+        minimum: -1,
+        maximum: 1,
+        description: 'Drop results whose cosine similarity to the query is below this value (not available in text mode)'
+      },
+      ranking: {
+        type: 'string',
+        enum: ['similarity', 'recency'],
+        description: 'Order vector results by similarity alone, or blend in how recent and how often used each memory is (default: similarity)'
+      },
+      half_life_days: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'For recency ranking, the age in days at which a memory\'s recency score halves (default: 30)'
+      },
+      mode: {
+        type: 'string',
+        enum: ['vector', 'text', 'hybrid'],
+        description: 'Semantic (vector), keyword (text) or combined (hybrid) search (default: vector)'
+      },
+      fusion: {
+        type: 'string',
+        enum: ['rrf', 'weighted'],
+        description: 'How hybrid search combines the two rankings: reciprocal rank fusion or a weighted score sum (default: rrf)'
+      },
+      vector_weight: {
+        type: 'number',
+        minimum: 0,
+        description: 'Weight of the vector ranking in hybrid search (default: 0.5)'
+      },
+      text_weight: {
+        type: 'number',
+        minimum: 0,
+        description: 'Weight of the keyword ranking in hybrid search (default: 0.5)'
+      },
+      chunks: {
+        type: 'string',
+        enum: ['all', 'best', 'parent'],
+        description: 'For content stored in chunks: return every matching chunk (all, the default), only the best chunk of each document (best), or the whole document with its best chunk (parent)'
+      },
+      summaries: {
+        type: 'string',
+        enum: ['include', 'prefer', 'only'],
+        description: 'For consolidated conversations: search summaries and the messages they cover alike (include, the default), let summaries stand in for the messages they cover (prefer), or search summaries only (only)'
+      },
+      expand_links: {
+        type: 'boolean',
+        description: 'List the memories one link away from each result in its linked field, with the link type and whether the link points out of or in to the result (default: false)'
+      },
+      link_types: {
+        type: 'array',
+        items: { type: 'string', enum: [...LINK_TYPES] },
+        minItems: 1,
+        description: 'With expand_links, only follow these links (default: all)'
+      }
+    },
+    required: ['query'],
+    additionalProperties: false
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The matching memories
+   */
+  async execute(params: SearchParams): Promise<ToolResult> {
+    try {
+      const { query } = params;
+
+      if (!query || typeof query !== 'string') {
+        throw new Error('query is required for memory_search');
+      }
+
+      const results = await searchMemories(query, {
+        limit: params.limit || 5,
+        userId: params.user_id,
+        conversationId: params.conversation_id,
+        metadata: params.metadata,
+        tags: params.tags,
+        since: params.since,
+        until: params.until,
+        includeArchived: params.include_archived,
+        includeSuperseded: params.include_superseded,
+        mode: params.mode,
+        fusion: params.fusion,
+        vectorWeight: params.vector_weight,
+        textWeight: params.text_weight,
+        minSimilarity: params.min_similarity,
+        ranking: params.ranking,
+        halfLifeDays: params.half_life_days,
+        chunks: params.chunks,
+        summaries: params.summaries,
+        expandLinks: params.expand_links,
+        linkTypes: params.link_types
+      });
+
+      return {
+        status: 'success',
+        query,
+        mode: params.mode || 'vector',
+        results_count: results.length,
+        results
+      };
+    } catch (error) {
+      logger.error('Error executing memory search tool:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import { storeMemory } from '../services/memory-service.js';
+import type { ChunkingStrategy, DedupPolicy, DedupScope } from '../services/memory-service.js';
+
+// The arguments of memory_store, as described by its parameters schema
+interface StoreParams {
+  content: string;
+  conversation_id?: string;
+  user_id?: string;
+  metadata?: Record<string, unknown>;
+  importance?: number;
+  on_duplicate?: DedupPolicy | 'insert';
+  duplicate_scope?: DedupScope;
+  duplicate_threshold?: number;
+  chunking?: ChunkingStrategy | 'none';
+  chunk_max_tokens?: number;
+  chunk_overlap?: number;
+}
+
+/**
+ * Tool for explicitly saving a memory
+ */
+export class MemoryStoreTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_store';
+
+  // Tool description
+  readonly description = 'Save a fact, decision or piece of context to long-term memory so it can be recalled later with memory_search';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      content: {
+        type: 'string',
+        minLength: 1,
+        description: 'The text to remember'
+      },
+      conversation_id: {
+        type: 'string',
+        description: 'The conversation the memory belongs to (defaults to a new conversation ID)'
+      },
+      user_id: {
+        type: 'string',
+        description: 'The user the memory belongs to (defaults to "anonymous")'
+      },
+      metadata: {
+        type: 'object',
+        description: 'Additional metadata to store with the memory, e.g. {"project": "billing"}',
+        additionalProperties: true
+      },
+      importance: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'How important the memory is, from 0 to 1 (default: 0.5). Important memories rank higher and are kept when old memories are archived'
+      },
+      on_duplicate: {
+        type: 'string',
+        enum: ['insert', 'skip', 'merge', 'replace'],
+        description: 'What to do if the memory duplicates an existing one: store it anyway (insert, the default), keep the existing one (skip), add the new metadata to it (merge), or overwrite it (replace)'
+      },
+      duplicate_scope: {
+        type: 'string',
+        enum: ['conversation', 'user'],
+        description: 'Look for duplicates in the same conversation (default) or across all of the user\'s memories'
+      },
+      duplicate_threshold: {
+        type: 'number',
+        minimum: -1,
+        maximum: 1,
+        description: 'Cosine similarity from which a memory counts as a duplicate (default: only identical content)'
+      },
+      chunking: {
+        type: 'string',
+        enum: ['none', 'tokens', 'paragraph', 'markdown'],
+        description: 'Split long content into separately searchable chunks by token count, by paragraph or by markdown heading. With none (the default), only content longer than MEMORY_CHUNK_MAX_TOKENS tokens is chunked, by paragraph. Chunked content is always inserted, ignoring on_duplicate'
+      },
+      chunk_max_tokens: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Maximum number of tokens (words) per chunk (default: 256)'
+      },
+      chunk_overlap: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Tokens repeated between consecutive chunks cut mid-paragraph (default: 32)'
+      }
+    },
+    required: ['content'],
+    additionalProperties: false
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The result of the operation
+   */
+  async execute(params: StoreParams): Promise<ToolResult> {
+    try {
+      const { content, metadata = {} } = params;
+
+      if (!content || typeof content !== 'string') {
+        throw new Error('content is required for memory_store');
+      }
+
+      const conversationId = params.conversation_id || `conv-${Date.now()}`;
+      const userId = params.user_id || 'anonymous';
+
+      const onDuplicate = params.on_duplicate || 'insert';
+      const chunking = params.chunking || 'none';
+
+      const stored = await storeMemory(conversationId, userId, content, {
+        source: 'memory_store',
+        ...metadata
+      }, {
+        importance: params.importance,
+        dedup: onDuplicate === 'insert' ? null : {
+          policy: onDuplicate,
+          scope: params.duplicate_scope,
+          threshold: params.duplicate_threshold
+        },
+        chunking: chunking === 'none' ? null : {
+          strategy: chunking,
+          maxTokens: params.chunk_max_tokens,
+          overlap: params.chunk_overlap
+        }
+      });
+
+      return {
+        status: 'success',
+        memory_id: stored.id,
+        conversation_id: conversationId,
+        action: stored.action,
+        duplicate_of: stored.duplicateOf,
+        ...(stored.chunkIds && { chunk_ids: stored.chunkIds }),
+        message: stored.duplicateOf
+          ? `Memory ${stored.action} into existing memory with ID ${stored.duplicateOf}`
+          : `Successfully stored memory with ID ${stored.id}${stored.chunkIds ? ` in ${stored.chunkIds.length} chunks` : ''}`
+      };
+    } catch (error) {
+      logger.error('Error executing memory store tool:', error);
+      throw error;
+    }
+  }
+}
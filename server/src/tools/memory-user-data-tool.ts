@@ -0,0 +1,183 @@
+import { Tool, ToolResult } from '../typescript-sdk-wrapper.js';
+import { logger } from '../utils/logger.js';
+import {
+  exportUserData,
+  eraseUserData,
+  listErasureTombstones,
+  verifyErasureTombstones
+} from '../services/user-data-service.js';
+
+// The arguments of memory_user_data, as described by its parameters schema
+interface UserDataParams {
+  operation: string;
+  user_id?: string;
+  confirm_user_id?: string;
+  limit?: number;
+}
+
+/**
+ * Admin tool for data-subject requests: export everything stored about a
+ * user, or erase it for good
+ */
+export class MemoryUserDataTool implements Tool {
+  // Tool name as required by MCP
+  readonly name = 'memory_user_data';
+
+  // Tool description
+  readonly description = 'Admin tool for data-subject requests: export everything stored about a user as JSON, erase all of it permanently leaving a tamper-evident tombstone, and list or verify past erasures';
+
+  // Tool parameters schema
+  readonly parameters = {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: ['export', 'erase', 'tombstones', 'verify_tombstones'],
+        description: 'The operation to perform'
+      },
+      user_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'The user to export or erase; for tombstones operations, only list the erasures of this user'
+      },
+      confirm_user_id: {
+        type: 'string',
+        description: 'For erase operations, the user ID again, to confirm the erasure'
+      },
+      limit: {
+        type: 'number',
+        minimum: 1,
+        description: 'For tombstones operations, the maximum number of tombstones to return (default: 50)'
+      }
+    },
+    required: ['operation']
+  };
+
+  /**
+   * Execute the tool with provided parameters
+   * @param params The parameters for the tool
+   * @returns The result of the operation
+   */
+  async execute(params: UserDataParams): Promise<ToolResult> {
+    try {
+      const { operation } = params;
+
+      switch (operation) {
+        case 'export':
+          return this.exportUserData(params);
+
+        case 'erase':
+          return this.eraseUserData(params);
+
+        case 'tombstones':
+          return this.listTombstones(params);
+
+        case 'verify_tombstones':
+          return this.verifyTombstones();
+
+        default:
+          throw new Error(`Unknown operation: ${operation}`);
+      }
+    } catch (error) {
+      logger.error('Error executing memory user data tool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Require a user ID for operations on a user's data
+   * @param params The tool parameters
+   * @param operation The operation being performed
+   * @returns The user ID
+   */
+  private requireUserId(params: UserDataParams, operation: string): string {
+    if (!params.user_id) {
+      throw new Error(`user_id is required for ${operation} operation`);
+    }
+
+    return params.user_id;
+  }
+
+  /**
+   * Export everything stored about a user
+   * @param params The parameters naming the user
+   * @returns The export bundle
+   */
+  private async exportUserData(params: UserDataParams): Promise<ToolResult> {
+    const userId = this.requireUserId(params, 'export');
+    const data = await exportUserData(userId);
+
+    return {
+      status: 'success',
+      operation: 'export',
+      user_id: userId,
+      data,
+      message: `Exported ${data.memories.length} memories, ${data.coldStorage.length} cold storage rows and ${data.entities.length} entities of user ${userId}`
+    };
+  }
+
+  /**
+   * Erase everything stored about a user
+   * @param params The parameters naming the user
+   * @returns The tombstone of the erasure
+   */
+  private async eraseUserData(params: UserDataParams): Promise<ToolResult> {
+    const userId = this.requireUserId(params, 'erase');
+
+    if (params.confirm_user_id !== userId) {
+      return {
+        status: 'error',
+        operation: 'erase',
+        user_id: userId,
+        message: 'Erasing cannot be undone; pass the user ID again as confirm_user_id to go ahead'
+      };
+    }
+
+    const tombstone = await eraseUserData(userId);
+    const total = Object.values(tombstone.counts).reduce((sum, count) => sum + count, 0);
+
+    return {
+      status: 'success',
+      operation: 'erase',
+      user_id: userId,
+      tombstone,
+      message: `Erased ${total} rows of user ${userId}`
+    };
+  }
+
+  /**
+   * List past erasures
+   * @param params The parameters for listing tombstones
+   * @returns The tombstones
+   */
+  private async listTombstones(params: UserDataParams): Promise<ToolResult> {
+    const tombstones = await listErasureTombstones({
+      userId: params.user_id ?? null,
+      limit: params.limit
+    });
+
+    return {
+      status: 'success',
+      operation: 'tombstones',
+      tombstones_count: tombstones.length,
+      tombstones
+    };
+  }
+
+  /**
+   * Check the tombstones against their hash chain
+   * @returns Whether the chain holds
+   */
+  private async verifyTombstones(): Promise<ToolResult> {
+    const result = await verifyErasureTombstones();
+
+    return {
+      status: result.valid ? 'success' : 'error',
+      operation: 'verify_tombstones',
+      ...result,
+      message: result.valid
+        ? `All ${result.count} erasure tombstones match their hash chain`
+        : `Erasure tombstone ${result.brokenAt} has been altered, or one before it removed`
+    };
+  }
+}
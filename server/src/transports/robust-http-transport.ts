@@ -1,8 +1,11 @@
 import http from 'http';
+import { AsyncLocalStorage } from 'async_hooks';
 import { Transport } from '../../typescript-sdk/dist/esm/shared/transport.js';
 import { RobustReadBuffer, serializeMessage } from './robust-stdio.js';
 import { JSONRPCMessage } from '../../typescript-sdk/dist/esm/types.js';
 import { logger } from '../utils/logger.js';
+import { getCurrentTenant, withTenant } from '../db/client.js';
+import { parseTenantTokens, authenticateTenant, TenantToken } from '../utils/tenant-auth.js';
 import { 
   handleError, 
   tryCatch, 
@@ -29,6 +32,12 @@ export class RobustHttpTransport implements Transport {
   // Clients to maintain bidirectional communication
   private clients: Map<string, http.ServerResponse> = new Map();
   
+  // Tokens clients authenticate with, each tied to a tenant; without any, every request acts as the default tenant
+  private readonly tenantTokens: TenantToken[] = parseTenantTokens(process.env.MCP_AUTH_TOKENS);
+  
+  // The client whose message is being handled, so replies go to that client only
+  private readonly requestClient = new AsyncLocalStorage<string>();
+  
   constructor() {
     // Generate a unique session ID
     this.sessionId = Math.random().toString(36).substring(2, 15);
@@ -90,10 +99,15 @@ export class RobustHttpTransport implements Transport {
         return Promise.resolve();
       }
       
-      // Send to all connected clients
+      // Reply to the client that sent the request, or send to all connected clients
       const sendPromises: Promise<void>[] = [];
+      const replyTo = this.requestClient.getStore();
       
       for (const [id, res] of this.clients.entries()) {
+        if (replyTo !== undefined && id !== replyTo) {
+          continue;
+        }
+        
         if (!res.writableEnded) {
           sendPromises.push(
             new Promise<void>((resolve, reject) => {
@@ -141,7 +155,9 @@ export class RobustHttpTransport implements Transport {
       while ((message = this.readBuffer.readMessage()) !== null) {
         if (this.onmessage && message) {
           logger.debug(`Processing message from client ${clientId}`);
-          this.onmessage(message);
+          const onmessage = this.onmessage;
+          const current = message;
+          this.requestClient.run(clientId, () => onmessage(current));
         }
       }
     } catch (error) {
@@ -163,6 +179,21 @@ export class RobustHttpTransport implements Transport {
     return new Promise<void>((resolve, reject) => {
       try {
         this.server = http.createServer((req, res) => {
+          // Work out the tenant the request acts as; everything it does is confined to that tenant's rows
+          let tenantId = getCurrentTenant();
+          if (this.tenantTokens.length > 0) {
+            const authenticated = authenticateTenant(req.headers.authorization, this.tenantTokens);
+            if (!authenticated) {
+              logger.warn('Rejected an MCP request without a valid bearer token');
+              res.statusCode = 401;
+              res.setHeader('WWW-Authenticate', 'Bearer');
+              res.setHeader('Content-Type', 'application/json');
+              res.end(JSON.stringify({ error: { code: ErrorCodes.AUTHENTICATION_ERROR, message: 'A valid bearer token is required' } }));
+              return;
+            }
+            tenantId = authenticated;
+          }
+          
           // Generate a unique client ID
           const clientId = Math.random().toString(36).substring(2, 15);
           
@@ -195,7 +226,10 @@ export class RobustHttpTransport implements Transport {
                 
                 if (body.length > 0) {
                   logger.debug(`Received data from client ${clientId}, length: ${body.length}`);
-                  this.processInput(body, clientId);
+                  withTenant(tenantId, () => this.processInput(body, clientId));
+                  
+                  // Don't let an unfinished message carry over into another client's request
+                  this.readBuffer.clear();
                 }
               } catch (error) {
                 const err = error instanceof Error ? error : new Error(String(error));
@@ -172,6 +172,14 @@ export interface Tool {
   execute(params: any): Promise<any>;
 }
 
+// What the tools return: a status and message, plus the fields of the operation
+export interface ToolResult {
+  status: 'success' | 'error';
+  operation?: string;
+  message?: string;
+  [field: string]: unknown;
+}
+
 // Define Message and ContextItem types based on implementation needs
 export interface Message {
   role: string;
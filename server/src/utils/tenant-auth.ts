@@ -0,0 +1,72 @@
+/**
+ * Tenant authentication for the HTTP transport
+ * Maps the bearer token of a request to the tenant it acts as
+ */
+
+import crypto from 'crypto';
+import { validateTenantId } from '../db/client.js';
+
+/**
+ * A token and the tenant it authenticates as
+ */
+export interface TenantToken {
+  tenantId: string;
+  token: string;
+}
+
+/**
+ * Parse a list of tenant tokens, written as "tenant:token" pairs separated by commas
+ * @param value The list, usually MCP_AUTH_TOKENS
+ * @returns The tokens
+ */
+export function parseTenantTokens(value: string | undefined): TenantToken[] {
+  if (!value || value.trim() === '') {
+    return [];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(entry => entry !== '').map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error('MCP_AUTH_TOKENS entries must look like "tenant:token"');
+    }
+
+    return {
+      tenantId: validateTenantId(entry.slice(0, separator)),
+      token: entry.slice(separator + 1)
+    };
+  });
+}
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @param a The first string
+ * @param b The second string
+ */
+function tokensEqual(a: string, b: string): boolean {
+  const first = Buffer.from(a);
+  const second = Buffer.from(b);
+  return first.length === second.length && crypto.timingSafeEqual(first, second);
+}
+
+/**
+ * Find the tenant an Authorization header authenticates as
+ * @param header The Authorization header, if any
+ * @param tokens The configured tokens
+ * @returns The tenant ID, or null if the header matches no token
+ */
+export function authenticateTenant(header: string | undefined, tokens: TenantToken[]): string | null {
+  const match = header?.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  // Check every token so the response time doesn't reveal which one matched
+  let tenantId: string | null = null;
+  for (const candidate of tokens) {
+    if (tokensEqual(match[1], candidate.token) && tenantId === null) {
+      tenantId = candidate.tenantId;
+    }
+  }
+
+  return tenantId;
+}
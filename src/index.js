@@ -1,12 +1,90 @@
 import dotenv from 'dotenv';
 import {
   addMemory,
+  storeMemory,
+  addMemories,
   searchMemories,
   getConversationMemories,
+  getConversationMemoriesPage,
+  getTaggedMemories,
+  updateMemory,
+  getMemoryHistory,
   deleteMemory,
+  archiveMemory,
+  unarchiveMemory,
+  archiveMemories,
+  unarchiveMemories,
   archiveOldMemories,
+  moveToColdStorage,
+  purgeColdStorage,
+  runMemoryLifecycle,
+  saveRetentionPolicy,
+  getRetentionPolicy,
+  listRetentionPolicies,
+  deleteRetentionPolicy,
+  applyRetentionPolicy,
+  applyRetentionPolicies,
+  consolidateConversation,
+  consolidateMemories,
+  getSummarySources,
+  upsertEntity,
+  getEntity,
+  updateEntity,
+  addObservations,
+  deleteEntity,
+  createRelation,
+  deleteRelation,
+  getNeighbours,
+  searchEntities,
+  reembedEntities,
+  listTenants,
+  forEachTenant,
+  withTenant,
+  withAllTenants,
+  getCurrentTenant,
+  exportUserData,
+  eraseUserData,
+  listErasureTombstones,
+  verifyErasureTombstones,
+  exportMemories,
+  importMemories,
+  listConversations,
+  getConversation,
+  setConversationTitle,
+  tagMemory,
+  untagMemory,
+  getMemoryTags,
+  listTags,
+  renameTag,
+  mergeTags,
+  createLink,
+  deleteLink,
+  getLinkedMemories,
+  registerSummarizer,
+  getSummarizer,
+  listSummarizers,
+  createExtractiveSummarizer,
+  createOpenAISummarizer,
   optimizeVectorIndex,
-  generateEmbedding
+  rebuildVectorIndex,
+  generateEmbedding,
+  generateEmbeddings,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  generateEmbeddingsWithModel,
+  getActiveEmbeddingProvider,
+  getEmbeddingModelId,
+  embeddingHealthCheck,
+  createMockProvider,
+  createOpenAIProvider,
+  createOllamaProvider,
+  getEmbeddingColumnDimension,
+  validateEmbeddingDimension,
+  migrateEmbeddingDimension,
+  startReembedJob,
+  getReembedJob,
+  listReembedJobs
 } from './memory/index.js';
 import { logger } from './utils/logger.js';
 import { healthCheck } from './utils/db.js';
@@ -17,12 +95,90 @@ dotenv.config();
 // Export all primary functions
 export {
   addMemory,
+  storeMemory,
+  addMemories,
   searchMemories,
   getConversationMemories,
+  getConversationMemoriesPage,
+  getTaggedMemories,
+  updateMemory,
+  getMemoryHistory,
   deleteMemory,
+  archiveMemory,
+  unarchiveMemory,
+  archiveMemories,
+  unarchiveMemories,
   archiveOldMemories,
+  moveToColdStorage,
+  purgeColdStorage,
+  runMemoryLifecycle,
+  saveRetentionPolicy,
+  getRetentionPolicy,
+  listRetentionPolicies,
+  deleteRetentionPolicy,
+  applyRetentionPolicy,
+  applyRetentionPolicies,
+  consolidateConversation,
+  consolidateMemories,
+  getSummarySources,
+  upsertEntity,
+  getEntity,
+  updateEntity,
+  addObservations,
+  deleteEntity,
+  createRelation,
+  deleteRelation,
+  getNeighbours,
+  searchEntities,
+  reembedEntities,
+  listTenants,
+  forEachTenant,
+  withTenant,
+  withAllTenants,
+  getCurrentTenant,
+  exportUserData,
+  eraseUserData,
+  listErasureTombstones,
+  verifyErasureTombstones,
+  exportMemories,
+  importMemories,
+  listConversations,
+  getConversation,
+  setConversationTitle,
+  tagMemory,
+  untagMemory,
+  getMemoryTags,
+  listTags,
+  renameTag,
+  mergeTags,
+  createLink,
+  deleteLink,
+  getLinkedMemories,
+  registerSummarizer,
+  getSummarizer,
+  listSummarizers,
+  createExtractiveSummarizer,
+  createOpenAISummarizer,
   optimizeVectorIndex,
+  rebuildVectorIndex,
   generateEmbedding,
+  generateEmbeddings,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  generateEmbeddingsWithModel,
+  getActiveEmbeddingProvider,
+  getEmbeddingModelId,
+  embeddingHealthCheck,
+  createMockProvider,
+  createOpenAIProvider,
+  createOllamaProvider,
+  getEmbeddingColumnDimension,
+  validateEmbeddingDimension,
+  migrateEmbeddingDimension,
+  startReembedJob,
+  getReembedJob,
+  listReembedJobs,
   healthCheck,
   logger
 };
@@ -40,6 +196,13 @@ const main = async () => {
     }
     
     logger.info('Database connection successful.');
+    
+    // Check the embedding column matches the configured provider
+    const dimensionCheck = await validateEmbeddingDimension();
+    if (!dimensionCheck.valid) {
+      logger.error(`Embedding provider ${dimensionCheck.provider} produces ${dimensionCheck.providerDimension}-dimension vectors but memory.conversations.embedding is vector(${dimensionCheck.columnDimension}). Run "npm run migrate-embeddings" to migrate. Exiting.`);
+      process.exit(1);
+    }
     logger.info('PostgreSQL Memory Tools ready for use.');
     
     // If invoked directly, run a simple demonstration
@@ -72,7 +235,7 @@ const runDemo = async () => {
     
     // Search for similar memories
     logger.info('Searching for similar memories...');
-    const searchResults = await searchMemories('How do vector embeddings work?', 3);
+    const searchResults = await searchMemories('How do vector embeddings work?', { limit: 3 });
     
     logger.info(`Found ${searchResults.length} similar memories:`);
     searchResults.forEach((memory, index) => {
@@ -98,12 +261,90 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
 export default {
   addMemory,
+  storeMemory,
+  addMemories,
   searchMemories,
   getConversationMemories,
+  getConversationMemoriesPage,
+  getTaggedMemories,
+  updateMemory,
+  getMemoryHistory,
   deleteMemory,
+  archiveMemory,
+  unarchiveMemory,
+  archiveMemories,
+  unarchiveMemories,
   archiveOldMemories,
+  moveToColdStorage,
+  purgeColdStorage,
+  runMemoryLifecycle,
+  saveRetentionPolicy,
+  getRetentionPolicy,
+  listRetentionPolicies,
+  deleteRetentionPolicy,
+  applyRetentionPolicy,
+  applyRetentionPolicies,
+  consolidateConversation,
+  consolidateMemories,
+  getSummarySources,
+  upsertEntity,
+  getEntity,
+  updateEntity,
+  addObservations,
+  deleteEntity,
+  createRelation,
+  deleteRelation,
+  getNeighbours,
+  searchEntities,
+  reembedEntities,
+  listTenants,
+  forEachTenant,
+  withTenant,
+  withAllTenants,
+  getCurrentTenant,
+  exportUserData,
+  eraseUserData,
+  listErasureTombstones,
+  verifyErasureTombstones,
+  exportMemories,
+  importMemories,
+  listConversations,
+  getConversation,
+  setConversationTitle,
+  tagMemory,
+  untagMemory,
+  getMemoryTags,
+  listTags,
+  renameTag,
+  mergeTags,
+  createLink,
+  deleteLink,
+  getLinkedMemories,
+  registerSummarizer,
+  getSummarizer,
+  listSummarizers,
+  createExtractiveSummarizer,
+  createOpenAISummarizer,
   optimizeVectorIndex,
+  rebuildVectorIndex,
   generateEmbedding,
+  generateEmbeddings,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  generateEmbeddingsWithModel,
+  getActiveEmbeddingProvider,
+  getEmbeddingModelId,
+  embeddingHealthCheck,
+  createMockProvider,
+  createOpenAIProvider,
+  createOllamaProvider,
+  getEmbeddingColumnDimension,
+  validateEmbeddingDimension,
+  migrateEmbeddingDimension,
+  startReembedJob,
+  getReembedJob,
+  listReembedJobs,
   healthCheck,
   logger
 };
@@ -0,0 +1,102 @@
+import { query } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { decodeCursor, cursorTimestampColumn, pageLimit, toPage } from './pagination.js';
+
+// Columns of memory.conversation_sessions returned to callers
+const SESSION_COLUMNS = 'conversation_id, user_id, title, created_at, last_activity_at, message_count';
+
+// Longest title a conversation can be given
+export const MAX_TITLE_LENGTH = 200;
+
+/**
+ * List conversations, most recently active first
+ *
+ * @param {string|null} userId - Only list the conversations started by this user; null lists all of them
+ * @param {Object} options - Paging options
+ * @param {string} options.cursor - The nextCursor of the previous page, to get the page after it
+ * @param {number} options.limit - Maximum number of conversations in the page (default: 100, at most 1000)
+ * @returns {Promise<Object>} - The conversations, and the cursor of the next page, or null on the last page
+ */
+export const listConversations = async (userId = null, { cursor = null, limit } = {}) => {
+  try {
+    const pageSize = pageLimit(limit);
+    const params = [userId ?? null];
+    const conditions = ['($1::text IS NULL OR user_id = $1)'];
+
+    if (cursor) {
+      const [lastActivityAt, conversationId] = decodeCursor(cursor);
+      params.push(lastActivityAt, String(conversationId));
+      conditions.push(`(last_activity_at, conversation_id) < ($${params.length - 1}::timestamptz, $${params.length}::text)`);
+    }
+
+    params.push(pageSize + 1);
+
+    const result = await query(`
+      SELECT ${SESSION_COLUMNS}, ${cursorTimestampColumn('last_activity_at')}
+      FROM memory.conversation_sessions
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY last_activity_at DESC, conversation_id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const { rows: conversations, nextCursor } = toPage(result.rows, pageSize, 'conversation_id');
+    logger.info(`Listed ${conversations.length} conversations${userId ? ` of user ${userId}` : ''}`);
+
+    return { conversations, nextCursor };
+  } catch (error) {
+    logger.error('Error listing conversations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a conversation's title, user, times and message count
+ *
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation, or null if it has no memories
+ */
+export const getConversation = async (conversationId) => {
+  const result = await query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM memory.conversation_sessions
+    WHERE conversation_id = $1
+  `, [conversationId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Set the title of a conversation, in place of the start of its first message
+ *
+ * @param {string} conversationId - The conversation ID
+ * @param {string} title - The new title
+ * @returns {Promise<Object|null>} - The conversation, or null if it has no memories
+ */
+export const setConversationTitle = async (conversationId, title) => {
+  try {
+    if (typeof title !== 'string' || title.trim() === '') {
+      throw new Error('A title is required');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`A title can be at most ${MAX_TITLE_LENGTH} characters long`);
+    }
+
+    const result = await query(`
+      UPDATE memory.conversation_sessions
+      SET title = $2
+      WHERE conversation_id = $1
+      RETURNING ${SESSION_COLUMNS}
+    `, [conversationId, title.trim()]);
+
+    if (result.rows.length === 0) {
+      logger.info(`Conversation ${conversationId} not found`);
+      return null;
+    }
+
+    logger.info(`Set the title of conversation ${conversationId}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Error setting the title of conversation ${conversationId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,127 @@
+// Ways a new memory can be folded into an existing near-duplicate
+export const DEDUP_POLICIES = ['skip', 'merge', 'replace'];
+
+// Which existing memories a new one is compared against
+export const DEDUP_SCOPES = ['conversation', 'user'];
+
+// What each policy reports having done to the duplicate
+const DEDUP_ACTIONS = {
+  skip: 'skipped',
+  merge: 'merged',
+  replace: 'replaced'
+};
+
+/**
+ * Validate dedup options and fill in their defaults
+ *
+ * @param {Object} dedup - Dedup options, or null/undefined to always insert
+ * @param {string} dedup.policy - 'skip', 'merge' or 'replace'
+ * @param {string} dedup.scope - Compare within the 'conversation' (default) or the 'user'
+ * @param {number} dedup.threshold - Optional cosine similarity from which a memory counts as a
+ *   duplicate; without it only memories with exactly the same content match
+ * @returns {Object|null} - { policy, scope, threshold }, or null when dedup is off
+ */
+export const normalizeDedupOptions = (dedup) => {
+  if (!dedup) {
+    return null;
+  }
+
+  const { policy, scope = 'conversation', threshold = null } = dedup;
+
+  if (!DEDUP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown dedup policy: ${policy}`);
+  }
+
+  if (!DEDUP_SCOPES.includes(scope)) {
+    throw new Error(`Unknown dedup scope: ${scope}`);
+  }
+
+  if (threshold !== null && (!Number.isFinite(threshold) || threshold < -1 || threshold > 1)) {
+    throw new Error(`Dedup threshold must be a number between -1 and 1, got ${threshold}`);
+  }
+
+  return { policy, scope, threshold };
+};
+
+/**
+ * Find the existing memory a new one duplicates, preferring an exact content
+ * match over the most similar vector
+ *
+ * @param {Object} client - Database client inside the insert's transaction
+ * @param {Object} memory - The new memory: { conversationId, userId, content, embedding }
+ * @param {Object} dedup - Normalized dedup options
+ * @returns {Object|null} - { id, similarity, exact }, or null if there is no duplicate
+ */
+export const findDuplicateMemory = async (client, { conversationId, userId, content, embedding }, dedup) => {
+  const scopeColumn = dedup.scope === 'user' ? 'user_id' : 'conversation_id';
+  const params = [dedup.scope === 'user' ? userId : conversationId, embedding, content];
+
+  let similarCondition = '';
+  if (dedup.threshold !== null) {
+    params.push(1 - dedup.threshold);
+    similarCondition = ` OR embedding <=> $2 <= $${params.length}`;
+  }
+
+  // Serialize deduplicated writes within a scope so two copies can't both miss each other
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`memory-dedup:${scopeColumn}:${params[0]}`]);
+
+  const result = await client.query(`
+    SELECT
+      id,
+      1 - (embedding <=> $2) as similarity,
+      content_hash = md5($3) as exact
+    FROM memory.conversations
+    WHERE ${scopeColumn} IS NOT DISTINCT FROM $1
+      AND is_archived = FALSE
+      AND is_chunked = FALSE
+      AND parent_id IS NULL
+      AND (content_hash = md5($3)${similarCondition})
+    ORDER BY exact DESC, embedding <=> $2
+    LIMIT 1
+  `, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Fold a new memory into its duplicate according to the dedup policy
+ *
+ * - skip leaves the existing memory untouched
+ * - merge adds the new metadata keys (overwriting equal keys) and keeps the higher importance
+ * - replace swaps in the new content, embedding and metadata
+ *
+ * @param {Object} client - Database client inside the insert's transaction
+ * @param {Object} duplicate - The duplicate from findDuplicateMemory
+ * @param {Object} memory - The new memory: { content, embedding, model, metadata, importance }
+ * @param {string} policy - The dedup policy
+ * @returns {Object} - { id, action, duplicateOf, similarity }
+ */
+export const applyDedupPolicy = async (client, duplicate, { content, embedding, model, metadata, importance }, policy) => {
+  if (policy === 'merge') {
+    await client.query(`
+      UPDATE memory.conversations
+      SET
+        metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb,
+        importance = GREATEST(importance, COALESCE($3, importance))
+      WHERE id = $1
+    `, [duplicate.id, JSON.stringify(metadata || {}), importance ?? null]);
+  } else if (policy === 'replace') {
+    await client.query(`
+      UPDATE memory.conversations
+      SET
+        content = $2,
+        embedding = $3,
+        embedding_model = $4,
+        metadata = $5,
+        importance = COALESCE($6, importance)
+      WHERE id = $1
+    `, [duplicate.id, content, embedding, model, metadata, importance ?? null]);
+  }
+
+  return {
+    id: duplicate.id,
+    action: DEDUP_ACTIONS[policy],
+    duplicateOf: duplicate.id,
+    similarity: duplicate.similarity
+  };
+};
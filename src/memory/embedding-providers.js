@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Built-in embedding providers
+ *
+ * A provider is a plain object with:
+ * - `name` (string): Unique provider name, matched against EMBEDDING_MODEL
+ * - `dimension` (number): Number of dimensions in every returned vector
+ * - `model` (string, optional): Underlying model identifier
+ * - `version` (string, optional): Model version, recorded with each embedding
+ * - `embed(texts)`: Resolves to one vector (number[]) per input text, in input order
+ * - `healthCheck()`: Resolves to true if the provider is reachable and working
+ * - `isConfigured()` (optional): Returns false if required configuration is missing
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ *
+ * @param {string} url - The URL to post to
+ * @param {Object} body - The request body
+ * @param {Object} headers - Additional request headers
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Object} - The parsed response
+ */
+const postJson = async (url, body, headers, timeoutMs) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Embedding API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Create the deterministic mock provider for development and testing
+ *
+ * @param {Object} options - Provider options
+ * @param {number} options.dimension - Vector dimension (default: 1536)
+ * @returns {Object} - The provider
+ */
+export const createMockProvider = ({ dimension = 1536 } = {}) => {
+  const embedOne = (text) => {
+    // Create a hash of the text to use as seed
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+
+    // Convert hash to an array of numbers
+    const hashNums = [];
+    for (let i = 0; i < hash.length; i += 2) {
+      hashNums.push(parseInt(hash.substring(i, i + 2), 16) / 255);
+    }
+
+    // Expand the hash to the required size
+    const embedding = [];
+    for (let i = 0; i < dimension; i++) {
+      // Use a simple formula to generate a value between -1 and 1
+      embedding.push(Math.cos(i * (hashNums[i % hashNums.length] + 0.1)) * 0.99);
+    }
+
+    return embedding;
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    dimension,
+    embed: async (texts) => texts.map(embedOne),
+    healthCheck: async () => true
+  };
+};
+
+/**
+ * Create a provider for OpenAI or any server exposing an OpenAI-compatible /embeddings endpoint
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name (default: openai)
+ * @param {string} options.baseUrl - API base URL (default: https://api.openai.com/v1)
+ * @param {string} options.model - Embedding model (default: text-embedding-ada-002)
+ * @param {number} options.dimension - Vector dimension (default: 1536)
+ * @param {string} options.apiKey - API key, sent as a bearer token when set
+ * @param {number} options.timeoutMs - Request timeout in milliseconds
+ * @returns {Object} - The provider
+ */
+export const createOpenAIProvider = ({
+  name = 'openai',
+  baseUrl = 'https://api.openai.com/v1',
+  model = 'text-embedding-ada-002',
+  dimension = 1536,
+  apiKey,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) => {
+  const url = baseUrl.replace(/\/+$/, '');
+
+  const embed = async (texts) => {
+    logger.info(`Generating ${texts.length} OpenAI-compatible embedding(s) with ${model}`);
+
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const body = { model, input: texts };
+
+    // text-embedding-3 models can shorten their output to the configured dimension
+    if (model.startsWith('text-embedding-3')) {
+      body.dimensions = dimension;
+    }
+
+    const responseData = await postJson(`${url}/embeddings`, body, headers, timeoutMs);
+
+    // Results may come back out of order, so sort by index
+    return [...responseData.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  };
+
+  return {
+    name,
+    model,
+    dimension,
+    embed,
+    // Self-hosted compatible servers usually don't need a key, the hosted API does
+    isConfigured: () => Boolean(apiKey) || !url.includes('api.openai.com'),
+    healthCheck: async () => {
+      try {
+        const [vector] = await embed(['health check']);
+        return vector.length === dimension;
+      } catch (error) {
+        logger.error('OpenAI embedding provider health check failed', error);
+        return false;
+      }
+    }
+  };
+};
+
+/**
+ * Create a provider for a local Ollama server
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name (default: ollama)
+ * @param {string} options.baseUrl - Server URL (default: http://localhost:11434)
+ * @param {string} options.model - Embedding model (default: nomic-embed-text)
+ * @param {number} options.dimension - Vector dimension (default: 768)
+ * @param {number} options.timeoutMs - Request timeout in milliseconds
+ * @returns {Object} - The provider
+ */
+export const createOllamaProvider = ({
+  name = 'ollama',
+  baseUrl = 'http://localhost:11434',
+  model = 'nomic-embed-text',
+  dimension = 768,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) => {
+  const url = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    model,
+    dimension,
+    embed: async (texts) => {
+      logger.info(`Generating ${texts.length} Ollama embedding(s) with ${model}`);
+
+      const responseData = await postJson(`${url}/api/embed`, { model, input: texts }, {}, timeoutMs);
+      return responseData.embeddings;
+    },
+    healthCheck: async () => {
+      try {
+        const response = await fetch(`${url}/api/tags`, { signal: AbortSignal.timeout(timeoutMs) });
+        return response.ok;
+      } catch (error) {
+        logger.error('Ollama embedding provider health check failed', error);
+        return false;
+      }
+    }
+  };
+};
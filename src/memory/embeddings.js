@@ -0,0 +1,176 @@
+import { logger } from '../utils/logger.js';
+import { createMockProvider, createOpenAIProvider, createOllamaProvider } from './embedding-providers.js';
+
+export { createMockProvider, createOpenAIProvider, createOllamaProvider };
+
+// Registered providers, keyed by name
+const providers = new Map();
+
+/**
+ * Register an embedding provider, replacing any provider with the same name
+ *
+ * @param {Object} provider - The provider to register (see embedding-providers.js for the contract)
+ */
+export const registerEmbeddingProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider must have a name and an embed(texts) method');
+  }
+  if (!Number.isInteger(provider.dimension) || provider.dimension <= 0) {
+    throw new Error(`Embedding provider ${provider.name} must declare a positive integer dimension`);
+  }
+  if (typeof provider.healthCheck !== 'function') {
+    throw new Error(`Embedding provider ${provider.name} must implement healthCheck()`);
+  }
+
+  providers.set(provider.name, provider);
+  logger.debug(`Registered embedding provider: ${provider.name} (${provider.dimension} dimensions)`);
+};
+
+/**
+ * Get a registered embedding provider
+ *
+ * @param {string} name - The provider name (defaults to EMBEDDING_MODEL, then 'mock')
+ * @returns {Object} - The provider
+ */
+export const getEmbeddingProvider = (name) => {
+  const providerName = name || process.env.EMBEDDING_MODEL || 'mock';
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+/**
+ * List the names of all registered embedding providers
+ *
+ * @returns {Array<string>} - Provider names
+ */
+export const listEmbeddingProviders = () => Array.from(providers.keys());
+
+/**
+ * Resolve the provider EMBEDDING_MODEL selects (default: mock)
+ *
+ * @returns {Object} - The provider
+ * @throws {Error} - If the provider is not registered or not configured
+ */
+export const getActiveEmbeddingProvider = () => {
+  const providerName = process.env.EMBEDDING_MODEL || 'mock';
+  const provider = providers.get(providerName);
+
+  // Mock vectors would be stored and searched as if they meant something, so
+  // they are only used when EMBEDDING_MODEL selects them
+  if (!provider) {
+    throw new Error(`Embedding provider ${providerName} is not registered, set EMBEDDING_MODEL to one of: ${listEmbeddingProviders().join(', ')}`);
+  }
+
+  if (provider.isConfigured && !provider.isConfigured()) {
+    throw new Error(`Embedding provider ${providerName} is missing configuration, such as an API key`);
+  }
+
+  return provider;
+};
+
+/**
+ * Format a vector as a pgvector literal
+ *
+ * @param {Array<number>} vector - The vector to format
+ * @returns {string} - The PostgreSQL vector string
+ */
+export const toVectorLiteral = (vector) => `[${vector.join(',')}]`;
+
+/**
+ * Get the identifier recorded with each memory for the model that embedded it
+ *
+ * @param {Object} provider - The provider (defaults to the active provider)
+ * @returns {string} - The model identifier, e.g. "openai:text-embedding-3-small" or "ollama:nomic-embed-text@v1.5"
+ */
+export const getEmbeddingModelId = (provider = getActiveEmbeddingProvider()) => {
+  const modelId = `${provider.name}:${provider.model || provider.name}`;
+  return provider.version ? `${modelId}@${provider.version}` : modelId;
+};
+
+/**
+ * Generate embeddings for a batch of texts and report which model produced them
+ *
+ * @param {Array<string>} texts - The texts to generate embeddings for
+ * @returns {Object} - { embeddings, model } with the embeddings as PostgreSQL vector strings, in input order
+ */
+export const generateEmbeddingsWithModel = async (texts) => {
+  if (texts.length === 0) {
+    return { embeddings: [], model: getEmbeddingModelId() };
+  }
+
+  const provider = getActiveEmbeddingProvider();
+  let vectors;
+
+  // A failed request is not made up for with mock vectors, which would be
+  // stored or searched as if they meant something
+  try {
+    vectors = await provider.embed(texts);
+  } catch (error) {
+    logger.error(`Error generating ${provider.name} embeddings:`, error);
+    throw error;
+  }
+
+  if (vectors.length !== texts.length) {
+    throw new Error(`Embedding provider ${provider.name} returned ${vectors.length} vectors for ${texts.length} inputs`);
+  }
+
+  const mismatched = vectors.find(vector => vector.length !== provider.dimension);
+  if (mismatched) {
+    throw new Error(`Embedding provider ${provider.name} returned a ${mismatched.length}-dimension vector, expected ${provider.dimension}`);
+  }
+
+  return { embeddings: vectors.map(toVectorLiteral), model: getEmbeddingModelId(provider) };
+};
+
+/**
+ * Generate embeddings for a batch of texts
+ *
+ * @param {Array<string>} texts - The texts to generate embeddings for
+ * @returns {Array<string>} - The embeddings as PostgreSQL vector strings, in input order
+ */
+export const generateEmbeddings = async (texts) => {
+  const { embeddings } = await generateEmbeddingsWithModel(texts);
+  return embeddings;
+};
+
+/**
+ * Generate an embedding for text content
+ *
+ * @param {string} text - The text to generate embeddings for
+ * @returns {string} - The embedding as a PostgreSQL vector string
+ */
+export const generateEmbedding = async (text) => {
+  const [embedding] = await generateEmbeddings([text]);
+  return embedding;
+};
+
+/**
+ * Check the health of the active embedding provider
+ *
+ * @returns {boolean} - True if the provider is healthy
+ */
+export const embeddingHealthCheck = async () => getActiveEmbeddingProvider().healthCheck();
+
+// Dimension override for the built-in providers, which otherwise use their model's default
+const configuredDimension = process.env.EMBEDDING_DIMENSION
+  ? parseInt(process.env.EMBEDDING_DIMENSION, 10)
+  : undefined;
+
+// Register the built-in providers
+registerEmbeddingProvider(createMockProvider({ dimension: configuredDimension }));
+registerEmbeddingProvider(createOpenAIProvider({
+  baseUrl: process.env.OPENAI_BASE_URL,
+  model: process.env.OPENAI_EMBEDDING_MODEL,
+  dimension: configuredDimension,
+  apiKey: process.env.OPENAI_API_KEY
+}));
+registerEmbeddingProvider(createOllamaProvider({
+  baseUrl: process.env.OLLAMA_BASE_URL,
+  model: process.env.OLLAMA_EMBEDDING_MODEL,
+  dimension: configuredDimension
+}));
@@ -0,0 +1,602 @@
+import { query, transaction, withAllTenants } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbeddingsWithModel, getEmbeddingModelId } from './embeddings.js';
+
+// Which relations a neighbour walk follows from each entity it reaches
+export const RELATION_DIRECTIONS = ['out', 'in', 'both'];
+
+// Neighbour walks go one hop by default and never further than this
+const DEFAULT_NEIGHBOUR_DEPTH = 1;
+const MAX_NEIGHBOUR_DEPTH = 5;
+
+const DEFAULT_ENTITY_SEARCH_LIMIT = 10;
+
+const ENTITY_COLUMNS = 'id, name, entity_type, user_id, observations, metadata, embedding_model, created_at, updated_at';
+
+// How each direction joins a relation to the entity the walk is at, and which end it moves to
+const WALK_STEPS = {
+  out: { join: 'r.from_id = walk.entity_id', next: 'r.to_id' },
+  in: { join: 'r.to_id = walk.entity_id', next: 'r.from_id' },
+  both: {
+    join: 'walk.entity_id IN (r.from_id, r.to_id)',
+    next: 'CASE WHEN r.from_id = walk.entity_id THEN r.to_id ELSE r.from_id END'
+  }
+};
+
+/**
+ * Lowercase a type name and join its words with underscores, so "Works At"
+ * and "works_at" are the same relation
+ */
+const normalizeTypeName = (value, label) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${label} is required`);
+  }
+
+  return value.trim().toLowerCase().replace(/\s+/g, '_');
+};
+
+/**
+ * Trim observations and drop empty and repeated ones, keeping their order
+ *
+ * @param {Array<string>} observations - The observations
+ * @returns {Array<string>} - The cleaned observations
+ */
+export const normalizeObservations = (observations = []) => {
+  if (!Array.isArray(observations) || observations.some(observation => typeof observation !== 'string')) {
+    throw new Error('observations must be an array of strings');
+  }
+
+  return [...new Set(observations.map(observation => observation.trim()).filter(Boolean))];
+};
+
+/**
+ * Validate an entity and fill in its defaults
+ *
+ * @param {Object} entity - The entity
+ * @param {string} entity.name - Entity name, unique per type and user ignoring case
+ * @param {string} entity.entityType - Entity type, e.g. person or service
+ * @param {string} entity.userId - Optional user the entity belongs to
+ * @param {Array<string>} entity.observations - Facts about the entity
+ * @param {Object} entity.metadata - Optional metadata
+ * @returns {Object} - The normalized entity
+ */
+export const normalizeEntity = ({ name, entityType, userId = null, observations = [], metadata = null } = {}) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Entity name is required');
+  }
+
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    throw new Error('metadata must be an object');
+  }
+
+  return {
+    name: name.trim(),
+    entityType: normalizeTypeName(entityType, 'Entity type'),
+    userId,
+    observations: normalizeObservations(observations),
+    metadata
+  };
+};
+
+/**
+ * Build the text an entity is embedded from: its name and type, then one
+ * observation per line
+ *
+ * @param {Object} entity - An entity row
+ * @returns {string} - The text to embed
+ */
+export const entityEmbeddingText = ({ name, entity_type: entityType, observations = [] }) =>
+  [`${name} (${entityType})`, ...observations].join('\n');
+
+/**
+ * Validate neighbour walk options and fill in their defaults
+ *
+ * @param {Object} options - Walk options (see getNeighbours)
+ * @returns {Object} - The normalized options
+ */
+export const normalizeTraversalOptions = ({
+  depth = DEFAULT_NEIGHBOUR_DEPTH,
+  relationTypes = null,
+  direction = 'both'
+} = {}) => {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_NEIGHBOUR_DEPTH) {
+    throw new Error(`depth must be an integer between 1 and ${MAX_NEIGHBOUR_DEPTH}, got ${depth}`);
+  }
+
+  if (!RELATION_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown relation direction: ${direction}`);
+  }
+
+  if (relationTypes !== null && (!Array.isArray(relationTypes) || relationTypes.length === 0)) {
+    throw new Error('relationTypes must be a non-empty array');
+  }
+
+  return {
+    depth,
+    relationTypes: relationTypes && relationTypes.map(type => normalizeTypeName(type, 'Relation type')),
+    direction
+  };
+};
+
+/**
+ * Build the query walking out from an entity along its relations. Each
+ * neighbour is returned once, at the fewest hops it takes to reach it; the
+ * walk only keeps (entity, hops) pairs it hasn't seen, so cycles end at depth
+ *
+ * @param {number} entityId - The entity to start from
+ * @param {Object} options - Normalized walk options
+ * @returns {Object} - { sql, params }
+ */
+export const buildNeighbourQuery = (entityId, { depth, relationTypes, direction }) => {
+  const params = [entityId, depth];
+  const step = WALK_STEPS[direction];
+
+  let typeCondition = '';
+  if (relationTypes) {
+    params.push(relationTypes);
+    typeCondition = `AND r.relation_type = ANY($${params.length}::text[])`;
+  }
+
+  const sql = `
+    WITH RECURSIVE walk(entity_id, depth) AS (
+      SELECT $1::int, 0
+      UNION
+      SELECT ${step.next}, walk.depth + 1
+      FROM walk
+      JOIN memory.relations r ON ${step.join}
+      WHERE walk.depth < $2
+        ${typeCondition}
+    )
+    SELECT ${ENTITY_COLUMNS.split(', ').map(column => `e.${column}`).join(', ')}, MIN(walk.depth)::int AS depth
+    FROM walk
+    JOIN memory.entities e ON e.id = walk.entity_id
+    WHERE walk.entity_id <> $1
+    GROUP BY e.id
+    ORDER BY depth, e.name
+  `;
+
+  return { sql, params };
+};
+
+/**
+ * Embed entities and write their vectors, rejecting vectors from another model
+ * than expectedModel when one is given
+ */
+const embedEntities = async (client, entities, expectedModel = null) => {
+  const { embeddings, model } = await generateEmbeddingsWithModel(entities.map(entityEmbeddingText));
+
+  if (expectedModel && model !== expectedModel) {
+    throw new Error(`Expected embeddings from ${expectedModel} but the provider returned ${model}, check the embedding provider configuration`);
+  }
+
+  await client.query(`
+    UPDATE memory.entities AS e
+    SET embedding = v.embedding::vector, embedding_model = $3
+    FROM unnest($1::int[], $2::text[]) AS v(id, embedding)
+    WHERE e.id = v.id
+  `, [entities.map(entity => entity.id), embeddings, model]);
+
+  return model;
+};
+
+// Entities are embedded before their row is locked. If the entity changes in
+// between, the write starts over from its new state, at most this many times
+const MAX_ENTITY_WRITE_ATTEMPTS = 3;
+
+// Returned by a write attempt that found the entity changed since it was embedded
+const ENTITY_CHANGED = Symbol('entity changed');
+
+/**
+ * Repeat a write attempt until it doesn't find the entity changed since it was embedded
+ *
+ * @param {string} label - The entity, for log and error messages
+ * @param {Function} attempt - Makes one attempt, resolving to its result or ENTITY_CHANGED
+ * @returns {Promise<*>} - The result of the attempt that wrote the entity
+ */
+const retryEntityWrite = async (label, attempt) => {
+  for (let attempts = 1; attempts <= MAX_ENTITY_WRITE_ATTEMPTS; attempts++) {
+    const result = await attempt();
+    if (result !== ENTITY_CHANGED) {
+      return result;
+    }
+    logger.info(`${label} changed while it was being embedded, trying again`);
+  }
+
+  throw new Error(`${label} kept changing while it was being embedded, try again`);
+};
+
+/**
+ * Embed an entity as it is about to be stored
+ *
+ * @param {Object} entity - { name, entity_type, observations }
+ * @returns {Promise<Object>} - { text, embedding, model }, text being what was embedded
+ */
+const embedEntity = async (entity) => {
+  const text = entityEmbeddingText(entity);
+  const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([text]);
+  return { text, embedding, model };
+};
+
+/**
+ * Create an entity, or merge into the existing entity with the same name, type
+ * and user: new observations are appended and metadata keys overwritten
+ *
+ * @param {Object} entity - The entity (see normalizeEntity)
+ * @returns {Object} - The stored entity, with created set if it is new
+ */
+export const upsertEntity = async (entity) => {
+  try {
+    const { name, entityType, userId, observations, metadata } = normalizeEntity(entity);
+    logger.info(`Storing ${entityType} entity ${name}`);
+
+    const findEntity = (lock) => `
+      SELECT ${ENTITY_COLUMNS}
+      FROM memory.entities
+      WHERE COALESCE(user_id, '') = COALESCE($3, '')
+        AND entity_type = $2
+        AND lower(name) = lower($1)
+      ${lock ? 'FOR UPDATE' : ''}
+    `;
+
+    const merge = (existing) => (existing
+      ? {
+        ...existing,
+        observations: normalizeObservations([...existing.observations, ...observations]),
+        metadata: metadata ? { ...existing.metadata, ...metadata } : existing.metadata
+      }
+      : { name, entity_type: entityType, user_id: userId, observations, metadata });
+
+    return await retryEntityWrite(`Entity ${name}`, async () => {
+      // Embed outside the transaction, so the provider call holds no lock
+      const before = await query(findEntity(false), [name, entityType, userId]);
+      const { text, embedding, model } = await embedEntity(merge(before.rows[0]));
+
+      return transaction(async (client) => {
+        const current = await client.query(findEntity(true), [name, entityType, userId]);
+        const existing = current.rows[0];
+        const merged = merge(existing);
+        if (entityEmbeddingText(merged) !== text) {
+          return ENTITY_CHANGED;
+        }
+
+        if (!existing) {
+          const inserted = await client.query(`
+            INSERT INTO memory.entities (name, entity_type, user_id, observations, metadata, embedding, embedding_model)
+            VALUES ($1, $2, $3, $4, $5, $6::vector, $7)
+            ON CONFLICT (tenant_id, COALESCE(user_id, ''), entity_type, lower(name)) DO NOTHING
+            RETURNING ${ENTITY_COLUMNS}
+          `, [name, entityType, userId, merged.observations, merged.metadata, embedding, model]);
+
+          // Created by someone else since, so merge into theirs
+          return inserted.rows.length > 0 ? { ...inserted.rows[0], created: true } : ENTITY_CHANGED;
+        }
+
+        const updated = await client.query(`
+          UPDATE memory.entities
+          SET observations = $2, metadata = $3, embedding = $4::vector, embedding_model = $5, updated_at = NOW()
+          WHERE id = $1
+          RETURNING ${ENTITY_COLUMNS}
+        `, [existing.id, merged.observations, merged.metadata, embedding, model]);
+
+        return { ...updated.rows[0], created: false };
+      });
+    });
+  } catch (error) {
+    logger.error('Error storing entity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an entity by ID
+ *
+ * @param {number} id - The entity's ID
+ * @returns {Object|null} - The entity, or null if it was not found
+ */
+export const getEntity = async (id) => {
+  const result = await query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Apply the changes worked out from an entity's current state, re-embedding it.
+ * The entity is embedded before its row is locked, as in upsertEntity
+ */
+const modifyEntity = async (id, getChanges) => retryEntityWrite(`Entity ${id}`, async () => {
+  const applyChanges = (existing) => {
+    const { name, entityType, observations, metadata } = getChanges(existing);
+    const next = normalizeEntity({
+      name: name ?? existing.name,
+      entityType: entityType ?? existing.entity_type,
+      userId: existing.user_id,
+      observations: observations ?? existing.observations,
+      metadata: metadata === undefined ? existing.metadata : metadata
+    });
+    return { ...next, entity_type: next.entityType };
+  };
+
+  const before = await query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1`, [id]);
+  if (before.rows.length === 0) {
+    logger.info(`Entity ${id} not found`);
+    return null;
+  }
+
+  const { text, embedding, model } = await embedEntity(applyChanges(before.rows[0]));
+
+  return transaction(async (client) => {
+    const current = await client.query(`SELECT ${ENTITY_COLUMNS} FROM memory.entities WHERE id = $1 FOR UPDATE`, [id]);
+    if (current.rows.length === 0) {
+      logger.info(`Entity ${id} not found`);
+      return null;
+    }
+
+    const next = applyChanges(current.rows[0]);
+    if (entityEmbeddingText(next) !== text) {
+      return ENTITY_CHANGED;
+    }
+
+    const updated = await client.query(`
+      UPDATE memory.entities
+      SET name = $2, entity_type = $3, observations = $4, metadata = $5,
+          embedding = $6::vector, embedding_model = $7, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${ENTITY_COLUMNS}
+    `, [id, next.name, next.entityType, next.observations, next.metadata, embedding, model]);
+
+    return updated.rows[0];
+  });
+});
+
+/**
+ * Update an entity, re-embedding it
+ *
+ * @param {number} id - The entity's ID
+ * @param {Object} changes - The changes to make
+ * @param {string} changes.name - Optional new name
+ * @param {string} changes.entityType - Optional new type
+ * @param {Array<string>} changes.observations - Optional observations, replacing the current ones
+ * @param {Object} changes.metadata - Optional metadata, replacing the current metadata
+ * @returns {Object|null} - The updated entity, or null if it was not found
+ */
+export const updateEntity = async (id, changes = {}) => {
+  try {
+    logger.info(`Updating entity ${id}`);
+
+    const { name, entityType, observations, metadata } = changes;
+    if ([name, entityType, observations, metadata].every(value => value === undefined)) {
+      throw new Error('name, entityType, observations or metadata is required to update an entity');
+    }
+
+    return await modifyEntity(id, () => ({ name, entityType, observations, metadata }));
+  } catch (error) {
+    logger.error(`Error updating entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Append observations to an entity, skipping ones it already has, and re-embed it
+ *
+ * @param {number} id - The entity's ID
+ * @param {Array<string>} observations - The observations to add
+ * @returns {Object|null} - The updated entity, or null if it was not found
+ */
+export const addObservations = async (id, observations) => {
+  try {
+    const added = normalizeObservations(observations);
+    if (added.length === 0) {
+      throw new Error('At least one observation is required');
+    }
+
+    logger.info(`Adding ${added.length} observations to entity ${id}`);
+    return await modifyEntity(id, existing => ({ observations: [...existing.observations, ...added] }));
+  } catch (error) {
+    logger.error(`Error adding observations to entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an entity along with its relations
+ *
+ * @param {number} id - The entity's ID
+ * @returns {boolean} - True if the entity was deleted
+ */
+export const deleteEntity = async (id) => {
+  try {
+    const result = await query('DELETE FROM memory.entities WHERE id = $1', [id]);
+    logger.info(result.rowCount > 0 ? `Deleted entity ${id}` : `Entity ${id} not found`);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Error deleting entity ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Relate two entities, e.g. (Alice) owns (billing service). Relating them the
+ * same way again only updates the relation's metadata
+ *
+ * @param {number} fromId - The entity the relation goes from
+ * @param {string} relationType - The relation, e.g. owns or works_at
+ * @param {number} toId - The entity the relation goes to
+ * @param {Object} options - Relation options
+ * @param {Object} options.metadata - Optional metadata
+ * @returns {Object} - The relation
+ */
+export const createRelation = async (fromId, relationType, toId, { metadata = null } = {}) => {
+  try {
+    const type = normalizeTypeName(relationType, 'Relation type');
+
+    if (fromId === toId) {
+      throw new Error('An entity cannot be related to itself');
+    }
+
+    // Foreign keys ignore row-level security, so check both ends belong to this tenant
+    const result = await query(`
+      INSERT INTO memory.relations (from_id, relation_type, to_id, metadata)
+      SELECT $1::int, $2::text, $3::int, $4::jsonb
+      WHERE (SELECT COUNT(*) FROM memory.entities WHERE id IN ($1, $3)) = 2
+      ON CONFLICT (from_id, relation_type, to_id)
+      DO UPDATE SET metadata = COALESCE(EXCLUDED.metadata, memory.relations.metadata)
+      RETURNING id, from_id, relation_type, to_id, metadata, created_at
+    `, [fromId, type, toId, metadata]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Entity ${fromId} or entity ${toId} not found`);
+    }
+
+    logger.info(`Related entity ${fromId} ${type} entity ${toId}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Error relating entity ${fromId} to entity ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a relation between two entities
+ *
+ * @param {number} fromId - The entity the relation goes from
+ * @param {string} relationType - The relation
+ * @param {number} toId - The entity the relation goes to
+ * @returns {boolean} - True if the relation was removed
+ */
+export const deleteRelation = async (fromId, relationType, toId) => {
+  try {
+    const result = await query(`
+      DELETE FROM memory.relations
+      WHERE from_id = $1 AND relation_type = $2 AND to_id = $3
+    `, [fromId, normalizeTypeName(relationType, 'Relation type'), toId]);
+
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Error removing relation from entity ${fromId} to entity ${toId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the entities within a number of hops of an entity, and the relations
+ * among them
+ *
+ * @param {number} entityId - The entity to start from
+ * @param {Object} options - Walk options
+ * @param {number} options.depth - Maximum number of hops (default: 1, at most 5)
+ * @param {Array<string>} options.relationTypes - Only follow these relations
+ * @param {string} options.direction - Follow relations 'out' of, 'in' to, or 'both' ways (default) through each entity
+ * @returns {Object|null} - { entity, neighbours, relations }, each neighbour with its depth; null if the entity was not found
+ */
+export const getNeighbours = async (entityId, options = {}) => {
+  try {
+    const opts = normalizeTraversalOptions(options);
+
+    const entity = await getEntity(entityId);
+    if (!entity) {
+      return null;
+    }
+
+    const { sql, params } = buildNeighbourQuery(entityId, opts);
+    const neighbours = (await query(sql, params)).rows;
+
+    const ids = [entityId, ...neighbours.map(neighbour => neighbour.id)];
+    const relationParams = [ids];
+    let typeCondition = '';
+    if (opts.relationTypes) {
+      relationParams.push(opts.relationTypes);
+      typeCondition = 'AND relation_type = ANY($2::text[])';
+    }
+
+    const relations = await query(`
+      SELECT id, from_id, relation_type, to_id, metadata, created_at
+      FROM memory.relations
+      WHERE from_id = ANY($1::int[])
+        AND to_id = ANY($1::int[])
+        ${typeCondition}
+      ORDER BY id
+    `, relationParams);
+
+    return { entity, neighbours, relations: relations.rows };
+  } catch (error) {
+    logger.error(`Error getting neighbours of entity ${entityId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Find the entities most similar to a query
+ *
+ * Entities embedded by another model than the active one are left out until
+ * they are updated or reembedEntities() catches them up.
+ *
+ * @param {string} queryText - What to look for
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of entities (default: 10)
+ * @param {string} options.entityType - Only return entities of this type
+ * @param {string} options.userId - Only return entities of this user
+ * @returns {Array} - The entities, most similar first, each with its similarity
+ */
+export const searchEntities = async (queryText, { limit = DEFAULT_ENTITY_SEARCH_LIMIT, entityType, userId } = {}) => {
+  try {
+    const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([queryText]);
+
+    const params = [embedding, model, limit];
+    const conditions = ['embedding_model = $2'];
+
+    if (entityType) {
+      params.push(normalizeTypeName(entityType, 'Entity type'));
+      conditions.push(`entity_type = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    const result = await query(`
+      SELECT ${ENTITY_COLUMNS}, 1 - (embedding <=> $1) AS similarity
+      FROM memory.entities
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY embedding <=> $1
+      LIMIT $3
+    `, params);
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Error searching entities:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-embed the entities of every tenant whose embedding comes from another
+ * model than the active one
+ *
+ * @param {Object} options - Options
+ * @param {number} options.batchSize - Entities to embed per batch (default: 100)
+ * @returns {number} - The number of entities re-embedded
+ */
+export const reembedEntities = ({ batchSize = 100 } = {}) => withAllTenants(async () => {
+  const model = getEmbeddingModelId();
+  let reembedded = 0;
+
+  for (;;) {
+    const batch = await query(`
+      SELECT id, name, entity_type, observations
+      FROM memory.entities
+      WHERE embedding_model IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+    `, [model, batchSize]);
+
+    if (batch.rows.length === 0) {
+      break;
+    }
+
+    await transaction(client => embedEntities(client, batch.rows, model));
+    reembedded += batch.rows.length;
+  }
+
+  logger.info(`Re-embedded ${reembedded} entities with ${model}`);
+  return reembedded;
+});
@@ -1,123 +1,261 @@
-import crypto from 'crypto';
-import { query, transaction } from '../utils/db.js';
+import { query, transaction, withAllTenants } from '../utils/db.js';
 import { logger } from '../utils/logger.js';
+import { generateEmbedding, generateEmbeddingsWithModel } from './embeddings.js';
+import { searchMemories, buildMemoryFilters } from './search.js';
+import { compileMetadataFilter } from './metadata-filter.js';
+import { normalizeDedupOptions, findDuplicateMemory, applyDedupPolicy } from './dedup.js';
+import { normalizeChunkingOptions, chunkContent, AUTO_CHUNKING } from './chunking.js';
+import { decodeCursor, cursorTimestampColumn, pageLimit, toPage, MAX_PAGE_SIZE } from './pagination.js';
+import { normalizeTags, compileTagFilter, memoryTagsColumn } from './tags.js';
 
-/**
- * Generate an embedding for text content
- * This is a placeholder function that should be replaced with a real embedding model in production
- * 
- * @param {string} text - The text to generate embeddings for
- * @returns {string} - The embedding as a PostgreSQL vector string
- */
-export const generateEmbedding = async (text) => {
-  const embeddingModel = process.env.EMBEDDING_MODEL || 'mock';
-  
-  switch (embeddingModel) {
-    case 'openai':
-      // Production: Use OpenAI embeddings
-      if (!process.env.OPENAI_API_KEY) {
-        logger.warn('OPENAI_API_KEY not set, falling back to mock embeddings');
-        return generateMockEmbedding(text);
-      }
-      try {
-        return await generateOpenAIEmbedding(text);
-      } catch (error) {
-        logger.error('Error generating OpenAI embedding:', error);
-        return generateMockEmbedding(text);
-      }
-    
-    case 'anthropic':
-      // Production: Use Anthropic embeddings
-      if (!process.env.ANTHROPIC_API_KEY) {
-        logger.warn('ANTHROPIC_API_KEY not set, falling back to mock embeddings');
-        return generateMockEmbedding(text);
-      }
-      try {
-        return await generateAnthropicEmbedding(text);
-      } catch (error) {
-        logger.error('Error generating Anthropic embedding:', error);
-        return generateMockEmbedding(text);
-      }
-      
-    case 'mock':
-    default:
-      // Development: Use mock embeddings
-      return generateMockEmbedding(text);
-  }
-};
+export { searchMemories, SEARCH_MODES, FUSION_METHODS, RANKING_STRATEGIES, CHUNK_RESULTS, SUMMARY_RESULTS } from './search.js';
+
+export { compileMetadataFilter, METADATA_OPERATORS } from './metadata-filter.js';
+
+export { DEDUP_POLICIES, DEDUP_SCOPES } from './dedup.js';
+
+export { CHUNKING_STRATEGIES, chunkContent } from './chunking.js';
+
+export {
+  getEmbeddingColumnDimension,
+  validateEmbeddingDimension,
+  migrateEmbeddingDimension
+} from './schema.js';
+
+export {
+  createReembedJob,
+  runReembedJob,
+  startReembedJob,
+  getReembedJob,
+  listReembedJobs
+} from './reembed.js';
+
+export {
+  RETENTION_ACTIONS,
+  saveRetentionPolicy,
+  getRetentionPolicy,
+  listRetentionPolicies,
+  deleteRetentionPolicy,
+  applyRetentionPolicy,
+  applyRetentionPolicies
+} from './retention.js';
+
+export {
+  consolidateConversation,
+  consolidateMemories,
+  getSummarySources
+} from './consolidation.js';
+
+export {
+  RELATION_DIRECTIONS,
+  upsertEntity,
+  getEntity,
+  updateEntity,
+  addObservations,
+  deleteEntity,
+  createRelation,
+  deleteRelation,
+  getNeighbours,
+  searchEntities,
+  reembedEntities
+} from './graph.js';
+
+export { listTenants, forEachTenant } from './tenants.js';
+
+export { IMPORT_CONFLICT_MODES, exportMemories, importMemories } from './transfer.js';
+
+export { listConversations, getConversation, setConversationTitle, MAX_TITLE_LENGTH } from './conversations.js';
+
+export {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  tagMemory,
+  untagMemory,
+  getMemoryTags,
+  listTags,
+  renameTag,
+  mergeTags
+} from './tags.js';
+
+export { LINK_TYPES, LINK_DIRECTIONS, createLink, deleteLink, getLinkedMemories } from './links.js';
+
+export { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from './pagination.js';
+
+export {
+  exportUserData,
+  eraseUserData,
+  listErasureTombstones,
+  verifyErasureTombstones
+} from './user-data.js';
+
+export { withTenant, withAllTenants, getCurrentTenant } from '../utils/db.js';
+
+export {
+  registerSummarizer,
+  getSummarizer,
+  listSummarizers,
+  createExtractiveSummarizer,
+  createOpenAISummarizer
+} from './summarizers.js';
+
+export {
+  generateEmbedding,
+  generateEmbeddings,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  generateEmbeddingsWithModel,
+  getActiveEmbeddingProvider,
+  getEmbeddingModelId,
+  embeddingHealthCheck,
+  createMockProvider,
+  createOpenAIProvider,
+  createOllamaProvider
+} from './embeddings.js';
+
+// Importance of memories stored without an explicit one
+const DEFAULT_IMPORTANCE = 0.5;
+
+// Memories at least this important survive archival regardless of age
+const DEFAULT_KEEP_IMPORTANCE = 0.8;
+
+// Archived memories move to cold storage after this many days, and are purged
+// after this many days there
+const DEFAULT_COLD_AFTER_DAYS = 30;
+const DEFAULT_PURGE_AFTER_DAYS = 365;
 
 /**
- * Generate a mock embedding for development and testing
- * 
- * @param {string} text - The text to generate a mock embedding for
- * @returns {string} - The mock embedding as a PostgreSQL vector string
+ * Check that an importance score is a number between 0 and 1
+ *
+ * @param {*} importance - The importance to check
+ * @returns {string|null} - An error message, or null if the importance is valid
  */
-const generateMockEmbedding = (text) => {
-  // Create a hash of the text to use as seed
-  const hash = crypto.createHash('sha256').update(text).digest('hex');
-  
-  // Convert hash to an array of numbers
-  const hashNums = [];
-  for (let i = 0; i < hash.length; i += 2) {
-    hashNums.push(parseInt(hash.substring(i, i + 2), 16) / 255);
+const importanceError = (importance) => {
+  if (importance === undefined || importance === null) {
+    return null;
   }
-  
-  // Expand the hash to the required size (1536 dimensions)
-  const embedding = [];
-  for (let i = 0; i < 1536; i++) {
-    // Use a simple formula to generate a value between -1 and 1
-    const val = Math.cos(i * (hashNums[i % hashNums.length] + 0.1)) * 0.99;
-    embedding.push(val);
+  if (typeof importance !== 'number' || !(importance >= 0 && importance <= 1)) {
+    return `importance must be a number between 0 and 1, got ${importance}`;
   }
-  
-  // Format as a pgvector string
-  return `[${embedding.join(',')}]`;
+  return null;
 };
 
 /**
- * Generate an OpenAI embedding (to be replaced with actual API call)
- * 
- * @param {string} text - The text to generate an embedding for
- * @returns {string} - The embedding as a PostgreSQL vector string
+ * Store content split into chunks: a parent row holding the full text without
+ * an embedding, and one embedded row per chunk pointing at it
+ *
+ * @param {Object} memory - { conversationId, userId, content, metadata, importance }
+ * @param {Array<string>} chunks - The content's chunks, in order
+ * @returns {Object} - { id, action, duplicateOf, similarity, chunkIds } with id the parent's
  */
-const generateOpenAIEmbedding = async (text) => {
-  // Placeholder for actual API call
-  // In a real implementation, this would call the OpenAI API
-  logger.info('Generating OpenAI embedding');
-  
-  // This is where you'd make the actual API call
-  // const response = await openai.createEmbedding({
-  //   model: "text-embedding-ada-002",
-  //   input: text,
-  // });
+const storeChunkedMemory = async ({ conversationId, userId, content, metadata, importance }, chunks) => {
+  const { embeddings, model } = await generateEmbeddingsWithModel(chunks);
   
-  // return `[${response.data.data[0].embedding.join(',')}]`;
-  
-  // For now, return a mock embedding
-  return generateMockEmbedding(text);
+  return transaction(async (client) => {
+    const parent = await client.query(`
+      INSERT INTO memory.conversations 
+        (conversation_id, user_id, content, metadata, importance, is_chunked)
+      VALUES 
+        ($1, $2, $3, $4, $5, TRUE)
+      RETURNING id
+    `, [conversationId, userId, content, metadata, importance ?? DEFAULT_IMPORTANCE]);
+    
+    const parentId = parent.rows[0].id;
+    
+    const children = await client.query(`
+      INSERT INTO memory.conversations 
+        (conversation_id, user_id, content, embedding, embedding_model, metadata, importance, parent_id, chunk_index)
+      SELECT $1, $2, chunk.content, chunk.embedding, $5, $6, $7, $8, chunk.position - 1
+      FROM unnest($3::text[], $4::vector[]) WITH ORDINALITY AS chunk(content, embedding, position)
+      RETURNING id, chunk_index
+    `, [conversationId, userId, chunks, embeddings, model, metadata, importance ?? DEFAULT_IMPORTANCE, parentId]);
+    
+    const chunkIds = children.rows
+      .sort((a, b) => a.chunk_index - b.chunk_index)
+      .map(row => row.id);
+    
+    return { id: parentId, action: 'inserted', duplicateOf: null, similarity: null, chunkIds };
+  });
 };
 
 /**
- * Generate an Anthropic embedding (to be replaced with actual API call)
+ * Add a memory to the database, optionally folding it into a near-duplicate
  * 
- * @param {string} text - The text to generate an embedding for
- * @returns {string} - The embedding as a PostgreSQL vector string
+ * @param {string} conversationId - Unique identifier for the conversation
+ * @param {string} userId - Identifier for the user
+ * @param {string} content - The content of the memory
+ * @param {Object} metadata - Additional metadata for the memory
+ * @param {Object} options - Memory options
+ * @param {number} options.importance - Importance from 0 to 1, used in ranking and archival (default: 0.5)
+ * @param {Object} options.dedup - Optional dedup policy (see normalizeDedupOptions)
+ * @param {Object} options.chunking - Optional chunking of long content (see normalizeChunkingOptions),
+ *   otherwise content longer than MEMORY_CHUNK_MAX_TOKENS is chunked by paragraph;
+ *   content split into several chunks is always inserted, without dedup
+ * @returns {Object} - { id, action, duplicateOf, similarity }, where action is 'inserted',
+ *   'skipped', 'merged' or 'replaced' and duplicateOf is the existing memory that absorbed the write;
+ *   chunked content also returns chunkIds, and id is the parent memory's
  */
-const generateAnthropicEmbedding = async (text) => {
-  // Placeholder for actual API call
-  // In a real implementation, this would call the Anthropic API
-  logger.info('Generating Anthropic embedding');
-  
-  // This is where you'd make the actual API call
-  // const response = await anthropic.embeddings.create({
-  //   model: "claude-3-sonnet-20240229",
-  //   input: text,
-  // });
-  
-  // return `[${response.data.embedding.join(',')}]`;
-  
-  // For now, return a mock embedding
-  return generateMockEmbedding(text);
+export const storeMemory = async (conversationId, userId, content, metadata = {}, { importance, dedup, chunking } = {}) => {
+  try {
+    logger.info(`Adding memory for conversation ${conversationId}`);
+    
+    const invalidImportance = importanceError(importance);
+    if (invalidImportance) {
+      throw new Error(invalidImportance);
+    }
+    
+    const dedupOptions = normalizeDedupOptions(dedup);
+    const chunkingOptions = normalizeChunkingOptions(chunking) ?? AUTO_CHUNKING;
+    
+    const chunks = chunkContent(content, chunkingOptions);
+    if (chunks.length > 1) {
+      const stored = await storeChunkedMemory({ conversationId, userId, content, metadata, importance }, chunks);
+      logger.info(`Memory added with ID: ${stored.id} (${chunks.length} chunks)`);
+      return stored;
+    }
+    
+    // Generate an embedding for the content
+    const { embeddings: [embedding], model } = await generateEmbeddingsWithModel([content]);
+    
+    const stored = await transaction(async (client) => {
+      if (dedupOptions) {
+        const duplicate = await findDuplicateMemory(client, { conversationId, userId, content, embedding }, dedupOptions);
+        if (duplicate) {
+          return applyDedupPolicy(client, duplicate, { content, embedding, model, metadata, importance }, dedupOptions.policy);
+        }
+      }
+      
+      // Insert the memory into the database
+      const result = await client.query(`
+        INSERT INTO memory.conversations 
+          (conversation_id, user_id, content, embedding, embedding_model, metadata, importance)
+        VALUES 
+          ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [
+        conversationId, 
+        userId, 
+        content, 
+        embedding, 
+        model,
+        metadata,
+        importance ?? DEFAULT_IMPORTANCE
+      ]);
+      
+      return { id: result.rows[0].id, action: 'inserted', duplicateOf: null, similarity: null };
+    });
+    
+    if (stored.duplicateOf) {
+      logger.info(`Memory ${stored.action} into existing memory ${stored.duplicateOf}`);
+    } else {
+      logger.info(`Memory added with ID: ${stored.id}`);
+    }
+    
+    return stored;
+  } catch (error) {
+    logger.error('Error adding memory:', error);
+    throw error;
+  }
 };
 
 /**
@@ -127,152 +265,428 @@ const generateAnthropicEmbedding = async (text) => {
  * @param {string} userId - Identifier for the user
  * @param {string} content - The content of the memory
  * @param {Object} metadata - Additional metadata for the memory
- * @returns {number} - The ID of the created memory
+ * @param {Object} options - Memory options (see storeMemory)
+ * @returns {number} - The ID of the created memory, or of the existing memory that absorbed it
  */
-export const addMemory = async (conversationId, userId, content, metadata = {}) => {
+export const addMemory = async (conversationId, userId, content, metadata = {}, options = {}) => {
+  const { id } = await storeMemory(conversationId, userId, content, metadata, options);
+  return id;
+};
+
+/**
+ * Add many memories to the database in one call
+ * 
+ * Embeddings are generated in batches and all rows are written with multi-row
+ * INSERTs inside a single transaction. Items that fail validation or embedding
+ * are reported individually and skipped; the others are still stored. Items
+ * longer than MEMORY_CHUNK_MAX_TOKENS are chunked by paragraph, as storeMemory
+ * does, and stored one by one after the others.
+ * 
+ * @param {Array<Object>} items - Memories to add, each { conversationId, userId, content, metadata, importance }
+ * @param {Object} options - Ingestion options
+ * @param {number} options.batchSize - Number of texts per embedding request (default: 100)
+ * @returns {Array<Object>} - One { index, id, error } per input item, in input order
+ */
+export const addMemories = async (items, { batchSize = 100 } = {}) => {
   try {
-    logger.info(`Adding memory for conversation ${conversationId}`);
+    logger.info(`Adding ${items.length} memories in bulk`);
     
-    // Generate an embedding for the content
-    const embedding = await generateEmbedding(content);
+    const results = items.map((item, index) => ({ index, id: null, error: null }));
+    const pending = [];
+    const oversized = [];
+    
+    // Validate items up front so one bad item doesn't sink the batch
+    items.forEach((item, index) => {
+      if (!item || typeof item.content !== 'string' || item.content.length === 0) {
+        results[index].error = 'content is required';
+      } else if (!item.conversationId) {
+        results[index].error = 'conversationId is required';
+      } else if (importanceError(item.importance)) {
+        results[index].error = importanceError(item.importance);
+      } else {
+        const chunks = chunkContent(item.content, AUTO_CHUNKING);
+        if (chunks.length > 1) {
+          oversized.push({ ...item, index, chunks });
+        } else {
+          pending.push({ ...item, index });
+        }
+      }
+    });
+    
+    // Generate embeddings in batches
+    const embedded = [];
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      
+      try {
+        const { embeddings, model } = await generateEmbeddingsWithModel(batch.map(item => item.content));
+        batch.forEach((item, i) => embedded.push({ ...item, embedding: embeddings[i], model }));
+      } catch (error) {
+        logger.error(`Error generating embeddings for batch starting at item ${batch[0].index}:`, error);
+        batch.forEach(item => {
+          results[item.index].error = `Embedding failed: ${error.message}`;
+        });
+      }
+    }
+    
+    if (embedded.length > 0) {
+      await transaction(async (client) => {
+        // Reserve IDs up front so each inserted row maps back to its input item
+        const ids = await client.query(`
+          SELECT nextval(pg_get_serial_sequence('memory.conversations', 'id'))::int AS id
+          FROM generate_series(1, $1)
+        `, [embedded.length]);
+        
+        embedded.forEach((item, i) => {
+          item.id = ids.rows[i].id;
+        });
+        
+        for (let start = 0; start < embedded.length; start += batchSize) {
+          const batch = embedded.slice(start, start + batchSize);
+          
+          await client.query(`
+            INSERT INTO memory.conversations 
+              (id, conversation_id, user_id, content, embedding, embedding_model, metadata, importance)
+            SELECT * FROM unnest(
+              $1::int[], $2::text[], $3::text[], $4::text[], $5::vector[], $6::text[], $7::jsonb[], $8::real[]
+            )
+          `, [
+            batch.map(item => item.id),
+            batch.map(item => item.conversationId),
+            batch.map(item => item.userId ?? null),
+            batch.map(item => item.content),
+            batch.map(item => item.embedding),
+            batch.map(item => item.model),
+            batch.map(item => JSON.stringify(item.metadata || {})),
+            batch.map(item => item.importance ?? DEFAULT_IMPORTANCE)
+          ]);
+        }
+      });
+      
+      embedded.forEach(item => {
+        results[item.index].id = item.id;
+      });
+    }
+    
+    // Content too long to embed whole gets a parent row and embedded chunks,
+    // in a transaction of its own so a failure only loses that item
+    for (const item of oversized) {
+      try {
+        const { id } = await storeChunkedMemory({
+          conversationId: item.conversationId,
+          userId: item.userId ?? null,
+          content: item.content,
+          metadata: item.metadata || {},
+          importance: item.importance
+        }, item.chunks);
+        results[item.index].id = id;
+      } catch (error) {
+        logger.error(`Error storing chunked item ${item.index}:`, error);
+        results[item.index].error = `Storing chunks failed: ${error.message}`;
+      }
+    }
     
-    // Insert the memory into the database
+    const failedCount = results.filter(result => result.error).length;
+    logger.info(`Added ${items.length - failedCount} memories in bulk (${failedCount} failed)`);
+    
+    return results;
+  } catch (error) {
+    logger.error('Error adding memories in bulk:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the memories of a conversation, oldest first
+ * 
+ * Chunked documents are listed once, with their full content, rather than chunk by chunk.
+ * 
+ * @param {string} conversationId - The conversation ID to get memories for
+ * @param {Object} options - Retrieval options
+ * @param {Object} options.metadata - Optional metadata filter (see compileMetadataFilter)
+ * @param {Array<string>} options.tags - Only list memories carrying all of these tags
+ * @param {boolean} options.includeArchived - Also list archived memories (default: false)
+ * @param {string} options.cursor - The nextCursor of the previous page, to get the page after it
+ * @param {number} options.limit - Maximum number of memories in the page (default: 100, at most 1000)
+ * @returns {Promise<Object>} - The memories, and the cursor of the next page, or null on the last page
+ */
+export const getConversationMemoriesPage = async (conversationId, options = {}) => {
+  try {
+    logger.info(`Getting memories for conversation ${conversationId}`);
+    
+    const limit = pageLimit(options.limit);
+    const params = [conversationId];
+    const conditions = [
+      'conversation_id = $1',
+      'parent_id IS NULL',
+      ...compileMetadataFilter(options.metadata, params),
+      ...compileTagFilter(options.tags, params)
+    ];
+    
+    if (!options.includeArchived) {
+      conditions.push('is_archived = FALSE');
+    }
+    
+    if (options.cursor) {
+      const [timestamp, id] = decodeCursor(options.cursor);
+      params.push(timestamp, id);
+      conditions.push(`(timestamp, id) > ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+    }
+    
+    params.push(limit);
+    
+    // Read the page, plus one row to tell whether another follows, and record
+    // the access to the listed memories in the same statement
     const result = await query(`
-      INSERT INTO memory.conversations 
-        (conversation_id, user_id, content, embedding, metadata)
-      VALUES 
-        ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [
-      conversationId, 
-      userId, 
-      content, 
-      embedding, 
-      metadata
-    ]);
-    
-    const memoryId = result.rows[0].id;
-    logger.info(`Memory added with ID: ${memoryId}`);
-    
-    return memoryId;
+      WITH page AS (
+        SELECT 
+          id, 
+          user_id,
+          content, 
+          timestamp,
+          updated_at,
+          metadata,
+          is_archived,
+          memory_type,
+          summary_id,
+          ${memoryTagsColumn('conversations.id')},
+          ${cursorTimestampColumn('timestamp')}
+        FROM memory.conversations
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp ASC, id ASC
+        LIMIT $${params.length}::int + 1
+      ),
+      touched AS (
+        UPDATE memory.conversations c
+        SET
+          last_accessed = NOW(),
+          access_count = c.access_count + 1
+        FROM (SELECT id FROM page ORDER BY timestamp ASC, id ASC LIMIT $${params.length}::int) listed
+        WHERE c.id = listed.id
+      )
+      SELECT * FROM page
+      ORDER BY timestamp ASC, id ASC
+    `, params);
+    
+    const { rows: memories, nextCursor } = toPage(result.rows, limit);
+    logger.info(`Found ${memories.length} memories for conversation ${conversationId}${nextCursor ? ' (more to come)' : ''}`);
+    
+    return { memories, nextCursor };
   } catch (error) {
-    logger.error('Error adding memory:', error);
+    logger.error(`Error getting memories for conversation ${conversationId}:`, error);
     throw error;
   }
 };
 
 /**
- * Search for memories by similarity
+ * Get all the memories of a conversation, oldest first
  * 
- * @param {string} queryText - The text to search for
- * @param {number} limit - Maximum number of results to return
- * @param {string} userId - Optional user ID to filter by
- * @param {string} conversationId - Optional conversation ID to filter by
- * @returns {Array} - Array of memory objects
+ * Reads every page of getConversationMemoriesPage, which is the one to use to
+ * page through long conversations.
+ * 
+ * @param {string} conversationId - The conversation ID to get memories for
+ * @param {Object} options - Retrieval options: metadata, tags and includeArchived, as in getConversationMemoriesPage
+ * @returns {Promise<Array<Object>>} - The memories
+ */
+export const getConversationMemories = async (conversationId, { metadata, tags, includeArchived } = {}) => {
+  const memories = [];
+  let cursor = null;
+  
+  do {
+    const page = await getConversationMemoriesPage(conversationId, { metadata, tags, includeArchived, cursor, limit: MAX_PAGE_SIZE });
+    memories.push(...page.memories);
+    cursor = page.nextCursor;
+  } while (cursor);
+  
+  return memories;
+};
+
+/**
+ * Get a page of the memories carrying every one of the given tags, newest first
+ * 
+ * Chunked documents are listed once, by their parent, as in getConversationMemoriesPage.
+ * 
+ * @param {string|Array<string>} tags - The tags
+ * @param {Object} options - Retrieval options
+ * @param {string} options.userId - Only list this user's memories
+ * @param {string} options.conversationId - Only list memories of this conversation
+ * @param {Object} options.metadata - Optional metadata filter (see compileMetadataFilter)
+ * @param {boolean} options.includeArchived - Also list archived memories (default: false)
+ * @param {string} options.cursor - The nextCursor of the previous page, to get the page after it
+ * @param {number} options.limit - Maximum number of memories in the page (default: 100, at most 1000)
+ * @returns {Promise<Object>} - The memories, and the cursor of the next page, or null on the last page
  */
-export const searchMemories = async (queryText, limit = 5, userId = null, conversationId = null) => {
+export const getTaggedMemories = async (tags, options = {}) => {
   try {
-    logger.info(`Searching memories similar to: "${queryText.substring(0, 50)}..."`);
+    if (tags === undefined || tags === null || normalizeTags(tags).length === 0) {
+      throw new Error('At least one tag is required');
+    }
     
-    // Generate an embedding for the query text
-    const queryEmbedding = await generateEmbedding(queryText);
+    const limit = pageLimit(options.limit);
+    const params = [];
+    const conditions = [
+      'parent_id IS NULL',
+      ...buildMemoryFilters({
+        userId: options.userId,
+        conversationId: options.conversationId,
+        metadata: options.metadata,
+        tags
+      }, params)
+    ];
     
-    // Build the SQL query with optional filters
-    let sql = `
+    if (!options.includeArchived) {
+      conditions.push('is_archived = FALSE');
+    }
+    
+    if (options.cursor) {
+      const [timestamp, id] = decodeCursor(options.cursor);
+      params.push(timestamp, id);
+      conditions.push(`(timestamp, id) < ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+    }
+    
+    params.push(limit + 1);
+    
+    const result = await query(`
       SELECT 
         id, 
-        conversation_id, 
+        conversation_id,
         user_id,
         content, 
         timestamp,
+        updated_at,
         metadata,
-        embedding <=> $1 as similarity
+        is_archived,
+        memory_type,
+        summary_id,
+        ${memoryTagsColumn('conversations.id')},
+        ${cursorTimestampColumn('timestamp')}
       FROM memory.conversations
-      WHERE is_archived = FALSE
-    `;
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
+    
+    const { rows: memories, nextCursor } = toPage(result.rows, limit);
+    logger.info(`Found ${memories.length} memories tagged ${normalizeTags(tags).join(', ')}`);
     
-    const params = [queryEmbedding];
-    let paramIndex = 2;
+    return { memories, nextCursor };
+  } catch (error) {
+    logger.error('Error getting tagged memories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a memory's content and/or metadata
+ * 
+ * New content is re-embedded. The version being replaced is kept in
+ * memory.memory_history, and updated_at records the edit while timestamp
+ * keeps the time the memory was created.
+ * 
+ * @param {number} id - The ID of the memory to update
+ * @param {Object} changes - The changes to make
+ * @param {string} changes.content - Optional new content
+ * @param {Object} changes.metadata - Optional new metadata, replacing the current metadata
+ * @returns {Object|null} - The updated memory, or null if it was not found
+ */
+export const updateMemory = async (id, { content, metadata } = {}) => {
+  try {
+    logger.info(`Updating memory ${id}`);
     
-    // Add filters if provided
-    if (userId) {
-      sql += ` AND user_id = $${paramIndex}`;
-      params.push(userId);
-      paramIndex++;
+    if (content === undefined && metadata === undefined) {
+      throw new Error('content or metadata is required to update a memory');
     }
     
-    if (conversationId) {
-      sql += ` AND conversation_id = $${paramIndex}`;
-      params.push(conversationId);
-      paramIndex++;
+    if (content !== undefined && (typeof content !== 'string' || content.length === 0)) {
+      throw new Error('content must be a non-empty string');
     }
     
-    // Add ordering and limit
-    sql += `
-      ORDER BY similarity ASC
-      LIMIT $${paramIndex}
-    `;
-    params.push(limit);
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw new Error('metadata must be an object');
+    }
     
-    // Execute the query
-    const result = await query(sql, params);
+    const current = await query(`
+      SELECT content, parent_id, is_chunked
+      FROM memory.conversations
+      WHERE id = $1
+    `, [id]);
     
-    // Update last_accessed timestamp for retrieved memories
-    if (result.rows.length > 0) {
-      const ids = result.rows.map(row => row.id);
-      await query(`
-        UPDATE memory.conversations
-        SET last_accessed = NOW()
-        WHERE id = ANY($1)
-      `, [ids]);
+    if (current.rows.length === 0) {
+      logger.info(`Memory ${id} not found`);
+      return null;
     }
     
-    logger.info(`Found ${result.rows.length} similar memories`);
-    return result.rows;
+    const memory = current.rows[0];
+    const contentChanged = content !== undefined && content !== memory.content;
+    
+    if (memory.parent_id !== null) {
+      throw new Error(`Memory ${id} is a chunk of memory ${memory.parent_id}; update that memory instead`);
+    }
+    
+    if (contentChanged && memory.is_chunked) {
+      throw new Error(`Memory ${id} is stored in chunks; store the new content as a new memory instead`);
+    }
+    
+    // Only new content needs a new embedding
+    const { embeddings: [embedding], model } = contentChanged
+      ? await generateEmbeddingsWithModel([content])
+      : { embeddings: [null], model: null };
+    
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE memory.conversations
+        SET
+          content = COALESCE($2, content),
+          embedding = COALESCE($3, embedding),
+          embedding_model = COALESCE($4, embedding_model),
+          metadata = COALESCE($5, metadata)
+        WHERE id = $1
+        RETURNING id, conversation_id, user_id, content, timestamp, updated_at, metadata, importance
+      `, [id, contentChanged ? content : null, embedding, model, metadata ?? null]);
+      
+      // Chunks carry their document's metadata so filters find them
+      if (metadata !== undefined && memory.is_chunked) {
+        await client.query(`
+          UPDATE memory.conversations
+          SET metadata = $2
+          WHERE parent_id = $1
+        `, [id, metadata]);
+      }
+      
+      return result.rows[0] || null;
+    });
+    
+    logger.info(updated ? `Memory ${id} updated${contentChanged ? ' and re-embedded' : ''}` : `Memory ${id} not found`);
+    
+    return updated;
   } catch (error) {
-    logger.error('Error searching memories:', error);
+    logger.error(`Error updating memory ${id}:`, error);
     throw error;
   }
 };
 
 /**
- * Get all memories for a specific conversation
+ * Get the prior versions of a memory, most recent first
  * 
- * @param {string} conversationId - The conversation ID to get memories for
- * @returns {Array} - Array of memory objects
+ * @param {number} id - The ID of the memory
+ * @returns {Array} - Array of { version, content, metadata, embedding_model, valid_from, replaced_at }
  */
-export const getConversationMemories = async (conversationId) => {
+export const getMemoryHistory = async (id) => {
   try {
-    logger.info(`Getting memories for conversation ${conversationId}`);
+    logger.info(`Getting history for memory ${id}`);
     
     const result = await query(`
-      SELECT 
-        id, 
-        user_id,
-        content, 
-        timestamp,
-        metadata
-      FROM memory.conversations
-      WHERE conversation_id = $1
-        AND is_archived = FALSE
-      ORDER BY timestamp ASC
-    `, [conversationId]);
-    
-    logger.info(`Found ${result.rows.length} memories for conversation ${conversationId}`);
+      SELECT version, content, metadata, embedding_model, valid_from, replaced_at
+      FROM memory.memory_history
+      WHERE memory_id = $1
+      ORDER BY version DESC
+    `, [id]);
     
-    // Update last_accessed timestamp for retrieved memories
-    if (result.rows.length > 0) {
-      const ids = result.rows.map(row => row.id);
-      await query(`
-        UPDATE memory.conversations
-        SET last_accessed = NOW()
-        WHERE id = ANY($1)
-      `, [ids]);
-    }
+    logger.info(`Found ${result.rows.length} prior versions of memory ${id}`);
     
     return result.rows;
   } catch (error) {
-    logger.error(`Error getting memories for conversation ${conversationId}:`, error);
+    logger.error(`Error getting history for memory ${id}:`, error);
     throw error;
   }
 };
@@ -303,19 +717,151 @@ export const deleteMemory = async (id) => {
   }
 };
 
+/**
+ * Archive or restore a memory, along with its chunks if it is a chunked document
+ *
+ * @param {number} id - The ID of the memory
+ * @param {boolean} archived - Whether to archive (true) or restore (false) it
+ * @returns {boolean} - True if the memory exists
+ */
+const setMemoryArchived = async (id, archived) => {
+  const result = await query(`
+    UPDATE memory.conversations
+    SET is_archived = $2
+    WHERE id = $1 OR parent_id = $1
+    RETURNING id = $1 AS requested
+  `, [id, archived]);
+  
+  return result.rows.some(row => row.requested);
+};
+
+/**
+ * Archive or restore every memory matching a filter
+ *
+ * @param {Object} filter - { userId, conversationId, metadata, tags, since, until }, at least one required
+ * @param {boolean} archived - Whether to archive (true) or restore (false) the memories
+ * @returns {number} - Number of memories whose archived state changed
+ */
+const setMemoriesArchived = async (filter, archived) => {
+  const params = [archived];
+  const conditions = buildMemoryFilters(filter || {}, params);
+  
+  // An empty filter would silently hit every memory
+  if (conditions.length === 0) {
+    throw new Error('A filter on userId, conversationId, metadata, tags, since or until is required');
+  }
+  
+  // Chunks share their document's conversation, user, metadata, tags and timestamp, so they match along with it
+  const result = await query(`
+    UPDATE memory.conversations
+    SET is_archived = $1
+    WHERE is_archived IS DISTINCT FROM $1
+      AND ${conditions.join(' AND ')}
+  `, params);
+  
+  return result.rowCount;
+};
+
+/**
+ * Archive a memory by ID, hiding it from searches and listings
+ * 
+ * @param {number} id - The ID of the memory to archive
+ * @returns {boolean} - True if the memory was archived, false if not found
+ */
+export const archiveMemory = async (id) => {
+  try {
+    logger.info(`Archiving memory ${id}`);
+    
+    const archived = await setMemoryArchived(id, true);
+    logger.info(archived ? `Memory ${id} archived` : `Memory ${id} not found`);
+    
+    return archived;
+  } catch (error) {
+    logger.error(`Error archiving memory ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an archived memory by ID
+ * 
+ * @param {number} id - The ID of the memory to restore
+ * @returns {boolean} - True if the memory was restored, false if not found
+ */
+export const unarchiveMemory = async (id) => {
+  try {
+    logger.info(`Restoring memory ${id}`);
+    
+    const restored = await setMemoryArchived(id, false);
+    logger.info(restored ? `Memory ${id} restored` : `Memory ${id} not found`);
+    
+    return restored;
+  } catch (error) {
+    logger.error(`Error restoring memory ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Archive every memory matching a filter
+ * 
+ * @param {Object} filter - Which memories to archive
+ * @param {string} filter.userId - Optional user ID
+ * @param {string} filter.conversationId - Optional conversation ID
+ * @param {Object} filter.metadata - Optional metadata filter (see compileMetadataFilter)
+ * @param {Array<string>} filter.tags - Optional tags, all of which a memory must carry
+ * @param {string|Date} filter.since - Optional lower bound on the memory timestamp
+ * @param {string|Date} filter.until - Optional upper bound on the memory timestamp
+ * @returns {number} - Number of memories archived
+ */
+export const archiveMemories = async (filter) => {
+  try {
+    logger.info('Archiving memories by filter');
+    
+    const archivedCount = await setMemoriesArchived(filter, true);
+    logger.info(`Archived ${archivedCount} memories`);
+    
+    return archivedCount;
+  } catch (error) {
+    logger.error('Error archiving memories by filter:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore every archived memory matching a filter
+ * 
+ * @param {Object} filter - Which memories to restore (see archiveMemories)
+ * @returns {number} - Number of memories restored
+ */
+export const unarchiveMemories = async (filter) => {
+  try {
+    logger.info('Restoring memories by filter');
+    
+    const restoredCount = await setMemoriesArchived(filter, false);
+    logger.info(`Restored ${restoredCount} memories`);
+    
+    return restoredCount;
+  } catch (error) {
+    logger.error('Error restoring memories by filter:', error);
+    throw error;
+  }
+};
+
 /**
  * Archive memories older than a certain number of days
  * 
  * @param {number} daysToKeep - Number of days to keep memories before archiving
+ * @param {number} keepImportance - Memories at least this important are kept regardless of age (default: 0.8)
  * @returns {number} - Number of memories archived
  */
-export const archiveOldMemories = async (daysToKeep = 90) => {
+export const archiveOldMemories = async (daysToKeep = 90, keepImportance = DEFAULT_KEEP_IMPORTANCE) => {
   try {
-    logger.info(`Archiving memories older than ${daysToKeep} days`);
+    logger.info(`Archiving memories older than ${daysToKeep} days with importance below ${keepImportance}`);
     
     const result = await query(`
-      SELECT memory.archive_old_memories($1) as archived_count
-    `, [daysToKeep]);
+      SELECT memory.archive_old_memories($1, $2) as archived_count
+    `, [daysToKeep, keepImportance]);
     
     const archivedCount = result.rows[0].archived_count;
     logger.info(`Archived ${archivedCount} memories`);
@@ -327,6 +873,85 @@ export const archiveOldMemories = async (daysToKeep = 90) => {
   }
 };
 
+/**
+ * Move memories that have been archived for a while to the memory.archive
+ * cold storage table, taking them and their vectors out of the main table
+ * 
+ * @param {number} archivedDays - Days a memory stays archived before it is moved (default: 30)
+ * @param {Object} options - Move options
+ * @param {boolean} options.dropEmbeddings - Don't keep the moved memories' embeddings (default: false)
+ * @returns {number} - Number of memories moved
+ */
+export const moveToColdStorage = async (archivedDays = DEFAULT_COLD_AFTER_DAYS, { dropEmbeddings = false } = {}) => {
+  try {
+    logger.info(`Moving memories archived more than ${archivedDays} days ago to cold storage`);
+    
+    const result = await query(`
+      SELECT memory.move_to_cold_storage($1, $2) as moved_count
+    `, [archivedDays, dropEmbeddings]);
+    
+    const movedCount = result.rows[0].moved_count;
+    logger.info(`Moved ${movedCount} memories to cold storage${dropEmbeddings ? ' without their embeddings' : ''}`);
+    
+    return movedCount;
+  } catch (error) {
+    logger.error('Error moving memories to cold storage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete memories that have been in cold storage for a while
+ * 
+ * @param {number} purgeDays - Days a memory stays in cold storage before it is deleted (default: 365)
+ * @returns {number} - Number of memories purged
+ */
+export const purgeColdStorage = async (purgeDays = DEFAULT_PURGE_AFTER_DAYS) => {
+  try {
+    logger.info(`Purging memories moved to cold storage more than ${purgeDays} days ago`);
+    
+    const result = await query(`
+      SELECT memory.purge_cold_storage($1) as purged_count
+    `, [purgeDays]);
+    
+    const purgedCount = result.rows[0].purged_count;
+    logger.info(`Purged ${purgedCount} memories`);
+    
+    return purgedCount;
+  } catch (error) {
+    logger.error('Error purging cold storage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run every stage of the memory lifecycle in order: archive old memories,
+ * move long-archived ones to cold storage, and purge expired cold storage
+ * 
+ * Each stage records its count in memory.app_metrics.
+ * 
+ * @param {Object} options - Lifecycle windows
+ * @param {number} options.daysToKeep - Days before an unimportant memory is archived (default: 90)
+ * @param {number} options.keepImportance - Memories at least this important are never archived by age (default: 0.8)
+ * @param {number} options.coldAfterDays - Days archived before moving to cold storage (default: 30)
+ * @param {number} options.purgeAfterDays - Days in cold storage before being purged (default: 365)
+ * @param {boolean} options.dropEmbeddings - Drop embeddings when moving to cold storage (default: false)
+ * @returns {Object} - { archived, moved, purged } counts
+ */
+export const runMemoryLifecycle = async ({
+  daysToKeep = 90,
+  keepImportance = DEFAULT_KEEP_IMPORTANCE,
+  coldAfterDays = DEFAULT_COLD_AFTER_DAYS,
+  purgeAfterDays = DEFAULT_PURGE_AFTER_DAYS,
+  dropEmbeddings = false
+} = {}) => {
+  const archived = await archiveOldMemories(daysToKeep, keepImportance);
+  const moved = await moveToColdStorage(coldAfterDays, { dropEmbeddings });
+  const purged = await purgeColdStorage(purgeAfterDays);
+  
+  return { archived, moved, purged };
+};
+
 /**
  * Optimize the vector index for better performance
  * 
@@ -336,9 +961,10 @@ export const optimizeVectorIndex = async () => {
   try {
     logger.info('Optimizing vector index');
     
-    await query(`
+    // Vacuuming needs the table owner's rights, which tenant connections don't have
+    await withAllTenants(() => query(`
       SELECT memory.optimize_vector_index()
-    `);
+    `));
     
     logger.info('Vector index optimization completed');
     return true;
@@ -348,12 +974,51 @@ export const optimizeVectorIndex = async () => {
   }
 };
 
+/**
+ * Rebuild the ivfflat vector index so its lists fit the memories stored since
+ * it was built. The index stays usable while it is rebuilt
+ * 
+ * @returns {boolean} - True if the rebuild was successful
+ */
+export const rebuildVectorIndex = async () => {
+  try {
+    logger.info('Rebuilding vector index');
+    
+    // REINDEX CONCURRENTLY can't run inside a transaction
+    await withAllTenants(() => query('REINDEX INDEX CONCURRENTLY memory.idx_conversations_embedding'));
+    await query(`
+      INSERT INTO memory.app_metrics (metric_name, metric_value)
+      VALUES ('vector_index_rebuilt', 1)
+    `);
+    
+    logger.info('Vector index rebuild completed');
+    return true;
+  } catch (error) {
+    logger.error('Error rebuilding vector index:', error);
+    throw error;
+  }
+};
+
 export default {
   addMemory,
+  storeMemory,
+  addMemories,
   searchMemories,
   getConversationMemories,
+  getConversationMemoriesPage,
+  getTaggedMemories,
+  updateMemory,
+  getMemoryHistory,
   deleteMemory,
+  archiveMemory,
+  unarchiveMemory,
+  archiveMemories,
+  unarchiveMemories,
   archiveOldMemories,
+  moveToColdStorage,
+  purgeColdStorage,
+  runMemoryLifecycle,
   optimizeVectorIndex,
+  rebuildVectorIndex,
   generateEmbedding
 };
@@ -0,0 +1,164 @@
+/**
+ * Compiles structured metadata filters into parameterized SQL over a JSONB column.
+ *
+ * A filter maps a key, or a dotted path to a nested key, to either a value that
+ * must match exactly or an operator object:
+ *
+ *   { role: 'user', 'project.name': 'billing', priority: { $gte: 2 }, tags: { $exists: true } }
+ *
+ * Exact matches are merged into a single containment (@>) check so the GIN
+ * index on metadata can be used; the other operators read the value with -> / ->>.
+ */
+
+// Operators accepted inside an operator object
+export const METADATA_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$exists', '$gt', '$gte', '$lt', '$lte'];
+
+// SQL comparison for each range operator
+const RANGE_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const isOperatorObject = (value) => isPlainObject(value)
+  && Object.keys(value).length > 0
+  && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Split a filter key into its path segments
+ *
+ * @param {string} key - A key or dotted path, e.g. 'project.name'
+ * @returns {Array<string>} - Path segments
+ */
+const parsePath = (key) => {
+  const segments = key.split('.');
+  if (segments.some(segment => segment === '')) {
+    throw new Error(`Invalid metadata filter path: "${key}"`);
+  }
+  return segments;
+};
+
+/**
+ * Wrap a value in the nested objects described by a path, for use with @>
+ *
+ * @param {Array<string>} segments - Path segments
+ * @param {*} value - The value at the end of the path
+ * @returns {Object} - e.g. ['project', 'name'] and 'billing' give { project: { name: 'billing' } }
+ */
+const nestValue = (segments, value) => segments.reduceRight((nested, segment) => ({ [segment]: nested }), value);
+
+/**
+ * Deep-merge containment objects built from different keys of one filter
+ */
+const mergeContainment = (target, source) => {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeContainment(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+};
+
+/**
+ * Compile a metadata filter into SQL conditions
+ *
+ * @param {Object} filter - The metadata filter
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} column - The (optionally alias-qualified) JSONB column to filter on
+ * @returns {Array<string>} - SQL conditions to be joined with AND
+ */
+export const compileMetadataFilter = (filter, params, column = 'metadata') => {
+  if (filter === undefined || filter === null) {
+    return [];
+  }
+
+  if (!isPlainObject(filter)) {
+    throw new Error('Metadata filter must be an object');
+  }
+
+  const conditions = [];
+  const containment = {};
+
+  // Pushes a parameter and returns its placeholder
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Builds column -> 'a' -> 'b' (as jsonb) or column -> 'a' ->> 'b' (as text)
+  const accessor = (segments, asText) => {
+    const parents = segments.slice(0, -1).map(segment => ` -> ${param(segment)}::text`).join('');
+    return `(${column}${parents} ${asText ? '->>' : '->'} ${param(segments[segments.length - 1])}::text)`;
+  };
+
+  for (const [key, condition] of Object.entries(filter)) {
+    const segments = parsePath(key);
+
+    if (!isOperatorObject(condition)) {
+      mergeContainment(containment, nestValue(segments, condition));
+      continue;
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      switch (operator) {
+        case '$eq':
+          mergeContainment(containment, nestValue(segments, operand));
+          break;
+
+        case '$ne':
+          conditions.push(`NOT (${column} @> ${param(JSON.stringify(nestValue(segments, operand)))}::jsonb)`);
+          break;
+
+        case '$in':
+        case '$nin': {
+          if (!Array.isArray(operand) || operand.length === 0) {
+            throw new Error(`${operator} for "${key}" must be a non-empty array`);
+          }
+          const candidates = param(operand.map(value => JSON.stringify(nestValue(segments, value))));
+          const anyMatch = `${column} @> ANY(${candidates}::jsonb[])`;
+          conditions.push(operator === '$in' ? anyMatch : `NOT (${anyMatch})`);
+          break;
+        }
+
+        case '$exists':
+          if (typeof operand !== 'boolean') {
+            throw new Error(`$exists for "${key}" must be true or false`);
+          }
+          conditions.push(`${accessor(segments, false)} IS ${operand ? 'NOT ' : ''}NULL`);
+          break;
+
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte': {
+          const comparison = RANGE_OPERATORS[operator];
+          if (typeof operand === 'number' && Number.isFinite(operand)) {
+            // Only numeric values take part, so a stray string never breaks the cast
+            const value = accessor(segments, false);
+            conditions.push(`(CASE WHEN jsonb_typeof(${value}) = 'number' THEN (${value} #>> '{}')::numeric END) ${comparison} ${param(operand)}`);
+          } else if (typeof operand === 'string' || operand instanceof Date) {
+            const text = operand instanceof Date ? operand.toISOString() : operand;
+            conditions.push(`${accessor(segments, true)} ${comparison} ${param(text)}`);
+          } else {
+            throw new Error(`${operator} for "${key}" must be a number, string or Date`);
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown metadata filter operator "${operator}" for "${key}"`);
+      }
+    }
+  }
+
+  if (Object.keys(containment).length > 0) {
+    conditions.unshift(`${column} @> ${param(JSON.stringify(containment))}::jsonb`);
+  }
+
+  return conditions;
+};
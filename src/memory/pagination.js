@@ -0,0 +1,90 @@
+/**
+ * Opaque cursors for keyset pagination over (timestamp, id) sort keys.
+ *
+ * A cursor carries the sort key of the last row of a page, so the next page
+ * starts right after that row however many rows were added or removed in
+ * between, and without the cost of skipping an OFFSET.
+ */
+
+// Default and largest number of rows in a page
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * SQL selecting a timestamp column as the cursor_timestamp of each row
+ *
+ * The timestamp is rendered as text with microseconds, which a JS Date would
+ * round to milliseconds, skipping rows that differ by less.
+ *
+ * @param {string} column - The timestamp column
+ * @returns {string} - A select list item
+ */
+export const cursorTimestampColumn = (column) => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_timestamp`;
+
+/**
+ * Encode the sort key of a row as a cursor
+ *
+ * @param {Array} values - The sort key
+ * @returns {string} - The cursor
+ */
+export const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor into a (timestamp, id) sort key
+ *
+ * @param {string} cursor - The cursor
+ * @returns {Array} - The timestamp and the ID
+ */
+export const decodeCursor = (cursor) => {
+  let values = null;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    // Reported below
+  }
+
+  if (!Array.isArray(values) || values.length !== 2 || typeof values[0] !== 'string' || Number.isNaN(Date.parse(values[0]))) {
+    throw new Error('Invalid cursor');
+  }
+
+  return values;
+};
+
+/**
+ * Check a page size, defaulting it when left out
+ *
+ * @param {number} limit - The requested page size
+ * @returns {number} - The page size
+ */
+export const pageLimit = (limit) => {
+  if (limit === undefined || limit === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Page size must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  return limit;
+};
+
+/**
+ * Cut rows fetched with one more than the page size into a page and the
+ * cursor of the next one, dropping the cursor_timestamp column
+ *
+ * @param {Array<Object>} rows - The rows, in order, with cursor_timestamp
+ * @param {number} limit - The page size
+ * @param {string} idColumn - The column breaking ties between equal timestamps
+ * @returns {Object} - The page's rows, and the next cursor, or null on the last page
+ */
+export const toPage = (rows, limit, idColumn = 'id') => {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit ? encodeCursor([last.cursor_timestamp, last[idColumn]]) : null;
+
+  for (const row of page) {
+    delete row.cursor_timestamp;
+  }
+
+  return { rows: page, nextCursor };
+};
@@ -0,0 +1,190 @@
+import { query, transaction, withAllTenants } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { getEmbeddingModelId } from './embeddings.js';
+import { validateEmbeddingDimension, writeEmbeddings } from './schema.js';
+
+// A running job that hasn't saved progress for this long died with its process and can be resumed
+const STALE_JOB_MINUTES = 10;
+
+/**
+ * Create a re-embedding job for the active model, or resume its failed or
+ * abandoned one, and claim it for the caller. Jobs cover the memories of every
+ * tenant
+ *
+ * @returns {Promise<Object>} - The claimed job row, to pass to runReembedJob
+ * @throws {Error} - If the active model's job is already running
+ */
+export const createReembedJob = () => withAllTenants(async () => {
+  const dimensionCheck = await validateEmbeddingDimension();
+  if (!dimensionCheck.valid) {
+    throw new Error(`Embedding provider ${dimensionCheck.provider} produces ${dimensionCheck.providerDimension}-dimension vectors but the column is vector(${dimensionCheck.columnDimension}), run "npm run migrate-embeddings" instead`);
+  }
+
+  const targetModel = getEmbeddingModelId();
+
+  return transaction(async (client) => {
+    // Claims wait for each other, so two callers never both take the same job
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('memory.reembed_jobs'))");
+
+    const existing = await client.query(`
+      SELECT id, status = 'running' AND updated_at > NOW() - make_interval(mins => $2) AS active
+      FROM memory.reembed_jobs
+      WHERE target_model = $1
+        AND status IN ('running', 'failed')
+      ORDER BY id DESC
+      LIMIT 1
+    `, [targetModel, STALE_JOB_MINUTES]);
+
+    if (existing.rows.length > 0) {
+      const { id, active } = existing.rows[0];
+      if (active) {
+        throw new Error(`Re-embedding job ${id} for ${targetModel} is already running`);
+      }
+
+      const claimed = await client.query(`
+        UPDATE memory.reembed_jobs
+        SET status = 'running', error = NULL, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id]);
+
+      logger.info(`Resuming re-embedding job ${id} for ${targetModel}`);
+      return claimed.rows[0];
+    }
+
+    const result = await client.query(`
+      INSERT INTO memory.reembed_jobs (target_model, total_count)
+      SELECT $1, COUNT(*)
+      FROM memory.conversations
+      WHERE embedding_model IS DISTINCT FROM $1
+        AND is_chunked = FALSE
+      RETURNING *
+    `, [targetModel]);
+
+    logger.info(`Created re-embedding job ${result.rows[0].id} for ${targetModel} (${result.rows[0].total_count} memories)`);
+    return result.rows[0];
+  });
+});
+
+/**
+ * Run a re-embedding job until every memory is embedded by the job's target model
+ *
+ * Progress is saved after each batch, so a failed or interrupted job picks up
+ * from its last processed ID when run again. A batch is only saved if the job
+ * is still where this run left it, so a run that lost its claim to another
+ * stops instead of racing it.
+ *
+ * @param {Object} job - The job row claimed by createReembedJob
+ * @param {Object} options - Job options
+ * @param {number} options.batchSize - Memories to embed per batch (default: 100)
+ * @param {Function} options.onProgress - Called with { jobId, processed, total } after each batch
+ * @returns {Object} - The finished job row
+ */
+export const runReembedJob = (job, { batchSize = 100, onProgress } = {}) => withAllTenants(async () => {
+  let lastId = job.last_id;
+  let processed = job.processed_count;
+
+  try {
+    for (;;) {
+      const batch = await query(`
+        SELECT id, content
+        FROM memory.conversations
+        WHERE id > $1
+          AND embedding_model IS DISTINCT FROM $2
+          AND is_chunked = FALSE
+        ORDER BY id
+        LIMIT $3
+      `, [lastId, job.target_model, batchSize]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      const nextLastId = batch.rows[batch.rows.length - 1].id;
+      const nextProcessed = processed + batch.rows.length;
+
+      await transaction(async (client) => {
+        await writeEmbeddings(client, 'embedding', batch.rows, job.target_model);
+        const saved = await client.query(`
+          UPDATE memory.reembed_jobs
+          SET processed_count = $2, last_id = $3, updated_at = NOW()
+          WHERE id = $1
+            AND status = 'running'
+            AND last_id = $4
+        `, [job.id, nextProcessed, nextLastId, lastId]);
+
+        if (saved.rowCount === 0) {
+          throw new Error(`Re-embedding job ${job.id} is no longer claimed by this run`);
+        }
+      });
+
+      lastId = nextLastId;
+      processed = nextProcessed;
+
+      logger.info(`Re-embedding job ${job.id}: ${processed}/${job.total_count} memories`);
+      if (onProgress) {
+        onProgress({ jobId: job.id, processed, total: job.total_count });
+      }
+    }
+
+    const result = await query(`
+      UPDATE memory.reembed_jobs
+      SET status = 'completed', updated_at = NOW(), finished_at = NOW()
+      WHERE id = $1
+        AND status = 'running'
+        AND last_id = $2
+      RETURNING *
+    `, [job.id, lastId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Re-embedding job ${job.id} is no longer claimed by this run`);
+    }
+
+    logger.info(`Re-embedding job ${job.id} completed`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Re-embedding job ${job.id} failed:`, error);
+    // Leave the job alone if another run has taken it over
+    await query(`
+      UPDATE memory.reembed_jobs
+      SET status = 'failed', error = $2, updated_at = NOW()
+      WHERE id = $1
+        AND status = 'running'
+        AND last_id = $3
+    `, [job.id, error.message, lastId]);
+    throw error;
+  }
+});
+
+/**
+ * Re-embed every memory not yet embedded by the active model, resuming any unfinished job
+ *
+ * @param {Object} options - Job options (see runReembedJob)
+ * @returns {Object} - The finished job row
+ */
+export const startReembedJob = async (options = {}) => {
+  const job = await createReembedJob();
+  return runReembedJob(job, options);
+};
+
+/**
+ * Get a re-embedding job by ID
+ *
+ * @param {number} id - The job ID
+ * @returns {Object|null} - The job row, or null if not found
+ */
+export const getReembedJob = async (id) => {
+  const result = await query('SELECT * FROM memory.reembed_jobs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * List the most recent re-embedding jobs
+ *
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Array} - Job rows, newest first
+ */
+export const listReembedJobs = async (limit = 10) => {
+  const result = await query('SELECT * FROM memory.reembed_jobs ORDER BY id DESC LIMIT $1', [limit]);
+  return result.rows;
+};
@@ -0,0 +1,185 @@
+import { query, transaction, withAllTenants } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbeddingsWithModel, getActiveEmbeddingProvider, getEmbeddingModelId } from './embeddings.js';
+
+// pgvector's ivfflat index supports at most this many dimensions
+const VECTOR_INDEX_MAX_DIMENSION = 2000;
+
+/**
+ * Get the dimension of a vector column on memory.conversations
+ *
+ * @param {string} column - The column name (default: embedding)
+ * @returns {number|null} - The dimension, or null if the column doesn't exist or isn't a fixed-size vector
+ */
+export const getEmbeddingColumnDimension = async (column = 'embedding') => {
+  const result = await query(`
+    SELECT format_type(atttypid, atttypmod) AS column_type
+    FROM pg_attribute
+    WHERE attrelid = 'memory.conversations'::regclass
+      AND attname = $1
+      AND NOT attisdropped
+  `, [column]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const match = /^vector\((\d+)\)$/.exec(result.rows[0].column_type);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Check that the active embedding provider's dimension matches the embedding column
+ *
+ * @returns {Object} - { valid, provider, providerDimension, columnDimension }
+ */
+export const validateEmbeddingDimension = async () => {
+  const provider = getActiveEmbeddingProvider();
+  const columnDimension = await getEmbeddingColumnDimension();
+
+  return {
+    valid: columnDimension === provider.dimension,
+    provider: provider.name,
+    providerDimension: provider.dimension,
+    columnDimension
+  };
+};
+
+/**
+ * Embed a batch of rows and write the vectors into the given column
+ *
+ * Writing to the live embedding column also records the producing model in
+ * embedding_model. The batch is rejected if the provider fell back to a
+ * different model, so a job never mixes vectors from two models.
+ *
+ * @param {Object} client - Database client inside an open transaction
+ * @param {string} column - The target vector column
+ * @param {Array} rows - Rows with id and content
+ * @param {string} expectedModel - The model identifier the vectors must come from
+ */
+export const writeEmbeddings = async (client, column, rows, expectedModel) => {
+  const { embeddings, model } = await generateEmbeddingsWithModel(rows.map(row => row.content));
+
+  if (model !== expectedModel) {
+    throw new Error(`Expected embeddings from ${expectedModel} but the provider returned ${model}, check the embedding provider configuration`);
+  }
+
+  const setModel = column === 'embedding' ? ', embedding_model = $3' : '';
+  const params = [rows.map(row => row.id), embeddings];
+  if (setModel) {
+    params.push(model);
+  }
+
+  // The timestamp triggers only fire for updates of the memory itself, so re-embedding leaves them be
+  await client.query(`
+    UPDATE memory.conversations AS c
+    SET ${column} = v.embedding::vector${setModel}
+    FROM unnest($1::int[], $2::text[]) AS v(id, embedding)
+    WHERE c.id = v.id
+  `, params);
+};
+
+/**
+ * Migrate memory.conversations to the active provider's embedding dimension
+ *
+ * Adds an embedding_next column of the new dimension and re-embeds every memory
+ * into it in batches. Rows are picked up while embedding_next is NULL, so an
+ * interrupted run resumes where it stopped. Once every row is embedded, the old
+ * column is renamed to embedding_<old dimension> (or dropped) and the new column
+ * takes its place. The migration covers every tenant's memories.
+ *
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Rows to embed per batch (default: 100)
+ * @param {boolean} options.dropPrevious - Drop the old embedding column instead of keeping it
+ * @param {boolean} options.force - Migrate even if the dimension already matches
+ * @param {Function} options.onProgress - Called with { processed, total } after each batch
+ * @returns {Object} - { migrated, fromDimension, toDimension, reembedded }
+ */
+export const migrateEmbeddingDimension = ({
+  batchSize = 100,
+  dropPrevious = false,
+  force = false,
+  onProgress
+} = {}) => withAllTenants(async () => {
+  const provider = getActiveEmbeddingProvider();
+  const model = getEmbeddingModelId(provider);
+  const toDimension = provider.dimension;
+  const fromDimension = await getEmbeddingColumnDimension();
+
+  if (fromDimension === toDimension && !force) {
+    logger.info(`Embedding column already has ${toDimension} dimensions, nothing to migrate`);
+    return { migrated: false, fromDimension, toDimension, reembedded: 0 };
+  }
+
+  logger.info(`Migrating embeddings from ${fromDimension} to ${toDimension} dimensions using ${provider.name}`);
+
+  await query(`ALTER TABLE memory.conversations ADD COLUMN IF NOT EXISTS embedding_next vector(${toDimension})`);
+
+  const nextDimension = await getEmbeddingColumnDimension('embedding_next');
+  if (nextDimension !== toDimension) {
+    throw new Error(`embedding_next has ${nextDimension} dimensions from an earlier migration, drop it before migrating to ${toDimension}`);
+  }
+
+  const pending = await query('SELECT COUNT(*)::int AS count FROM memory.conversations WHERE embedding_next IS NULL AND is_chunked = FALSE');
+  const total = pending.rows[0].count;
+  let reembedded = 0;
+
+  for (;;) {
+    const batch = await query(`
+      SELECT id, content
+      FROM memory.conversations
+      WHERE embedding_next IS NULL
+        AND is_chunked = FALSE
+      ORDER BY id
+      LIMIT $1
+    `, [batchSize]);
+
+    if (batch.rows.length === 0) {
+      break;
+    }
+
+    await transaction(client => writeEmbeddings(client, 'embedding_next', batch.rows, model));
+
+    reembedded += batch.rows.length;
+    logger.info(`Re-embedded ${reembedded}/${total} memories`);
+    if (onProgress) {
+      onProgress({ processed: reembedded, total });
+    }
+  }
+
+  await transaction(async (client) => {
+    // Block writers so rows inserted during the migration can be caught up before the swap
+    await client.query('LOCK TABLE memory.conversations IN EXCLUSIVE MODE');
+
+    const stragglers = await client.query('SELECT id, content FROM memory.conversations WHERE embedding_next IS NULL AND is_chunked = FALSE');
+    if (stragglers.rows.length > 0) {
+      await writeEmbeddings(client, 'embedding_next', stragglers.rows, model);
+      reembedded += stragglers.rows.length;
+    }
+
+    await client.query('DROP INDEX IF EXISTS memory.idx_conversations_embedding');
+
+    if (dropPrevious || fromDimension === null) {
+      await client.query('ALTER TABLE memory.conversations DROP COLUMN IF EXISTS embedding');
+    } else {
+      await client.query(`ALTER TABLE memory.conversations DROP COLUMN IF EXISTS embedding_${fromDimension}`);
+      await client.query(`ALTER TABLE memory.conversations RENAME COLUMN embedding TO embedding_${fromDimension}`);
+    }
+
+    await client.query('ALTER TABLE memory.conversations RENAME COLUMN embedding_next TO embedding');
+
+    await client.query('UPDATE memory.conversations SET embedding_model = $1 WHERE is_chunked = FALSE', [model]);
+
+    if (toDimension <= VECTOR_INDEX_MAX_DIMENSION) {
+      await client.query(`
+        CREATE INDEX idx_conversations_embedding ON memory.conversations
+        USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100)
+      `);
+    } else {
+      logger.warn(`Skipping vector index: ivfflat supports at most ${VECTOR_INDEX_MAX_DIMENSION} dimensions`);
+    }
+  });
+
+  logger.info(`Embedding migration to ${toDimension} dimensions completed (${reembedded} memories re-embedded)`);
+  return { migrated: true, fromDimension, toDimension, reembedded };
+});
@@ -0,0 +1,559 @@
+import { query } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbedding } from './embeddings.js';
+import { compileMetadataFilter } from './metadata-filter.js';
+import { compileTagFilter } from './tags.js';
+import { excludeSuperseded, normalizeLinkTypes, attachLinkedMemories } from './links.js';
+
+// Supported search modes
+export const SEARCH_MODES = ['vector', 'text', 'hybrid'];
+
+// Supported ways of fusing vector and text rankings in hybrid mode
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+// Supported ways of ordering vector search results
+export const RANKING_STRATEGIES = ['similarity', 'recency'];
+
+// How chunks of the same document are returned: each on its own, only the
+// best one per document, or the best one reported as its parent document
+export const CHUNK_RESULTS = ['all', 'best', 'parent'];
+
+// How consolidated conversations are searched: summaries alongside the
+// messages they cover, summaries in place of those messages, or summaries only
+export const SUMMARY_RESULTS = ['include', 'prefer', 'only'];
+
+// Text search configuration used by the content_tsv column
+const TEXT_SEARCH_CONFIG = 'english';
+
+// Reciprocal rank fusion constant from the original RRF paper
+const DEFAULT_RRF_K = 60;
+
+// Defaults for recency-aware ranking: a memory loses half its recency score every
+// halfLifeDays, and whatever weight is left over goes to similarity
+const DEFAULT_HALF_LIFE_DAYS = 30;
+const DEFAULT_RECENCY_WEIGHT = 0.3;
+const DEFAULT_ACCESS_WEIGHT = 0.1;
+const DEFAULT_IMPORTANCE_WEIGHT = 0.1;
+
+// Each retrieval moves a memory's importance this fraction of the way towards
+// IMPORTANCE_RETRIEVAL_CAP. The cap is below the 0.8 from which archiveOldMemories
+// keeps memories by default, so being found often never exempts a memory from
+// archival or retention on its own; importance set above it is left alone
+const IMPORTANCE_RETRIEVAL_BOOST = 0.05;
+const IMPORTANCE_RETRIEVAL_CAP = 0.75;
+
+/**
+ * SQL turning a query string parameter into an OR-ed tsquery, so a document
+ * matching any of the query's terms is a candidate and ts_rank decides the order
+ *
+ * @param {string} param - The placeholder of the query text parameter
+ * @returns {string} - SQL expression producing a tsquery
+ */
+const tsQuerySql = (param) => `replace(plainto_tsquery('${TEXT_SEARCH_CONFIG}', ${param})::text, '&', '|')::tsquery`;
+
+/**
+ * Normalize search arguments, accepting either an options object or the
+ * legacy positional (limit, userId, conversationId) form
+ *
+ * @param {Object|number} options - Search options or legacy limit
+ * @param {string} userId - Legacy positional user ID
+ * @param {string} conversationId - Legacy positional conversation ID
+ * @returns {Object} - Normalized search options
+ */
+export const normalizeSearchOptions = (options, userId, conversationId) => {
+  if (typeof options === 'number' || options === undefined || options === null) {
+    return { limit: options ?? 5, userId, conversationId };
+  }
+  return options;
+};
+
+/**
+ * Build the conditions selecting memories by user, conversation, metadata, tags and time range
+ *
+ * @param {Object} filter - { userId, conversationId, metadata, tags, since, until }, all optional
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {Function} column - Qualifies a column name with the table alias, if any
+ * @returns {Array<string>} - SQL conditions to be joined with AND
+ */
+export const buildMemoryFilters = (filter, params, column = (name) => name) => {
+  const conditions = [];
+
+  if (filter.userId) {
+    params.push(filter.userId);
+    conditions.push(`${column('user_id')} = $${params.length}`);
+  }
+
+  if (filter.conversationId) {
+    params.push(filter.conversationId);
+    conditions.push(`${column('conversation_id')} = $${params.length}`);
+  }
+
+  conditions.push(...compileMetadataFilter(filter.metadata, params, column('metadata')));
+  conditions.push(...compileTagFilter(filter.tags, params, column));
+
+  if (filter.since) {
+    params.push(filter.since);
+    conditions.push(`${column('timestamp')} >= $${params.length}`);
+  }
+
+  if (filter.until) {
+    params.push(filter.until);
+    conditions.push(`${column('timestamp')} <= $${params.length}`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the WHERE conditions shared by every search mode
+ *
+ * @param {Object} opts - Normalized search options
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} alias - Optional table alias to qualify columns with
+ * @returns {string} - SQL conditions joined with AND
+ */
+export const buildSearchFilters = (opts, params, alias = '') => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  // Chunked documents are found through their chunks, never through the parent row
+  const conditions = opts.includeArchived
+    ? [`${column('is_chunked')} = FALSE`]
+    : [`${column('is_archived')} = FALSE`, `${column('is_chunked')} = FALSE`];
+
+  if (opts.summaries === 'prefer') {
+    conditions.push(`${column('summary_id')} IS NULL`);
+  } else if (opts.summaries === 'only') {
+    conditions.push(`${column('memory_type')} = 'summary'`);
+  }
+
+  if (!opts.includeSuperseded) {
+    conditions.push(excludeSuperseded(column));
+  }
+
+  conditions.push(...buildMemoryFilters(opts, params, column));
+
+  return conditions.join(' AND ');
+};
+
+/**
+ * Build the minimum similarity condition, expressed as a maximum cosine
+ * distance from the query embedding ($1)
+ *
+ * @param {Object} opts - Normalized search options
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {Function|null} - Builds the condition for a table alias, or null without a cutoff
+ */
+const buildSimilarityFilter = (opts, params) => {
+  if (opts.minSimilarity === undefined || opts.minSimilarity === null) {
+    return null;
+  }
+  params.push(1 - opts.minSimilarity);
+  const maxDistanceParam = `$${params.length}`;
+  return (alias = '') => `${alias ? `${alias}.` : ''}embedding <=> $1 <= ${maxDistanceParam}`;
+};
+
+/**
+ * Number of candidates to fetch before re-ranking or fusing them down to the limit
+ *
+ * @param {number} limit - The number of results requested
+ * @returns {number} - The candidate pool size
+ */
+const candidatePoolSize = (limit) => Math.max(limit * 4, 20);
+
+/**
+ * Re-rank a pool of vector candidates by blending their similarity with an
+ * exponential decay on age, a saturating boost for frequently retrieved
+ * memories and their importance
+ *
+ * @param {string} candidatesSql - Query returning the candidates, with similarity, timestamp, access_count and importance
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {Object} opts - Normalized search options
+ * @returns {string} - The ranking query
+ */
+const buildRecencyRanking = (candidatesSql, params, opts) => {
+  params.push(opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS);
+  const halfLifeParam = `$${params.length}::float`;
+  params.push(opts.recencyWeight ?? DEFAULT_RECENCY_WEIGHT);
+  const recencyWeightParam = `$${params.length}::float`;
+  params.push(opts.accessWeight ?? DEFAULT_ACCESS_WEIGHT);
+  const accessWeightParam = `$${params.length}::float`;
+  params.push(opts.importanceWeight ?? DEFAULT_IMPORTANCE_WEIGHT);
+  const importanceWeightParam = `$${params.length}::float`;
+  params.push(opts.limit);
+
+  return `
+    SELECT
+      scored.*,
+      (1 - ${recencyWeightParam} - ${accessWeightParam} - ${importanceWeightParam}) * scored.similarity
+        + ${recencyWeightParam} * scored.recency_score
+        + ${accessWeightParam} * scored.access_score
+        + ${importanceWeightParam} * scored.importance as score
+    FROM (
+      SELECT
+        candidates.*,
+        exp(-ln(2) * GREATEST(EXTRACT(EPOCH FROM NOW() - candidates.timestamp), 0) / 86400.0 / ${halfLifeParam}) as recency_score,
+        1 - 1 / (1 + ln(1 + candidates.access_count::float)) as access_score
+      FROM (${candidatesSql}) candidates
+    ) scored
+    ORDER BY score DESC
+    LIMIT $${params.length}
+  `;
+};
+
+/**
+ * Build a pure vector similarity query
+ *
+ * @param {string} queryEmbedding - The query embedding as a pgvector literal
+ * @param {Object} opts - Normalized search options
+ * @returns {Object} - { sql, params, orderBy }
+ */
+const buildVectorQuery = (queryEmbedding, opts) => {
+  const params = [queryEmbedding];
+  const filters = buildSearchFilters(opts, params);
+  const similarityFilter = buildSimilarityFilter(opts, params);
+  const recency = opts.ranking === 'recency';
+  params.push(recency ? candidatePoolSize(opts.limit) : opts.limit);
+
+  const sql = `
+    SELECT
+      id,
+      conversation_id,
+      user_id,
+      content,
+      timestamp,
+      metadata,
+      last_accessed,
+      access_count,
+      importance,
+      is_archived,
+      parent_id,
+      chunk_index,
+      memory_type,
+      summary_id,
+      embedding <=> $1 as distance,
+      1 - (embedding <=> $1) as similarity
+    FROM memory.conversations
+    WHERE ${filters}${similarityFilter ? ` AND ${similarityFilter()}` : ''}
+    ORDER BY distance ASC
+    LIMIT $${params.length}
+  `;
+
+  return recency
+    ? { sql: buildRecencyRanking(sql, params, opts), params, orderBy: 'score DESC' }
+    : { sql, params, orderBy: 'distance ASC' };
+};
+
+/**
+ * Build a pure full-text query ranked with ts_rank
+ *
+ * @param {string} queryText - The query text
+ * @param {Object} opts - Normalized search options
+ * @returns {Object} - { sql, params, orderBy }
+ */
+const buildTextQuery = (queryText, opts) => {
+  const params = [queryText];
+  const filters = buildSearchFilters(opts, params);
+  params.push(opts.limit);
+
+  const sql = `
+    WITH q AS (SELECT ${tsQuerySql('$1')} AS query)
+    SELECT
+      id,
+      conversation_id,
+      user_id,
+      content,
+      timestamp,
+      metadata,
+      is_archived,
+      parent_id,
+      chunk_index,
+      memory_type,
+      summary_id,
+      ts_rank(content_tsv, q.query, 1) as text_score
+    FROM memory.conversations, q
+    WHERE content_tsv @@ q.query
+      AND ${filters}
+    ORDER BY text_score DESC
+    LIMIT $${params.length}
+  `;
+
+  return { sql, params, orderBy: 'text_score DESC' };
+};
+
+/**
+ * Build a hybrid query fusing the vector and full-text rankings
+ *
+ * Each side ranks its own candidate pool, and the pools are fused either with
+ * reciprocal rank fusion (weight / (k + rank)) or a weighted sum of the
+ * cosine similarity and the max-normalized ts_rank score.
+ *
+ * @param {string} queryEmbedding - The query embedding as a pgvector literal
+ * @param {string} queryText - The query text
+ * @param {Object} opts - Normalized search options
+ * @returns {Object} - { sql, params, orderBy }
+ */
+const buildHybridQuery = (queryEmbedding, queryText, opts) => {
+  const fusion = opts.fusion || 'rrf';
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`Unknown fusion method: ${fusion}`);
+  }
+
+  const params = [queryEmbedding, queryText];
+  const filters = buildSearchFilters(opts, params);
+  const similarityFilter = buildSimilarityFilter(opts, params);
+
+  params.push(candidatePoolSize(opts.limit));
+  const candidatesParam = `$${params.length}`;
+  params.push(opts.vectorWeight ?? 0.5);
+  const vectorWeightParam = `$${params.length}::float`;
+  params.push(opts.textWeight ?? 0.5);
+  const textWeightParam = `$${params.length}::float`;
+
+  let scoreSql;
+  if (fusion === 'rrf') {
+    params.push(opts.rrfK ?? DEFAULT_RRF_K);
+    const kParam = `$${params.length}::float`;
+    scoreSql = `
+      ${vectorWeightParam} * COALESCE(1.0 / (${kParam} + v.rank), 0)
+      + ${textWeightParam} * COALESCE(1.0 / (${kParam} + t.rank), 0)
+    `;
+  } else {
+    scoreSql = `
+      ${vectorWeightParam} * COALESCE(1 - v.distance, 0)
+      + ${textWeightParam} * COALESCE(t.text_score / NULLIF(MAX(t.text_score) OVER (), 0), 0)
+    `;
+  }
+
+  params.push(opts.limit);
+
+  const sql = `
+    WITH q AS (SELECT ${tsQuerySql('$2')} AS query),
+    vector_ranked AS (
+      SELECT id, distance, ROW_NUMBER() OVER (ORDER BY distance) AS rank
+      FROM (
+        SELECT id, embedding <=> $1 AS distance
+        FROM memory.conversations
+        WHERE ${filters}${similarityFilter ? ` AND ${similarityFilter()}` : ''}
+        ORDER BY distance
+        LIMIT ${candidatesParam}
+      ) nearest
+    ),
+    text_ranked AS (
+      SELECT id, text_score, ROW_NUMBER() OVER (ORDER BY text_score DESC) AS rank
+      FROM (
+        SELECT id, ts_rank(content_tsv, q.query, 1) AS text_score
+        FROM memory.conversations, q
+        WHERE content_tsv @@ q.query
+          AND ${filters}
+        ORDER BY text_score DESC
+        LIMIT ${candidatesParam}
+      ) matches
+    )
+    SELECT
+      c.id,
+      c.conversation_id,
+      c.user_id,
+      c.content,
+      c.timestamp,
+      c.metadata,
+      c.is_archived,
+      c.parent_id,
+      c.chunk_index,
+      c.memory_type,
+      c.summary_id,
+      c.embedding <=> $1 as distance,
+      1 - (c.embedding <=> $1) as similarity,
+      t.text_score,
+      ${scoreSql} as score
+    FROM (SELECT id FROM vector_ranked UNION SELECT id FROM text_ranked) candidates
+    JOIN memory.conversations c ON c.id = candidates.id
+    LEFT JOIN vector_ranked v ON v.id = c.id
+    LEFT JOIN text_ranked t ON t.id = c.id
+    ${similarityFilter ? `WHERE ${similarityFilter('c')}` : ''}
+    ORDER BY score DESC
+    LIMIT $${params.length}
+  `;
+
+  return { sql, params, orderBy: 'score DESC' };
+};
+
+/**
+ * Keep only the best-ranked chunk of each document among a pool of results;
+ * memories that aren't chunked count as documents of their own
+ *
+ * @param {Object} built - The built search, whose limit was raised to a candidate pool
+ * @param {number} limit - The number of documents to return
+ * @returns {string} - The grouped query, using built.params
+ */
+const bestChunkPerDocument = (built, limit) => {
+  built.params.push(limit);
+  return `
+    SELECT * FROM (
+      SELECT DISTINCT ON (COALESCE(matches.parent_id, matches.id)) matches.*
+      FROM (${built.sql}) matches
+      ORDER BY COALESCE(matches.parent_id, matches.id), ${built.orderBy}
+    ) best_chunks
+    ORDER BY ${built.orderBy}
+    LIMIT $${built.params.length}
+  `;
+};
+
+/**
+ * Report a chunk result as its parent document, keeping the chunk that matched
+ *
+ * @param {Object} row - A search result joined with its parent's content
+ * @returns {Object} - The result with the parent's id and content, and chunk_id and chunk_content
+ */
+const toParentResult = ({ parent_content: parentContent, ...row }) => (row.parent_id
+  ? { ...row, id: row.parent_id, content: parentContent, chunk_id: row.id, chunk_content: row.content }
+  : { ...row, chunk_id: null, chunk_content: null });
+
+/**
+ * Check the options of recency-aware ranking before any work is done
+ *
+ * @param {string} mode - The search mode
+ * @param {Object} opts - Normalized search options
+ */
+const validateRecencyOptions = (mode, opts) => {
+  if (mode !== 'vector') {
+    throw new Error('Recency ranking requires the vector search mode');
+  }
+
+  const halfLifeDays = opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS;
+  if (!Number.isFinite(halfLifeDays) || !(halfLifeDays > 0)) {
+    throw new Error(`halfLifeDays must be a positive number, got ${opts.halfLifeDays}`);
+  }
+
+  const weights = [
+    opts.recencyWeight ?? DEFAULT_RECENCY_WEIGHT,
+    opts.accessWeight ?? DEFAULT_ACCESS_WEIGHT,
+    opts.importanceWeight ?? DEFAULT_IMPORTANCE_WEIGHT
+  ];
+  if (weights.some(weight => typeof weight !== 'number' || weight < 0) || weights.reduce((sum, weight) => sum + weight, 0) > 1) {
+    throw new Error('recencyWeight, accessWeight and importanceWeight must be non-negative and add up to at most 1');
+  }
+};
+
+/**
+ * Search for memories by similarity
+ *
+ * @param {string} queryText - The text to search for
+ * @param {Object|number} options - Search options, or the maximum number of results (legacy form)
+ * @param {number} options.limit - Maximum number of results to return
+ * @param {string} options.userId - Optional user ID to filter by
+ * @param {string} options.conversationId - Optional conversation ID to filter by
+ * @param {Object} options.metadata - Optional metadata filter (see compileMetadataFilter)
+ * @param {Array<string>} options.tags - Optional tags, all of which a memory must carry
+ * @param {string|Date} options.since - Optional lower bound on the memory timestamp
+ * @param {string|Date} options.until - Optional upper bound on the memory timestamp
+ * @param {boolean} options.includeArchived - Also search archived memories (default: false)
+ * @param {boolean} options.includeSuperseded - Also search memories that a newer memory supersedes (default: false)
+ * @param {string} options.mode - 'vector' (default), 'text' or 'hybrid'
+ * @param {string} options.fusion - Hybrid fusion method: 'rrf' (default) or 'weighted'
+ * @param {number} options.vectorWeight - Hybrid weight of the vector ranking (default: 0.5)
+ * @param {number} options.textWeight - Hybrid weight of the full-text ranking (default: 0.5)
+ * @param {number} options.rrfK - Reciprocal rank fusion constant (default: 60)
+ * @param {number} options.minSimilarity - Optional cosine similarity cutoff; weaker matches are dropped
+ * @param {string} options.ranking - Vector result order: 'similarity' (default) or 'recency'
+ * @param {number} options.halfLifeDays - Recency ranking: age at which the recency score halves (default: 30)
+ * @param {number} options.recencyWeight - Recency ranking: weight of the recency score (default: 0.3)
+ * @param {number} options.accessWeight - Recency ranking: weight of the access frequency score (default: 0.1)
+ * @param {number} options.importanceWeight - Recency ranking: weight of the memory's importance (default: 0.1)
+ * @param {string} options.chunks - Chunked documents: 'all' (default) returns every matching chunk,
+ *   'best' only the best chunk of each document and 'parent' the document itself, with the
+ *   matching chunk in chunk_id and chunk_content
+ * @param {string} options.summaries - Consolidated conversations: 'include' (default) searches summaries
+ *   and their source messages alike, 'prefer' leaves out messages that have been summarized so
+ *   the summary stands in for them, and 'only' searches summaries alone
+ * @param {boolean} options.expandLinks - Attach the memories one link away from each result, in linked (default: false)
+ * @param {Array<string>} options.linkTypes - With expandLinks, only follow these links
+ * @param {string} userId - Legacy positional user ID filter
+ * @param {string} conversationId - Legacy positional conversation ID filter
+ * @returns {Array} - Array of memory objects with distance (cosine distance, lower is closer)
+ *   and similarity (1 - distance, higher is closer)
+ */
+export const searchMemories = async (queryText, options, userId = null, conversationId = null) => {
+  try {
+    const normalized = normalizeSearchOptions(options, userId, conversationId);
+    const opts = { ...normalized, limit: normalized.limit ?? 5 };
+    const mode = opts.mode || 'vector';
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}`);
+    }
+
+    if (opts.minSimilarity !== undefined && opts.minSimilarity !== null) {
+      if (!Number.isFinite(opts.minSimilarity) || opts.minSimilarity < -1 || opts.minSimilarity > 1) {
+        throw new Error(`minSimilarity must be a number between -1 and 1, got ${opts.minSimilarity}`);
+      }
+      if (mode === 'text') {
+        throw new Error('minSimilarity requires the vector or hybrid search mode');
+      }
+    }
+
+    const ranking = opts.ranking || 'similarity';
+    if (!RANKING_STRATEGIES.includes(ranking)) {
+      throw new Error(`Unknown ranking strategy: ${ranking}`);
+    }
+
+    if (ranking === 'recency') {
+      validateRecencyOptions(mode, opts);
+    }
+
+    const chunks = opts.chunks || 'all';
+    if (!CHUNK_RESULTS.includes(chunks)) {
+      throw new Error(`Unknown chunk results option: ${chunks}`);
+    }
+
+    const summaries = opts.summaries || 'include';
+    if (!SUMMARY_RESULTS.includes(summaries)) {
+      throw new Error(`Unknown summary results option: ${summaries}`);
+    }
+
+    const linkTypes = normalizeLinkTypes(opts.linkTypes);
+
+    // Grouping chunks by document needs a deeper pool to still fill the limit
+    const grouped = chunks !== 'all';
+    const builderOpts = grouped ? { ...opts, limit: candidatePoolSize(opts.limit) } : opts;
+
+    logger.info(`Searching memories (${mode}) similar to: "${queryText.substring(0, 50)}..."`);
+
+    let built;
+    if (mode === 'text') {
+      built = buildTextQuery(queryText, builderOpts);
+    } else {
+      // Generate an embedding for the query text
+      const queryEmbedding = await generateEmbedding(queryText);
+      built = mode === 'hybrid'
+        ? buildHybridQuery(queryEmbedding, queryText, builderOpts)
+        : buildVectorQuery(queryEmbedding, builderOpts);
+    }
+
+    const resultsSql = grouped ? bestChunkPerDocument(built, opts.limit) : built.sql;
+    const withParent = chunks === 'parent';
+
+    // Run the search and record the retrieval in the same statement
+    const result = await query(`
+      WITH results AS (${resultsSql}),
+      touched AS (
+        UPDATE memory.conversations c
+        SET
+          last_accessed = NOW(),
+          access_count = c.access_count + 1,
+          importance = GREATEST(c.importance, c.importance + (${IMPORTANCE_RETRIEVAL_CAP} - c.importance) * ${IMPORTANCE_RETRIEVAL_BOOST})
+        FROM results
+        WHERE c.id = results.id
+      )
+      SELECT results.*${withParent ? ', parent.content AS parent_content' : ''}
+      FROM results
+      ${withParent ? 'LEFT JOIN memory.conversations parent ON parent.id = results.parent_id' : ''}
+      ORDER BY ${built.orderBy}
+    `, built.params);
+
+    logger.info(`Found ${result.rows.length} similar memories`);
+    const results = withParent ? result.rows.map(toParentResult) : result.rows;
+    return opts.expandLinks ? await attachLinkedMemories(results, linkTypes) : results;
+  } catch (error) {
+    logger.error('Error searching memories:', error);
+    throw error;
+  }
+};
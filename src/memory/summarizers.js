@@ -0,0 +1,191 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Summarizers used to consolidate conversations
+ *
+ * A summarizer is a plain object with:
+ * - `name` (string): Unique summarizer name, matched against MEMORY_SUMMARIZER
+ * - `summarize(memories, options)`: Resolves to the summary text of the given
+ *   memories, which come oldest first with at least content and timestamp
+ * - `isConfigured()` (optional): Returns false if required configuration is missing
+ */
+
+const summarizers = new Map();
+
+const DEFAULT_MAX_SENTENCES = 5;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Sentences shorter than this rarely carry a fact worth keeping
+const MIN_SENTENCE_WORDS = 4;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+  'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no',
+  'not', 'of', 'on', 'or', 'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'too', 'up', 'us', 'was', 'we', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Register a summarizer, replacing any summarizer with the same name
+ *
+ * @param {Object} summarizer - The summarizer to register (see the contract above)
+ */
+export const registerSummarizer = (summarizer) => {
+  if (!summarizer || !summarizer.name || typeof summarizer.summarize !== 'function') {
+    throw new Error('Summarizer must have a name and a summarize(memories, options) method');
+  }
+
+  summarizers.set(summarizer.name, summarizer);
+  logger.debug(`Registered summarizer: ${summarizer.name}`);
+};
+
+/**
+ * Get a registered summarizer by name
+ *
+ * @param {string} name - Summarizer name (defaults to MEMORY_SUMMARIZER, then extractive)
+ * @returns {Object} - The summarizer
+ */
+export const getSummarizer = (name) => {
+  const summarizerName = name || process.env.MEMORY_SUMMARIZER || 'extractive';
+  const summarizer = summarizers.get(summarizerName);
+
+  if (!summarizer) {
+    throw new Error(`Unknown summarizer: ${summarizerName}`);
+  }
+
+  if (summarizer.isConfigured && !summarizer.isConfigured()) {
+    logger.warn(`Summarizer ${summarizerName} is not configured, falling back to extractive summaries`);
+    return summarizers.get('extractive');
+  }
+
+  return summarizer;
+};
+
+/**
+ * List the names of all registered summarizers
+ *
+ * @returns {Array<string>} - Summarizer names
+ */
+export const listSummarizers = () => Array.from(summarizers.keys());
+
+const contentWords = (sentence) => (sentence.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word));
+
+/**
+ * Split memories into sentences, keeping line breaks (such as "User:" and
+ * "AI:" turns) as sentence boundaries
+ */
+const splitSentences = (memories) => memories.flatMap(memory => memory.content
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.split(/\s+/).length >= MIN_SENTENCE_WORDS));
+
+/**
+ * Create the extractive summarizer, which needs no model or network access
+ *
+ * Sentences are scored by how frequent their content words are across all the
+ * memories being summarized, and the best ones are kept in their original
+ * order. The same input always gives the same summary.
+ *
+ * @param {Object} options - Summarizer options
+ * @param {number} options.maxSentences - Default number of sentences to keep (default: 5)
+ * @returns {Object} - The summarizer
+ */
+export const createExtractiveSummarizer = ({ maxSentences: defaultMaxSentences = DEFAULT_MAX_SENTENCES } = {}) => ({
+  name: 'extractive',
+  summarize: async (memories, { maxSentences = defaultMaxSentences } = {}) => {
+    const sentences = splitSentences(memories);
+    if (sentences.length <= maxSentences) {
+      return sentences.length > 0 ? sentences.join('\n') : memories.map(memory => memory.content.trim()).join('\n');
+    }
+
+    const frequencies = new Map();
+    for (const word of sentences.flatMap(contentWords)) {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }
+
+    const scored = sentences.map((sentence, position) => {
+      const words = contentWords(sentence);
+      const score = words.length === 0
+        ? 0
+        : words.reduce((sum, word) => sum + frequencies.get(word), 0) / words.length;
+      return { sentence, position, score };
+    });
+
+    return scored
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, maxSentences)
+      .sort((a, b) => a.position - b.position)
+      .map(({ sentence }) => sentence)
+      .join('\n');
+  }
+});
+
+/**
+ * Create a summarizer backed by OpenAI or any server exposing an
+ * OpenAI-compatible /chat/completions endpoint
+ *
+ * @param {Object} options - Summarizer options
+ * @param {string} options.name - Summarizer name (default: openai)
+ * @param {string} options.baseUrl - API base URL (default: https://api.openai.com/v1)
+ * @param {string} options.model - Chat model (default: gpt-4o-mini)
+ * @param {string} options.apiKey - API key, sent as a bearer token when set
+ * @param {number} options.timeoutMs - Request timeout in milliseconds
+ * @returns {Object} - The summarizer
+ */
+export const createOpenAISummarizer = ({
+  name = 'openai',
+  baseUrl = 'https://api.openai.com/v1',
+  model = 'gpt-4o-mini',
+  apiKey,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) => {
+  const url = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    isConfigured: () => Boolean(apiKey) || !url.includes('api.openai.com'),
+    summarize: async (memories, { maxSentences = DEFAULT_MAX_SENTENCES } = {}) => {
+      logger.info(`Summarizing ${memories.length} memories with ${model}`);
+
+      const response = await fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            {
+              role: 'system',
+              content: `Summarize this excerpt of a conversation in at most ${maxSentences} sentences. Keep names, decisions, facts, preferences and open questions; leave out small talk.`
+            },
+            {
+              role: 'user',
+              content: memories.map(memory => memory.content).join('\n\n')
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Summarization API error: ${response.status} ${response.statusText}`);
+      }
+
+      const responseData = await response.json();
+      return responseData.choices[0].message.content.trim();
+    }
+  };
+};
+
+registerSummarizer(createExtractiveSummarizer());
+registerSummarizer(createOpenAISummarizer({
+  baseUrl: process.env.OPENAI_BASE_URL,
+  model: process.env.OPENAI_SUMMARY_MODEL,
+  apiKey: process.env.OPENAI_API_KEY
+}));
@@ -0,0 +1,44 @@
+import { query, withTenant, withAllTenants } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List the tenants that own memories, archived memories, retention policies
+ * or entities
+ *
+ * @returns {Promise<Array<string>>} - The tenant IDs, in order
+ */
+export const listTenants = () => withAllTenants(async () => {
+  try {
+    const result = await query(`
+      SELECT tenant_id FROM memory.conversations
+      UNION
+      SELECT tenant_id FROM memory.archive
+      UNION
+      SELECT tenant_id FROM memory.retention_policies
+      UNION
+      SELECT tenant_id FROM memory.entities
+      ORDER BY 1
+    `);
+
+    return result.rows.map(row => row.tenant_id);
+  } catch (error) {
+    logger.error('Error listing tenants:', error);
+    throw error;
+  }
+});
+
+/**
+ * Run a callback as each tenant in turn
+ *
+ * @param {Function} callback - Called with the tenant ID, inside that tenant's scope
+ * @returns {Promise<Object>} - The callback's results by tenant ID
+ */
+export const forEachTenant = async (callback) => {
+  const results = {};
+
+  for (const tenantId of await listTenants()) {
+    results[tenantId] = await withTenant(tenantId, () => callback(tenantId));
+  }
+
+  return results;
+};
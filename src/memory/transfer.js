@@ -0,0 +1,655 @@
+import readline from 'readline';
+import { once } from 'events';
+import { query, transaction } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { generateEmbeddingsWithModel, getEmbeddingModelId } from './embeddings.js';
+import { getEmbeddingColumnDimension } from './schema.js';
+import { normalizeTags, memoryTagsColumn, linkTags } from './tags.js';
+import { normalizeLinkType, SUPERSEDES_CYCLE_QUERY } from './links.js';
+
+// How an import treats a record whose ID is already taken
+export const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'new_ids'];
+
+// Columns of memory.conversations carried by each exported line
+const EXPORT_COLUMNS = [
+  'id', 'conversation_id', 'user_id', 'content', 'metadata', 'importance', 'memory_type',
+  'is_chunked', 'parent_id', 'chunk_index', 'summary_id', 'access_count',
+  'timestamp', 'updated_at', 'last_accessed', 'is_archived', 'archived_at', 'embedding_model'
+];
+
+// The links going out of each exported memory; links are stored on documents, not chunks
+const LINKS_COLUMN = `COALESCE((
+  SELECT jsonb_agg(jsonb_build_object(
+    'link_type', l.link_type, 'to_id', l.to_id, 'metadata', l.metadata, 'created_at', l.created_at
+  ) ORDER BY l.id)
+  FROM memory.memory_links l
+  WHERE l.from_id = conversations.id
+), '[]'::jsonb) AS links`;
+
+// Import errors kept in the result; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+const TIMESTAMP_FIELDS = ['timestamp', 'updated_at', 'last_accessed', 'archived_at'];
+
+/**
+ * Turn a memory row into an export record
+ *
+ * @param {Object} row - The row, with its tags, its outgoing links and the embedding as a pgvector literal if selected
+ * @returns {Object} - The record, its embedding as an array of numbers
+ */
+export const toExportRecord = (row) => {
+  const record = {};
+  for (const column of EXPORT_COLUMNS) {
+    record[column] = row[column] instanceof Date ? row[column].toISOString() : row[column];
+  }
+
+  if (row.tags !== undefined) {
+    record.tags = row.tags;
+  }
+
+  if (row.links !== undefined) {
+    record.links = row.links;
+  }
+
+  if (row.embedding !== undefined) {
+    // pgvector's text format is a JSON array
+    record.embedding = row.embedding === null ? null : JSON.parse(row.embedding);
+  }
+
+  return record;
+};
+
+const optionalTimestamp = (record, field) => {
+  const value = record[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Number.isNaN(new Date(value).getTime())) {
+    throw new Error(`${field} is not a valid timestamp: ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Parse and validate one line of an export, filling in defaults
+ *
+ * @param {string} line - The JSON line
+ * @returns {Object} - The record
+ */
+export const parseImportRecord = (line) => {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('Each line must be a JSON object');
+  }
+  if (typeof record.content !== 'string' || record.content.length === 0) {
+    throw new Error('content is required');
+  }
+  if (typeof record.conversation_id !== 'string' || record.conversation_id.length === 0) {
+    throw new Error('conversation_id is required');
+  }
+  for (const field of ['id', 'parent_id', 'summary_id']) {
+    if (record[field] !== undefined && record[field] !== null && !(Number.isInteger(record[field]) && record[field] > 0)) {
+      throw new Error(`${field} must be a positive integer, got ${record[field]}`);
+    }
+  }
+  if (record.metadata !== undefined && record.metadata !== null
+    && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+    throw new Error('metadata must be an object');
+  }
+  if (record.importance !== undefined && record.importance !== null
+    && (typeof record.importance !== 'number' || !(record.importance >= 0 && record.importance <= 1))) {
+    throw new Error(`importance must be a number between 0 and 1, got ${record.importance}`);
+  }
+  if (record.embedding !== undefined && record.embedding !== null
+    && (!Array.isArray(record.embedding) || record.embedding.some(value => typeof value !== 'number'))) {
+    throw new Error('embedding must be an array of numbers');
+  }
+  if (record.tags !== undefined && record.tags !== null && !Array.isArray(record.tags)) {
+    throw new Error('tags must be an array of strings');
+  }
+  if (record.links !== undefined && record.links !== null
+    && (!Array.isArray(record.links) || record.links.some(link => !link || typeof link !== 'object'
+      || !(Number.isInteger(link.to_id) && link.to_id > 0)))) {
+    throw new Error('links must be an array of objects with a link_type and a positive integer to_id');
+  }
+
+  const timestamps = {};
+  for (const field of TIMESTAMP_FIELDS) {
+    timestamps[field] = optionalTimestamp(record, field);
+  }
+
+  const isArchived = record.is_archived === true;
+
+  return {
+    id: record.id ?? null,
+    conversation_id: record.conversation_id,
+    user_id: record.user_id ?? null,
+    content: record.content,
+    metadata: record.metadata ?? {},
+    importance: record.importance ?? 0.5,
+    memory_type: record.memory_type ?? 'message',
+    is_chunked: record.is_chunked === true,
+    parent_id: record.parent_id ?? null,
+    chunk_index: record.chunk_index ?? null,
+    summary_id: record.summary_id ?? null,
+    access_count: Number.isInteger(record.access_count) ? record.access_count : 0,
+    ...timestamps,
+    timestamp: timestamps.timestamp ?? new Date().toISOString(),
+    is_archived: isArchived,
+    archived_at: isArchived ? (timestamps.archived_at ?? new Date().toISOString()) : null,
+    embedding: record.embedding ?? null,
+    embedding_model: record.embedding_model ?? null,
+    tags: normalizeTags(record.tags ?? []),
+    links: (record.links ?? []).map(link => ({
+      link_type: normalizeLinkType(link.link_type),
+      to_id: link.to_id,
+      metadata: link.metadata ?? null,
+      created_at: optionalTimestamp(link, 'created_at')
+    }))
+  };
+};
+
+/**
+ * Write memories to a stream as JSON lines, one memory per line, in ID order
+ *
+ * Chunked documents are written as their parent row, carrying the document's
+ * tags and links, followed by the chunks. Each link is written with the memory
+ * it goes from. Embeddings are left out unless asked for, as they are large and can be
+ * regenerated on import.
+ *
+ * @param {stream.Writable} output - Where to write the lines
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeEmbeddings - Write each memory's embedding (default: false)
+ * @param {boolean} options.includeArchived - Write archived memories (default: true)
+ * @param {string} options.userId - Only export this user's memories
+ * @param {string} options.conversationId - Only export this conversation's memories
+ * @param {number} options.batchSize - Memories read per query (default: 500)
+ * @param {Function} options.onProgress - Called with { exported } after each batch
+ * @returns {Promise<Object>} - { exported }
+ */
+export const exportMemories = async (output, {
+  includeEmbeddings = false,
+  includeArchived = true,
+  userId = null,
+  conversationId = null,
+  batchSize = 500,
+  onProgress
+} = {}) => {
+  try {
+    logger.info('Exporting memories as JSON lines');
+
+    const params = [];
+    const conditions = [];
+    if (userId !== null) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (conversationId !== null) {
+      params.push(conversationId);
+      conditions.push(`conversation_id = $${params.length}`);
+    }
+    if (!includeArchived) {
+      conditions.push('is_archived = FALSE');
+    }
+
+    const columns = [
+      ...EXPORT_COLUMNS,
+      memoryTagsColumn('conversations.id'),
+      LINKS_COLUMN,
+      ...(includeEmbeddings ? ['embedding::text AS embedding'] : [])
+    ].join(', ');
+    let exported = 0;
+
+    // One snapshot, so memories written while exporting don't make it half-way in
+    await transaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      let lastId = 0;
+      for (;;) {
+        const result = await client.query(`
+          SELECT ${columns}
+          FROM memory.conversations
+          WHERE id > $${params.length + 1}
+            ${conditions.map(condition => `AND ${condition}`).join(' ')}
+          ORDER BY id
+          LIMIT $${params.length + 2}
+        `, [...params, lastId, batchSize]);
+
+        if (result.rows.length === 0) {
+          break;
+        }
+
+        for (const row of result.rows) {
+          if (!output.write(`${JSON.stringify(toExportRecord(row))}\n`)) {
+            await once(output, 'drain');
+          }
+        }
+
+        exported += result.rows.length;
+        lastId = result.rows[result.rows.length - 1].id;
+        onProgress?.({ exported });
+      }
+    });
+
+    logger.info(`Exported ${exported} memories`);
+    return { exported };
+  } catch (error) {
+    logger.error('Error exporting memories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Give each record of a batch an embedding: its own when the active model
+ * produced it, a fresh one otherwise. Chunked documents' parent rows are not
+ * embedded; their chunks are.
+ *
+ * @param {Array<Object>} records - The records
+ * @param {string} activeModel - The active model's identifier
+ * @param {number} dimension - The embedding column's dimension
+ * @returns {Promise<number>} - How many records were re-embedded
+ */
+const embedRecords = async (records, activeModel, dimension) => {
+  const stale = [];
+
+  for (const record of records) {
+    if (record.is_chunked) {
+      record.embedding = null;
+      record.embedding_model = null;
+    } else if (record.embedding && record.embedding_model === activeModel && record.embedding.length === dimension) {
+      record.embedding = `[${record.embedding.join(',')}]`;
+    } else {
+      stale.push(record);
+    }
+  }
+
+  if (stale.length > 0) {
+    const { embeddings, model } = await generateEmbeddingsWithModel(stale.map(record => record.content));
+    stale.forEach((record, i) => {
+      record.embedding = embeddings[i];
+      record.embedding_model = model;
+    });
+  }
+
+  return stale.length;
+};
+
+/**
+ * Delete the memories a batch overwrites, then insert its records
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {Array<Object>} records - The records, each with the ID to store it under in newId
+ * @param {string} mode - One of IMPORT_CONFLICT_MODES
+ * @returns {Promise<Object>} - { insertedIds, overwritten }, insertedIds the set of IDs actually inserted
+ */
+const insertRecords = async (client, records, mode) => {
+  if (records.length === 0) {
+    return { insertedIds: new Set(), overwritten: 0 };
+  }
+
+  let overwritten = 0;
+  if (mode === 'overwrite') {
+    // Deleting cascades to the tags, links and history of the memories. Tags
+    // and links come back from the file, history and links from memories
+    // outside it do not
+    const ids = records.map(record => record.newId);
+    const dependents = await client.query(`
+      SELECT
+        (SELECT COUNT(*) FROM memory.memory_history WHERE memory_id = ANY($1::int[]))::int AS versions,
+        (SELECT COUNT(*) FROM memory.memory_links WHERE from_id = ANY($1::int[]) OR to_id = ANY($1::int[]))::int AS links
+    `, [ids]);
+    const { versions, links } = dependents.rows[0];
+    if (versions > 0 || links > 0) {
+      logger.warn(`Overwriting drops ${versions} earlier versions and ${links} links of memories ${ids.join(', ')}; only the links in the file are recreated`);
+    }
+
+    const deleted = await client.query(`
+      DELETE FROM memory.conversations
+      WHERE id = ANY($1::int[])
+    `, [ids]);
+    overwritten = deleted.rowCount;
+  }
+
+  const inserted = await client.query(`
+    INSERT INTO memory.conversations (
+      id, conversation_id, user_id, content, embedding, embedding_model, metadata, importance,
+      memory_type, is_chunked, parent_id, chunk_index, access_count,
+      timestamp, updated_at, last_accessed, is_archived, archived_at
+    )
+    SELECT * FROM unnest(
+      $1::int[], $2::text[], $3::text[], $4::text[], $5::vector[], $6::text[], $7::jsonb[], $8::real[],
+      $9::text[], $10::boolean[], $11::int[], $12::int[], $13::int[],
+      $14::timestamptz[], $15::timestamptz[], $16::timestamptz[], $17::boolean[], $18::timestamptz[]
+    )
+    ON CONFLICT (id) DO NOTHING
+    RETURNING id
+  `, [
+    records.map(record => record.newId),
+    records.map(record => record.conversation_id),
+    records.map(record => record.user_id),
+    records.map(record => record.content),
+    records.map(record => record.embedding),
+    records.map(record => record.embedding_model),
+    records.map(record => JSON.stringify(record.metadata)),
+    records.map(record => record.importance),
+    records.map(record => record.memory_type),
+    records.map(record => record.is_chunked),
+    records.map(record => record.parent_id),
+    records.map(record => record.chunk_index),
+    records.map(record => record.access_count),
+    records.map(record => record.timestamp),
+    records.map(record => record.updated_at),
+    records.map(record => record.last_accessed ?? record.timestamp),
+    records.map(record => record.is_archived),
+    records.map(record => record.archived_at)
+  ]);
+
+  return { insertedIds: new Set(inserted.rows.map(row => row.id)), overwritten };
+};
+
+/**
+ * Store one batch of records
+ *
+ * Documents are inserted before chunks, so a chunk is only stored under a
+ * parent that this import actually inserted; the chunks of a skipped parent
+ * are skipped with it.
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {Array<Object>} records - The records, each with the line it came from
+ * @param {string} mode - One of IMPORT_CONFLICT_MODES
+ * @param {Map} idMap - Exported IDs mapped to the IDs earlier batches stored them under, or to null if skipped
+ * @returns {Promise<Object>} - { imported, skipped, overwritten, failed, summaries, links, ids }, ids mapping
+ *   this batch's exported IDs like idMap, to add to it once the batch is committed
+ */
+const storeRecords = async (client, records, mode, idMap) => {
+  const failed = [];
+  const ids = new Map();
+
+  // Records without an ID, and every record in new_ids mode, get a fresh one
+  const fresh = new Set(records.filter(record => mode === 'new_ids' || record.id === null));
+  if (fresh.size > 0) {
+    const freshIds = await client.query(`
+      SELECT nextval(pg_get_serial_sequence('memory.conversations', 'id'))::int AS id
+      FROM generate_series(1, $1)
+    `, [fresh.size]);
+    [...fresh].forEach((record, i) => {
+      record.newId = freshIds.rows[i].id;
+    });
+  }
+
+  for (const record of records) {
+    record.newId = record.newId ?? record.id;
+  }
+
+  const remember = (batch, insertedIds) => {
+    for (const record of batch) {
+      if (record.id !== null) {
+        ids.set(record.id, insertedIds.has(record.newId) ? record.newId : null);
+      }
+    }
+  };
+
+  const documents = records.filter(record => record.parent_id === null);
+  const storedDocuments = await insertRecords(client, documents, mode);
+  remember(documents, storedDocuments.insertedIds);
+
+  // Chunks come after their parent, so the parent has been stored or skipped by now
+  let skippedChunks = 0;
+  const chunks = records.filter(record => {
+    if (record.parent_id === null) {
+      return false;
+    }
+
+    const known = ids.has(record.parent_id) ? ids : idMap;
+    if (known.has(record.parent_id)) {
+      const parentId = known.get(record.parent_id);
+      if (parentId === null) {
+        skippedChunks++;
+        return false;
+      }
+      record.parent_id = parentId;
+      return true;
+    }
+
+    if (mode === 'new_ids') {
+      failed.push({ line: record.line, error: `Parent memory ${record.parent_id} is not in the file before this chunk` });
+      return false;
+    }
+    return true;
+  });
+
+  const storedChunks = await insertRecords(client, chunks, mode);
+  remember(chunks, storedChunks.insertedIds);
+
+  const stored = [...documents, ...chunks];
+  const insertedIds = new Set([...storedDocuments.insertedIds, ...storedChunks.insertedIds]);
+
+  // Rows kept with their exported IDs may be past the sequence, so move it on
+  const keptIds = stored.filter(record => !fresh.has(record)).map(record => record.newId);
+  if (keptIds.length > 0) {
+    await client.query(`
+      SELECT setval(
+        pg_get_serial_sequence('memory.conversations', 'id'),
+        GREATEST($1::bigint, nextval(pg_get_serial_sequence('memory.conversations', 'id')))
+      )
+    `, [Math.max(...keptIds)]);
+  }
+
+  const tagged = stored.filter(record => record.tags.length > 0 && insertedIds.has(record.newId));
+  await linkTags(
+    client,
+    tagged.flatMap(record => record.tags.map(() => record.newId)),
+    tagged.flatMap(record => record.tags)
+  );
+
+  return {
+    imported: insertedIds.size,
+    skipped: stored.length - insertedIds.size + skippedChunks,
+    overwritten: storedDocuments.overwritten + storedChunks.overwritten,
+    failed,
+    // Summaries usually come after the memories they cover, so link them at the end
+    summaries: stored
+      .filter(record => record.summary_id !== null && insertedIds.has(record.newId))
+      .map(record => [record.newId, record.summary_id]),
+    // Links may also go to memories later in the file
+    links: stored
+      .filter(record => insertedIds.has(record.newId))
+      .flatMap(record => record.links.map(link => ({ ...link, from_id: record.newId }))),
+    ids
+  };
+};
+
+/**
+ * Link imported memories to their summaries
+ *
+ * @param {Array<Array>} links - [memory ID, exported summary ID] pairs
+ * @param {string} mode - One of IMPORT_CONFLICT_MODES
+ * @param {Map} idMap - Exported IDs mapped to the IDs they were stored under, or to null if skipped
+ * @returns {Promise<number>} - How many memories were linked
+ */
+const linkSummaries = async (links, mode, idMap) => {
+  // A summary that was skipped is someone else's memory, so leave those unlinked
+  const resolved = links
+    .map(([id, summaryId]) => [id, idMap.has(summaryId) ? idMap.get(summaryId) : (mode === 'new_ids' ? null : summaryId)])
+    .filter(([, summaryId]) => summaryId !== null);
+
+  if (resolved.length === 0) {
+    return 0;
+  }
+
+  const result = await query(`
+    UPDATE memory.conversations c
+    SET summary_id = link.summary_id
+    FROM unnest($1::int[], $2::int[]) AS link(id, summary_id)
+    WHERE c.id = link.id
+      AND EXISTS (SELECT 1 FROM memory.conversations s WHERE s.id = link.summary_id)
+  `, [resolved.map(([id]) => id), resolved.map(([, summaryId]) => summaryId)]);
+
+  return result.rowCount;
+};
+
+// Inserts links between memories of one tenant, leaving out links already there
+const INSERT_LINKS_QUERY = `
+  INSERT INTO memory.memory_links (tenant_id, from_id, link_type, to_id, metadata, created_at)
+  SELECT a.tenant_id, a.id, link.link_type, b.id, link.metadata, COALESCE(link.created_at, NOW())
+  FROM unnest($1::int[], $2::text[], $3::int[], $4::jsonb[], $5::timestamptz[])
+    AS link(from_id, link_type, to_id, metadata, created_at),
+    memory.conversations a, memory.conversations b
+  WHERE a.id = link.from_id AND b.id = link.to_id AND b.tenant_id = a.tenant_id AND a.id <> b.id
+  ON CONFLICT (from_id, link_type, to_id) DO NOTHING
+`;
+
+const linkParams = (links) => [
+  links.map(link => link.from_id),
+  links.map(link => link.link_type),
+  links.map(link => link.to_id),
+  links.map(link => (link.metadata === null ? null : JSON.stringify(link.metadata))),
+  links.map(link => link.created_at)
+];
+
+/**
+ * Recreate the links of imported memories
+ *
+ * A supersedes link that would close a loop with the links already stored is
+ * left out, as createLink would refuse it.
+ *
+ * @param {Array<Object>} links - The links, from_id the memory's new ID and to_id as exported
+ * @param {string} mode - One of IMPORT_CONFLICT_MODES
+ * @param {Map} idMap - Exported IDs mapped to the IDs they were stored under, or to null if skipped
+ * @returns {Promise<number>} - How many links were created
+ */
+const restoreLinks = async (links, mode, idMap) => {
+  // Like summaries, links to a skipped memory would point at someone else's
+  const resolved = links
+    .map(link => ({ ...link, to_id: idMap.has(link.to_id) ? idMap.get(link.to_id) : (mode === 'new_ids' ? null : link.to_id) }))
+    .filter(link => link.to_id !== null);
+
+  if (resolved.length === 0) {
+    return 0;
+  }
+
+  return transaction(async (client) => {
+    const others = resolved.filter(link => link.link_type !== 'supersedes');
+    let created = (await client.query(INSERT_LINKS_QUERY, linkParams(others))).rowCount;
+
+    const supersedes = resolved.filter(link => link.link_type === 'supersedes');
+    if (supersedes.length > 0) {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('memory.memory_links'), hashtext(memory.current_tenant()))");
+    }
+
+    for (const link of supersedes) {
+      const cycle = await client.query(SUPERSEDES_CYCLE_QUERY, [link.to_id, link.from_id]);
+      if (cycle.rows.length > 0) {
+        logger.warn(`Not linking memory ${link.from_id} supersedes memory ${link.to_id}, as memory ${link.to_id} already supersedes it`);
+        continue;
+      }
+      created += (await client.query(INSERT_LINKS_QUERY, linkParams([link]))).rowCount;
+    }
+
+    return created;
+  });
+};
+
+/**
+ * Import memories from JSON lines, as written by exportMemories
+ *
+ * Lines are read and stored in batches, each batch in its own transaction.
+ * A memory whose embedding is missing, or was produced by another model than
+ * the active one, is embedded again. Chunks, summaries and links keep pointing
+ * at their parent, summary and linked memory, whose IDs change in new_ids mode.
+ * Overwriting a memory drops its history, and links to it from memories that
+ * are not in the file.
+ *
+ * @param {stream.Readable} input - The lines to read
+ * @param {Object} options - Import options
+ * @param {string} options.mode - For records whose ID is taken: 'skip' them (default),
+ * 'overwrite' the existing memory, or store every record under a 'new_ids'
+ * @param {number} options.batchSize - Records stored per transaction (default: 100)
+ * @param {Function} options.onProgress - Called with the running totals after each batch
+ * @returns {Promise<Object>} - { imported, skipped, overwritten, reembedded, failed, errors },
+ * errors listing up to 100 failed lines as { line, error }
+ */
+export const importMemories = async (input, { mode = 'skip', batchSize = 100, onProgress } = {}) => {
+  if (!IMPORT_CONFLICT_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode: ${mode}. Expected one of: ${IMPORT_CONFLICT_MODES.join(', ')}`);
+  }
+
+  try {
+    logger.info(`Importing memories from JSON lines (${mode})`);
+
+    const activeModel = getEmbeddingModelId();
+    const dimension = await getEmbeddingColumnDimension();
+    const idMap = new Map();
+    const summaryLinks = [];
+    const memoryLinks = [];
+    const totals = { imported: 0, skipped: 0, overwritten: 0, reembedded: 0, failed: 0, errors: [] };
+
+    const fail = (line, error) => {
+      totals.failed++;
+      if (totals.errors.length < MAX_REPORTED_ERRORS) {
+        totals.errors.push({ line, error });
+      }
+    };
+
+    const flush = async (batch) => {
+      try {
+        totals.reembedded += await embedRecords(batch, activeModel, dimension);
+        const result = await transaction(client => storeRecords(client, batch, mode, idMap));
+        result.ids.forEach((id, exportedId) => idMap.set(exportedId, id));
+
+        totals.imported += result.imported;
+        totals.skipped += result.skipped;
+        totals.overwritten += result.overwritten;
+        result.failed.forEach(({ line, error }) => fail(line, error));
+        summaryLinks.push(...result.summaries);
+        memoryLinks.push(...result.links);
+      } catch (error) {
+        logger.error(`Error importing the batch starting at line ${batch[0].line}:`, error);
+        batch.forEach(record => fail(record.line, error.message));
+      }
+
+      onProgress?.({ ...totals, errors: undefined });
+    };
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let batch = [];
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') {
+        continue;
+      }
+
+      try {
+        batch.push({ ...parseImportRecord(line), line: lineNumber });
+      } catch (error) {
+        fail(lineNumber, error.message);
+      }
+
+      if (batch.length >= batchSize) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush(batch);
+    }
+
+    await linkSummaries(summaryLinks, mode, idMap);
+    const linked = await restoreLinks(memoryLinks, mode, idMap);
+
+    logger.info(`Imported ${totals.imported} memories (${totals.skipped} skipped, ${totals.overwritten} overwritten, ${totals.reembedded} re-embedded, ${totals.failed} failed, ${linked} links recreated)`);
+    return totals;
+  } catch (error) {
+    logger.error('Error importing memories:', error);
+    throw error;
+  }
+};
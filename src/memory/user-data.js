@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { query, transaction, getCurrentTenant, ALL_TENANTS } from '../utils/db.js';
+import { logger } from '../utils/logger.js';
+import { memoryTagsColumn } from './tags.js';
+
+// Version of the export bundle format
+export const USER_EXPORT_VERSION = 1;
+
+// Memory columns that belong in an export; embeddings are left out, being derived from the content
+const MEMORY_COLUMNS = 'id, conversation_id, user_id, content, embedding_model, metadata, importance, access_count, is_chunked, parent_id, chunk_index, memory_type, summary_id, timestamp, updated_at, last_accessed';
+
+const ENTITY_COLUMNS = 'id, name, entity_type, user_id, observations, metadata, embedding_model, created_at, updated_at';
+
+// Summaries built from any of the user's memories, live or in cold storage
+const USER_SUMMARY_IDS = `
+  SELECT summary_id FROM memory.conversations WHERE user_id = $1 AND summary_id IS NOT NULL
+  UNION
+  SELECT summary_id FROM memory.archive WHERE user_id = $1 AND summary_id IS NOT NULL
+`;
+
+const requireUserId = (userId) => {
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    throw new Error('A user ID is required');
+  }
+};
+
+/**
+ * Hash a user ID the way erasure tombstones record it. The hash is keyed with
+ * MEMORY_ERASURE_SECRET, so a user ID can't be recovered from a tombstone by
+ * hashing guesses
+ *
+ * @param {string} userId - The user ID
+ * @param {string} secret - The key (default: MEMORY_ERASURE_SECRET)
+ * @returns {string} - The hex HMAC-SHA-256 of the user ID
+ */
+export const hashUserId = (userId, secret = process.env.MEMORY_ERASURE_SECRET) => {
+  if (!secret) {
+    throw new Error('MEMORY_ERASURE_SECRET must be set to hash user IDs for erasure tombstones');
+  }
+
+  return crypto.createHmac('sha256', secret).update(userId).digest('hex');
+};
+
+/**
+ * Compute the hash chaining a tombstone to the one before it
+ *
+ * @param {Object} tombstone - The tombstone
+ * @param {string} tombstone.tenant_id - The tenant the user belonged to
+ * @param {string} tombstone.user_hash - The hashed user ID
+ * @param {Object} tombstone.counts - Rows erased by table
+ * @param {Date} tombstone.erased_at - When the erasure happened
+ * @param {string} tombstone.previous_hash - The previous tombstone's hash, or null for the first
+ * @returns {string} - The hex SHA-256 of the tombstone
+ */
+export const tombstoneHash = (tombstone) => {
+  const counts = Object.keys(tombstone.counts).sort().map(table => [table, tombstone.counts[table]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify([
+    tombstone.previous_hash ?? null,
+    tombstone.tenant_id,
+    tombstone.user_hash,
+    counts,
+    new Date(tombstone.erased_at).toISOString()
+  ])).digest('hex');
+};
+
+/**
+ * Export everything stored about a user: memories, cold storage, the earlier
+ * versions of edited memories, summaries built from their memories, entities
+ * with their relations, links from or to their memories, the conversations they started, and retention
+ * policies naming them
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The export bundle
+ */
+export const exportUserData = async (userId) => {
+  requireUserId(userId);
+
+  try {
+    logger.info(`Exporting data of user ${userId}`);
+
+    // One snapshot, so the parts of the bundle agree with each other
+    return await transaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      const memories = await client.query(`
+        SELECT ${MEMORY_COLUMNS}, is_archived, archived_at, ${memoryTagsColumn('conversations.id')}
+        FROM memory.conversations
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const coldStorage = await client.query(`
+        SELECT ${MEMORY_COLUMNS}, archived_at, tags, links, history
+        FROM memory.archive
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const history = await client.query(`
+        SELECT h.memory_id, h.version, h.content, h.metadata, h.embedding_model, h.valid_from, h.replaced_at
+        FROM memory.memory_history h
+        JOIN memory.conversations c ON c.id = h.memory_id
+        WHERE c.user_id = $1
+        ORDER BY h.memory_id, h.version
+      `, [userId]);
+
+      const summaries = await client.query(`
+        SELECT ${MEMORY_COLUMNS} FROM memory.conversations
+        WHERE id IN (${USER_SUMMARY_IDS}) AND user_id IS DISTINCT FROM $1
+        UNION ALL
+        SELECT ${MEMORY_COLUMNS} FROM memory.archive
+        WHERE id IN (${USER_SUMMARY_IDS}) AND user_id IS DISTINCT FROM $1
+        ORDER BY id
+      `, [userId]);
+
+      const entities = await client.query(`
+        SELECT ${ENTITY_COLUMNS}
+        FROM memory.entities
+        WHERE user_id = $1
+        ORDER BY id
+      `, [userId]);
+
+      const relations = await client.query(`
+        SELECT r.id, r.from_id, r.relation_type, r.to_id, r.metadata, r.created_at
+        FROM memory.relations r
+        WHERE r.from_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+          OR r.to_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+        ORDER BY r.id
+      `, [userId]);
+
+      const links = await client.query(`
+        SELECT l.id, l.from_id, l.link_type, l.to_id, l.metadata, l.created_at
+        FROM memory.memory_links l
+        WHERE l.from_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+          OR l.to_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        ORDER BY l.id
+      `, [userId]);
+
+      const conversations = await client.query(`
+        SELECT conversation_id, title, created_at, last_activity_at, message_count
+        FROM memory.conversation_sessions
+        WHERE user_id = $1
+        ORDER BY created_at, conversation_id
+      `, [userId]);
+
+      const retentionPolicies = await client.query(`
+        SELECT name, conversation_prefix, metadata, keep_days, action, exempt_pinned,
+          exempt_importance, enabled, created_at, updated_at
+        FROM memory.retention_policies
+        WHERE user_id = $1
+        ORDER BY name
+      `, [userId]);
+
+      logger.info(`Exported ${memories.rows.length} memories and ${entities.rows.length} entities of user ${userId}`);
+
+      return {
+        version: USER_EXPORT_VERSION,
+        userId,
+        tenantId: getCurrentTenant(),
+        exportedAt: new Date().toISOString(),
+        memories: memories.rows,
+        coldStorage: coldStorage.rows,
+        history: history.rows,
+        summaries: summaries.rows,
+        entities: entities.rows,
+        relations: relations.rows,
+        links: links.rows,
+        conversations: conversations.rows,
+        retentionPolicies: retentionPolicies.rows
+      };
+    });
+  } catch (error) {
+    logger.error(`Error exporting data of user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Erase everything stored about a user in one transaction, and record a
+ * tombstone of the erasure
+ *
+ * Summaries built partly from the user's memories go too; the other messages
+ * they covered become unconsolidated again. The tombstone keeps only a keyed
+ * hash of the user ID and the number of rows erased from each table.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The tombstone row
+ */
+export const eraseUserData = async (userId) => {
+  requireUserId(userId);
+
+  const tenantId = getCurrentTenant();
+  if (tenantId === ALL_TENANTS) {
+    throw new Error('Erase user data as the tenant the user belongs to');
+  }
+
+  try {
+    logger.info(`Erasing data of user ${userId}`);
+
+    // Fails without MEMORY_ERASURE_SECRET, before anything is deleted
+    const userHash = hashUserId(userId);
+
+    const tombstone = await transaction(async (client) => {
+      const count = async (sql) => (await client.query(sql, [userId])).rowCount;
+
+      // Gather the summaries before their sources go
+      const summaryIds = (await client.query(USER_SUMMARY_IDS, [userId])).rows.map(row => row.summary_id);
+
+      const counts = {
+        // Deleting the memories would cascade to these, but the tombstone counts them
+        memory_history: await count(`
+          DELETE FROM memory.memory_history
+          WHERE memory_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        `),
+        relations: await count(`
+          DELETE FROM memory.relations
+          WHERE from_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+            OR to_id IN (SELECT id FROM memory.entities WHERE user_id = $1)
+        `),
+        memory_links: await count(`
+          DELETE FROM memory.memory_links
+          WHERE from_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+            OR to_id IN (SELECT id FROM memory.conversations WHERE user_id = $1)
+        `),
+        conversations: await count('DELETE FROM memory.conversations WHERE user_id = $1'),
+        archive: await count('DELETE FROM memory.archive WHERE user_id = $1'),
+        entities: await count('DELETE FROM memory.entities WHERE user_id = $1'),
+        retention_policies: await count('DELETE FROM memory.retention_policies WHERE user_id = $1'),
+        // Conversations the user started outlive their messages while others' remain
+        conversation_sessions: await count(`
+          UPDATE memory.conversation_sessions
+          SET user_id = NULL, title = NULL
+          WHERE user_id = $1
+        `)
+      };
+
+      const summaries = await client.query(`
+        WITH live AS (
+          DELETE FROM memory.conversations WHERE id = ANY($1::int[]) RETURNING id
+        ),
+        cold AS (
+          DELETE FROM memory.archive WHERE id = ANY($1::int[]) RETURNING id
+        )
+        SELECT (SELECT COUNT(*) FROM live)::int + (SELECT COUNT(*) FROM cold)::int AS count
+      `, [summaryIds]);
+      counts.summaries = summaries.rows[0].count;
+
+      // Tombstones of a tenant form one chain, so append them one at a time
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('memory.erasure_tombstones'), hashtext($1))", [tenantId]);
+
+      const previous = await client.query(`
+        SELECT hash
+        FROM memory.erasure_tombstones
+        ORDER BY id DESC
+        LIMIT 1
+      `);
+
+      const row = {
+        tenant_id: tenantId,
+        user_hash: userHash,
+        counts,
+        erased_at: new Date(),
+        previous_hash: previous.rows[0]?.hash ?? null
+      };
+
+      const result = await client.query(`
+        INSERT INTO memory.erasure_tombstones (tenant_id, user_hash, counts, erased_at, previous_hash, hash)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [row.tenant_id, row.user_hash, JSON.stringify(counts), row.erased_at, row.previous_hash, tombstoneHash(row)]);
+
+      return result.rows[0];
+    });
+
+    logger.info(`Erased data of user ${userId} (tombstone ${tombstone.id})`);
+    return tombstone;
+  } catch (error) {
+    logger.error(`Error erasing data of user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check the current tenant's erasure tombstones against their hash chain
+ *
+ * @returns {Promise<Object>} - { valid, count, brokenAt }, brokenAt being the
+ * first tombstone whose hash or link does not match, or null
+ */
+export const verifyErasureTombstones = async () => {
+  try {
+    const result = await query(`
+      SELECT id, tenant_id, user_hash, counts, erased_at, previous_hash, hash
+      FROM memory.erasure_tombstones
+      ORDER BY id
+    `);
+
+    // Each tenant has its own chain; across all tenants, follow them side by side
+    const previousHashes = new Map();
+    for (const tombstone of result.rows) {
+      const previousHash = previousHashes.get(tombstone.tenant_id) ?? null;
+      if (tombstone.previous_hash !== previousHash || tombstone.hash !== tombstoneHash(tombstone)) {
+        logger.warn(`Erasure tombstone ${tombstone.id} does not match its hash chain`);
+        return { valid: false, count: result.rows.length, brokenAt: tombstone.id };
+      }
+      previousHashes.set(tombstone.tenant_id, tombstone.hash);
+    }
+
+    return { valid: true, count: result.rows.length, brokenAt: null };
+  } catch (error) {
+    logger.error('Error verifying erasure tombstones:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the current tenant's erasure tombstones, newest first
+ *
+ * @param {Object} options - Options
+ * @param {string} options.userId - Only list the erasures of this user
+ * @param {number} options.limit - Maximum number of tombstones (default: 50)
+ * @returns {Promise<Array>} - The tombstones
+ */
+export const listErasureTombstones = async ({ userId = null, limit = 50 } = {}) => {
+  try {
+    const result = await query(`
+      SELECT id, tenant_id, user_hash, counts, erased_at, previous_hash, hash
+      FROM memory.erasure_tombstones
+      WHERE $1::text IS NULL OR user_hash = $1
+      ORDER BY id DESC
+      LIMIT $2
+    `, [userId === null ? null : hashUserId(userId), limit]);
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing erasure tombstones:', error);
+    throw error;
+  }
+};
@@ -1,4 +1,5 @@
 // Database connection manager
+import { AsyncLocalStorage } from 'node:async_hooks';
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { logger } from './logger.js';
@@ -30,12 +31,68 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
-// Get a client from the pool
+// Scope that lifts tenant isolation, for maintenance spanning every tenant
+export const ALL_TENANTS = '*';
+
+// Role tenant-scoped connections switch to; row-level security always applies to it
+const TENANT_ROLE = 'memory_tenant';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_.:@-]{1,128}$/;
+
+// Validate a tenant ID
+export const validateTenantId = (tenantId) => {
+  if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+    throw new Error(`Invalid tenant ID: ${tenantId}`);
+  }
+  return tenantId;
+};
+
+// Tenant of code running outside withTenant
+const DEFAULT_TENANT = validateTenantId(process.env.MEMORY_TENANT || 'default');
+
+const tenantScope = new AsyncLocalStorage();
+
+// Tenant each pooled connection was last pointed at
+const connectionTenants = new WeakMap();
+
+// Get the tenant the current code runs as, or ALL_TENANTS
+export const getCurrentTenant = () => tenantScope.getStore() ?? DEFAULT_TENANT;
+
+// Run a callback, and everything it awaits, as a tenant
+export const withTenant = (tenantId, callback) => tenantScope.run(validateTenantId(tenantId), callback);
+
+// Run a callback across every tenant
+export const withAllTenants = (callback) => tenantScope.run(ALL_TENANTS, callback);
+
+// Point a connection at the current tenant, unless it already is
+const applyTenantScope = async (client) => {
+  const tenant = getCurrentTenant();
+  if (connectionTenants.get(client) === tenant) {
+    return;
+  }
+
+  try {
+    await client.query(
+      "SELECT set_config('role', $1, false), set_config('memory.tenant_id', $2, false)",
+      [tenant === ALL_TENANTS ? 'none' : TENANT_ROLE, tenant]
+    );
+  } catch (error) {
+    connectionTenants.delete(client);
+    throw new Error(`Could not switch the connection to tenant ${tenant} (${error.message}), check that init/15-tenants.sql has been applied`);
+  }
+
+  connectionTenants.set(client, tenant);
+};
+
+// Get a client from the pool, scoped to the current tenant
 export const getClient = async () => {
+  let client;
   try {
-    const client = await pool.connect();
+    client = await pool.connect();
+    await applyTenantScope(client);
     return client;
   } catch (error) {
+    client?.release();
     logger.error('Error connecting to database', error);
     throw error;
   }
@@ -44,9 +101,10 @@ export const getClient = async () => {
 // Query helper function
 export const query = async (text, params) => {
   const start = Date.now();
+  const client = await getClient();
   
   try {
-    const res = await pool.query(text, params);
+    const res = await client.query(text, params);
     const duration = Date.now() - start;
     
     // Log slow queries for optimization
@@ -62,6 +120,8 @@ export const query = async (text, params) => {
       error: error.stack,
     });
     throw error;
+  } finally {
+    client.release();
   }
 };
 
@@ -109,6 +169,9 @@ export default {
   query,
   getClient,
   transaction,
+  withTenant,
+  withAllTenants,
+  getCurrentTenant,
   healthCheck,
   closePool,
 };
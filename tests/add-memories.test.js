@@ -0,0 +1,186 @@
+/**
+ * Tests for adding memories in bulk
+ */
+import { jest, describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+
+// Rows inserted into memory.conversations, and the transactions that wrote them
+const store = { rows: [], nextId: 1, transactions: 0 };
+
+const fakeQuery = async (sql, params = []) => {
+  if (sql.includes('nextval')) {
+    const ids = Array.from({ length: params[0] }, () => ({ id: store.nextId++ }));
+    return { rows: ids };
+  }
+
+  // The parent row of chunked content, and then its chunks
+  if (sql.includes('is_chunked')) {
+    const [conversationId, , content] = params;
+    const id = store.nextId++;
+    store.rows.push({ id, conversation_id: conversationId, content, is_chunked: true });
+    return { rows: [{ id }] };
+  }
+
+  if (sql.includes('parent_id, chunk_index')) {
+    const [conversationId, , chunks, , model, , , parentId] = params;
+    const rows = chunks.map((content, i) => {
+      const row = { id: store.nextId++, conversation_id: conversationId, content, embedding_model: model, parent_id: parentId, chunk_index: i };
+      store.rows.push(row);
+      return { id: row.id, chunk_index: i };
+    });
+    return { rows };
+  }
+
+  if (sql.includes('INSERT INTO memory.conversations')) {
+    const [ids, conversationIds, , contents, , models, , importances] = params;
+    ids.forEach((id, i) => store.rows.push({
+      id,
+      conversation_id: conversationIds[i],
+      content: contents[i],
+      embedding_model: models[i],
+      importance: importances[i]
+    }));
+    return { rows: [] };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: (callback) => {
+    store.transactions++;
+    return callback({ query: fakeQuery });
+  },
+  withTenant: (tenant, callback) => callback(),
+  withAllTenants: (callback) => callback(),
+  getCurrentTenant: () => 'default',
+  ALL_TENANTS: '*'
+}));
+
+const { addMemories, registerEmbeddingProvider, createMockProvider } = await import('../src/memory/index.js');
+
+// A provider whose requests fail whenever a batch mentions an outage
+const mock = createMockProvider({ dimension: 4 });
+registerEmbeddingProvider({
+  ...mock,
+  name: 'flaky',
+  embed: async (texts) => {
+    if (texts.some(text => text.includes('outage'))) {
+      throw new Error('provider unavailable');
+    }
+    return mock.embed(texts);
+  }
+});
+
+describe('Adding memories in bulk', () => {
+  const originalModel = process.env.EMBEDDING_MODEL;
+
+  beforeEach(() => {
+    process.env.EMBEDDING_MODEL = 'flaky';
+    store.rows = [];
+    store.nextId = 1;
+    store.transactions = 0;
+  });
+
+  afterAll(() => {
+    if (originalModel === undefined) {
+      delete process.env.EMBEDDING_MODEL;
+    } else {
+      process.env.EMBEDDING_MODEL = originalModel;
+    }
+  });
+
+  test('should report invalid items and still store the others', async () => {
+    const results = await addMemories([
+      { conversationId: 'conv-1', content: 'first' },
+      { conversationId: 'conv-1', content: '' },
+      { content: 'no conversation' },
+      { conversationId: 'conv-1', content: 'too important', importance: 2 },
+      null,
+      { conversationId: 'conv-2', content: 'second', importance: 0.9 }
+    ]);
+
+    expect(results).toEqual([
+      { index: 0, id: 1, error: null },
+      { index: 1, id: null, error: 'content is required' },
+      { index: 2, id: null, error: 'conversationId is required' },
+      { index: 3, id: null, error: 'importance must be a number between 0 and 1, got 2' },
+      { index: 4, id: null, error: 'content is required' },
+      { index: 5, id: 2, error: null }
+    ]);
+    expect(store.rows).toEqual([
+      { id: 1, conversation_id: 'conv-1', content: 'first', embedding_model: 'flaky:mock', importance: 0.5 },
+      { id: 2, conversation_id: 'conv-2', content: 'second', embedding_model: 'flaky:mock', importance: 0.9 }
+    ]);
+  });
+
+  test('should fail only the items of a batch whose embeddings could not be generated', async () => {
+    const results = await addMemories([
+      { conversationId: 'conv-1', content: 'first' },
+      { conversationId: 'conv-1', content: 'second' },
+      { conversationId: 'conv-1', content: 'during the outage' },
+      { conversationId: 'conv-1', content: 'third' },
+      { conversationId: 'conv-1', content: 'fourth' }
+    ], { batchSize: 2 });
+
+    expect(results).toEqual([
+      { index: 0, id: 1, error: null },
+      { index: 1, id: 2, error: null },
+      { index: 2, id: null, error: 'Embedding failed: provider unavailable' },
+      { index: 3, id: null, error: 'Embedding failed: provider unavailable' },
+      { index: 4, id: 3, error: null }
+    ]);
+    expect(store.rows.map(row => row.content)).toEqual(['first', 'second', 'fourth']);
+    expect(store.transactions).toBe(1);
+  });
+
+  test('should chunk items too long to embed whole', async () => {
+    // Three paragraphs of 300 words each, over the default 512-token limit together
+    const paragraph = (word) => Array(300).fill(word).join(' ');
+    const document = [paragraph('alpha'), paragraph('beta'), paragraph('gamma')].join('\n\n');
+
+    const results = await addMemories([
+      { conversationId: 'conv-1', content: 'short' },
+      { conversationId: 'conv-1', content: document }
+    ]);
+
+    expect(results).toEqual([
+      { index: 0, id: 1, error: null },
+      { index: 1, id: 2, error: null }
+    ]);
+    const parent = store.rows.find(row => row.id === 2);
+    const chunks = store.rows.filter(row => row.parent_id === 2);
+    expect(parent).toMatchObject({ content: document, is_chunked: true });
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => chunk.content.split(' ').length <= 512)).toBe(true);
+    expect(store.transactions).toBe(2);
+  });
+
+  test('should report an error for a long item whose chunks could not be embedded', async () => {
+    const document = [Array(300).fill('outage').join(' '), Array(300).fill('calm').join(' ')].join('\n\n');
+
+    const results = await addMemories([
+      { conversationId: 'conv-1', content: 'short' },
+      { conversationId: 'conv-1', content: document }
+    ]);
+
+    expect(results).toEqual([
+      { index: 0, id: 1, error: null },
+      { index: 1, id: null, error: 'Storing chunks failed: provider unavailable' }
+    ]);
+    expect(store.rows.map(row => row.content)).toEqual(['short']);
+  });
+
+  test('should not open a transaction when no item can be stored', async () => {
+    const results = await addMemories([
+      { conversationId: 'conv-1', content: 'outage' },
+      { content: 'no conversation' }
+    ]);
+
+    expect(results.map(result => result.error)).toEqual([
+      'Embedding failed: provider unavailable',
+      'conversationId is required'
+    ]);
+    expect(store.transactions).toBe(0);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Tests for archiving and restoring memories by filter
+ */
+import { describe, test, expect } from '@jest/globals';
+import { archiveMemories, unarchiveMemories } from '../src/memory/index.js';
+import { buildMemoryFilters } from '../src/memory/search.js';
+
+describe('Archive filters', () => {
+  test('should refuse to archive or restore every memory at once', async () => {
+    const message = 'A filter on userId, conversationId, metadata, tags, since or until is required';
+    await expect(archiveMemories({})).rejects.toThrow(message);
+    await expect(unarchiveMemories(undefined)).rejects.toThrow(message);
+  });
+
+  test('should build conditions for each filter criterion', () => {
+    const params = [true];
+    const conditions = buildMemoryFilters({
+      conversationId: 'conv-1',
+      metadata: { project: 'billing' },
+      until: '2024-06-30T00:00:00Z'
+    }, params);
+
+    expect(conditions).toEqual(['conversation_id = $2', 'metadata @> $3::jsonb', 'timestamp <= $4']);
+    expect(params).toEqual([true, 'conv-1', '{"project":"billing"}', '2024-06-30T00:00:00Z']);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for splitting long content into chunks
+ */
+import { describe, test, expect } from '@jest/globals';
+import { chunkContent, normalizeChunkingOptions, AUTO_CHUNKING } from '../src/memory/chunking.js';
+
+const words = (count, prefix = 'w') => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+describe('Chunking', () => {
+  test('should fill in defaults and reject invalid options', () => {
+    expect(normalizeChunkingOptions(null)).toBeNull();
+    expect(normalizeChunkingOptions({})).toEqual({ strategy: 'paragraph', maxTokens: 256, overlap: 32 });
+    expect(normalizeChunkingOptions({ maxTokens: 10 })).toEqual({ strategy: 'paragraph', maxTokens: 10, overlap: 5 });
+    expect(() => normalizeChunkingOptions({ strategy: 'sentence' })).toThrow('Unknown chunking strategy: sentence');
+    expect(() => normalizeChunkingOptions({ maxTokens: 0 })).toThrow('maxTokens must be a positive integer');
+    expect(() => normalizeChunkingOptions({ maxTokens: 10, overlap: 10 })).toThrow('overlap must be a non-negative integer below maxTokens');
+  });
+
+  test('should chunk content too long for the embedding model by default', () => {
+    expect(AUTO_CHUNKING).toEqual({ strategy: 'paragraph', maxTokens: 512, overlap: 32 });
+    expect(chunkContent(words(512), AUTO_CHUNKING)).toHaveLength(1);
+    expect(chunkContent(`${words(300, 'a')}\n\n${words(300, 'b')}`, AUTO_CHUNKING)).toEqual([words(300, 'a'), words(300, 'b')]);
+  });
+
+  test('should keep content that fits in one chunk whole', () => {
+    const content = 'Short note\n\nwith two paragraphs';
+    expect(chunkContent(content, normalizeChunkingOptions({ strategy: 'tokens', maxTokens: 10 }))).toEqual([content]);
+  });
+
+  test('should cut overlapping token windows', () => {
+    const chunks = chunkContent(words(10), normalizeChunkingOptions({ strategy: 'tokens', maxTokens: 4, overlap: 1 }));
+    expect(chunks).toEqual(['w0 w1 w2 w3', 'w3 w4 w5 w6', 'w6 w7 w8 w9']);
+  });
+
+  test('should pack whole paragraphs and cut only oversized ones', () => {
+    const content = [words(3, 'a'), words(3, 'b'), words(7, 'c')].join('\n\n');
+    const chunks = chunkContent(content, normalizeChunkingOptions({ strategy: 'paragraph', maxTokens: 6, overlap: 2 }));
+    expect(chunks).toEqual(['a0 a1 a2\n\nb0 b1 b2', 'c0 c1 c2 c3 c4 c5', 'c4 c5 c6']);
+  });
+
+  test('should split markdown at headings outside code blocks and repeat the heading', () => {
+    const content = [
+      'Intro text here',
+      '# Setup',
+      words(4, 's'),
+      '```bash',
+      '# not a heading',
+      '```',
+      '## Usage',
+      words(3, 'u'),
+      '',
+      words(8, 'v')
+    ].join('\n');
+    const chunks = chunkContent(content, normalizeChunkingOptions({ strategy: 'markdown', maxTokens: 12, overlap: 0 }));
+    expect(chunks).toEqual([
+      'Intro text here',
+      '# Setup\n\ns0 s1 s2 s3\n```bash\n# not a heading\n```',
+      '## Usage\n\nu0 u1 u2',
+      '## Usage\n\nv0 v1 v2 v3 v4 v5 v6 v7'
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the cold storage move defined by the database initialization scripts
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, test, expect } from '@jest/globals';
+
+const initDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'init');
+
+// The initialization scripts, in the order they are applied
+const scripts = fs.readdirSync(initDir)
+  .filter(file => file.endsWith('.sql'))
+  .sort()
+  .map(file => ({ file, sql: fs.readFileSync(path.join(initDir, file), 'utf8') }));
+
+const DEFINITION = 'CREATE OR REPLACE FUNCTION memory.move_to_cold_storage(';
+
+// Columns a table has once the given scripts have run
+const tableColumns = (table, sqls) => {
+  const columns = new Set();
+  for (const sql of sqls) {
+    const created = new RegExp(`CREATE TABLE IF NOT EXISTS memory\\.${table} \\(([\\s\\S]*?)\\n\\);`).exec(sql);
+    if (created) {
+      created[1].split('\n')
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(name => /^[a-z_]+$/.test(name) && !['unique', 'check', 'primary'].includes(name))
+        .forEach(name => columns.add(name));
+    }
+    for (const [, name] of sql.matchAll(new RegExp(`ALTER TABLE memory\\.${table}\\s+ADD COLUMN IF NOT EXISTS (\\w+)`, 'g'))) {
+      columns.add(name);
+    }
+  }
+  return columns;
+};
+
+const definingScripts = scripts.filter(({ sql }) => sql.includes(DEFINITION));
+const [{ file: definingFile, sql: definingSql } = {}] = definingScripts;
+const body = definingSql?.slice(definingSql.indexOf(DEFINITION)).split('$$')[1] ?? '';
+const appliedBefore = scripts.slice(0, scripts.findIndex(({ file }) => file === definingFile) + 1).map(({ sql }) => sql);
+
+describe('Cold storage', () => {
+  test('should define move_to_cold_storage in one script', () => {
+    expect(definingScripts.map(({ file }) => file)).toEqual(['20-cold-storage-relations.sql']);
+  });
+
+  test('should only copy columns that exist by the time it is defined', () => {
+    const archiveColumns = tableColumns('archive', appliedBefore);
+    const conversationColumns = tableColumns('conversations', appliedBefore);
+
+    const inserted = /INSERT INTO memory\.archive \(([^)]*)\)/.exec(body)[1].split(',').map(name => name.trim());
+    const selected = [...body.matchAll(/moved\.(\w+)/g)].map(([, name]) => name);
+
+    expect(inserted.filter(name => !archiveColumns.has(name))).toEqual([]);
+    expect(selected.filter(name => !conversationColumns.has(name))).toEqual([]);
+    expect(inserted).toEqual(expect.arrayContaining(['tenant_id', 'memory_type', 'summary_id']));
+  });
+
+  test('should keep every row the cascade deletes with a moved memory', () => {
+    // Tables whose rows go when their memory leaves memory.conversations
+    const cascading = scripts
+      .flatMap(({ sql }) => sql.split(/;\s*\n/))
+      .filter(statement => /REFERENCES memory\.conversations\(id\) ON DELETE CASCADE/.test(statement))
+      .map(statement => /memory\.(\w+)/.exec(statement)[1])
+      .filter(table => table !== 'conversations');
+
+    expect(cascading.sort()).toEqual(['memory_history', 'memory_links', 'memory_tags']);
+    for (const table of cascading) {
+      expect(body).toContain(`FROM memory.${table}`);
+    }
+    expect(/INSERT INTO memory\.archive \(([^)]*)\)/.exec(body)[1]).toMatch(/tags, links, history\s*$/);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for summarizers and consolidation batching
+ */
+import { describe, test, expect } from '@jest/globals';
+import { createExtractiveSummarizer, getSummarizer, registerSummarizer, createOpenAISummarizer } from '../src/memory/summarizers.js';
+import { normalizeConsolidationOptions, planConsolidationBatches } from '../src/memory/consolidation.js';
+
+describe('Extractive summarizer', () => {
+  const memories = [
+    { content: 'User: The billing service should retry failed invoices nightly.\nAI: Noted, nightly retries for failed invoices.' },
+    { content: 'User: Nice weather today, by the way.' },
+    { content: 'User: Failed invoices older than a week go to the billing team. Keep the retry window short.' }
+  ].map((memory, index) => ({ ...memory, timestamp: new Date(2024, 0, index + 1) }));
+
+  test('should keep the sentences about the recurring topic, in their original order', async () => {
+    const summary = await createExtractiveSummarizer().summarize(memories, { maxSentences: 2 });
+
+    expect(summary).toBe([
+      'User: The billing service should retry failed invoices nightly.',
+      'User: Failed invoices older than a week go to the billing team.'
+    ].join('\n'));
+  });
+
+  test('should return every sentence when they fit', async () => {
+    const summary = await createExtractiveSummarizer({ maxSentences: 10 }).summarize(memories);
+    expect(summary.split('\n')).toHaveLength(5);
+  });
+
+  test('should fall back to extractive summaries when a summarizer is not configured', () => {
+    registerSummarizer(createOpenAISummarizer({ name: 'unconfigured-openai' }));
+    expect(getSummarizer('unconfigured-openai').name).toBe('extractive');
+    expect(() => getSummarizer('missing')).toThrow('Unknown summarizer: missing');
+  });
+});
+
+describe('Consolidation batches', () => {
+  const messages = Array.from({ length: 45 }, (_, index) => index);
+
+  test('should hold back recent messages and batches too small to summarize', () => {
+    const opts = normalizeConsolidationOptions({ keepRecent: 5, batchSize: 15, minBatchSize: 12 });
+    const batches = planConsolidationBatches(messages, opts);
+
+    expect(batches.map(batch => [batch[0], batch.length])).toEqual([[0, 15], [15, 15]]);
+  });
+
+  test('should not consolidate conversations shorter than the recent window', () => {
+    expect(planConsolidationBatches(messages, normalizeConsolidationOptions({ keepRecent: 50 }))).toEqual([]);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => normalizeConsolidationOptions({ keepRecent: -1 })).toThrow('keepRecent');
+    expect(() => normalizeConsolidationOptions({ batchSize: 1 })).toThrow('batchSize');
+    expect(() => normalizeConsolidationOptions({ batchSize: 5, minBatchSize: 6 })).toThrow('minBatchSize');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for listing the memories of a conversation
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// The memories of one conversation, and the queries sent to the database
+const store = { rows: [], queries: [] };
+
+const fakeQuery = async (sql, params = []) => {
+  store.queries.push(sql);
+
+  const limit = params[params.length - 1];
+  const [timestamp, id] = params.length === 4 ? params.slice(1, 3) : [null, null];
+  const page = store.rows
+    .filter(row => timestamp === null || row.timestamp > timestamp || (row.timestamp === timestamp && row.id > id))
+    .slice(0, limit + 1);
+
+  return { rows: page.map(row => ({ ...row, cursor_timestamp: row.timestamp })) };
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: (callback) => callback({ query: fakeQuery }),
+  withTenant: (tenant, callback) => callback(),
+  withAllTenants: (callback) => callback(),
+  getCurrentTenant: () => 'default',
+  ALL_TENANTS: '*'
+}));
+
+const { getConversationMemories, getConversationMemoriesPage } = await import('../src/memory/index.js');
+
+const timestampOf = (i) => new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString().replace('Z', '000Z');
+
+describe('Conversation memories', () => {
+  beforeEach(() => {
+    store.queries = [];
+    store.rows = Array.from({ length: 1005 }, (_, i) => ({
+      id: i + 1,
+      content: `message ${i + 1}`,
+      timestamp: timestampOf(i)
+    }));
+  });
+
+  test('should return a page with the cursor of the next one', async () => {
+    const first = await getConversationMemoriesPage('conv-1', { limit: 2 });
+
+    expect(first.memories.map(memory => memory.id)).toEqual([1, 2]);
+    expect(first.nextCursor).not.toBeNull();
+
+    const second = await getConversationMemoriesPage('conv-1', { limit: 2, cursor: first.nextCursor });
+    expect(second.memories.map(memory => memory.id)).toEqual([3, 4]);
+  });
+
+  test('should return every memory as an array, reading page after page', async () => {
+    const memories = await getConversationMemories('conv-1');
+
+    expect(Array.isArray(memories)).toBe(true);
+    expect(memories).toHaveLength(1005);
+    expect(memories[1004]).toMatchObject({ id: 1005, content: 'message 1005' });
+    expect(store.queries).toHaveLength(2);
+  });
+
+  test('should record each access in the statement that lists the memories', async () => {
+    await getConversationMemoriesPage('conv-1', { limit: 2 });
+
+    expect(store.queries).toHaveLength(1);
+    const [sql] = store.queries;
+    expect(sql).toContain('last_accessed = NOW()');
+    expect(sql).toContain('access_count = c.access_count + 1');
+    // The page reads one row more than it lists, and only the listed rows are touched
+    expect(sql).toContain('LIMIT $2::int + 1');
+    expect(sql).toContain('FROM (SELECT id FROM page ORDER BY timestamp ASC, id ASC LIMIT $2::int) listed');
+  });
+});
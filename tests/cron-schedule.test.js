@@ -0,0 +1,72 @@
+/**
+ * Tests for the maintenance scheduler's cron expressions
+ */
+import { describe, test, expect } from '@jest/globals';
+import { parseCronSchedule, nextCronRun } from '../server/src/services/cron-schedule.js';
+
+const values = (set) => [...set].sort((a, b) => a - b);
+
+// Times are local, like the schedules
+const next = (expression, after) => nextCronRun(parseCronSchedule(expression), after);
+
+describe('Cron schedules', () => {
+  test('should expand values, ranges, steps and lists', () => {
+    const schedule = parseCronSchedule('*/15 9-17/4 1,15 1-3,12 1-5');
+
+    expect(values(schedule.minutes)).toEqual([0, 15, 30, 45]);
+    expect(values(schedule.hours)).toEqual([9, 13, 17]);
+    expect(values(schedule.daysOfMonth)).toEqual([1, 15]);
+    expect(values(schedule.months)).toEqual([1, 2, 3, 12]);
+    expect(values(schedule.daysOfWeek)).toEqual([1, 2, 3, 4, 5]);
+
+    // A bare value with a step runs to the end of the range
+    expect(values(parseCronSchedule('50/5 * * * *').minutes)).toEqual([50, 55]);
+  });
+
+  test('should treat 7 as Sunday and accept shorthands', () => {
+    expect(values(parseCronSchedule('0 0 * * 5-7').daysOfWeek)).toEqual([0, 5, 6]);
+    expect(parseCronSchedule('@daily')).toMatchObject({ expression: '@daily', anyDayOfMonth: true, anyDayOfWeek: true });
+    expect(values(parseCronSchedule('@weekly').daysOfWeek)).toEqual([0]);
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => parseCronSchedule('0 0 * *')).toThrow('must have 5 fields');
+    expect(() => parseCronSchedule('60 * * * *')).toThrow('Invalid minute field: 60');
+    expect(() => parseCronSchedule('0 5-1 * * *')).toThrow('Invalid hour field: 5-1');
+    expect(() => parseCronSchedule('0 0 0 * *')).toThrow('Invalid day of month field: 0');
+    expect(() => parseCronSchedule('*/0 * * * *')).toThrow('Invalid minute field');
+    expect(() => parseCronSchedule('0 0 * JAN *')).toThrow('Invalid month field');
+  });
+
+  test('should fire on either restricted day field, as in cron', () => {
+    // 1 January 2024 was a Monday
+    const start = new Date(2024, 0, 1, 0, 0);
+
+    expect(next('0 0 13 * 5', start)).toEqual(new Date(2024, 0, 5, 0, 0));
+    expect(next('0 0 13 * *', start)).toEqual(new Date(2024, 0, 13, 0, 0));
+    expect(next('0 0 * * 5', start)).toEqual(new Date(2024, 0, 5, 0, 0));
+  });
+
+  test('should not count a day field starting with * as restricted', () => {
+    const schedule = parseCronSchedule('0 0 */1 * 5');
+    expect(schedule).toMatchObject({ anyDayOfMonth: true, anyDayOfWeek: false });
+
+    const start = new Date(2024, 0, 1, 0, 0);
+    expect(nextCronRun(schedule, start)).toEqual(new Date(2024, 0, 5, 0, 0));
+    // Odd days that are Mondays
+    expect(next('0 0 */2 * 1', start)).toEqual(new Date(2024, 0, 15, 0, 0));
+  });
+
+  test('should find the next whole minute after the given time', () => {
+    expect(next('*/15 * * * *', new Date(2024, 5, 3, 10, 7, 30))).toEqual(new Date(2024, 5, 3, 10, 15));
+    expect(next('*/15 * * * *', new Date(2024, 5, 3, 10, 15, 0))).toEqual(new Date(2024, 5, 3, 10, 30));
+    expect(next('@hourly', new Date(2024, 5, 3, 23, 59))).toEqual(new Date(2024, 5, 4, 0, 0));
+    expect(next('30 2 * * *', new Date(2024, 11, 31, 3, 0))).toEqual(new Date(2025, 0, 1, 2, 30));
+  });
+
+  test('should skip to the next month and year that can fire', () => {
+    expect(next('0 0 29 2 *', new Date(2024, 2, 1))).toEqual(new Date(2028, 1, 29, 0, 0));
+    expect(next('0 6 1 */3 *', new Date(2024, 3, 15))).toEqual(new Date(2024, 6, 1, 6, 0));
+    expect(() => next('0 0 30 2 *', new Date(2024, 0, 1))).toThrow('never fires');
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Tests for near-duplicate handling options
+ */
+import { describe, test, expect } from '@jest/globals';
+import { normalizeDedupOptions } from '../src/memory/dedup.js';
+
+describe('Dedup options', () => {
+  test('should turn dedup off without options', () => {
+    expect(normalizeDedupOptions(undefined)).toBeNull();
+    expect(normalizeDedupOptions(null)).toBeNull();
+  });
+
+  test('should default to exact matches within the conversation', () => {
+    expect(normalizeDedupOptions({ policy: 'merge' })).toEqual({ policy: 'merge', scope: 'conversation', threshold: null });
+  });
+
+  test('should keep an explicit scope and similarity threshold', () => {
+    expect(normalizeDedupOptions({ policy: 'skip', scope: 'user', threshold: 0.95 }))
+      .toEqual({ policy: 'skip', scope: 'user', threshold: 0.95 });
+  });
+
+  test('should reject unknown policies, scopes and thresholds', () => {
+    expect(() => normalizeDedupOptions({ policy: 'ignore' })).toThrow('Unknown dedup policy: ignore');
+    expect(() => normalizeDedupOptions({ policy: 'skip', scope: 'tenant' })).toThrow('Unknown dedup scope: tenant');
+    expect(() => normalizeDedupOptions({ policy: 'skip', threshold: 1.5 })).toThrow('Dedup threshold must be a number between -1 and 1');
+    expect(() => normalizeDedupOptions({ policy: 'skip', threshold: NaN })).toThrow('Dedup threshold must be a number between -1 and 1');
+  });
+});
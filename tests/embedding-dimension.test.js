@@ -0,0 +1,167 @@
+/**
+ * Tests for checking and migrating the embedding column's dimension
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// A small stand-in for memory.conversations: its vector columns and rows
+const store = { columns: new Map(), rows: [], statements: [] };
+
+const provider = { name: 'ollama', model: 'nomic-embed-text', dimension: 768 };
+const MODEL = 'ollama:nomic-embed-text';
+
+const pending = () => store.rows.filter(row => row.embedding_next === null && !row.is_chunked);
+
+const renameColumn = (from, to) => {
+  store.columns.set(to, store.columns.get(from));
+  store.columns.delete(from);
+  for (const row of store.rows) {
+    row[to] = row[from];
+    delete row[from];
+  }
+};
+
+const fakeQuery = async (sql, params = []) => {
+  if (sql.includes('format_type')) {
+    const dimension = store.columns.get(params[0]);
+    return { rows: dimension === undefined ? [] : [{ column_type: `vector(${dimension})` }] };
+  }
+
+  if (sql.includes('ADD COLUMN IF NOT EXISTS embedding_next')) {
+    if (!store.columns.has('embedding_next')) {
+      store.columns.set('embedding_next', parseInt(/vector\((\d+)\)/.exec(sql)[1], 10));
+      store.rows.forEach(row => { row.embedding_next = null; });
+    }
+    return { rows: [] };
+  }
+
+  if (sql.includes('COUNT(*)')) {
+    return { rows: [{ count: pending().length }] };
+  }
+
+  if (sql.includes('SELECT id, content')) {
+    const rows = sql.includes('LIMIT') ? pending().slice(0, params[0]) : pending();
+    return { rows: rows.map(({ id, content }) => ({ id, content })) };
+  }
+
+  if (sql.includes('FROM unnest')) {
+    const column = /SET (\w+) = v\.embedding/.exec(sql)[1];
+    const [ids, embeddings] = params;
+    ids.forEach((id, i) => { store.rows.find(row => row.id === id)[column] = embeddings[i]; });
+    return { rows: [] };
+  }
+
+  if (sql.includes('SET embedding_model')) {
+    store.rows.filter(row => !row.is_chunked).forEach(row => { row.embedding_model = params[0]; });
+    return { rows: [] };
+  }
+
+  const rename = /RENAME COLUMN (\w+) TO (\w+)/.exec(sql);
+  if (rename) {
+    renameColumn(rename[1], rename[2]);
+  }
+
+  const drop = /DROP COLUMN IF EXISTS (\w+)/.exec(sql);
+  if (drop) {
+    store.columns.delete(drop[1]);
+  }
+
+  store.statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+  return { rows: [] };
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: (callback) => callback({ query: fakeQuery }),
+  withAllTenants: (callback) => callback()
+}));
+
+jest.unstable_mockModule('../src/memory/embeddings.js', () => ({
+  getActiveEmbeddingProvider: () => provider,
+  getEmbeddingModelId: () => MODEL,
+  generateEmbeddingsWithModel: async (texts) => ({
+    embeddings: texts.map(text => `[${text.length}]`),
+    model: MODEL
+  })
+}));
+
+const { validateEmbeddingDimension, migrateEmbeddingDimension } = await import('../src/memory/schema.js');
+
+describe('Embedding dimension', () => {
+  beforeEach(() => {
+    store.columns = new Map([['embedding', 1536]]);
+    store.statements = [];
+    store.rows = [
+      { id: 1, content: 'first', embedding: '[old]', is_chunked: false },
+      { id: 2, content: 'second', embedding: '[old]', is_chunked: false },
+      { id: 3, content: 'long document', embedding: null, is_chunked: true },
+      { id: 4, content: 'third', embedding: '[old]', is_chunked: false }
+    ];
+  });
+
+  test('should report whether the provider matches the embedding column', async () => {
+    await expect(validateEmbeddingDimension()).resolves.toEqual({
+      valid: false,
+      provider: 'ollama',
+      providerDimension: 768,
+      columnDimension: 1536
+    });
+
+    store.columns.set('embedding', 768);
+    await expect(validateEmbeddingDimension()).resolves.toMatchObject({ valid: true, columnDimension: 768 });
+
+    store.columns.delete('embedding');
+    await expect(validateEmbeddingDimension()).resolves.toMatchObject({ valid: false, columnDimension: null });
+  });
+
+  test('should leave a column that already has the provider\'s dimension alone', async () => {
+    store.columns.set('embedding', 768);
+
+    await expect(migrateEmbeddingDimension()).resolves.toEqual({
+      migrated: false,
+      fromDimension: 768,
+      toDimension: 768,
+      reembedded: 0
+    });
+    expect(store.columns.has('embedding_next')).toBe(false);
+  });
+
+  test('should re-embed every memory in batches and keep the old column', async () => {
+    const progress = [];
+    const result = await migrateEmbeddingDimension({ batchSize: 2, onProgress: (update) => progress.push(update) });
+
+    expect(result).toEqual({ migrated: true, fromDimension: 1536, toDimension: 768, reembedded: 3 });
+    expect(progress).toEqual([{ processed: 2, total: 3 }, { processed: 3, total: 3 }]);
+    expect(store.columns).toEqual(new Map([['embedding_1536', 1536], ['embedding', 768]]));
+    expect(store.rows.map(row => row.embedding)).toEqual(['[5]', '[6]', null, '[5]']);
+    expect(store.rows[0]).toMatchObject({ embedding_1536: '[old]', embedding_model: MODEL });
+    expect(store.statements).toContain('CREATE INDEX idx_conversations_embedding');
+  });
+
+  test('should resume an interrupted run and catch up memories added meanwhile', async () => {
+    store.columns.set('embedding_next', 768);
+    store.rows.forEach(row => { row.embedding_next = null; });
+    store.rows[0].embedding_next = '[kept]';
+
+    const result = await migrateEmbeddingDimension({
+      batchSize: 10,
+      dropPrevious: true,
+      onProgress: () => {
+        if (store.rows.length === 4) {
+          store.rows.push({ id: 5, content: 'added', embedding: '[old]', embedding_next: null, is_chunked: false });
+        }
+      }
+    });
+
+    expect(result.reembedded).toBe(3);
+    expect(store.rows.map(row => row.embedding)).toEqual(['[kept]', '[6]', null, '[5]', '[5]']);
+    expect(store.columns).toEqual(new Map([['embedding', 768]]));
+  });
+
+  test('should refuse to reuse a leftover column of another dimension', async () => {
+    store.columns.set('embedding_next', 384);
+    store.rows.forEach(row => { row.embedding_next = null; });
+
+    await expect(migrateEmbeddingDimension()).rejects.toThrow('embedding_next has 384 dimensions from an earlier migration, drop it before migrating to 768');
+    expect(store.columns.get('embedding')).toBe(1536);
+  });
+});
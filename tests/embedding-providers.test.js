@@ -0,0 +1,115 @@
+/**
+ * Tests for the embedding provider registry
+ */
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  generateEmbeddings,
+  createMockProvider
+} from '../src/memory/embeddings.js';
+
+const parseVector = (literal) => JSON.parse(literal);
+
+describe('Embedding provider registry', () => {
+  const originalModel = process.env.EMBEDDING_MODEL;
+
+  afterEach(() => {
+    if (originalModel === undefined) {
+      delete process.env.EMBEDDING_MODEL;
+    } else {
+      process.env.EMBEDDING_MODEL = originalModel;
+    }
+  });
+
+  test('should register the built-in providers', () => {
+    expect(listEmbeddingProviders()).toEqual(expect.arrayContaining(['mock', 'openai', 'ollama']));
+  });
+
+  test('should produce deterministic mock embeddings of the declared dimension', async () => {
+    const provider = createMockProvider({ dimension: 8 });
+    const [first, second, other] = await provider.embed(['hello', 'hello', 'world']);
+
+    expect(first).toHaveLength(8);
+    expect(first).toEqual(second);
+    expect(first).not.toEqual(other);
+  });
+
+  test('should reject providers without a valid dimension', () => {
+    expect(() => registerEmbeddingProvider({
+      name: 'broken',
+      dimension: 0,
+      embed: async () => [],
+      healthCheck: async () => true
+    })).toThrow('positive integer dimension');
+  });
+
+  test('should use a custom registered provider selected by EMBEDDING_MODEL', async () => {
+    registerEmbeddingProvider({
+      name: 'constant',
+      dimension: 3,
+      embed: async (texts) => texts.map(() => [1, 0, 0]),
+      healthCheck: async () => true
+    });
+    process.env.EMBEDDING_MODEL = 'constant';
+
+    const embeddings = await generateEmbeddings(['a', 'b']);
+
+    expect(getEmbeddingProvider().name).toBe('constant');
+    expect(embeddings.map(parseVector)).toEqual([[1, 0, 0], [1, 0, 0]]);
+  });
+
+  test('should fail when a provider returns vectors of the wrong dimension', async () => {
+    registerEmbeddingProvider({
+      name: 'wrong-size',
+      dimension: 4,
+      embed: async (texts) => texts.map(() => [1, 2]),
+      healthCheck: async () => true
+    });
+    process.env.EMBEDDING_MODEL = 'wrong-size';
+
+    await expect(generateEmbeddings(['a'])).rejects.toThrow('expected 4');
+  });
+
+  test('should fail rather than fall back to mock embeddings when the provider fails', async () => {
+    registerEmbeddingProvider({
+      name: 'unreachable',
+      dimension: 3,
+      embed: async () => {
+        throw new Error('connect ECONNREFUSED');
+      },
+      healthCheck: async () => false
+    });
+    process.env.EMBEDDING_MODEL = 'unreachable';
+
+    await expect(generateEmbeddings(['a'])).rejects.toThrow('connect ECONNREFUSED');
+  });
+
+  test('should fail rather than fall back to mock embeddings for an unknown provider', async () => {
+    process.env.EMBEDDING_MODEL = 'does-not-exist';
+
+    await expect(generateEmbeddings(['a'])).rejects.toThrow('Embedding provider does-not-exist is not registered');
+  });
+
+  test('should fail rather than fall back to mock embeddings for a provider missing configuration', async () => {
+    registerEmbeddingProvider({
+      name: 'keyless',
+      dimension: 3,
+      embed: async (texts) => texts.map(() => [1, 0, 0]),
+      healthCheck: async () => true,
+      isConfigured: () => false
+    });
+    process.env.EMBEDDING_MODEL = 'keyless';
+
+    await expect(generateEmbeddings(['a'])).rejects.toThrow('Embedding provider keyless is missing configuration');
+  });
+
+  test('should use mock embeddings when EMBEDDING_MODEL selects them', async () => {
+    process.env.EMBEDDING_MODEL = 'mock';
+
+    const [embedding] = await generateEmbeddings(['a']);
+
+    expect(parseVector(embedding)).toHaveLength(getEmbeddingProvider('mock').dimension);
+  });
+});
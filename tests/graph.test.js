@@ -0,0 +1,64 @@
+/**
+ * Tests for knowledge graph entity validation and neighbour walks
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeEntity,
+  normalizeObservations,
+  entityEmbeddingText,
+  normalizeTraversalOptions,
+  buildNeighbourQuery
+} from '../src/memory/graph.js';
+
+describe('Knowledge graph', () => {
+  test('should normalize entities and reject invalid ones', () => {
+    expect(normalizeEntity({
+      name: ' Billing service ',
+      entityType: 'Internal Service',
+      observations: ['Runs nightly', ' Runs nightly ', '', 'Owned by the payments team']
+    })).toEqual({
+      name: 'Billing service',
+      entityType: 'internal_service',
+      userId: null,
+      observations: ['Runs nightly', 'Owned by the payments team'],
+      metadata: null
+    });
+
+    expect(() => normalizeEntity({ entityType: 'person' })).toThrow('name is required');
+    expect(() => normalizeEntity({ name: 'Alice' })).toThrow('Entity type is required');
+    expect(() => normalizeEntity({ name: 'Alice', entityType: 'person', metadata: [] })).toThrow('metadata');
+    expect(() => normalizeObservations('likes tea')).toThrow('array of strings');
+  });
+
+  test('should embed an entity from its name, type and observations', () => {
+    expect(entityEmbeddingText({
+      name: 'Alice',
+      entity_type: 'person',
+      observations: ['Prefers email', 'Works in Berlin']
+    })).toBe('Alice (person)\nPrefers email\nWorks in Berlin');
+  });
+
+  test('should validate walk options', () => {
+    expect(normalizeTraversalOptions()).toEqual({ depth: 1, relationTypes: null, direction: 'both' });
+    expect(normalizeTraversalOptions({ depth: 3, relationTypes: ['Works At'], direction: 'out' }))
+      .toEqual({ depth: 3, relationTypes: ['works_at'], direction: 'out' });
+
+    expect(() => normalizeTraversalOptions({ depth: 0 })).toThrow('depth');
+    expect(() => normalizeTraversalOptions({ depth: 6 })).toThrow('depth');
+    expect(() => normalizeTraversalOptions({ direction: 'sideways' })).toThrow('Unknown relation direction');
+    expect(() => normalizeTraversalOptions({ relationTypes: [] })).toThrow('relationTypes');
+  });
+
+  test('should walk relations in the requested direction', () => {
+    const outgoing = buildNeighbourQuery(7, normalizeTraversalOptions({ direction: 'out', depth: 2 }));
+    expect(outgoing.params).toEqual([7, 2]);
+    expect(outgoing.sql).toContain('JOIN memory.relations r ON r.from_id = walk.entity_id');
+    expect(outgoing.sql).toContain('SELECT r.to_id, walk.depth + 1');
+    expect(outgoing.sql).not.toContain('relation_type');
+
+    const both = buildNeighbourQuery(7, normalizeTraversalOptions({ relationTypes: ['owns'] }));
+    expect(both.params).toEqual([7, 1, ['owns']]);
+    expect(both.sql).toContain('walk.entity_id IN (r.from_id, r.to_id)');
+    expect(both.sql).toContain('AND r.relation_type = ANY($3::text[])');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for how imported chunks and links find their memories across batches
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { Readable } from 'stream';
+
+// A small stand-in for memory.conversations that rolls back failed transactions
+const store = { rows: new Map(), links: [], nextId: 100 };
+
+const fakeQuery = async (sql, params = []) => {
+  if (sql.includes('nextval') && sql.includes('generate_series')) {
+    return { rows: Array.from({ length: params[0] }, () => ({ id: store.nextId++ })) };
+  }
+
+  if (sql.includes('INSERT INTO memory.conversations')) {
+    const [ids, , , contents, , , , , , , parentIds] = params;
+    const inserted = [];
+    ids.forEach((id, i) => {
+      if (contents[i] === 'fail') {
+        throw new Error('could not write block');
+      }
+      if (parentIds[i] !== null && !store.rows.has(parentIds[i])) {
+        throw new Error('insert violates foreign key constraint "conversations_parent_id_fkey"');
+      }
+      if (!store.rows.has(id)) {
+        store.rows.set(id, { id, content: contents[i], parent_id: parentIds[i] });
+        inserted.push({ id });
+      }
+    });
+    return { rows: inserted };
+  }
+
+  if (sql.includes('INSERT INTO memory.memory_links')) {
+    const [fromIds, linkTypes, toIds] = params;
+    fromIds.forEach((fromId, i) => store.links.push([fromId, linkTypes[i], toIds[i]]));
+    return { rows: [], rowCount: fromIds.length };
+  }
+
+  if (sql.includes('pg_advisory_xact_lock') || sql.includes('WITH RECURSIVE superseded')) {
+    return { rows: [] };
+  }
+
+  if (sql.includes('setval') || sql.includes('SET summary_id')) {
+    return { rows: [], rowCount: 0 };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: async (callback) => {
+    const snapshot = new Map(store.rows);
+    try {
+      return await callback({ query: fakeQuery });
+    } catch (error) {
+      store.rows = snapshot;
+      throw error;
+    }
+  },
+  getCurrentTenant: () => 'default',
+  ALL_TENANTS: '*'
+}));
+
+jest.unstable_mockModule('../src/memory/schema.js', () => ({
+  getEmbeddingColumnDimension: async () => 1536
+}));
+
+const { importMemories } = await import('../src/memory/transfer.js');
+
+const lines = (...records) => Readable.from(records.map(record => `${JSON.stringify({ conversation_id: 'conv-1', ...record })}\n`));
+
+describe('Importing chunks', () => {
+  beforeEach(() => {
+    store.rows = new Map();
+    store.links = [];
+    store.nextId = 100;
+  });
+
+  test('should skip the chunks of a skipped document instead of attaching them to the existing memory', async () => {
+    store.rows.set(5, { id: 5, content: 'Someone else\'s memory', parent_id: null });
+
+    const result = await importMemories(lines(
+      { id: 5, content: 'Runbook', is_chunked: true },
+      { id: 6, content: 'Runbook, part one', parent_id: 5, chunk_index: 0 },
+      { id: 7, content: 'Runbook, part two', parent_id: 5, chunk_index: 1 }
+    ), { mode: 'skip', batchSize: 2 });
+
+    expect(result).toMatchObject({ imported: 0, skipped: 3, failed: 0 });
+    expect([...store.rows.keys()]).toEqual([5]);
+  });
+
+  test('should not map IDs of a batch that was rolled back', async () => {
+    const result = await importMemories(lines(
+      { id: 1, content: 'Runbook', is_chunked: true },
+      { id: 2, content: 'fail' },
+      { id: 3, content: 'Runbook, part one', parent_id: 1, chunk_index: 0 },
+      { id: 4, content: 'Unrelated note' }
+    ), { mode: 'new_ids', batchSize: 2 });
+
+    expect(result).toMatchObject({ imported: 1, failed: 3 });
+    expect(result.errors).toEqual([
+      { line: 1, error: 'could not write block' },
+      { line: 2, error: 'could not write block' },
+      { line: 3, error: 'Parent memory 1 is not in the file before this chunk' }
+    ]);
+    expect([...store.rows.values()]).toEqual([{ id: 103, content: 'Unrelated note', parent_id: null }]);
+  });
+
+  test('should recreate links to the new IDs of memories anywhere in the file', async () => {
+    const result = await importMemories(lines(
+      { id: 1, content: 'Old runbook' },
+      {
+        id: 2,
+        content: 'New runbook',
+        links: [
+          { link_type: 'supersedes', to_id: 1 },
+          { link_type: 'derived_from', to_id: 3 },
+          { link_type: 'follows-up', to_id: 9 }
+        ]
+      },
+      { id: 3, content: 'Incident notes' }
+    ), { mode: 'new_ids', batchSize: 2 });
+
+    expect(result).toMatchObject({ imported: 3, failed: 0 });
+    // Memory 9 is not in the file, so in new_ids mode there is nothing to link to
+    expect(store.links).toEqual([[101, 'derived-from', 102], [101, 'supersedes', 100]]);
+  });
+
+  test('should not link to a memory whose ID a skipped line wanted', async () => {
+    store.rows.set(5, { id: 5, content: 'Someone else\'s memory', parent_id: null });
+
+    const result = await importMemories(lines(
+      { id: 5, content: 'Runbook' },
+      { id: 6, content: 'Runbook notes', links: [{ link_type: 'follows-up', to_id: 5 }, { link_type: 'contradicts', to_id: 7 }] }
+    ), { mode: 'skip' });
+
+    expect(result).toMatchObject({ imported: 1, skipped: 1 });
+    expect(store.links).toEqual([[6, 'contradicts', 7]]);
+  });
+});
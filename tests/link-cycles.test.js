@@ -0,0 +1,81 @@
+/**
+ * Tests for refusing supersedes links that would form a loop
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// A small stand-in for memory.memory_links, holding [from, type, to] triples
+const store = { links: [], locks: [] };
+
+const supersededBy = (memoryId) => {
+  const reached = new Set([memoryId]);
+  for (let grew = true; grew;) {
+    grew = false;
+    for (const [from, type, to] of store.links) {
+      if (type === 'supersedes' && reached.has(from) && !reached.has(to)) {
+        reached.add(to);
+        grew = true;
+      }
+    }
+  }
+  return reached;
+};
+
+const fakeQuery = async (sql, params = []) => {
+  if (sql.includes('FROM memory.conversations a')) {
+    const [fromId, toId] = params;
+    return { rows: [{ from_id: fromId, to_id: toId, tenant_id: 'payments' }] };
+  }
+
+  if (sql.includes('pg_advisory_xact_lock')) {
+    store.locks.push(params[0]);
+    return { rows: [] };
+  }
+
+  if (sql === SUPERSEDES_CYCLE_QUERY) {
+    const [start, target] = params;
+    return { rows: supersededBy(start).has(target) ? [{ '?column?': 1 }] : [] };
+  }
+
+  if (sql.includes('INSERT INTO memory.memory_links')) {
+    const [, from, type, to, metadata] = params;
+    store.links.push([from, type, to]);
+    return { rows: [{ id: store.links.length, from_id: from, link_type: type, to_id: to, metadata }] };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: (callback) => callback({ query: fakeQuery })
+}));
+
+const { createLink, SUPERSEDES_CYCLE_QUERY } = await import('../src/memory/links.js');
+
+describe('Supersedes cycles', () => {
+  beforeEach(() => {
+    store.links = [];
+    store.locks = [];
+  });
+
+  test('should refuse to supersede a memory that supersedes it through a chain', async () => {
+    await createLink(3, 'supersedes', 2);
+    await createLink(2, 'supersedes', 1);
+
+    await expect(createLink(1, 'supersedes', 3))
+      .rejects.toThrow('Memory 3 already supersedes memory 1, directly or through other memories');
+    await expect(createLink(1, 'supersedes', 2)).rejects.toThrow('Memory 2 already supersedes memory 1');
+    expect(store.links).toHaveLength(2);
+    expect(store.locks).toEqual(['payments', 'payments', 'payments', 'payments']);
+  });
+
+  test('should allow chains that do not loop and links of other types', async () => {
+    await createLink(3, 'supersedes', 2);
+    await createLink(3, 'supersedes', 1);
+    await createLink(2, 'supersedes', 1);
+    await createLink(1, 'follows-up', 3);
+
+    expect(store.links).toEqual([[3, 'supersedes', 2], [3, 'supersedes', 1], [2, 'supersedes', 1], [1, 'follows-up', 3]]);
+    expect(store.locks).toHaveLength(3);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for memory link validation and link walks
+ */
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeLinkType,
+  normalizeLinkWalkOptions,
+  buildLinkWalkQuery,
+  attachLinkedMemories
+} from '../src/memory/links.js';
+import { searchMemories } from '../src/memory/search.js';
+
+describe('Memory links', () => {
+  test('should accept the known link types however they are written', () => {
+    expect(normalizeLinkType('supersedes')).toBe('supersedes');
+    expect(normalizeLinkType(' Derived from ')).toBe('derived-from');
+    expect(normalizeLinkType('FOLLOWS_UP')).toBe('follows-up');
+
+    expect(() => normalizeLinkType('')).toThrow('Link type is required');
+    expect(() => normalizeLinkType('replaces')).toThrow('Unknown link type: replaces');
+  });
+
+  test('should validate walk options', () => {
+    expect(normalizeLinkWalkOptions()).toEqual({ depth: 1, linkTypes: null, direction: 'both' });
+    expect(normalizeLinkWalkOptions({ depth: 2, linkTypes: ['Supersedes', 'supersedes'], direction: 'in' }))
+      .toEqual({ depth: 2, linkTypes: ['supersedes'], direction: 'in' });
+
+    expect(() => normalizeLinkWalkOptions({ depth: 6 })).toThrow('depth');
+    expect(() => normalizeLinkWalkOptions({ direction: 'sideways' })).toThrow('Unknown link direction');
+    expect(() => normalizeLinkWalkOptions({ linkTypes: [] })).toThrow('linkTypes');
+  });
+
+  test('should walk links in the requested direction', () => {
+    const incoming = buildLinkWalkQuery(7, normalizeLinkWalkOptions({ direction: 'in', depth: 3 }));
+    expect(incoming.params).toEqual([7, 3]);
+    expect(incoming.sql).toContain('JOIN memory.memory_links l ON l.to_id = walk.memory_id');
+    expect(incoming.sql).toContain('SELECT l.from_id, walk.depth + 1');
+    expect(incoming.sql).not.toContain('link_type');
+
+    const both = buildLinkWalkQuery(7, normalizeLinkWalkOptions({ linkTypes: ['contradicts'] }));
+    expect(both.params).toEqual([7, 1, ['contradicts']]);
+    expect(both.sql).toContain('walk.memory_id IN (l.from_id, l.to_id)');
+    expect(both.sql).toContain('AND l.link_type = ANY($3::text[])');
+  });
+
+  test('should check link expansion options before searching', async () => {
+    await expect(searchMemories('billing', { expandLinks: true, linkTypes: ['replaces'] }))
+      .rejects.toThrow('Unknown link type: replaces');
+    await expect(attachLinkedMemories([])).resolves.toEqual([]);
+  });
+});
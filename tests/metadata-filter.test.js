@@ -0,0 +1,61 @@
+/**
+ * Tests for compiling metadata filters to parameterized SQL
+ */
+import { describe, test, expect } from '@jest/globals';
+import { compileMetadataFilter } from '../src/memory/metadata-filter.js';
+
+describe('Metadata filters', () => {
+  test('should merge exact matches, including nested paths, into one containment check', () => {
+    const params = [];
+    const conditions = compileMetadataFilter({ role: 'user', 'project.name': 'billing', 'project.team': { $eq: 'core' } }, params);
+
+    expect(conditions).toEqual(['metadata @> $1::jsonb']);
+    expect(JSON.parse(params[0])).toEqual({ role: 'user', project: { name: 'billing', team: 'core' } });
+  });
+
+  test('should compile $in, $nin and $ne to containment checks', () => {
+    const params = [];
+    const conditions = compileMetadataFilter({
+      source: { $in: ['chat', 'import'] },
+      role: { $nin: ['system'], $ne: 'tool' }
+    }, params);
+
+    expect(conditions).toEqual([
+      'metadata @> ANY($1::jsonb[])',
+      'NOT (metadata @> ANY($2::jsonb[]))',
+      'NOT (metadata @> $3::jsonb)'
+    ]);
+    expect(params[0]).toEqual(['{"source":"chat"}', '{"source":"import"}']);
+  });
+
+  test('should read nested values with -> and ->> for $exists and ranges', () => {
+    const params = ['[0.1,0.2]'];
+    const conditions = compileMetadataFilter({
+      'review.by': { $exists: false },
+      priority: { $gte: 2 },
+      due: { $lt: '2025-01-01' }
+    }, params, 'c.metadata');
+
+    expect(conditions).toEqual([
+      '(c.metadata -> $2::text -> $3::text) IS NULL',
+      "(CASE WHEN jsonb_typeof((c.metadata -> $4::text)) = 'number' THEN ((c.metadata -> $4::text) #>> '{}')::numeric END) >= $5",
+      '(c.metadata ->> $6::text) < $7'
+    ]);
+    expect(params).toEqual(['[0.1,0.2]', 'review', 'by', 'priority', 2, 'due', '2025-01-01']);
+  });
+
+  test('should keep keys out of the SQL text', () => {
+    const params = [];
+    const conditions = compileMetadataFilter({ "x') OR 1=1 --": { $exists: true } }, params);
+
+    expect(conditions).toEqual(['(metadata -> $1::text) IS NOT NULL']);
+    expect(params).toEqual(["x') OR 1=1 --"]);
+  });
+
+  test('should reject unknown operators and malformed operands', () => {
+    expect(() => compileMetadataFilter({ role: { $regex: 'u.*' } }, [])).toThrow('Unknown metadata filter operator "$regex"');
+    expect(() => compileMetadataFilter({ role: { $in: [] } }, [])).toThrow('$in for "role" must be a non-empty array');
+    expect(() => compileMetadataFilter({ priority: { $gt: true } }, [])).toThrow('$gt for "priority" must be a number, string or Date');
+    expect(() => compileMetadataFilter({ 'project..name': 'x' }, [])).toThrow('Invalid metadata filter path');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for keyset pagination cursors
+ */
+import { describe, test, expect } from '@jest/globals';
+import { encodeCursor, decodeCursor, pageLimit, toPage, DEFAULT_PAGE_SIZE } from '../src/memory/pagination.js';
+import { getConversationMemoriesPage, listConversations } from '../src/memory/index.js';
+
+describe('Pagination', () => {
+  test('should round-trip a sort key through an opaque cursor', () => {
+    const key = ['2024-05-01T10:00:00.123456Z', 42];
+    const cursor = encodeCursor(key);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(key);
+  });
+
+  test('should reject cursors it did not make', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor(['yesterday', 1]))).toThrow('Invalid cursor');
+    expect(() => decodeCursor(Buffer.from('{"id":1}').toString('base64url'))).toThrow('Invalid cursor');
+  });
+
+  test('should default the page size and refuse sizes out of range', () => {
+    expect(pageLimit(undefined)).toBe(DEFAULT_PAGE_SIZE);
+    expect(pageLimit(10)).toBe(10);
+    expect(() => pageLimit(0)).toThrow('Page size');
+    expect(() => pageLimit(1001)).toThrow('Page size');
+    expect(() => pageLimit(2.5)).toThrow('Page size');
+  });
+
+  test('should cut the extra row into the next cursor', () => {
+    const rows = [
+      { id: 1, cursor_timestamp: '2024-05-01T10:00:00.000001Z' },
+      { id: 2, cursor_timestamp: '2024-05-01T10:00:00.000002Z' },
+      { id: 3, cursor_timestamp: '2024-05-01T10:00:00.000003Z' }
+    ];
+
+    const page = toPage(rows.map(row => ({ ...row })), 2);
+    expect(page.rows).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(decodeCursor(page.nextCursor)).toEqual(['2024-05-01T10:00:00.000002Z', 2]);
+
+    const last = toPage(rows.map(row => ({ ...row })), 3);
+    expect(last.rows).toHaveLength(3);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  test('should check cursors and page sizes before querying', async () => {
+    await expect(getConversationMemoriesPage('conversation-1', { cursor: 'bogus' })).rejects.toThrow('Invalid cursor');
+    await expect(listConversations('user-1', { limit: 0 })).rejects.toThrow('Page size');
+  });
+});
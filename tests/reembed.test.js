@@ -0,0 +1,152 @@
+/**
+ * Tests for claiming and running re-embedding jobs
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// A small stand-in for the reembed_jobs table and the memories it covers
+const store = { jobs: [], memories: [] };
+
+const fakeQuery = async (sql, params = []) => {
+  if (sql.includes('pg_advisory_xact_lock')) {
+    return { rows: [] };
+  }
+
+  if (sql.includes('AS active')) {
+    const [targetModel] = params;
+    const job = store.jobs
+      .filter(row => row.target_model === targetModel && ['running', 'failed'].includes(row.status))
+      .at(-1);
+    return { rows: job ? [{ id: job.id, active: job.status === 'running' && !job.stale }] : [] };
+  }
+
+  if (sql.includes('INSERT INTO memory.reembed_jobs')) {
+    const [targetModel] = params;
+    const job = {
+      id: store.jobs.length + 1,
+      target_model: targetModel,
+      status: 'running',
+      total_count: store.memories.filter(row => row.embedding_model !== targetModel).length,
+      processed_count: 0,
+      last_id: 0,
+      error: null
+    };
+    store.jobs.push(job);
+    return { rows: [{ ...job }] };
+  }
+
+  if (sql.includes('FROM memory.conversations')) {
+    const [lastId, targetModel, limit] = params;
+    const rows = store.memories
+      .filter(row => row.id > lastId && row.embedding_model !== targetModel)
+      .slice(0, limit);
+    return { rows: rows.map(({ id, content }) => ({ id, content })) };
+  }
+
+  const job = store.jobs.find(row => row.id === params[0]);
+  const claimed = job && job.status === 'running';
+
+  if (sql.includes("SET status = 'running'")) {
+    Object.assign(job, { status: 'running', error: null, stale: false });
+    return { rows: [{ ...job }], rowCount: 1 };
+  }
+
+  if (sql.includes('SET processed_count')) {
+    const [, processed, lastId, previousLastId] = params;
+    if (!claimed || job.last_id !== previousLastId) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(job, { processed_count: processed, last_id: lastId });
+    return { rows: [], rowCount: 1 };
+  }
+
+  if (sql.includes("SET status = 'completed'")) {
+    if (!claimed || job.last_id !== params[1]) {
+      return { rows: [], rowCount: 0 };
+    }
+    job.status = 'completed';
+    return { rows: [{ ...job }], rowCount: 1 };
+  }
+
+  if (sql.includes("SET status = 'failed'")) {
+    if (!claimed || job.last_id !== params[2]) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(job, { status: 'failed', error: params[1] });
+    return { rows: [], rowCount: 1 };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: fakeQuery,
+  transaction: (callback) => callback({ query: fakeQuery }),
+  withAllTenants: (callback) => callback()
+}));
+
+jest.unstable_mockModule('../src/memory/schema.js', () => ({
+  validateEmbeddingDimension: async () => ({ valid: true }),
+  writeEmbeddings: async (client, column, rows, model) => {
+    for (const { id } of rows) {
+      store.memories.find(row => row.id === id).embedding_model = model;
+    }
+  }
+}));
+
+jest.unstable_mockModule('../src/memory/embeddings.js', () => ({
+  getEmbeddingModelId: () => 'openai:text-embedding-3-small'
+}));
+
+const { createReembedJob, runReembedJob, startReembedJob } = await import('../src/memory/reembed.js');
+
+describe('Re-embedding jobs', () => {
+  beforeEach(() => {
+    store.jobs = [];
+    store.memories = [1, 2, 3, 4, 5].map(id => ({ id, content: `memory ${id}`, embedding_model: 'mock:mock' }));
+  });
+
+  test('should create a job and re-embed every memory in batches', async () => {
+    const progress = [];
+    const job = await startReembedJob({ batchSize: 2, onProgress: (update) => progress.push(update.processed) });
+
+    expect(job).toMatchObject({ id: 1, status: 'completed', processed_count: 5, last_id: 5 });
+    expect(progress).toEqual([2, 4, 5]);
+    expect(store.memories.every(row => row.embedding_model === 'openai:text-embedding-3-small')).toBe(true);
+  });
+
+  test('should refuse to claim a job that is already running', async () => {
+    const job = await createReembedJob();
+
+    await expect(createReembedJob()).rejects.toThrow(`Re-embedding job ${job.id} for openai:text-embedding-3-small is already running`);
+    expect(store.jobs).toHaveLength(1);
+  });
+
+  test('should resume a failed or abandoned job from its last batch', async () => {
+    await createReembedJob();
+    Object.assign(store.jobs[0], { status: 'failed', error: 'provider down', processed_count: 2, last_id: 2 });
+    store.memories[0].embedding_model = store.memories[1].embedding_model = 'openai:text-embedding-3-small';
+
+    const resumed = await createReembedJob();
+    expect(resumed).toMatchObject({ id: 1, status: 'running', error: null, last_id: 2 });
+
+    store.jobs[0].stale = true;
+    const reclaimed = await createReembedJob();
+    expect(reclaimed.id).toBe(1);
+
+    const finished = await runReembedJob(reclaimed, { batchSize: 10 });
+    expect(finished).toMatchObject({ status: 'completed', processed_count: 5, last_id: 5 });
+  });
+
+  test('should stop a run whose job was taken over, without marking it failed', async () => {
+    const job = await createReembedJob();
+
+    const run = runReembedJob(job, {
+      batchSize: 2,
+      // Another run resumes the job and saves a batch of its own
+      onProgress: () => Object.assign(store.jobs[0], { last_id: 3, processed_count: 3 })
+    });
+
+    await expect(run).rejects.toThrow(`Re-embedding job ${job.id} is no longer claimed by this run`);
+    expect(store.jobs[0]).toMatchObject({ status: 'running', last_id: 3, error: null });
+  });
+});
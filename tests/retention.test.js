@@ -0,0 +1,60 @@
+/**
+ * Tests for retention policy validation and matching
+ */
+import { describe, test, expect } from '@jest/globals';
+import { normalizeRetentionPolicy, buildRetentionConditions } from '../src/memory/retention.js';
+
+describe('Retention policies', () => {
+  test('should fill in defaults and reject invalid policies', () => {
+    expect(normalizeRetentionPolicy({ name: ' tickets ', keepDays: 30, action: 'purge' })).toEqual({
+      name: 'tickets',
+      keepDays: 30,
+      action: 'purge',
+      userId: null,
+      conversationPrefix: null,
+      metadata: null,
+      exemptPinned: true,
+      exemptImportance: null,
+      enabled: true
+    });
+
+    expect(() => normalizeRetentionPolicy({ keepDays: 30, action: 'purge' })).toThrow('name is required');
+    expect(() => normalizeRetentionPolicy({ name: 'a', keepDays: 0, action: 'purge' })).toThrow('keepDays');
+    expect(() => normalizeRetentionPolicy({ name: 'a', keepDays: 30, action: 'delete' })).toThrow('Unknown retention action');
+    expect(() => normalizeRetentionPolicy({ name: 'a', keepDays: 30, action: 'archive', exemptImportance: 2 })).toThrow('exemptImportance');
+    expect(() => normalizeRetentionPolicy({ name: 'a', keepDays: 30, action: 'archive', metadata: { tag: { $regex: 'x' } } })).toThrow();
+  });
+
+  test('should build conditions for each matcher and exemption', () => {
+    const policy = normalizeRetentionPolicy({
+      name: 'support',
+      keepDays: 90,
+      action: 'archive',
+      userId: 'user-1',
+      conversationPrefix: 'ticket-',
+      metadata: { tag: 'support' },
+      exemptImportance: 0.8
+    });
+
+    const params = [];
+    const conditions = buildRetentionConditions(policy, params);
+
+    expect(conditions).toEqual([
+      "timestamp < NOW() - ($1 * INTERVAL '1 day')",
+      'user_id = $2',
+      'starts_with(conversation_id, $3)',
+      'metadata @> $4::jsonb',
+      `NOT COALESCE(metadata @> '{"pinned": true}'::jsonb, FALSE)`,
+      'COALESCE(importance, 0) < $5'
+    ]);
+    expect(params).toEqual([90, 'user-1', 'ticket-', '{"tag":"support"}', 0.8]);
+  });
+
+  test('should only match on age when no matcher or exemption is set', () => {
+    const params = [];
+    const policy = normalizeRetentionPolicy({ name: 'all', keepDays: 365, action: 'purge', exemptPinned: false });
+
+    expect(buildRetentionConditions(policy, params)).toEqual(["timestamp < NOW() - ($1 * INTERVAL '1 day')"]);
+    expect(params).toEqual([365]);
+  });
+});
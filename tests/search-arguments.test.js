@@ -0,0 +1,67 @@
+/**
+ * Tests for the legacy positional searchMemories arguments
+ */
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// Search queries sent to the database, in order
+const queries = [];
+
+jest.unstable_mockModule('../src/utils/db.js', () => ({
+  query: async (sql, params = []) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  },
+  transaction: (callback) => callback({ query: async () => ({ rows: [] }) }),
+  getCurrentTenant: () => 'default',
+  ALL_TENANTS: Symbol('all tenants')
+}));
+
+const { searchMemories } = await import('../src/memory/search.js');
+
+describe('Search arguments', () => {
+  beforeEach(() => {
+    queries.length = 0;
+  });
+
+  test('should filter by positional limit, user and conversation', async () => {
+    await searchMemories('billing', 3, 'user-1', 'conv-1');
+
+    expect(queries).toHaveLength(1);
+    const [{ sql, params }] = queries;
+    expect(params.slice(1)).toEqual(['user-1', 'conv-1', 3]);
+    expect(sql).toContain('user_id = $2 AND conversation_id = $3');
+    expect(sql).toContain('LIMIT $4');
+  });
+
+  test('should default to five results for any user when only the query is given', async () => {
+    await searchMemories('billing');
+
+    const [{ sql, params }] = queries;
+    expect(params.slice(1)).toEqual([5]);
+    expect(sql).not.toContain('user_id = $');
+    expect(sql).not.toContain('conversation_id = $');
+  });
+
+  test('should build the same query from positional arguments as from options', async () => {
+    await searchMemories('billing', 3, 'user-1', 'conv-1');
+    await searchMemories('billing', { limit: 3, userId: 'user-1', conversationId: 'conv-1' });
+
+    const [positional, options] = queries;
+    expect(positional).toEqual(options);
+  });
+
+  test('should raise the importance of returned memories no higher than 0.75', async () => {
+    await searchMemories('billing');
+
+    const [{ sql }] = queries;
+    expect(sql).toContain('importance = GREATEST(c.importance, c.importance + (0.75 - c.importance) * 0.05)');
+  });
+
+  test('should ignore the positional filters when options are given', async () => {
+    await searchMemories('billing', { limit: 2 }, 'user-1', 'conv-1');
+
+    const [{ sql, params }] = queries;
+    expect(params.slice(1)).toEqual([2]);
+    expect(sql).not.toContain('user_id = $');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the search filter builder shared by the vector, text and hybrid modes
+ */
+import { describe, test, expect } from '@jest/globals';
+import { buildSearchFilters, normalizeSearchOptions, searchMemories } from '../src/memory/search.js';
+import { excludeSuperseded } from '../src/memory/links.js';
+
+const current = excludeSuperseded();
+const currentIn = (alias) => excludeSuperseded((name) => `${alias}.${name}`);
+
+describe('Search filters', () => {
+  test('should only exclude archived, chunked and superseded memories when no filters are given', () => {
+    const params = ['[0.1,0.2]'];
+    expect(buildSearchFilters({ limit: 5 }, params)).toBe(`is_archived = FALSE AND is_chunked = FALSE AND ${current}`);
+    expect(params).toEqual(['[0.1,0.2]']);
+  });
+
+  test('should number placeholders after the existing parameters', () => {
+    const params = ['[0.1,0.2]', 'query text'];
+    const filters = buildSearchFilters({
+      userId: 'user-1',
+      metadata: { topic: 'billing' },
+      since: '2024-01-01T00:00:00Z'
+    }, params);
+
+    expect(filters).toBe(`is_archived = FALSE AND is_chunked = FALSE AND ${current} AND user_id = $3 AND metadata @> $4::jsonb AND timestamp >= $5`);
+    expect(params).toEqual(['[0.1,0.2]', 'query text', 'user-1', '{"topic":"billing"}', '2024-01-01T00:00:00Z']);
+  });
+
+  test('should qualify columns with a table alias', () => {
+    const params = [];
+    expect(buildSearchFilters({ conversationId: 'conv-1' }, params, 'c'))
+      .toBe(`c.is_archived = FALSE AND c.is_chunked = FALSE AND ${currentIn('c')} AND c.conversation_id = $1`);
+  });
+
+  test('should keep archived memories when asked to', () => {
+    const params = [];
+    expect(buildSearchFilters({ includeArchived: true, userId: 'user-1' }, params))
+      .toBe(`is_chunked = FALSE AND ${current} AND user_id = $1`);
+  });
+
+  test('should keep superseded memories when asked to', () => {
+    expect(buildSearchFilters({ includeSuperseded: true }, [])).toBe('is_archived = FALSE AND is_chunked = FALSE');
+    expect(currentIn('c')).toContain('COALESCE(c.parent_id, c.id) NOT IN (');
+    expect(current).toContain("link_type = 'supersedes'");
+  });
+
+  test('should accept the legacy positional arguments', () => {
+    expect(normalizeSearchOptions(3, 'user-1', 'conv-1')).toEqual({ limit: 3, userId: 'user-1', conversationId: 'conv-1' });
+    expect(normalizeSearchOptions(undefined, null, null)).toEqual({ limit: 5, userId: null, conversationId: null });
+  });
+
+  test('should reject similarity cutoffs that cannot be applied', async () => {
+    await expect(searchMemories('billing', { mode: 'text', minSimilarity: 0.5 }))
+      .rejects.toThrow('minSimilarity requires the vector or hybrid search mode');
+    await expect(searchMemories('billing', { minSimilarity: 2 }))
+      .rejects.toThrow('minSimilarity must be a number between -1 and 1');
+    await expect(searchMemories('billing', { minSimilarity: NaN }))
+      .rejects.toThrow('minSimilarity must be a number between -1 and 1');
+  });
+
+  test('should reject recency ranking options that cannot be applied', async () => {
+    await expect(searchMemories('billing', { mode: 'hybrid', ranking: 'recency' }))
+      .rejects.toThrow('Recency ranking requires the vector search mode');
+    await expect(searchMemories('billing', { ranking: 'recency', halfLifeDays: 0 }))
+      .rejects.toThrow('halfLifeDays must be a positive number');
+    await expect(searchMemories('billing', { ranking: 'recency', halfLifeDays: NaN }))
+      .rejects.toThrow('halfLifeDays must be a positive number');
+    await expect(searchMemories('billing', { ranking: 'recency', recencyWeight: 0.8, accessWeight: 0.4 }))
+      .rejects.toThrow('recencyWeight, accessWeight and importanceWeight must be non-negative and add up to at most 1');
+  });
+
+  test('should reject unknown chunk result options', async () => {
+    await expect(searchMemories('billing', { chunks: 'first' }))
+      .rejects.toThrow('Unknown chunk results option: first');
+  });
+
+  test('should let summaries stand in for the messages they cover', async () => {
+    expect(buildSearchFilters({ summaries: 'prefer' }, []))
+      .toBe(`is_archived = FALSE AND is_chunked = FALSE AND summary_id IS NULL AND ${current}`);
+    expect(buildSearchFilters({ summaries: 'only' }, [], 'c'))
+      .toBe(`c.is_archived = FALSE AND c.is_chunked = FALSE AND c.memory_type = 'summary' AND ${currentIn('c')}`);
+    await expect(searchMemories('billing', { summaries: 'first' }))
+      .rejects.toThrow('Unknown summary results option: first');
+  });
+});
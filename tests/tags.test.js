@@ -0,0 +1,52 @@
+/**
+ * Tests for tag normalization and tag filters
+ */
+import { describe, test, expect } from '@jest/globals';
+import { normalizeTag, normalizeTags, compileTagFilter, renameTag, mergeTags } from '../src/memory/tags.js';
+import { buildMemoryFilters } from '../src/memory/search.js';
+import { parseImportRecord } from '../src/memory/transfer.js';
+import { withAllTenants } from '../src/utils/db.js';
+
+describe('Tags', () => {
+  test('should store tags trimmed, in lower case and with hyphens for whitespace', () => {
+    expect(normalizeTag('  Project  Billing ')).toBe('project-billing');
+    expect(normalizeTags(['Billing', 'billing', ' Q3 ', 'BILLING'])).toEqual(['billing', 'q3']);
+    expect(normalizeTags('topic')).toEqual(['topic']);
+
+    expect(() => normalizeTag('   ')).toThrow('cannot be empty');
+    expect(() => normalizeTag(42)).toThrow('must be strings');
+    expect(() => normalizeTag('x'.repeat(65))).toThrow('at most 64');
+  });
+
+  test('should match memories, or the documents of chunks, carrying every tag', () => {
+    const params = ['user-1'];
+    const [condition] = compileTagFilter(['Billing', 'q3', 'billing'], params, (name) => `c.${name}`);
+
+    expect(params).toEqual(['user-1', ['billing', 'q3']]);
+    expect(condition).toContain('COALESCE(c.parent_id, c.id) IN (');
+    expect(condition).toContain('t.name = ANY($2::text[])');
+    expect(condition).toContain('HAVING COUNT(*) = 2');
+
+    expect(compileTagFilter(null, params)).toEqual([]);
+    expect(compileTagFilter([], params)).toEqual([]);
+  });
+
+  test('should add the tag condition to the shared memory filters', () => {
+    const params = [];
+    const conditions = buildMemoryFilters({ userId: 'user-1', tags: ['billing'] }, params);
+
+    expect(conditions).toHaveLength(2);
+    expect(params).toEqual(['user-1', ['billing']]);
+  });
+
+  test('should carry normalized tags through import records', () => {
+    expect(parseImportRecord('{"conversation_id":"c","content":"x","tags":["Billing","billing","Q3"]}').tags).toEqual(['billing', 'q3']);
+    expect(parseImportRecord('{"conversation_id":"c","content":"x"}').tags).toEqual([]);
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","tags":"billing"}')).toThrow('tags must be an array');
+  });
+
+  test('should only rename and merge tags within one tenant', async () => {
+    await expect(withAllTenants(() => renameTag('billing', 'payments'))).rejects.toThrow('as the tenant they belong to');
+    await expect(withAllTenants(() => mergeTags(['billing'], 'payments'))).rejects.toThrow('as the tenant they belong to');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for tenant scopes
+ */
+import { describe, test, expect } from '@jest/globals';
+import { ALL_TENANTS, validateTenantId, getCurrentTenant, withTenant, withAllTenants } from '../src/utils/db.js';
+
+describe('Tenants', () => {
+  test('should accept tenant IDs that are safe to store and reject the rest', () => {
+    expect(validateTenantId('payments')).toBe('payments');
+    expect(validateTenantId('team:search@eu-1.prod')).toBe('team:search@eu-1.prod');
+
+    expect(() => validateTenantId('')).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId(ALL_TENANTS)).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId('a b')).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId('x'.repeat(129))).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId(42)).toThrow('Invalid tenant ID');
+  });
+
+  test('should keep the tenant across awaits and restore it afterwards', async () => {
+    expect(getCurrentTenant()).toBe('default');
+
+    const seen = await withTenant('payments', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      const inner = await withTenant('search', async () => getCurrentTenant());
+      return [getCurrentTenant(), inner];
+    });
+
+    expect(seen).toEqual(['payments', 'search']);
+    expect(withAllTenants(() => getCurrentTenant())).toBe(ALL_TENANTS);
+    expect(getCurrentTenant()).toBe('default');
+  });
+});
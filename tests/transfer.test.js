@@ -0,0 +1,69 @@
+/**
+ * Tests for JSON lines export and import of memories
+ */
+import { describe, test, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { toExportRecord, parseImportRecord, importMemories } from '../src/memory/transfer.js';
+
+describe('Memory transfer', () => {
+  test('should export a row as a self-contained record', () => {
+    const record = toExportRecord({
+      id: 12,
+      conversation_id: 'conv-1',
+      user_id: 'user-1',
+      content: 'Deploys happen on Tuesdays',
+      metadata: { team: 'platform' },
+      importance: 0.7,
+      memory_type: 'message',
+      is_chunked: false,
+      parent_id: null,
+      chunk_index: null,
+      summary_id: null,
+      access_count: 2,
+      timestamp: new Date('2024-03-01T09:00:00.000Z'),
+      updated_at: null,
+      last_accessed: new Date('2024-03-02T09:00:00.000Z'),
+      is_archived: false,
+      archived_at: null,
+      embedding_model: 'mock:mock',
+      embedding: '[0.1,0.2,0.3]',
+      links: [{ link_type: 'follows-up', to_id: 9, metadata: null, created_at: '2024-03-01T10:00:00+00:00' }],
+      content_tsv: "'deploy':1"
+    });
+
+    expect(record.timestamp).toBe('2024-03-01T09:00:00.000Z');
+    expect(record.embedding).toEqual([0.1, 0.2, 0.3]);
+    expect(record).not.toHaveProperty('content_tsv');
+    expect(parseImportRecord(JSON.stringify(record))).toMatchObject({
+      id: 12,
+      content: 'Deploys happen on Tuesdays',
+      metadata: { team: 'platform' },
+      timestamp: '2024-03-01T09:00:00.000Z',
+      embedding: [0.1, 0.2, 0.3],
+      embedding_model: 'mock:mock',
+      links: [{ link_type: 'follows-up', to_id: 9, metadata: null, created_at: '2024-03-01T10:00:00+00:00' }]
+    });
+  });
+
+  test('should fill in defaults and reject invalid lines', () => {
+    const record = parseImportRecord('{"conversation_id":"conv-1","content":"hello","is_archived":true}');
+    expect(record).toMatchObject({ id: null, importance: 0.5, memory_type: 'message', metadata: {}, is_archived: true, links: [] });
+    expect(record.archived_at).not.toBeNull();
+    expect(parseImportRecord('{"conversation_id":"c","content":"x","archived_at":"2024-01-01"}').archived_at).toBeNull();
+
+    expect(() => parseImportRecord('{"content":')).toThrow('Invalid JSON');
+    expect(() => parseImportRecord('[]')).toThrow('JSON object');
+    expect(() => parseImportRecord('{"conversation_id":"c"}')).toThrow('content is required');
+    expect(() => parseImportRecord('{"content":"x"}')).toThrow('conversation_id is required');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","id":-1}')).toThrow('id must be a positive integer');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","importance":2}')).toThrow('importance');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","timestamp":"soon"}')).toThrow('not a valid timestamp');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","embedding":"[1,2]"}')).toThrow('array of numbers');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","links":[{"link_type":"follows-up"}]}')).toThrow('positive integer to_id');
+    expect(() => parseImportRecord('{"conversation_id":"c","content":"x","links":[{"link_type":"replies","to_id":2}]}')).toThrow('Unknown link type');
+  });
+
+  test('should refuse unknown conflict modes', async () => {
+    await expect(importMemories(Readable.from([]), { mode: 'merge' })).rejects.toThrow('Unknown import mode: merge');
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Tests for validating memory updates before they reach the database
+ */
+import { describe, test, expect } from '@jest/globals';
+import { updateMemory } from '../src/memory/index.js';
+
+describe('Memory updates', () => {
+  test('should require something to change', async () => {
+    await expect(updateMemory(1, {})).rejects.toThrow('content or metadata is required to update a memory');
+  });
+
+  test('should reject empty content and non-object metadata', async () => {
+    await expect(updateMemory(1, { content: '' })).rejects.toThrow('content must be a non-empty string');
+    await expect(updateMemory(1, { metadata: ['billing'] })).rejects.toThrow('metadata must be an object');
+    await expect(updateMemory(1, { metadata: null })).rejects.toThrow('metadata must be an object');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for user data export and erasure tombstones
+ */
+import { describe, test, expect } from '@jest/globals';
+import { createHash } from 'crypto';
+import { hashUserId, tombstoneHash, exportUserData, eraseUserData } from '../src/memory/user-data.js';
+import { withAllTenants } from '../src/utils/db.js';
+
+describe('User data', () => {
+  test('should require a user ID before touching the database', async () => {
+    await expect(exportUserData('')).rejects.toThrow('A user ID is required');
+    await expect(eraseUserData(undefined)).rejects.toThrow('A user ID is required');
+    await expect(withAllTenants(() => eraseUserData('user-1'))).rejects.toThrow('as the tenant the user belongs to');
+  });
+
+  test('should hash user IDs with the erasure secret', () => {
+    const hash = hashUserId('user-1', 'secret');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).toBe(hashUserId('user-1', 'secret'));
+    expect(hash).not.toBe(hashUserId('user-2', 'secret'));
+    expect(hash).not.toBe(hashUserId('user-1', 'another secret'));
+    expect(hash).not.toBe(createHash('sha256').update('user-1').digest('hex'));
+    expect(() => hashUserId('user-1', '')).toThrow('MEMORY_ERASURE_SECRET must be set');
+  });
+
+  test('should chain tombstone hashes and notice any change', () => {
+    const first = {
+      tenant_id: 'default',
+      user_hash: hashUserId('user-1', 'secret'),
+      counts: { conversations: 3, entities: 1 },
+      erased_at: new Date('2024-05-01T10:00:00.000Z'),
+      previous_hash: null
+    };
+    const hash = tombstoneHash(first);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+
+    // Counts read back from JSONB may come in another key order
+    expect(tombstoneHash({ ...first, counts: { entities: 1, conversations: 3 } })).toBe(hash);
+    expect(tombstoneHash({ ...first, erased_at: '2024-05-01T10:00:00.000Z' })).toBe(hash);
+
+    expect(tombstoneHash({ ...first, counts: { conversations: 2, entities: 1 } })).not.toBe(hash);
+    expect(tombstoneHash({ ...first, tenant_id: 'payments' })).not.toBe(hash);
+    expect(tombstoneHash({ ...first, previous_hash: hash })).not.toBe(hash);
+  });
+});